@@ -0,0 +1,31 @@
+import { defineBuildConfig } from "unbuild";
+
+// One entry per capability so each is importable as `proxyable/<capability>`.
+// Shared modules are emitted as chunks, keeping every entry tree-shakeable.
+const capabilities = {
+  context: "context/context",
+  security: "security/capability-acl",
+  sandbox: "sandbox/sandbox-context",
+  transactions: "transactions/index",
+  invariants: "invariants/invariant-context",
+  observability: "observability/audit-logger",
+  contracts: "contracts/contract-context",
+  simulation: "simulation/simulation-context",
+  replay: "replay/replay-context",
+  virtualization: "virtualization/virtual-context",
+  multitenancy: "multitenancy/tenant-context",
+};
+
+export default defineBuildConfig({
+  entries: [
+    "src/index",
+    ...Object.entries(capabilities).map(([name, path]) => ({
+      input: `src/${path}`,
+      name,
+    })),
+  ],
+  declaration: true,
+  rollup: {
+    emitCJS: true,
+  },
+});
@@ -0,0 +1,24 @@
+// context.d.ts
+
+export interface ContextOptions {
+  asyncContext?: boolean;
+  AsyncLocalStorage?: new () => any;
+}
+
+export interface ContextDefaults {
+  asyncContext: boolean;
+  AsyncLocalStorage: (new () => any) | undefined;
+}
+
+export interface Context<T> {
+  readonly asyncContext: boolean;
+  use(): T;
+  tryUse(): T | undefined;
+  call<R>(value: T, callback: () => R): R;
+  set(value: T, replace?: boolean): void;
+  unset(): void;
+}
+
+export declare function configureContext(options?: ContextOptions): ContextDefaults;
+
+export declare function createContext<T = any>(options?: ContextOptions): Context<T>;
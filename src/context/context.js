@@ -1,18 +1,73 @@
+import { AsyncLocalStorage as NodeAsyncLocalStorage } from 'node:async_hooks'
 import { createContext as unctxCreateContext, createNamespace as unctxCreateNamespace } from 'unctx'
 
 // Proxyable's global namespace to avoid context conflicts
 const _proxyableNamespace = unctxCreateNamespace('proxyable')
 
+// Defaults applied to every context created after `configureContext`
+const _contextDefaults = {
+  asyncContext: false,
+  AsyncLocalStorage: undefined,
+}
+
+/**
+ * Configures the defaults used by every context created afterwards,
+ * including the contexts of all capability modules.
+ * Contexts that already exist keep the mode they were created with.
+ *
+ * @param {object} options - Context defaults.
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` using AsyncLocalStorage.
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class, e.g. from `node:async_hooks`.
+ *   Defaults to `globalThis.AsyncLocalStorage`, then to the one from `node:async_hooks`; passing
+ *   `undefined` explicitly clears a configured class.
+ * @returns {object} The resulting defaults.
+ */
+export function configureContext(options = {}) {
+  if (options.asyncContext !== undefined) {
+    _contextDefaults.asyncContext = Boolean(options.asyncContext)
+  }
+  if ('AsyncLocalStorage' in options) {
+    _contextDefaults.AsyncLocalStorage = options.AsyncLocalStorage
+  }
+  return { ..._contextDefaults }
+}
+
 /**
  * Creates a new context for Proxyable.
  * A context stores a specific state that can be accessed or modified dynamically.
  *
+ * In async mode, a value bound with `call` stays available after `await`
+ * inside the callback, and concurrent `call` scopes do not see each other.
+ *
+ * @param {object} [options] - Context options, overriding the `configureContext` defaults.
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` using AsyncLocalStorage.
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class to use; defaults to the
+ *   configured one, `globalThis.AsyncLocalStorage`, then the one from `node:async_hooks`.
  * @returns {object} An object containing methods to manage the context.
+ * @throws {Error} If async mode is requested but the AsyncLocalStorage given is not a class.
  */
-export function createContext() {
-  const ctx = unctxCreateContext()
+export function createContext(options = {}) {
+  const asyncContext = options.asyncContext ?? _contextDefaults.asyncContext
+  const AsyncLocalStorage =
+    options.AsyncLocalStorage ??
+    _contextDefaults.AsyncLocalStorage ??
+    globalThis.AsyncLocalStorage ??
+    NodeAsyncLocalStorage
+
+  if (asyncContext && typeof AsyncLocalStorage !== 'function') {
+    throw new Error(
+      'Async context requires AsyncLocalStorage. Pass it via options.AsyncLocalStorage or configureContext().'
+    )
+  }
+
+  const ctx = unctxCreateContext(asyncContext ? { asyncContext: true, AsyncLocalStorage } : {})
 
   return {
+    /**
+     * Whether this context survives `await` boundaries.
+     */
+    asyncContext,
+
     /**
      * Retrieve the current context.
      * Throws an error if no context is active.
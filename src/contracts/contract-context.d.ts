@@ -0,0 +1,101 @@
+// contract-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  KeyOf,
+  Proxyable,
+  RegisterInterceptorsOptions,
+} from '../proxy/create-proxy.js';
+
+/** Keys of `T` holding functions. */
+export type MethodKeys<T> = { [K in KeyOf<T>]-?: T[K] extends (...args: any[]) => any ? K : never }[KeyOf<T>] &
+  string;
+
+export type ContractReturnType =
+  | 'string'
+  | 'number'
+  | 'bigint'
+  | 'boolean'
+  | 'symbol'
+  | 'undefined'
+  | 'object'
+  | 'function';
+
+export interface MethodContract<Args extends any[] = any[], Name extends string = string> {
+  /** Returns false or an error message to reject the call. */
+  validate?: (args: Args) => boolean | string | undefined | void;
+  /** Methods that must have been called before this one. */
+  sequence?: Name[];
+  rateLimit?: { calls: number; window: number };
+  timeout?: number;
+  maxArgs?: number;
+  returnType?: ContractReturnType;
+  pure?: boolean;
+}
+
+/**
+ * Contracts keyed by method name. For objects, keys and `validate` arguments are checked
+ * against the methods of `T`; function targets are keyed by their `name`.
+ */
+export type ContractSpec<T> = T extends (...args: any[]) => any
+  ? Record<string, MethodContract>
+  : T extends abstract new (...args: any[]) => any
+    ? Record<string, MethodContract>
+    : {
+        [K in MethodKeys<T>]?: MethodContract<T[K] extends (...args: infer A) => any ? A : any[], MethodKeys<T>>;
+      };
+
+export interface ContractState<T> {
+  target: T;
+  contracts: Map<string, MethodContract>;
+  callSequence: string[];
+  sequenceIndex: Map<string, number>;
+  rateLimitTracking: Map<string, number[]>;
+  sideEffectDetectors: Map<string, any>;
+}
+
+export type RateLimitStats =
+  | { hasLimit: false }
+  | {
+      hasLimit: true;
+      maxCalls: number;
+      window: number;
+      currentCalls: number;
+      remaining: number;
+      nextReset: Date;
+      resetIn: number;
+    };
+
+export interface ContractContext<T> {
+  call<R>(fn: () => R): R;
+  getSequenceState(): { callSequence: string[]; totalCalls: number };
+  resetSequence(): void;
+  getRateLimitStats(methodName: string): RateLimitStats;
+  validateCall(methodName: string, args: any[]): { valid: boolean; reason?: string };
+  getContract(methodName: string): MethodContract | undefined;
+  setContract(methodName: string, contract: MethodContract): void;
+  removeContract(methodName: string): boolean;
+  context: Context<ContractState<T>>;
+  use(): ContractState<T>;
+  tryUse(): ContractState<T> | undefined;
+  set(replace?: boolean): void;
+  unset(): void;
+  _state: ContractState<T>;
+}
+
+export declare function createContractContext<T extends object>(
+  target: T,
+  contracts?: ContractSpec<T>,
+  options?: ContextOptions
+): ContractContext<T>;
+
+export declare function createContractApplyInterceptor<T>(contractCtx: ContractContext<T>): ApplyInterceptor;
+export declare function createContractConstructInterceptor<T>(contractCtx: ContractContext<T>): ConstructInterceptor;
+
+export declare function registerContractInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  contractCtx: ContractContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Protocol & Call-Level Contracts for Proxyable.
@@ -29,10 +30,13 @@ import { createContext } from '../context/context.js'
  *       pure: boolean  // No side effects allowed
  *     }
  *   }
+ * @param {object} [options] - Context options
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Contract context with enforcement API
  */
-export function createContractContext(target, contracts = {}) {
-  const contractContext = createContext()
+export function createContractContext(target, contracts = {}, options = {}) {
+  const contractContext = createContext(options)
 
   // Internal state for the context
   const contextState = {
@@ -557,8 +561,16 @@ export function createContractConstructInterceptor(contractCtx) {
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} contractCtx - The contract context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='contract'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.default] - Execution priority (higher runs first)
  */
-export function registerContractInterceptors(proxyInterface, contractCtx) {
-  proxyInterface.defineApplyInterceptor(createContractApplyInterceptor(contractCtx))
-  proxyInterface.defineConstructInterceptor(createContractConstructInterceptor(contractCtx))
+export function registerContractInterceptors(proxyInterface, contractCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'contract',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.default,
+  }
+
+  proxyInterface.defineApplyInterceptor(createContractApplyInterceptor(contractCtx), registration)
+  proxyInterface.defineConstructInterceptor(createContractConstructInterceptor(contractCtx), registration)
 }
@@ -0,0 +1,16 @@
+// index.d.ts
+
+export * from './proxy/create-proxy.js';
+export * from './context/context.js';
+export * from './security/capability-acl.js';
+export * from './sandbox/sandbox-context.js';
+export * from './transactions/transaction-context.js';
+export * from './transactions/transaction-manager.js';
+export * from './transactions/durable-journal.js';
+export * from './invariants/invariant-context.js';
+export * from './observability/audit-logger.js';
+export * from './contracts/contract-context.js';
+export * from './simulation/simulation-context.js';
+export * from './replay/replay-context.js';
+export * from './virtualization/virtual-context.js';
+export * from './multitenancy/tenant-context.js';
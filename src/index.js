@@ -1,5 +1,66 @@
-import { createProxy } from './proxy/create-proxy.js'
-import { useContext, setContext } from './context/context.js'
+// Proxy core
+export { createProxy, getProxyInterface, INTERCEPTOR_PRIORITIES } from './proxy/create-proxy.js'
+
+// Context primitives
+export { createContext, configureContext } from './context/context.js'
+
+// Capability-Based Access Control
+export {
+  createCapabilityContext,
+  createCapabilityGetInterceptor,
+  createCapabilitySetInterceptor,
+  createCapabilityHasInterceptor,
+  createCapabilityDeletePropertyInterceptor,
+  createCapabilityOwnKeysInterceptor,
+  createCapabilityGetOwnPropertyDescriptorInterceptor,
+  createCapabilityApplyInterceptor,
+  createCapabilityConstructInterceptor,
+  createCapabilityDefinePropertyInterceptor,
+  createCapabilitySetPrototypeOfInterceptor,
+  createCapabilityPreventExtensionsInterceptor,
+  registerCapabilityInterceptors,
+  createRevocableCapabilityHandle,
+} from './security/capability-acl.js'
+
+// Sandboxing & Structural Containment
+export {
+  createSandboxContext,
+  createSandboxGetInterceptor,
+  createSandboxSetInterceptor,
+  createSandboxHasInterceptor,
+  createSandboxDeletePropertyInterceptor,
+  createSandboxOwnKeysInterceptor,
+  createSandboxGetOwnPropertyDescriptorInterceptor,
+  createSandboxApplyInterceptor,
+  createSandboxConstructInterceptor,
+  createSandboxDefinePropertyInterceptor,
+  createSandboxGetPrototypeOfInterceptor,
+  createSandboxSetPrototypeOfInterceptor,
+  createSandboxIsExtensibleInterceptor,
+  createSandboxPreventExtensionsInterceptor,
+  registerSandboxInterceptors,
+} from './sandbox/sandbox-context.js'
+
+// Transaction journal
+export {
+  createTransactionContext,
+  TransactionConflictError,
+  createTransactionSetInterceptor,
+  createTransactionDeletePropertyInterceptor,
+  createTransactionApplyInterceptor,
+  createTransactionConstructInterceptor,
+  createTransactionDefinePropertyInterceptor,
+  createTransactionSetPrototypeOfInterceptor,
+  createTransactionPreventExtensionsInterceptor,
+  createTransactionGetInterceptor,
+  createTransactionHasInterceptor,
+  createTransactionOwnKeysInterceptor,
+  createTransactionGetOwnPropertyDescriptorInterceptor,
+  createTransactionGetPrototypeOfInterceptor,
+  registerTransactionInterceptors,
+} from './transactions/transaction-context.js'
+export { createTransactionManager } from './transactions/transaction-manager.js'
+export { createFileJournalSink, readJournalFile, recover } from './transactions/durable-journal.js'
 
 // Invariant enforcement system
 export {
@@ -29,7 +90,16 @@ export {
   createAuditGetOwnPropertyDescriptorInterceptor,
   createAuditApplyInterceptor,
   createAuditConstructInterceptor,
+  createAuditDefinePropertyInterceptor,
+  createAuditGetPrototypeOfInterceptor,
+  createAuditSetPrototypeOfInterceptor,
+  createAuditIsExtensibleInterceptor,
+  createAuditPreventExtensionsInterceptor,
+  createAuditRevokeListener,
+  createAuditCommitListener,
+  createAuditRollbackListener,
   registerAuditInterceptors,
+  registerAuditTransactionListeners,
   createEnforcementAuditInterceptors,
 } from './observability/audit-logger.js'
 
@@ -44,6 +114,7 @@ export {
 // Simulation & Counterfactual Execution
 export {
   createSimulationContext,
+  deepClone,
   createSimulationSetInterceptor,
   createSimulationDeletePropertyInterceptor,
   createSimulationGetInterceptor,
@@ -54,4 +125,38 @@ export {
   registerSimulationInterceptors,
 } from './simulation/simulation-context.js'
 
-export { createProxy, useContext, setContext }
\ No newline at end of file
+// Deterministic replay
+export {
+  createReplayContext,
+  createReplayGetInterceptor,
+  createReplaySetInterceptor,
+  createReplayHasInterceptor,
+  createReplayDeletePropertyInterceptor,
+  createReplayOwnKeysInterceptor,
+  createReplayGetOwnPropertyDescriptorInterceptor,
+  createReplayApplyInterceptor,
+  createReplayConstructInterceptor,
+  createReplayEffectInterceptor,
+  registerReplayInterceptors,
+} from './replay/replay-context.js'
+
+// Virtualization
+export {
+  createVirtualContext,
+  createVirtualGetInterceptor,
+  createVirtualHasInterceptor,
+  createVirtualOwnKeysInterceptor,
+  createVirtualGetOwnPropertyDescriptorInterceptor,
+  createVirtualSetInterceptor,
+  createVirtualDeletePropertyInterceptor,
+  registerVirtualInterceptors,
+} from './virtualization/virtual-context.js'
+
+// Multi-tenancy
+export {
+  createTenantContext,
+  getActiveTenantContext,
+  getTenantId,
+  getRawTarget,
+  createMultipleTenants,
+} from './multitenancy/tenant-context.js'
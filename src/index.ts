@@ -1,3 +0,0 @@
-export function test() {
-  return "works!";
-}
@@ -0,0 +1,94 @@
+// invariant-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  DeletePropertyInterceptor,
+  KeyOf,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+} from '../proxy/create-proxy.js';
+
+/** Keys of `T` whose values are assignable to `V`. */
+export type KeysOfType<T, V> = { [K in KeyOf<T>]-?: T[K] extends V ? K : never }[KeyOf<T>];
+
+export type InvariantOperation<T> =
+  | { trap: 'set'; property: KeyOf<T>; value: any; receiver: any; target: T }
+  | { trap: 'deleteProperty'; property: KeyOf<T>; target: T }
+  | { trap: 'apply'; thisArg: any; args: any[]; target: T }
+  | { trap: 'construct'; args: any[]; newTarget: any; target: T };
+
+/** Returns true (or undefined) to pass, false or an error message to fail. */
+export type Invariant<T> = (target: T, operation: InvariantOperation<T>) => boolean | string | undefined | void;
+
+export type InvariantSpec<T> = Record<string, Invariant<T>> | Invariant<T>[];
+
+export interface InvariantState<T> {
+  invariants: Map<string, Invariant<T>>;
+  target: T;
+}
+
+export interface InvariantValidation {
+  valid: boolean;
+  errors: string[];
+}
+
+export interface InvariantContext<T> {
+  addInvariant(name: string, invariantFn: Invariant<T>): void;
+  removeInvariant(name: string): boolean;
+  getInvariants(): Record<string, Invariant<T>>;
+  /** Checks `operation` against `state`, which defaults to the target. */
+  validateState(operation: InvariantOperation<T>, state?: T): InvariantValidation;
+  call<R>(fn: () => R): R;
+  context: Context<InvariantState<T>>;
+  use(): InvariantState<T>;
+  tryUse(): InvariantState<T> | undefined;
+  set(replace?: boolean): void;
+  unset(): void;
+  _state: InvariantState<T>;
+}
+
+export declare function createInvariantContext<T extends object>(
+  target: T,
+  invariants?: InvariantSpec<T>,
+  options?: ContextOptions
+): InvariantContext<T>;
+
+export declare function createInvariantSetInterceptor<T>(invariantCtx: InvariantContext<T>): SetInterceptor<T>;
+export declare function createInvariantDeletePropertyInterceptor<T>(
+  invariantCtx: InvariantContext<T>
+): DeletePropertyInterceptor<T>;
+export declare function createInvariantApplyInterceptor<T>(invariantCtx: InvariantContext<T>): ApplyInterceptor;
+export declare function createInvariantConstructInterceptor<T>(invariantCtx: InvariantContext<T>): ConstructInterceptor;
+
+export declare function registerInvariantInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  invariantCtx: InvariantContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
+
+// The helpers infer `T` from where the invariant is used, e.g. the `invariants`
+// argument of `createInvariantContext(target, ...)`, and check keys against it.
+export declare function typeInvariant<T, K extends KeyOf<T> = KeyOf<T>>(
+  property: K,
+  type: abstract new (...args: any[]) => any
+): Invariant<T>;
+export declare function rangeInvariant<T, K extends KeysOfType<T, number> = KeysOfType<T, number>>(
+  property: K,
+  min: number,
+  max: number
+): Invariant<T>;
+export declare function immutableInvariant<T>(properties: Set<KeyOf<T>>): Invariant<T>;
+export declare function dependencyInvariant<T>(name: string, predicate: (nextState: T) => boolean): Invariant<T>;
+export declare function uniquenessInvariant<T, K extends KeyOf<T> = KeyOf<T>>(
+  property: K,
+  collection: Set<T[K]>
+): Invariant<T>;
+export declare function requiredInvariant<T>(properties: Set<KeyOf<T>>): Invariant<T>;
+export declare function patternInvariant<T, K extends KeysOfType<T, string> = KeysOfType<T, string>>(
+  property: K,
+  pattern: RegExp,
+  message?: string
+): Invariant<T>;
@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Invariant enforcement system for Proxyable.
@@ -23,10 +24,13 @@ import { createContext } from '../context/context.js'
  * @param {object|Array} invariants - Invariants specification
  *   - Object: { name: invariantFn, ... }
  *   - Array: [invariantFn, ...]
+ * @param {object} [options] - Context options
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Invariant context with enforcement API
  */
-export function createInvariantContext(target, invariants = {}) {
-  const invariantContext = createContext()
+export function createInvariantContext(target, invariants = {}, options = {}) {
+  const invariantContext = createContext(options)
 
   // Normalize invariants to a Map for easy management
   const invariantMap = new Map()
@@ -92,16 +96,19 @@ export function createInvariantContext(target, invariants = {}) {
 
   /**
    * Validates an operation against all invariants.
+   * Passing `state` checks the operation against a prospective state instead of
+   * the target, e.g. the state a transaction would commit.
    *
    * @param {object} operation - Operation descriptor
+   * @param {object} [state=target] - State handed to the invariants
    * @returns {object} { valid: boolean, errors: Array<string> }
    */
-  function validateState(operation) {
+  function validateState(operation, state = target) {
     const errors = []
 
     for (const [name, invariantFn] of invariantMap) {
       try {
-        const result = invariantFn(target, operation)
+        const result = invariantFn(state, operation)
 
         if (result === false) {
           errors.push(`Invariant "${name}" failed`)
@@ -290,12 +297,20 @@ export function createInvariantConstructInterceptor(invariantCtx) {
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} invariantCtx - The invariant context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='invariant'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.invariant] - Execution priority (higher runs first)
  */
-export function registerInvariantInterceptors(proxyInterface, invariantCtx) {
-  proxyInterface.defineSetInterceptor(createInvariantSetInterceptor(invariantCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createInvariantDeletePropertyInterceptor(invariantCtx))
-  proxyInterface.defineApplyInterceptor(createInvariantApplyInterceptor(invariantCtx))
-  proxyInterface.defineConstructInterceptor(createInvariantConstructInterceptor(invariantCtx))
+export function registerInvariantInterceptors(proxyInterface, invariantCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'invariant',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.invariant,
+  }
+
+  proxyInterface.defineSetInterceptor(createInvariantSetInterceptor(invariantCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createInvariantDeletePropertyInterceptor(invariantCtx), registration)
+  proxyInterface.defineApplyInterceptor(createInvariantApplyInterceptor(invariantCtx), registration)
+  proxyInterface.defineConstructInterceptor(createInvariantConstructInterceptor(invariantCtx), registration)
 }
 
 // ============================================================================
@@ -0,0 +1,40 @@
+// tenant-context.d.ts
+
+import type { KeyOf } from '../proxy/create-proxy.js';
+
+export interface TenantConfig<T> {
+  visibleKeys?: Set<KeyOf<T>> | ((key: string) => boolean);
+  /** Values, or getters called with the tenant proxy as `this`. */
+  virtualProperties?: Record<string, any>;
+  transformGet?: (key: string | symbol, value: any, receiver: any) => any;
+  transformSet?: (key: string | symbol, value: any, receiver: any) => any;
+  metadata?: Record<string, any>;
+}
+
+export interface TenantContext<T> {
+  call<R>(fn: (proxy: T) => R): R;
+  getTenantId(): string;
+  getMetadata(): Record<string, any>;
+  getConfig(): TenantConfig<T>;
+  updateConfig(newConfig: TenantConfig<T>): void;
+  readonly proxy: T;
+}
+
+export declare function createTenantContext<T extends object>(
+  target: T,
+  tenantId: string,
+  tenantConfig?: TenantConfig<T>
+): TenantContext<T>;
+
+export declare function getActiveTenantContext(
+  obj: object
+): { tenantId: string; config: TenantConfig<any> } | undefined;
+
+export declare function getTenantId(proxy: unknown): string | undefined;
+
+export declare function getRawTarget<T>(proxy: T): T;
+
+export declare function createMultipleTenants<T extends object>(
+  target: T,
+  tenantsConfig: Record<string, TenantConfig<T>>
+): Map<string, TenantContext<T>>;
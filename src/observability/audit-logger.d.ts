@@ -0,0 +1,138 @@
+// audit-logger.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  DefinePropertyInterceptor,
+  DeletePropertyInterceptor,
+  GetInterceptor,
+  GetOwnPropertyDescriptorInterceptor,
+  GetPrototypeOfInterceptor,
+  HasInterceptor,
+  InterceptorDisposer,
+  IsExtensibleInterceptor,
+  OwnKeysInterceptor,
+  PreventExtensionsInterceptor,
+  PropertyPath,
+  ProxyTrap,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  RevocationEvent,
+  SetInterceptor,
+  SetPrototypeOfInterceptor,
+} from '../proxy/create-proxy.js';
+import type {
+  TransactionContext,
+  TransactionEvent,
+  TransactionRollbackEvent,
+} from '../transactions/transaction-context.js';
+
+export type AuditLogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+export type AuditIntent =
+  | 'read'
+  | 'write'
+  | 'delete'
+  | 'call'
+  | 'construct'
+  | 'revoke'
+  | 'commit'
+  | 'rollback'
+  | 'unknown';
+
+export interface AuditEntry {
+  index: number;
+  timestamp?: string;
+  trap: ProxyTrap | 'revoke' | 'commit' | 'rollback';
+  property?: string | symbol;
+  path?: PropertyPath;
+  intent: AuditIntent;
+  status: string;
+  value?: any;
+  args?: any[];
+  thisArg?: any;
+  newTarget?: any;
+  result?: any;
+  descriptor?: PropertyDescriptor;
+  reason?: string;
+  /** Commit and rollback entries: the transaction and the properties its journal touched. */
+  transactionId?: string;
+  operations?: number;
+  properties?: (string | symbol)[];
+  error?: string;
+  stackTrace?: string;
+  [field: string]: any;
+}
+
+export interface AuditOptions extends ContextOptions {
+  logLevel?: AuditLogLevel;
+  format?: 'json' | 'text';
+  output?: { log(message: string): void } | ((entry: AuditEntry) => void);
+  includeTimestamp?: boolean;
+  includeStackTrace?: boolean;
+  filters?: (entry: AuditEntry) => boolean;
+}
+
+export interface AuditState<T> {
+  target: T;
+  config: Required<AuditOptions>;
+  auditLog: AuditEntry[];
+  getNextIndex(): number;
+}
+
+export interface AuditContext<T> {
+  call<R>(fn: () => R): R;
+  getAuditLog(): AuditEntry[];
+  clearLog(): void;
+  setLogLevel(level: AuditLogLevel): void;
+  exportLog(format?: 'json' | 'csv' | 'text'): string;
+  context: Context<AuditState<T>>;
+  use(): AuditState<T>;
+  tryUse(): AuditState<T> | undefined;
+  set(replace?: boolean): void;
+  unset(): void;
+  _logEntry(entry: AuditEntry): void;
+  _createAuditEntry(operation: Record<string, any>, status: string, additionalData?: Record<string, any>): AuditEntry;
+}
+
+export declare function createAuditContext<T extends object>(target: T, options?: AuditOptions): AuditContext<T>;
+
+export declare function createAuditGetInterceptor<T>(auditCtx: AuditContext<T>): GetInterceptor<T>;
+export declare function createAuditSetInterceptor<T>(auditCtx: AuditContext<T>): SetInterceptor<T>;
+export declare function createAuditDeletePropertyInterceptor<T>(auditCtx: AuditContext<T>): DeletePropertyInterceptor<T>;
+export declare function createAuditHasInterceptor<T>(auditCtx: AuditContext<T>): HasInterceptor<T>;
+export declare function createAuditOwnKeysInterceptor<T>(auditCtx: AuditContext<T>): OwnKeysInterceptor<T>;
+export declare function createAuditGetOwnPropertyDescriptorInterceptor<T>(
+  auditCtx: AuditContext<T>
+): GetOwnPropertyDescriptorInterceptor<T>;
+export declare function createAuditApplyInterceptor<T>(auditCtx: AuditContext<T>): ApplyInterceptor;
+export declare function createAuditConstructInterceptor<T>(auditCtx: AuditContext<T>): ConstructInterceptor;
+export declare function createAuditDefinePropertyInterceptor<T>(auditCtx: AuditContext<T>): DefinePropertyInterceptor<T>;
+export declare function createAuditGetPrototypeOfInterceptor<T>(auditCtx: AuditContext<T>): GetPrototypeOfInterceptor<T>;
+export declare function createAuditSetPrototypeOfInterceptor<T>(auditCtx: AuditContext<T>): SetPrototypeOfInterceptor<T>;
+export declare function createAuditIsExtensibleInterceptor<T>(auditCtx: AuditContext<T>): IsExtensibleInterceptor<T>;
+export declare function createAuditPreventExtensionsInterceptor<T>(
+  auditCtx: AuditContext<T>
+): PreventExtensionsInterceptor<T>;
+export declare function createAuditRevokeListener<T>(auditCtx: AuditContext<T>): (event: RevocationEvent<T>) => void;
+export declare function createAuditCommitListener<T>(auditCtx: AuditContext<T>): (event: TransactionEvent<T>) => void;
+export declare function createAuditRollbackListener<T>(
+  auditCtx: AuditContext<T>
+): (event: TransactionRollbackEvent<T>) => void;
+/** Records the commits and rollbacks of a transaction context; returns a disposer. */
+export declare function registerAuditTransactionListeners<T>(
+  transactionCtx: TransactionContext<T>,
+  auditCtx: AuditContext<T>
+): InterceptorDisposer;
+
+export declare function registerAuditInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  auditCtx: AuditContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
+
+export declare function createEnforcementAuditInterceptors<T>(auditCtx: AuditContext<T>): {
+  set: SetInterceptor<T>;
+  deleteProperty: DeletePropertyInterceptor<T>;
+};
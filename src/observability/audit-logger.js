@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Observability and auditing system for Proxyable.
@@ -26,10 +27,12 @@ import { createContext } from '../context/context.js'
  * @param {boolean} [options.includeTimestamp=true] - Include ISO8601 timestamps
  * @param {boolean} [options.includeStackTrace=false] - Include stack traces
  * @param {Function} [options.filters] - Filter function: (operation) => boolean
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Audit context with logging API
  */
 export function createAuditContext(target, options = {}) {
-  const auditContext = createContext()
+  const auditContext = createContext(options)
 
   // Default options
   const config = {
@@ -90,6 +93,9 @@ export function createAuditContext(target, options = {}) {
     if (operation.newTarget !== undefined) {
       entry.newTarget = operation.newTarget
     }
+    if (operation.path !== undefined) {
+      entry.path = operation.path
+    }
 
     // Add stack trace if requested
     if (config.includeStackTrace) {
@@ -121,6 +127,14 @@ export function createAuditContext(target, options = {}) {
       getOwnPropertyDescriptor: 'read',
       apply: 'call',
       construct: 'construct',
+      defineProperty: 'write',
+      getPrototypeOf: 'read',
+      setPrototypeOf: 'write',
+      isExtensible: 'read',
+      preventExtensions: 'write',
+      revoke: 'revoke',
+      commit: 'commit',
+      rollback: 'rollback',
     }
     return intentMap[trap] || 'unknown'
   }
@@ -162,11 +176,12 @@ export function createAuditContext(target, options = {}) {
     if (format === 'json') {
       return JSON.stringify(entry)
     } else if (format === 'text') {
+      const label = entry.path ? entry.path.map(String).join('.') : entry.property
       const parts = [
         entry.timestamp ? `[${entry.timestamp}]` : '',
         `[${entry.index}]`,
         `${entry.trap}`,
-        entry.property ? `"${String(entry.property)}"` : '',
+        label ? `"${String(label)}"` : '',
         `→ ${entry.status}`,
         entry.reason ? `(${entry.reason})` : '',
         entry.error ? `ERROR: ${entry.error}` : '',
@@ -296,7 +311,7 @@ export function createAuditContext(target, options = {}) {
  * @returns {Function} Interceptor function for get trap
  */
 export function createAuditGetInterceptor(auditCtx) {
-  return (target, prop, receiver) => {
+  return (target, prop, receiver, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -309,6 +324,7 @@ export function createAuditGetInterceptor(auditCtx) {
       property: prop,
       target,
       receiver,
+      path,
     }
 
     // Get the current value for logging (may not reflect outcome if intercepted)
@@ -332,7 +348,7 @@ export function createAuditGetInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for set trap
  */
 export function createAuditSetInterceptor(auditCtx) {
-  return (target, prop, value, receiver) => {
+  return (target, prop, value, receiver, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -346,6 +362,7 @@ export function createAuditSetInterceptor(auditCtx) {
       value,
       target,
       receiver,
+      path,
     }
 
     // We log here, but the actual decision will be made by other interceptors
@@ -365,7 +382,7 @@ export function createAuditSetInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for deleteProperty trap
  */
 export function createAuditDeletePropertyInterceptor(auditCtx) {
-  return (target, prop) => {
+  return (target, prop, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -377,6 +394,7 @@ export function createAuditDeletePropertyInterceptor(auditCtx) {
       trap: 'deleteProperty',
       property: prop,
       target,
+      path,
     }
 
     const entry = auditCtx._createAuditEntry(operation, 'allowed')
@@ -394,7 +412,7 @@ export function createAuditDeletePropertyInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for has trap
  */
 export function createAuditHasInterceptor(auditCtx) {
-  return (target, prop) => {
+  return (target, prop, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -406,6 +424,7 @@ export function createAuditHasInterceptor(auditCtx) {
       trap: 'has',
       property: prop,
       target,
+      path,
     }
 
     const result = Reflect.has(target, prop)
@@ -424,7 +443,7 @@ export function createAuditHasInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for ownKeys trap
  */
 export function createAuditOwnKeysInterceptor(auditCtx) {
-  return (target) => {
+  return (target, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -435,6 +454,7 @@ export function createAuditOwnKeysInterceptor(auditCtx) {
     const operation = {
       trap: 'ownKeys',
       target,
+      path,
     }
 
     const result = Reflect.ownKeys(target)
@@ -453,7 +473,7 @@ export function createAuditOwnKeysInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for getOwnPropertyDescriptor trap
  */
 export function createAuditGetOwnPropertyDescriptorInterceptor(auditCtx) {
-  return (target, prop) => {
+  return (target, prop, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -465,6 +485,7 @@ export function createAuditGetOwnPropertyDescriptorInterceptor(auditCtx) {
       trap: 'getOwnPropertyDescriptor',
       property: prop,
       target,
+      path,
     }
 
     const result = Reflect.getOwnPropertyDescriptor(target, prop)
@@ -483,7 +504,7 @@ export function createAuditGetOwnPropertyDescriptorInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for apply trap
  */
 export function createAuditApplyInterceptor(auditCtx) {
-  return (target, thisArg, argsList) => {
+  return (target, thisArg, argsList, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -496,6 +517,7 @@ export function createAuditApplyInterceptor(auditCtx) {
       thisArg,
       args: argsList,
       target,
+      path,
     }
 
     // Log the intent
@@ -514,7 +536,7 @@ export function createAuditApplyInterceptor(auditCtx) {
  * @returns {Function} Interceptor function for construct trap
  */
 export function createAuditConstructInterceptor(auditCtx) {
-  return (target, argsList, newTarget) => {
+  return (target, argsList, newTarget, path) => {
     const ctx = auditCtx.context.tryUse()
     if (!ctx) {
       // No active context - skip logging
@@ -527,6 +549,7 @@ export function createAuditConstructInterceptor(auditCtx) {
       args: argsList,
       newTarget,
       target,
+      path,
     }
 
     // Log the intent
@@ -538,24 +561,270 @@ export function createAuditConstructInterceptor(auditCtx) {
   }
 }
 
+/**
+ * Creates a defineProperty interceptor that logs property definitions.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Interceptor function for defineProperty trap
+ */
+export function createAuditDefinePropertyInterceptor(auditCtx) {
+  return (target, prop, descriptor, path) => {
+    const ctx = auditCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - skip logging
+      return undefined
+    }
+
+    // Log intent
+    const operation = {
+      trap: 'defineProperty',
+      property: prop,
+      target,
+      path,
+    }
+
+    const entry = auditCtx._createAuditEntry(operation, 'allowed', { descriptor })
+    auditCtx._logEntry(entry)
+
+    // Return undefined to allow other interceptors to make the decision
+    return undefined
+  }
+}
+
+/**
+ * Creates a getPrototypeOf interceptor that logs prototype access.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Interceptor function for getPrototypeOf trap
+ */
+export function createAuditGetPrototypeOfInterceptor(auditCtx) {
+  return (target, path) => {
+    const ctx = auditCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - skip logging
+      return undefined
+    }
+
+    // Log intent
+    const operation = {
+      trap: 'getPrototypeOf',
+      target,
+      path,
+    }
+
+    const result = Reflect.getPrototypeOf(target)
+    const entry = auditCtx._createAuditEntry(operation, 'allowed', { result })
+    auditCtx._logEntry(entry)
+
+    // Return undefined to allow other interceptors to run
+    return undefined
+  }
+}
+
+/**
+ * Creates a setPrototypeOf interceptor that logs re-prototyping.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Interceptor function for setPrototypeOf trap
+ */
+export function createAuditSetPrototypeOfInterceptor(auditCtx) {
+  return (target, prototype, path) => {
+    const ctx = auditCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - skip logging
+      return undefined
+    }
+
+    // Log intent
+    const operation = {
+      trap: 'setPrototypeOf',
+      value: prototype,
+      target,
+      path,
+    }
+
+    const entry = auditCtx._createAuditEntry(operation, 'allowed')
+    auditCtx._logEntry(entry)
+
+    // Return undefined to allow other interceptors to make the decision
+    return undefined
+  }
+}
+
+/**
+ * Creates an isExtensible interceptor that logs extensibility checks.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Interceptor function for isExtensible trap
+ */
+export function createAuditIsExtensibleInterceptor(auditCtx) {
+  return (target, path) => {
+    const ctx = auditCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - skip logging
+      return undefined
+    }
+
+    // Log intent
+    const operation = {
+      trap: 'isExtensible',
+      target,
+      path,
+    }
+
+    const result = Reflect.isExtensible(target)
+    const entry = auditCtx._createAuditEntry(operation, 'allowed', { result })
+    auditCtx._logEntry(entry)
+
+    // Return undefined to allow other interceptors to run
+    return undefined
+  }
+}
+
+/**
+ * Creates a preventExtensions interceptor that logs freeze/seal attempts.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Interceptor function for preventExtensions trap
+ */
+export function createAuditPreventExtensionsInterceptor(auditCtx) {
+  return (target, path) => {
+    const ctx = auditCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - skip logging
+      return undefined
+    }
+
+    // Log intent
+    const operation = {
+      trap: 'preventExtensions',
+      target,
+      path,
+    }
+
+    const entry = auditCtx._createAuditEntry(operation, 'allowed')
+    auditCtx._logEntry(entry)
+
+    // Return undefined to allow other interceptors to make the decision
+    return undefined
+  }
+}
+
+/**
+ * Creates a revocation listener for revocable proxies (see `onRevoke`).
+ * Revocation is a lifecycle event rather than an operation on the proxy, so it is
+ * logged even when no audit context is active, e.g. when a timer revokes a handle.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Listener for proxyInterface.onRevoke
+ */
+export function createAuditRevokeListener(auditCtx) {
+  return ({ reason }) => {
+    const operation = {
+      trap: 'revoke',
+    }
+
+    const entry = auditCtx._createAuditEntry(operation, 'revoked', { reason })
+    auditCtx._logEntry(entry)
+  }
+}
+
+/**
+ * Lists the properties a transaction journal touched, in the order they were first touched.
+ * @private
+ */
+function journaledProperties(journal) {
+  return [...new Set(journal.filter((entry) => 'property' in entry).map((entry) => entry.property))]
+}
+
+/**
+ * Creates an afterCommit listener for transaction contexts (see `onAfterCommit`).
+ * Like revocation, a commit is logged even when no audit context is active.
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Listener for transactionCtx.onAfterCommit
+ */
+export function createAuditCommitListener(auditCtx) {
+  return ({ transactionId, journal }) => {
+    const entry = auditCtx._createAuditEntry({ trap: 'commit' }, 'committed', {
+      transactionId,
+      operations: journal.length,
+      properties: journaledProperties(journal),
+    })
+    auditCtx._logEntry(entry)
+  }
+}
+
+/**
+ * Creates an afterRollback listener for transaction contexts (see `onAfterRollback`).
+ *
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} Listener for transactionCtx.onAfterRollback
+ */
+export function createAuditRollbackListener(auditCtx) {
+  return ({ transactionId, journal, report }) => {
+    const entry = auditCtx._createAuditEntry({ trap: 'rollback' }, 'rolled-back', {
+      transactionId,
+      operations: journal.length,
+      properties: journaledProperties(journal),
+      compensated: report.compensated.length,
+      compensationFailures: report.failures.length,
+    })
+    auditCtx._logEntry(entry)
+  }
+}
+
+/**
+ * Records the commits and rollbacks of a transaction context in the audit log.
+ *
+ * @param {object} transactionCtx - The transaction context
+ * @param {object} auditCtx - The audit context
+ * @returns {Function} A disposer that stops recording, returning whether it was still recording
+ */
+export function registerAuditTransactionListeners(transactionCtx, auditCtx) {
+  const disposeCommit = transactionCtx.onAfterCommit(createAuditCommitListener(auditCtx))
+  const disposeRollback = transactionCtx.onAfterRollback(createAuditRollbackListener(auditCtx))
+  return () => {
+    const disposed = disposeCommit()
+    return disposeRollback() && disposed
+  }
+}
+
 /**
  * Helper function to register all audit interceptors with a proxy.
- * NOTE: Audit interceptors should be registered FIRST to capture all operations.
+ * Revocable proxies also get a revocation listener.
+ * NOTE: The default priority runs audit after sandbox checks but before ACL,
+ * invariant and transaction interceptors, whatever the registration order.
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} auditCtx - The audit context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='audit'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.audit] - Execution priority (higher runs first)
  */
-export function registerAuditInterceptors(proxyInterface, auditCtx) {
-  proxyInterface.defineGetInterceptor(createAuditGetInterceptor(auditCtx))
-  proxyInterface.defineSetInterceptor(createAuditSetInterceptor(auditCtx))
-  proxyInterface.defineHasInterceptor(createAuditHasInterceptor(auditCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createAuditDeletePropertyInterceptor(auditCtx))
-  proxyInterface.defineOwnKeysInterceptor(createAuditOwnKeysInterceptor(auditCtx))
+export function registerAuditInterceptors(proxyInterface, auditCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'audit',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.audit,
+  }
+
+  proxyInterface.defineGetInterceptor(createAuditGetInterceptor(auditCtx), registration)
+  proxyInterface.defineSetInterceptor(createAuditSetInterceptor(auditCtx), registration)
+  proxyInterface.defineHasInterceptor(createAuditHasInterceptor(auditCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createAuditDeletePropertyInterceptor(auditCtx), registration)
+  proxyInterface.defineOwnKeysInterceptor(createAuditOwnKeysInterceptor(auditCtx), registration)
   proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
-    createAuditGetOwnPropertyDescriptorInterceptor(auditCtx)
+    createAuditGetOwnPropertyDescriptorInterceptor(auditCtx),
+    registration
   )
-  proxyInterface.defineApplyInterceptor(createAuditApplyInterceptor(auditCtx))
-  proxyInterface.defineConstructInterceptor(createAuditConstructInterceptor(auditCtx))
+  proxyInterface.defineApplyInterceptor(createAuditApplyInterceptor(auditCtx), registration)
+  proxyInterface.defineConstructInterceptor(createAuditConstructInterceptor(auditCtx), registration)
+  proxyInterface.defineDefinePropertyInterceptor(createAuditDefinePropertyInterceptor(auditCtx), registration)
+  proxyInterface.defineGetPrototypeOfInterceptor(createAuditGetPrototypeOfInterceptor(auditCtx), registration)
+  proxyInterface.defineSetPrototypeOfInterceptor(createAuditSetPrototypeOfInterceptor(auditCtx), registration)
+  proxyInterface.defineIsExtensibleInterceptor(createAuditIsExtensibleInterceptor(auditCtx), registration)
+  proxyInterface.definePreventExtensionsInterceptor(createAuditPreventExtensionsInterceptor(auditCtx), registration)
+  proxyInterface.onRevoke?.(createAuditRevokeListener(auditCtx))
 }
 
 /**
@@ -0,0 +1,260 @@
+// create-proxy.d.ts
+
+/** Property path passed as the last interceptor argument by deep proxies. */
+export type PropertyPath = (string | symbol)[];
+
+/** String and symbol keys of `T`. */
+export type KeyOf<T> = Extract<keyof T, string | symbol>;
+
+type PreviousDepth = [never, 0, 1, 2, 3];
+
+/**
+ * Keys of `T` plus the dotted paths into its nested objects and arrays
+ * (`'user.address.city'`, `'tags.0'`), up to five levels deep.
+ */
+export type DottedPath<T, Depth extends number = 4> = [Depth] extends [never]
+  ? never
+  : T extends readonly (infer Item)[]
+    ? `${number}` | `${number}.${DottedPath<Item, PreviousDepth[Depth]>}`
+    : T extends object
+      ? {
+          [K in keyof T & string]:
+            | K
+            | (T[K] extends (...args: any[]) => any
+                ? never
+                : T[K] extends object
+                  ? `${K}.${DottedPath<T[K], PreviousDepth[Depth]>}`
+                  : never);
+        }[keyof T & string]
+      : never;
+
+export type GetInterceptor<T> = (target: T, prop: keyof T, receiver: any, path?: PropertyPath) => any;
+export type SetInterceptor<T> = (
+  target: T,
+  prop: keyof T,
+  value: any,
+  receiver: any,
+  path?: PropertyPath
+) => boolean | undefined;
+export type HasInterceptor<T> = (target: T, prop: keyof T, path?: PropertyPath) => boolean | undefined;
+export type DeletePropertyInterceptor<T> = (target: T, prop: keyof T, path?: PropertyPath) => boolean | undefined;
+export type OwnKeysContribution<T> = {
+  add?: (keyof T | string | symbol)[];
+  remove?: (keyof T | string | symbol)[];
+  filter?: (key: string | symbol) => boolean;
+};
+export type OwnKeysInterceptor<T> = (
+  target: T,
+  path?: PropertyPath
+) => (keyof T | string | symbol)[] | OwnKeysContribution<T> | undefined;
+export type GetOwnPropertyDescriptorInterceptor<T> = (
+  target: T,
+  prop: keyof T,
+  path?: PropertyPath
+) => PropertyDescriptor | undefined;
+export type ApplyInterceptor = (
+  target: (...args: any[]) => any,
+  thisArg: any,
+  argsList: any[],
+  path?: PropertyPath
+) => any;
+export type ConstructInterceptor = (
+  target: new (...args: any[]) => any,
+  argsList: any[],
+  newTarget: any,
+  path?: PropertyPath
+) => object | undefined;
+export type DefinePropertyInterceptor<T> = (
+  target: T,
+  prop: keyof T | string | symbol,
+  descriptor: PropertyDescriptor,
+  path?: PropertyPath
+) => boolean | undefined;
+export type GetPrototypeOfInterceptor<T> = (target: T, path?: PropertyPath) => object | null | undefined;
+export type SetPrototypeOfInterceptor<T> = (
+  target: T,
+  prototype: object | null,
+  path?: PropertyPath
+) => boolean | undefined;
+export type IsExtensibleInterceptor<T> = (target: T, path?: PropertyPath) => boolean | undefined;
+export type PreventExtensionsInterceptor<T> = (target: T, path?: PropertyPath) => boolean | undefined;
+
+export type ProxyTrap =
+  | 'get'
+  | 'set'
+  | 'has'
+  | 'deleteProperty'
+  | 'ownKeys'
+  | 'getOwnPropertyDescriptor'
+  | 'apply'
+  | 'construct'
+  | 'defineProperty'
+  | 'getPrototypeOf'
+  | 'setPrototypeOf'
+  | 'isExtensible'
+  | 'preventExtensions';
+
+/** Interceptor signature for each trap. */
+export interface TrapInterceptors<T> {
+  get: GetInterceptor<T>;
+  set: SetInterceptor<T>;
+  has: HasInterceptor<T>;
+  deleteProperty: DeletePropertyInterceptor<T>;
+  ownKeys: OwnKeysInterceptor<T>;
+  getOwnPropertyDescriptor: GetOwnPropertyDescriptorInterceptor<T>;
+  apply: ApplyInterceptor;
+  construct: ConstructInterceptor;
+  defineProperty: DefinePropertyInterceptor<T>;
+  getPrototypeOf: GetPrototypeOfInterceptor<T>;
+  setPrototypeOf: SetPrototypeOfInterceptor<T>;
+  isExtensible: IsExtensibleInterceptor<T>;
+  preventExtensions: PreventExtensionsInterceptor<T>;
+}
+
+export interface ProxyOptions {
+  deep?: boolean;
+  revocable?: boolean;
+}
+
+export interface InterceptorOptions {
+  name?: string;
+  priority?: number;
+  once?: boolean;
+  middleware?: boolean;
+}
+
+/** Options accepted by the capability `register*Interceptors` helpers. */
+export interface RegisterInterceptorsOptions {
+  name?: string;
+  priority?: number;
+}
+
+export interface MiddlewareContext {
+  trap: ProxyTrap;
+  args: any[];
+  state: Record<string, any>;
+  readonly path?: PropertyPath;
+  [parameter: string]: any;
+}
+
+export type MiddlewareInterceptor = (ctx: MiddlewareContext, next: () => any) => any;
+
+export interface InterceptorRegistration {
+  trap: ProxyTrap;
+  name: string | undefined;
+  priority: number;
+  once: boolean;
+  middleware: boolean;
+  interceptor: (...args: any[]) => any;
+}
+
+export type InterceptorDisposer = () => boolean;
+
+export interface RevocationEvent<T> {
+  proxy: T;
+  reason: string | undefined;
+}
+
+export interface Proxyable<T extends object> {
+  proxy: T;
+  addInterceptor<Trap extends ProxyTrap>(
+    trap: Trap,
+    interceptor: TrapInterceptors<T>[Trap],
+    options?: InterceptorOptions & { middleware?: false }
+  ): InterceptorDisposer;
+  addInterceptor(
+    trap: ProxyTrap,
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  removeInterceptor(name: string): boolean;
+  listInterceptors(trap?: ProxyTrap): InterceptorRegistration[];
+  defineGetInterceptor(interceptor: GetInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineGetInterceptor(interceptor: MiddlewareInterceptor, options: InterceptorOptions & { middleware: true }): InterceptorDisposer;
+  defineSetInterceptor(interceptor: SetInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineSetInterceptor(interceptor: MiddlewareInterceptor, options: InterceptorOptions & { middleware: true }): InterceptorDisposer;
+  defineHasInterceptor(interceptor: HasInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineHasInterceptor(interceptor: MiddlewareInterceptor, options: InterceptorOptions & { middleware: true }): InterceptorDisposer;
+  defineDeletePropertyInterceptor(interceptor: DeletePropertyInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineDeletePropertyInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineOwnKeysInterceptor(interceptor: OwnKeysInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineOwnKeysInterceptor(interceptor: MiddlewareInterceptor, options: InterceptorOptions & { middleware: true }): InterceptorDisposer;
+  defineGetOwnPropertyDescriptorInterceptor(
+    interceptor: GetOwnPropertyDescriptorInterceptor<T>,
+    options?: InterceptorOptions
+  ): InterceptorDisposer;
+  defineGetOwnPropertyDescriptorInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineApplyInterceptor(interceptor: ApplyInterceptor, options?: InterceptorOptions): InterceptorDisposer;
+  defineApplyInterceptor(interceptor: MiddlewareInterceptor, options: InterceptorOptions & { middleware: true }): InterceptorDisposer;
+  defineConstructInterceptor(interceptor: ConstructInterceptor, options?: InterceptorOptions): InterceptorDisposer;
+  defineConstructInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineDefinePropertyInterceptor(interceptor: DefinePropertyInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineDefinePropertyInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineGetPrototypeOfInterceptor(interceptor: GetPrototypeOfInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineGetPrototypeOfInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineSetPrototypeOfInterceptor(interceptor: SetPrototypeOfInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineSetPrototypeOfInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  defineIsExtensibleInterceptor(interceptor: IsExtensibleInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  defineIsExtensibleInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+  definePreventExtensionsInterceptor(interceptor: PreventExtensionsInterceptor<T>, options?: InterceptorOptions): InterceptorDisposer;
+  definePreventExtensionsInterceptor(
+    interceptor: MiddlewareInterceptor,
+    options: InterceptorOptions & { middleware: true }
+  ): InterceptorDisposer;
+}
+
+/** Interface of a proxy created with `{ revocable: true }`. */
+export interface RevocableProxyable<T extends object> extends Proxyable<T> {
+  revoke(reason?: string): boolean;
+  isRevoked(): boolean;
+  onRevoke(listener: (event: RevocationEvent<T>) => void): InterceptorDisposer;
+}
+
+export declare const INTERCEPTOR_PRIORITIES: {
+  readonly sandbox: 400;
+  readonly audit: 300;
+  readonly capability: 200;
+  readonly invariant: 100;
+  readonly default: 0;
+  readonly transaction: -100;
+};
+
+/** Read-only view of a proxy's interface, reachable from the proxy alone. */
+export interface ProxyInspection<T extends object> {
+  readonly proxy: T;
+  listInterceptors(trap?: ProxyTrap): InterceptorRegistration[];
+  /** Present for proxies created with `{ revocable: true }`. */
+  isRevoked?(): boolean;
+}
+
+export declare function getProxyInterface<T extends object>(proxy: T): ProxyInspection<T> | undefined;
+
+export declare function createProxy<T extends object>(
+  target: T,
+  options: ProxyOptions & { revocable: true }
+): RevocableProxyable<T>;
+export declare function createProxy<T extends object = Record<string | symbol, any>>(
+  target?: T,
+  options?: ProxyOptions
+): Proxyable<T>;
@@ -1,115 +1,387 @@
-import { createContext } from '../context/context.js'
-import { runInterceptors, runBooleanInterceptors } from './traps.js'
+import { runInterceptors, runBooleanInterceptors, runOwnKeysInterceptors, createMiddleware } from './traps.js'
 
 /**
- * Creates a Proxy with dynamic interception using an isolated context.
+ * Default priorities used by the capability `register*Interceptors` helpers.
+ * Interceptors with a higher priority run first; equal priorities run in registration order.
+ */
+export const INTERCEPTOR_PRIORITIES = {
+  sandbox: 400,
+  audit: 300,
+  capability: 200,
+  invariant: 100,
+  default: 0,
+  transaction: -100,
+};
+
+// Proxy -> read-only view of its interface, so the interceptor registry can be inspected from the proxy alone
+const proxyInspections = new WeakMap();
+
+/**
+ * Looks up a read-only view of the interface `createProxy` returned for a proxy:
+ * `{ proxy, listInterceptors }`, plus `isRevoked` for a revocable proxy.
+ * Adding and removing interceptors, and revoking, stay with whoever holds the interface
+ * itself; otherwise any code handed the proxy could strip its sandbox or capability checks.
+ *
+ * @param {object} proxy - A proxy created by `createProxy`.
+ * @returns {object|undefined} The read-only view, or undefined if the value is not a Proxyable proxy.
+ */
+export function getProxyInterface(proxy) {
+  // WeakMap#get returns undefined for primitives, so no type check is needed
+  return proxyInspections.get(proxy);
+}
+
+/**
+ * Checks whether a value read through a deep proxy gets wrapped.
+ * Only plain objects and arrays are wrapped; other built-ins (Map, Date, ...)
+ * rely on internal slots that do not survive proxying.
+ * @private
+ */
+const isDeepProxyable = (value) => {
+  if (value === null || typeof value !== 'object') return false;
+  if (Array.isArray(value)) return true;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Compares two property paths segment by segment.
+ * @private
+ */
+const isSamePath = (a, b) => a.length === b.length && a.every((segment, index) => segment === b[index]);
+
+/**
+ * Creates a Proxy with dynamic interception.
+ * The interceptor registry is owned by the proxy itself, so it does not depend on any
+ * active context, and can be inspected later with `getProxyInterface(proxy)`.
+ *
+ * In deep mode, plain objects and arrays read through the proxy, or through its property
+ * descriptors, are wrapped lazily with the same interceptors, and every interceptor
+ * receives the property path as an extra trailing argument: `['user', 'address', 'city']`
+ * for property traps, the path of the object itself (`[]` at the root) for object traps
+ * such as `ownKeys` or `apply`.
+ *
+ * In revocable mode the interface also exposes `revoke()`, which cuts off the proxy and every
+ * deep wrapper handed out so far; any later operation on them throws a TypeError.
+ *
  * @param {object} target - The target object to be proxied.
+ * @param {object} [options] - Proxy options.
+ * @param {boolean} [options.deep=false] - Wrap nested objects and arrays and pass property paths to interceptors.
+ * @param {boolean} [options.revocable=false] - Create the proxy with `Proxy.revocable` and add `revoke`, `isRevoked` and `onRevoke` to the interface.
  * @returns {object} Contains the proxy and a method to add interceptors.
  */
-export function createProxy(target = {}) {
-  const proxyContext = createContext();
-
-  // Initialize an isolated context for this Proxy
-  proxyContext.set(
-    {
-      getInterceptors: [],
-      setInterceptors: [],
-      hasInterceptors: [],
-      deletePropertyInterceptors: [], // Correctly named
-      ownKeysInterceptors: [],
-      getOwnPropertyDescriptorInterceptors: [],
-      applyInterceptors: [],
-      constructInterceptors: [],
-    },
-    true
-  );
+export function createProxy(target = {}, options = {}) {
+  const { deep = false, revocable = false } = options;
+
+  // Interceptor registry owned by this Proxy
+  const registry = {
+    getInterceptors: [],
+    setInterceptors: [],
+    hasInterceptors: [],
+    deletePropertyInterceptors: [], // Correctly named
+    ownKeysInterceptors: [],
+    getOwnPropertyDescriptorInterceptors: [],
+    applyInterceptors: [],
+    constructInterceptors: [],
+    definePropertyInterceptors: [],
+    getPrototypeOfInterceptors: [],
+    setPrototypeOfInterceptors: [],
+    isExtensibleInterceptors: [],
+    preventExtensionsInterceptors: [],
+    // Registration records backing the arrays above, in execution order
+    registrations: [],
+  };
+
+  // Properties currently being assigned through the `set` trap. An ordinary
+  // assignment with the proxy as receiver re-enters the proxy through
+  // `defineProperty`; that define was already approved by the set interceptors.
+  const pendingSets = [];
+
+  // Deep mode: raw nested object -> wrappers created for it, one per path it was reached by
+  const deepWrappers = new WeakMap();
+  // Deep mode: wrapper -> raw object, so wrappers assigned into the tree are stored unwrapped
+  const deepTargets = new WeakMap();
+
+  // Revocable mode: revoke functions of the root proxy and every deep wrapper
+  const revokers = [];
+  const revokeListeners = [];
+  let revoked = false;
+
+  const createTrappedProxy = (target, handler) => {
+    if (!revocable) return new Proxy(target, handler);
+    const { proxy, revoke } = Proxy.revocable(target, handler);
+    // A wrapper created by the operation that triggered revocation is handed out already revoked
+    if (revoked) revoke();
+    else revokers.push(revoke);
+    return proxy;
+  };
+
+  // Builds the handler for the proxy at `path` ([] for the root)
+  const createHandler = (path) => {
+    // Deep mode appends the path to the interceptor arguments
+    const withPath = (args, argsPath) => (deep ? [...args, argsPath] : args);
+    const propertyArgs = (args, prop) => withPath(args, deep ? [...path, prop] : undefined);
+    const objectArgs = (args) => withPath(args, path);
+
+    return {
+      get(target, prop, receiver) {
+        const interceptors = registry.getInterceptors;
+        const value = runInterceptors(interceptors, Reflect.get, ...propertyArgs([target, prop, receiver], prop));
+        return deep ? wrapNested(target, prop, value, [...path, prop]) : value;
+      },
+
+      set(target, prop, value, receiver) {
+        const interceptors = registry.setInterceptors;
+        if (deep) value = deepTargets.get(value) ?? value;
+        pendingSets.push(prop);
+        try {
+          return runBooleanInterceptors(interceptors, Reflect.set, ...propertyArgs([target, prop, value, receiver], prop));
+        } finally {
+          pendingSets.pop();
+        }
+      },
+
+      has(target, prop) {
+        const interceptors = registry.hasInterceptors;
+        return runBooleanInterceptors(interceptors, Reflect.has, ...propertyArgs([target, prop], prop));
+      },
+
+      deleteProperty(target, prop) {
+        const interceptors = registry.deletePropertyInterceptors; // Matches naming
+        return runBooleanInterceptors(interceptors, Reflect.deleteProperty, ...propertyArgs([target, prop], prop));
+      },
+
+      ownKeys(target) {
+        const interceptors = registry.ownKeysInterceptors;
+        return runOwnKeysInterceptors(interceptors, Reflect.ownKeys, ...objectArgs([target]));
+      },
+
+      getOwnPropertyDescriptor(target, prop) {
+        const interceptors = registry.getOwnPropertyDescriptorInterceptors;
+        const descriptor = runInterceptors(interceptors, Reflect.getOwnPropertyDescriptor, ...propertyArgs([target, prop], prop));
+        // A nested value handed out through its descriptor is wrapped like one read with `get`
+        if (!deep || !descriptor || !('value' in descriptor)) return descriptor;
+        const value = wrapNested(target, prop, descriptor.value, [...path, prop]);
+        return value === descriptor.value ? descriptor : { ...descriptor, value };
+      },
+
+      apply(target, thisArg, argsList) {
+        const interceptors = registry.applyInterceptors;
+        return runInterceptors(interceptors, Reflect.apply, ...objectArgs([target, thisArg, argsList]));
+      },
+
+      construct(target, argsList, newTarget) {
+        const interceptors = registry.constructInterceptors;
+        return runInterceptors(interceptors, Reflect.construct, ...objectArgs([target, argsList, newTarget]));
+      },
+
+      defineProperty(target, prop, descriptor) {
+        if (pendingSets.length > 0 && pendingSets.at(-1) === prop) {
+          return Reflect.defineProperty(target, prop, descriptor);
+        }
+        const interceptors = registry.definePropertyInterceptors;
+        return runBooleanInterceptors(interceptors, Reflect.defineProperty, ...propertyArgs([target, prop, descriptor], prop));
+      },
+
+      getPrototypeOf(target) {
+        const interceptors = registry.getPrototypeOfInterceptors;
+        return runInterceptors(interceptors, Reflect.getPrototypeOf, ...objectArgs([target]));
+      },
+
+      setPrototypeOf(target, prototype) {
+        const interceptors = registry.setPrototypeOfInterceptors;
+        return runBooleanInterceptors(interceptors, Reflect.setPrototypeOf, ...objectArgs([target, prototype]));
+      },
+
+      isExtensible(target) {
+        const interceptors = registry.isExtensibleInterceptors;
+        return runInterceptors(interceptors, Reflect.isExtensible, ...objectArgs([target]));
+      },
+
+      preventExtensions(target) {
+        const interceptors = registry.preventExtensionsInterceptors;
+        return runBooleanInterceptors(interceptors, Reflect.preventExtensions, ...objectArgs([target]));
+      },
+    };
+  };
+
+  // Wraps a value read at `path` in a deep proxy, reusing the cached wrapper for that object and path
+  const wrapNested = (target, prop, value, path) => {
+    if (!isDeepProxyable(value) || deepTargets.has(value)) return value;
+
+    // The get invariant requires non-writable, non-configurable data properties to report the raw value
+    const descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+    if (descriptor?.configurable === false && descriptor.writable === false) return value;
+
+    let wrappers = deepWrappers.get(value);
+    if (!wrappers) {
+      wrappers = [];
+      deepWrappers.set(value, wrappers);
+    }
+
+    const cached = wrappers.find((wrapper) => isSamePath(wrapper.path, path));
+    if (cached) return cached.proxy;
+
+    const nested = createTrappedProxy(value, createHandler(path));
+    wrappers.push({ path, proxy: nested });
+    deepTargets.set(nested, value);
+    proxyInspections.set(nested, proxyInspection);
+    return nested;
+  };
 
   // Create the proxy with all traps supported
-  const proxy = new Proxy(target, {
-    get(target, prop, receiver) {
-      const interceptors = proxyContext.use().getInterceptors;
-      return runInterceptors(interceptors, Reflect.get, target, prop, receiver);
-    },
-
-    set(target, prop, value, receiver) {
-      const interceptors = proxyContext.use().setInterceptors;
-      return runBooleanInterceptors(interceptors, Reflect.set, target, prop, value, receiver);
-    },
-
-    has(target, prop) {
-      const interceptors = proxyContext.use().hasInterceptors;
-      return runBooleanInterceptors(interceptors, Reflect.has, target, prop);
-    },
-
-    deleteProperty(target, prop) {
-      const interceptors = proxyContext.use().deletePropertyInterceptors; // Matches naming
-      return runBooleanInterceptors(interceptors, Reflect.deleteProperty, target, prop);
-    },
-
-    ownKeys(target) {
-      const interceptors = proxyContext.use().ownKeysInterceptors;
-      return runInterceptors(interceptors, Reflect.ownKeys, target);
-    },
-
-    getOwnPropertyDescriptor(target, prop) {
-      const interceptors = proxyContext.use().getOwnPropertyDescriptorInterceptors;
-      return runInterceptors(interceptors, Reflect.getOwnPropertyDescriptor, target, prop);
-    },
-
-    apply(target, thisArg, argsList) {
-      const interceptors = proxyContext.use().applyInterceptors;
-      return runInterceptors(interceptors, Reflect.apply, target, thisArg, argsList);
-    },
-
-    construct(target, argsList, newTarget) {
-      const interceptors = proxyContext.use().constructInterceptors;
-      return runInterceptors(interceptors, Reflect.construct, target, argsList, newTarget);
-    },
-  });
+  const proxy = createTrappedProxy(target, createHandler([]));
+  if (deep) deepTargets.set(proxy, target);
 
-  const addInterceptor = (trap, interceptor) => {
-    const validTraps = [
-      'get',
-      'set',
-      'has',
-      'deleteProperty', // Full name
-      'ownKeys',
-      'getOwnPropertyDescriptor',
-      'apply',
-      'construct',
-    ];
-
-    if (!validTraps.includes(trap)) {
+  const validTraps = new Set([
+    'get',
+    'set',
+    'has',
+    'deleteProperty', // Full name
+    'ownKeys',
+    'getOwnPropertyDescriptor',
+    'apply',
+    'construct',
+    'defineProperty',
+    'getPrototypeOf',
+    'setPrototypeOf',
+    'isExtensible',
+    'preventExtensions',
+  ]);
+
+  // Monotonic counter keeping equal priorities in registration order
+  let registrationOrder = 0;
+
+  // Rebuilds the interceptor array read by a trap. A fresh array is assigned so that
+  // interceptors removed mid-run (e.g. `once`) do not disturb the iteration in progress.
+  const rebuildInterceptors = (trap) => {
+    registry[`${trap}Interceptors`] = registry.registrations
+      .filter((registration) => registration.trap === trap)
+      .map((registration) => registration.run);
+  };
+
+  const removeRegistration = (registration) => {
+    const index = registry.registrations.indexOf(registration);
+    if (index === -1) return false;
+    registry.registrations.splice(index, 1);
+    rebuildInterceptors(registration.trap);
+    return true;
+  };
+
+  /**
+   * Registers an interceptor for a trap.
+   *
+   * @param {string} trap - The trap name.
+   * @param {Function} interceptor - The interceptor function.
+   * @param {object} [options] - Registration options.
+   * @param {string} [options.name] - Name used by `removeInterceptor` and `listInterceptors`.
+   * @param {number} [options.priority=0] - Higher priorities run first; ties run in registration order.
+   * @param {boolean} [options.once=false] - Remove the interceptor after its first invocation.
+   * @param {boolean} [options.middleware=false] - Treat the interceptor as `(ctx, next) => result` middleware (see `createMiddleware`).
+   * @returns {Function} A disposer that removes this interceptor, returning whether it was still registered.
+   */
+  const addInterceptor = (trap, interceptor, options = {}) => {
+    if (!validTraps.has(trap)) {
       throw new TypeError(`Invalid trap name: "${trap}".`);
     }
 
-    const context = proxyContext.tryUse();
-    if (!context) {
-      throw new Error(`Cannot add interceptor for "${trap}" without an active context.`);
+    if (typeof interceptor !== 'function') {
+      throw new TypeError(`Interceptor for "${trap}" must be a function.`);
+    }
+
+    const { name, priority = INTERCEPTOR_PRIORITIES.default, once = false, middleware = false } = options;
+    if (typeof priority !== 'number' || Number.isNaN(priority)) {
+      throw new TypeError(`Interceptor priority for "${trap}" must be a number.`);
     }
 
-    const interceptorList = `${trap}Interceptors`;
-    if (!Array.isArray(context[interceptorList])) {
-      throw new TypeError(`Trap "${trap}" is not initialized in the context.`);
+    const registration = {
+      trap,
+      name,
+      priority,
+      once,
+      middleware,
+      interceptor,
+      order: registrationOrder++,
+      run: once
+        ? (...args) => {
+            removeRegistration(registration);
+            return interceptor(...args);
+          }
+        : interceptor,
+    };
+    if (middleware) {
+      registration.run = createMiddleware(trap, registration.run);
     }
 
-    context[interceptorList].push(interceptor);
+    // Insert after every registration with a higher or equal priority
+    const index = registry.registrations.findIndex((existing) => existing.priority < priority);
+    if (index === -1) {
+      registry.registrations.push(registration);
+    } else {
+      registry.registrations.splice(index, 0, registration);
+    }
+    rebuildInterceptors(trap);
+
+    return () => removeRegistration(registration);
+  };
+
+  /**
+   * Removes every interceptor registered under the given name, across all traps.
+   *
+   * @param {string} name - The name passed to `addInterceptor`.
+   * @returns {boolean} True if at least one interceptor was removed.
+   */
+  const removeInterceptor = (name) => {
+    const matches = registry.registrations.filter((registration) => registration.name === name);
+    for (const registration of matches) {
+      removeRegistration(registration);
+    }
+    return matches.length > 0;
+  };
+
+  /**
+   * Lists registered interceptors in execution order.
+   *
+   * @param {string} [trap] - Restrict the listing to one trap.
+   * @returns {Array<{trap: string, name: string|undefined, priority: number, once: boolean, middleware: boolean, interceptor: Function}>}
+   */
+  const listInterceptors = (trap) => {
+    if (trap !== undefined && !validTraps.has(trap)) {
+      throw new TypeError(`Invalid trap name: "${trap}".`);
+    }
+
+    return registry.registrations
+      .filter((registration) => trap === undefined || registration.trap === trap)
+      .map(({ trap, name, priority, once, middleware, interceptor }) => ({
+        trap,
+        name,
+        priority,
+        once,
+        middleware,
+        interceptor,
+      }));
   };
 
   // Define specialized methods
-  const defineGetInterceptor = (interceptor) => addInterceptor('get', interceptor);
-  const defineSetInterceptor = (interceptor) => addInterceptor('set', interceptor);
-  const defineHasInterceptor = (interceptor) => addInterceptor('has', interceptor);
-  const defineDeletePropertyInterceptor = (interceptor) => addInterceptor('deleteProperty', interceptor); // Correctly named
-  const defineOwnKeysInterceptor = (interceptor) => addInterceptor('ownKeys', interceptor);
-  const defineGetOwnPropertyDescriptorInterceptor = (interceptor) =>
-    addInterceptor('getOwnPropertyDescriptor', interceptor);
-  const defineApplyInterceptor = (interceptor) => addInterceptor('apply', interceptor);
-  const defineConstructInterceptor = (interceptor) => addInterceptor('construct', interceptor);
-
-  return {
+  const defineGetInterceptor = (interceptor, options) => addInterceptor('get', interceptor, options);
+  const defineSetInterceptor = (interceptor, options) => addInterceptor('set', interceptor, options);
+  const defineHasInterceptor = (interceptor, options) => addInterceptor('has', interceptor, options);
+  const defineDeletePropertyInterceptor = (interceptor, options) => addInterceptor('deleteProperty', interceptor, options); // Correctly named
+  const defineOwnKeysInterceptor = (interceptor, options) => addInterceptor('ownKeys', interceptor, options);
+  const defineGetOwnPropertyDescriptorInterceptor = (interceptor, options) =>
+    addInterceptor('getOwnPropertyDescriptor', interceptor, options);
+  const defineApplyInterceptor = (interceptor, options) => addInterceptor('apply', interceptor, options);
+  const defineConstructInterceptor = (interceptor, options) => addInterceptor('construct', interceptor, options);
+  const defineDefinePropertyInterceptor = (interceptor, options) => addInterceptor('defineProperty', interceptor, options);
+  const defineGetPrototypeOfInterceptor = (interceptor, options) => addInterceptor('getPrototypeOf', interceptor, options);
+  const defineSetPrototypeOfInterceptor = (interceptor, options) => addInterceptor('setPrototypeOf', interceptor, options);
+  const defineIsExtensibleInterceptor = (interceptor, options) => addInterceptor('isExtensible', interceptor, options);
+  const definePreventExtensionsInterceptor = (interceptor, options) => addInterceptor('preventExtensions', interceptor, options);
+
+  const proxyInterface = {
     proxy,
     addInterceptor,
+    removeInterceptor,
+    listInterceptors,
     defineGetInterceptor,
     defineSetInterceptor,
     defineHasInterceptor,
@@ -118,5 +390,62 @@ export function createProxy(target = {}) {
     defineGetOwnPropertyDescriptorInterceptor,
     defineApplyInterceptor,
     defineConstructInterceptor,
+    defineDefinePropertyInterceptor,
+    defineGetPrototypeOfInterceptor,
+    defineSetPrototypeOfInterceptor,
+    defineIsExtensibleInterceptor,
+    definePreventExtensionsInterceptor,
   };
+
+  if (revocable) {
+    /**
+     * Revokes the proxy and all deep wrappers, then notifies `onRevoke` listeners.
+     *
+     * @param {string} [reason] - Why the proxy was revoked, passed on to listeners.
+     * @returns {boolean} False if the proxy was already revoked.
+     */
+    proxyInterface.revoke = (reason) => {
+      if (revoked) return false;
+      revoked = true;
+      for (const revokeProxy of revokers) {
+        revokeProxy();
+      }
+      revokers.length = 0;
+      // Revocation happens once, so listeners are released as they are notified
+      for (const listener of revokeListeners.splice(0)) {
+        listener({ proxy, reason });
+      }
+      return true;
+    };
+
+    proxyInterface.isRevoked = () => revoked;
+
+    /**
+     * Registers a listener called with `{ proxy, reason }` when the proxy is revoked.
+     *
+     * @param {Function} listener - The revocation listener.
+     * @returns {Function} A disposer that removes the listener, returning whether it was still registered.
+     */
+    proxyInterface.onRevoke = (listener) => {
+      if (typeof listener !== 'function') {
+        throw new TypeError('Revocation listener must be a function.');
+      }
+      revokeListeners.push(listener);
+      return () => {
+        const index = revokeListeners.indexOf(listener);
+        if (index === -1) return false;
+        revokeListeners.splice(index, 1);
+        return true;
+      };
+    };
+  }
+
+  const proxyInspection = Object.freeze({
+    proxy,
+    listInterceptors,
+    ...(revocable && { isRevoked: proxyInterface.isRevoked }),
+  });
+  proxyInspections.set(proxy, proxyInspection);
+
+  return proxyInterface;
 }
@@ -0,0 +1,30 @@
+// traps.d.ts
+
+import type { MiddlewareInterceptor, ProxyTrap } from './create-proxy.js';
+
+export declare const TRAP_PARAMETERS: Readonly<Record<ProxyTrap, readonly string[]>>;
+
+export declare function createMiddleware(trap: ProxyTrap, middleware: MiddlewareInterceptor): MiddlewareInterceptor;
+
+export declare function isMiddleware(interceptor: (...args: any[]) => any): boolean;
+
+export declare function runInterceptors(
+  interceptors: ((...args: any[]) => any)[],
+  fallback: (...args: any[]) => any,
+  ...args: any[]
+): any;
+
+export declare function runBooleanInterceptors(
+  interceptors: ((...args: any[]) => any)[],
+  fallback: (...args: any[]) => any,
+  ...args: any[]
+): any;
+
+export declare function enforceOwnKeysInvariants(target: object, keys: (string | symbol)[]): (string | symbol)[];
+
+export declare function runOwnKeysInterceptors(
+  interceptors: ((...args: any[]) => any)[],
+  fallback: (target: object) => (string | symbol)[],
+  target: object,
+  ...rest: any[]
+): (string | symbol)[];
@@ -1,55 +1,239 @@
+/**
+ * Parameter names of each trap, in the order the Proxy handler receives them.
+ * Used to expose named fields on the middleware context.
+ */
+export const TRAP_PARAMETERS = {
+  get: ['target', 'prop', 'receiver'],
+  set: ['target', 'prop', 'value', 'receiver'],
+  has: ['target', 'prop'],
+  deleteProperty: ['target', 'prop'],
+  ownKeys: ['target'],
+  getOwnPropertyDescriptor: ['target', 'prop'],
+  apply: ['target', 'thisArg', 'argsList'],
+  construct: ['target', 'argsList', 'newTarget'],
+  defineProperty: ['target', 'prop', 'descriptor'],
+  getPrototypeOf: ['target'],
+  setPrototypeOf: ['target', 'prototype'],
+  isExtensible: ['target'],
+  preventExtensions: ['target'],
+}
+
+// Middleware-style interceptors, mapped to the trap they were created for
+const middlewareTraps = new WeakMap()
+
+/**
+ * Wraps a Koa-style `(ctx, next) => result` function so the interceptor runners
+ * treat it as middleware instead of a short-circuit interceptor.
+ *
+ * `ctx` exposes the trap name, the raw `args` and a named accessor per trap
+ * parameter (e.g. `ctx.prop`, `ctx.value`); assigning to them changes what the
+ * rest of the chain receives. On deep proxies `ctx.path` holds the property path. `ctx.state` is shared by all middleware of one
+ * trap invocation. `next()` runs the remaining interceptors and the Reflect
+ * fallback and returns their result, which the middleware may transform.
+ *
+ * @param {string} trap - The trap the middleware is registered for.
+ * @param {Function} middleware - The `(ctx, next)` function.
+ * @returns {Function} The marked middleware, ready to be placed in an interceptor list.
+ */
+export const createMiddleware = (trap, middleware) => {
+  if (!TRAP_PARAMETERS[trap]) {
+    throw new TypeError(`Invalid trap name: "${trap}".`)
+  }
+  const run = (ctx, next) => middleware(ctx, next)
+  middlewareTraps.set(run, trap)
+  return run
+}
+
+/**
+ * Checks whether an interceptor was created with `createMiddleware`.
+ *
+ * @param {Function} interceptor - The interceptor to check.
+ * @returns {boolean} True for middleware-style interceptors.
+ */
+export const isMiddleware = (interceptor) => middlewareTraps.has(interceptor)
+
+/**
+ * Creates the context object handed to middleware.
+ * @private
+ */
+const createMiddlewareContext = (trap, args) => {
+  const ctx = { trap, args, state: {} }
+  const parameters = TRAP_PARAMETERS[trap]
+  for (const [index, name] of parameters.entries()) {
+    Object.defineProperty(ctx, name, {
+      get: () => ctx.args[index],
+      set: (value) => {
+        ctx.args[index] = value
+      },
+      enumerable: true,
+    })
+  }
+  // Deep proxies pass the property path after the trap parameters
+  Object.defineProperty(ctx, 'path', {
+    get: () => ctx.args[parameters.length],
+    enumerable: true,
+  })
+  return ctx
+}
+
+/**
+ * Runs an interceptor chain. Short-circuit interceptors end the chain when
+ * `isDefinitive` accepts their result; middleware decides for itself by
+ * calling (or not calling) `next()`.
+ * @private
+ */
+const runChain = (interceptors, fallback, args, isDefinitive) => {
+  let ctx
+  const dispatch = (start) => {
+    const currentArgs = ctx ? ctx.args : args
+    for (let index = start; index < interceptors.length; index++) {
+      const interceptor = interceptors[index]
+      if (isMiddleware(interceptor)) {
+        ctx ??= createMiddlewareContext(middlewareTraps.get(interceptor), [...args])
+        return interceptor(ctx, () => dispatch(index + 1))
+      }
+      const result = interceptor(...currentArgs)
+      if (isDefinitive(result)) return result
+    }
+    return fallback(...currentArgs)
+  }
+  return dispatch(0)
+}
+
 /**
  * Executes interceptors for a given trap and returns the first definitive result.
  * If no interceptor returns a definitive result, the fallback Reflect operation is called.
+ * Middleware created with `createMiddleware` may wrap the rest of the chain via `next()`.
  *
  * @param {Function[]} interceptors - An array of interceptor functions.
  * @param {Function} fallback - The Reflect operation to call if no interceptors handle the trap.
  * @param {...any} args - Arguments to pass to the interceptors and the fallback.
  * @returns {*} - The result from the first definitive interceptor or the fallback.
  */
-export const runInterceptors = (interceptors, fallback, ...args) => {
-  for (const interceptor of interceptors) {
-    const result = interceptor(...args)
-    if (result !== undefined) return result
-  }
-  return fallback(...args)
-}
+export const runInterceptors = (interceptors, fallback, ...args) =>
+  runChain(interceptors, fallback, args, (result) => result !== undefined)
 
 /**
  * Executes boolean interceptors for traps that require approval (e.g., `set`, `deleteProperty`).
  * If any interceptor returns `false`, the operation is blocked.
  * If any interceptor returns `true`, the operation is considered handled (fallback not called).
  * Otherwise, the fallback is executed.
+ * Middleware created with `createMiddleware` may wrap the rest of the chain via `next()`.
  *
  * @param {Function[]} interceptors - An array of interceptor functions.
  * @param {Function} fallback - The Reflect operation to call if all interceptors allow.
  * @param {...any} args - Arguments to pass to the interceptors and the fallback.
  * @returns {boolean|*} - `false` if any interceptor denies, `true` if handled, or the fallback result.
  */
-export const runBooleanInterceptors = (interceptors, fallback, ...args) => {
-  for (const interceptor of interceptors) {
-    const result = interceptor(...args)
-    if (result === false) return false
-    if (result === true) return true // Operation handled, skip fallback
+export const runBooleanInterceptors = (interceptors, fallback, ...args) =>
+  runChain(interceptors, fallback, args, (result) => result === false || result === true)
+
+/**
+ * Applies collected `ownKeys` contributions to a base key list.
+ * Phases run in a fixed order: add, then remove, then filter.
+ * @private
+ */
+const applyOwnKeysContributions = (baseKeys, contributions) => {
+  const keys = new Set(baseKeys)
+  for (const { add } of contributions) {
+    if (add) for (const key of add) keys.add(key)
+  }
+  for (const { remove } of contributions) {
+    if (remove) for (const key of remove) keys.delete(key)
+  }
+  let result = [...keys]
+  for (const { filter } of contributions) {
+    if (filter) result = result.filter((key) => filter(key))
+  }
+  return result
+}
+
+/**
+ * Normalizes an `ownKeys` interceptor result into a contribution.
+ * Arrays are additional keys; objects may carry `add`, `remove` and `filter`.
+ * @private
+ */
+const toOwnKeysContribution = (result) => {
+  if (result === undefined || result === null) return undefined
+  if (Array.isArray(result)) return { add: result }
+  if (typeof result === 'object') return result
+  throw new TypeError('ownKeys interceptors must return undefined, an array of keys or { add, remove, filter }.')
+}
+
+/**
+ * Makes a composed key list satisfy the Proxy `ownKeys` invariants:
+ * only strings and symbols, no duplicates, every non-configurable own key of
+ * the target present, and exactly the target's keys if it is non-extensible.
+ *
+ * Keys the Proxy must report can't be hidden. Rather than reporting keys an interceptor
+ * removed, this throws; keys added for a non-extensible target are dropped.
+ *
+ * @param {object} target - The proxy target.
+ * @param {Array<string|symbol>} keys - The composed keys.
+ * @returns {Array<string|symbol>} Keys that the Proxy will accept.
+ * @throws {TypeError} If keys would omit a non-configurable key of the target, or any key of a
+ * non-extensible target.
+ */
+export const enforceOwnKeysInvariants = (target, keys) => {
+  const reported = new Set(keys.filter((key) => typeof key === 'string' || typeof key === 'symbol'))
+  const targetKeys = Reflect.ownKeys(target)
+
+  if (!Reflect.isExtensible(target)) {
+    const hidden = targetKeys.filter((key) => !reported.has(key))
+    if (hidden.length > 0) {
+      throw new TypeError(
+        `ownKeys interceptors can't hide keys of a non-extensible target: ${hidden.map(String).join(', ')}.`
+      )
+    }
+    return targetKeys
+  }
+
+  const hidden = targetKeys.filter(
+    (key) => !reported.has(key) && Reflect.getOwnPropertyDescriptor(target, key)?.configurable === false
+  )
+  if (hidden.length > 0) {
+    throw new TypeError(`ownKeys interceptors can't hide non-configurable keys: ${hidden.map(String).join(', ')}.`)
   }
-  return fallback(...args)
+  return [...reported]
 }
 
 /**
- * Executes interceptors for `ownKeys` and merges additional keys returned by interceptors.
+ * Executes interceptors for `ownKeys` and composes their contributions with the fallback keys.
+ *
+ * Each interceptor may return:
+ * - `undefined` to pass,
+ * - an array of additional keys,
+ * - an object `{ add, remove, filter }` where `add` and `remove` are key arrays and
+ *   `filter` is a `(key) => boolean` predicate.
+ *
+ * All additions are applied first, then all removals, then all filters, so the result does not
+ * depend on registration order. Middleware created with `createMiddleware` receives the composed
+ * keys of the remaining chain from `next()` and returns the key list to build on.
+ * The final list is passed through `enforceOwnKeysInvariants`. Non-configurable keys of the target
+ * must be reported, and a non-extensible (frozen, sealed) target must report exactly its own keys, so
+ * hiding any of those throws instead of leaking them.
  *
  * @param {Function[]} interceptors - An array of interceptor functions.
  * @param {Function} fallback - The Reflect operation to call for default keys.
  * @param {object} target - The target object.
- * @returns {string[]|symbol[]} - The final array of keys, including additional keys from interceptors.
- */
-export const runOwnKeysInterceptors = (interceptors, fallback, target) => {
-  const keys = new Set(fallback(target))
-  for (const interceptor of interceptors) {
-    const additionalKeys = interceptor(target)
-    if (Array.isArray(additionalKeys)) {
-      for (const key of additionalKeys) keys.add(key)
+ * @param {...any} rest - Extra arguments passed to the interceptors after the target (e.g. the deep proxy path).
+ * @returns {string[]|symbol[]} - The final array of keys.
+ */
+export const runOwnKeysInterceptors = (interceptors, fallback, target, ...rest) => {
+  let ctx
+  const compose = (start) => {
+    const contributions = []
+    for (let index = start; index < interceptors.length; index++) {
+      const interceptor = interceptors[index]
+      if (isMiddleware(interceptor)) {
+        ctx ??= createMiddlewareContext(middlewareTraps.get(interceptor), [target, ...rest])
+        const keys = interceptor(ctx, () => compose(index + 1))
+        return applyOwnKeysContributions(keys, contributions)
+      }
+      const contribution = toOwnKeysContribution(interceptor(target, ...rest))
+      if (contribution) contributions.push(contribution)
     }
+    return applyOwnKeysContributions(fallback(target), contributions)
   }
-  return [...keys]
+  return enforceOwnKeysInvariants(target, compose(0))
 }
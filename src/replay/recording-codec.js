@@ -0,0 +1,200 @@
+/**
+ * Tagged JSON encoding for replay recordings.
+ * Internal module: the replay context exposes it as exportRecording/importRecording.
+ *
+ * Strings, booleans, null and finite numbers are stored as they are. Every other value
+ * is stored as an object tagged with `$type`. Objects get an `id` the first time they are
+ * encoded, and later occurrences are stored as `{ $ref: id }`, so shared and cyclic
+ * references survive the round trip.
+ */
+
+// Identifies exported recordings
+export const RECORDING_FORMAT = 'proxyable-recording'
+
+// Bumped whenever the encoding changes in a way older readers can't decode
+export const RECORDING_VERSION = 1
+
+const WELL_KNOWN_SYMBOLS = new Map(
+  Object.getOwnPropertyNames(Symbol)
+    .filter((name) => typeof Symbol[name] === 'symbol')
+    .map((name) => [Symbol[name], name])
+)
+
+/**
+ * Encodes the own enumerable properties of an object, symbol keys included.
+ * @private
+ */
+function encodeProperties(value, encode) {
+  // Without a prototype, a "__proto__" key is stored as a plain property
+  const properties = Object.create(null)
+  for (const key of Object.keys(value)) properties[key] = encode(value[key])
+
+  const symbols = Object.getOwnPropertySymbols(value)
+    .filter((key) => Object.prototype.propertyIsEnumerable.call(value, key))
+    .map((key) => [encode(key), encode(value[key])])
+
+  return symbols.length > 0 ? { value: properties, symbols } : { value: properties }
+}
+
+/**
+ * Encodes a value as JSON-serializable data.
+ * Functions are stored by name only. Objects other than arrays, Dates, RegExps, Maps,
+ * Sets and Errors are stored as their own enumerable properties; their prototype is lost.
+ *
+ * @param {*} value - The value to encode
+ * @returns {*} JSON-serializable data
+ */
+export function encodeValue(value) {
+  const ids = new Map()
+
+  function encode(value) {
+    switch (typeof value) {
+      case 'string':
+      case 'boolean': {
+        return value
+      }
+      case 'undefined': {
+        return { $type: 'undefined' }
+      }
+      case 'number': {
+        if (Number.isFinite(value) && !Object.is(value, -0)) return value
+        return { $type: 'number', value: Object.is(value, -0) ? '-0' : String(value) }
+      }
+      case 'bigint': {
+        return { $type: 'bigint', value: String(value) }
+      }
+      case 'symbol': {
+        if (WELL_KNOWN_SYMBOLS.has(value)) return { $type: 'symbol', wellKnown: WELL_KNOWN_SYMBOLS.get(value) }
+        const key = Symbol.keyFor(value)
+        if (key !== undefined) return { $type: 'symbol', key }
+        break
+      }
+    }
+    if (value === null) return value
+    if (ids.has(value)) return { $ref: ids.get(value) }
+
+    const id = ids.size
+    ids.set(value, id)
+
+    if (typeof value === 'symbol') return { $type: 'symbol', id, description: value.description }
+    if (typeof value === 'function') return { $type: 'function', id, name: value.name }
+    if (value instanceof Date) {
+      // An invalid Date has no ISO string and is stored without a value
+      return { $type: 'Date', id, ...(!Number.isNaN(value.getTime()) && { value: value.toISOString() }) }
+    }
+    if (value instanceof RegExp) return { $type: 'RegExp', id, source: value.source, flags: value.flags }
+    if (value instanceof Map) {
+      return { $type: 'Map', id, entries: [...value].map(([key, entry]) => [encode(key), encode(entry)]) }
+    }
+    if (value instanceof Set) return { $type: 'Set', id, values: [...value].map((entry) => encode(entry)) }
+    if (value instanceof Error) {
+      return { $type: 'Error', id, name: value.name, message: value.message, stack: value.stack }
+    }
+    if (Array.isArray(value)) return { $type: 'Array', id, value: Array.from(value, encode) }
+
+    return { $type: 'Object', id, ...encodeProperties(value, encode) }
+  }
+
+  return encode(value)
+}
+
+/**
+ * Creates a stand-in for an exported function. Calling it throws, because only the
+ * function's name was exported.
+ * @private
+ */
+function createFunctionStub(name) {
+  const stub = () => {
+    throw new Error(`Function "${name}" was exported by name only and cannot be called.`)
+  }
+  Object.defineProperty(stub, 'name', { value: name })
+  return stub
+}
+
+/**
+ * Decodes data produced by encodeValue.
+ * Functions decode to stubs that throw when called. Unique symbols decode to new
+ * symbols with the same description, one per encoded symbol.
+ *
+ * @param {*} data - The encoded data
+ * @returns {*} The decoded value
+ * @throws {TypeError} If the data contains an unknown type or a reference to an unknown value
+ */
+export function decodeValue(data) {
+  const values = new Map()
+  const register = (id, value) => {
+    values.set(id, value)
+    return value
+  }
+
+  function decode(data) {
+    if (typeof data !== 'object' || data === null) return data
+    if ('$ref' in data) {
+      if (!values.has(data.$ref)) {
+        throw new TypeError(`Recording refers to unknown value ${data.$ref}.`)
+      }
+      return values.get(data.$ref)
+    }
+
+    switch (data.$type) {
+      case 'undefined': {
+        return undefined
+      }
+      case 'number': {
+        return Number(data.value)
+      }
+      case 'bigint': {
+        return BigInt(data.value)
+      }
+      case 'symbol': {
+        if (data.wellKnown !== undefined) return Symbol[data.wellKnown]
+        if (data.key !== undefined) return Symbol.for(data.key)
+        return register(data.id, Symbol(data.description))
+      }
+      case 'function': {
+        return register(data.id, createFunctionStub(data.name))
+      }
+      case 'Date': {
+        return register(data.id, new Date(data.value ?? Number.NaN))
+      }
+      case 'RegExp': {
+        return register(data.id, new RegExp(data.source, data.flags))
+      }
+      case 'Map': {
+        const map = register(data.id, new Map())
+        for (const [key, value] of data.entries) map.set(decode(key), decode(value))
+        return map
+      }
+      case 'Set': {
+        const set = register(data.id, new Set())
+        for (const value of data.values) set.add(decode(value))
+        return set
+      }
+      case 'Error': {
+        const error = register(data.id, new Error(data.message))
+        error.name = data.name
+        error.stack = data.stack
+        return error
+      }
+      case 'Array': {
+        const array = register(data.id, [])
+        for (const value of data.value) array.push(decode(value))
+        return array
+      }
+      case 'Object': {
+        // Defined rather than assigned, so a "__proto__" key stays a plain property
+        const object = register(data.id, {})
+        const define = (key, value) =>
+          Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true })
+        for (const [key, value] of Object.entries(data.value)) define(key, decode(value))
+        for (const [key, value] of data.symbols ?? []) define(decode(key), decode(value))
+        return object
+      }
+      default: {
+        throw new TypeError(`Recording contains a value of unknown type "${data.$type}".`)
+      }
+    }
+  }
+
+  return decode(data)
+}
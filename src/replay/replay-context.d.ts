@@ -0,0 +1,165 @@
+// replay-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  DeletePropertyInterceptor,
+  MiddlewareInterceptor,
+  ProxyTrap,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+} from '../proxy/create-proxy.js';
+
+export interface Invocation {
+  trap: ProxyTrap;
+  property?: string | symbol;
+  args?: any[];
+  thisArg?: any;
+  /** Copied with the snapshot strategy when recorded. */
+  returnValue?: any;
+  /** Message of the error the operation threw; recorded instead of `returnValue`. */
+  error?: string;
+  /** Index of the invocation this one is a step of; replaying that one repeats it. */
+  partOf?: number;
+  /** A call of an effect method; replays answer it from the recording. */
+  effect?: boolean;
+  /** The effect returned a promise; `returnValue` or `error` is what it settled with. */
+  async?: boolean;
+  timestamp: number;
+  index: number;
+}
+
+export interface Recording<T> {
+  recordingId: string;
+  /** ID of the recording this one was nested in; absent for a root recording. */
+  parentId?: string;
+  startTime: number;
+  /** Undefined while the recording is running. */
+  endTime: number | undefined;
+  /** Includes the invocations of child spans. */
+  invocations: Invocation[];
+  target: T;
+  /** Recordings nested in this one, in the order they started. */
+  children: Recording<T>[];
+}
+
+export interface ReplayedInvocation extends Invocation {
+  replayTimestamp: number;
+  replayDuration: number;
+  replayResult?: any;
+  replayError?: string;
+  /** Set for invocations that are `partOf` another; they are not replayed on their own. */
+  replaySkipped?: boolean;
+}
+
+export type ReplayOutcome = { value: any } | { error: string };
+
+export interface ReplayDivergence {
+  index: number;
+  trap: ProxyTrap;
+  property?: string | symbol;
+  expected: ReplayOutcome;
+  actual: ReplayOutcome;
+}
+
+export interface ReplayVerification {
+  recordingId: string;
+  deterministic: boolean;
+  /** Invocations replayed and compared; fewer than `total` when verification stopped early. */
+  compared: number;
+  total: number;
+  divergences: ReplayDivergence[];
+}
+
+export interface VerifyReplayOptions {
+  /** Stop at the first divergence; defaults to true. */
+  stopAtFirst?: boolean;
+}
+
+export interface ReplayResult {
+  recordingId: string;
+  originalInvocations: Invocation[];
+  replayedInvocations: ReplayedInvocation[];
+  startTime: number;
+  endTime: number;
+  duration: number;
+}
+
+/** A recording as exported by `exportRecording`; JSON-serializable. */
+export interface ExportedRecording {
+  format: 'proxyable-recording';
+  /** Format version; `importRecording` reads versions up to its own. */
+  version: number;
+  /** The recording, with values JSON can't represent stored as `$type`-tagged objects. */
+  recording: unknown;
+}
+
+/**
+ * How the target is copied when recording starts and before every replay: a built-in
+ * strategy, or a function returning a copy of its argument.
+ */
+export type ReplaySnapshotStrategy = 'deep' | 'shallow' | 'structured' | (<V>(value: V) => V);
+
+export interface ReplayOptions extends ContextOptions {
+  /** Defaults to `'deep'`, which keeps prototypes, accessors and cyclic references. */
+  snapshot?: ReplaySnapshotStrategy;
+  /** Methods of the target whose calls are recorded and answered from the recording during replay. */
+  effects?: Array<string | symbol>;
+}
+
+export interface ReplayState<T> {
+  /** Every recording by ID, child spans included. */
+  recordings: Map<string, Recording<T>>;
+}
+
+/** State of a root recording and its open child spans, held in the context. */
+export interface RecordingScope<T> {
+  active: boolean;
+  /** The innermost open recording. */
+  recording: Recording<T>;
+  /** The open recordings, root first. */
+  spans: Recording<T>[];
+  invocationIndex: number;
+  pendingSet?: Invocation;
+  /** The invocation whose operation is running; invocations it makes are `partOf` it. */
+  operation?: Invocation;
+}
+
+export interface ReplayContext<T> {
+  /** Resolves once the function settles if it returns a promise. */
+  record(fn: () => PromiseLike<unknown>): Promise<string>;
+  record(fn: () => unknown): string;
+  replay(recordingId: string): ReplayResult;
+  verifyReplay(recordingId: string, options?: VerifyReplayOptions): ReplayVerification;
+  getRecording(recordingId?: string): Recording<T> | undefined;
+  clearRecording(recordingId?: string): void;
+  isRecording(): boolean;
+  getRecordingIds(): string[];
+  exportRecording(recordingId: string): ExportedRecording;
+  /** Accepts the exported data or its JSON text; returns the recording ID. */
+  importRecording(data: ExportedRecording | string): string;
+  context: Context<RecordingScope<T>>;
+  _state: ReplayState<T>;
+  _effects: Set<string | symbol>;
+  _snapshotValue<V>(value: V): V;
+}
+
+export declare function createReplayContext<T extends object>(target: T, options?: ReplayOptions): ReplayContext<T>;
+
+export declare function createReplaySetInterceptor<T>(replayCtx: ReplayContext<T>): SetInterceptor<T>;
+export declare function createReplayDeletePropertyInterceptor<T>(replayCtx: ReplayContext<T>): DeletePropertyInterceptor<T>;
+
+/** Middleware, registered with `{ middleware: true }`: each records the result of one `next()` call. */
+export declare function createReplayGetInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayHasInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayOwnKeysInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayGetOwnPropertyDescriptorInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayApplyInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayConstructInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+export declare function createReplayEffectInterceptor<T>(replayCtx: ReplayContext<T>): MiddlewareInterceptor;
+
+export declare function registerReplayInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  replayCtx: ReplayContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
@@ -1,5 +1,8 @@
 import { createContext } from '../context/context.js'
-import { createProxy } from '../proxy/create-proxy.js'
+import { createProxy, INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
+import { decodeValue, encodeValue, RECORDING_FORMAT, RECORDING_VERSION } from './recording-codec.js'
+import { resolveSnapshotStrategy } from './snapshot-strategies.js'
+import { isDeepEqual } from './value-equality.js'
 
 /**
  * Deterministic replay system for Proxyable.
@@ -11,6 +14,14 @@ import { createProxy } from '../proxy/create-proxy.js'
  * - No external state observation during replay
  * - Composes transparently with ACL and Transactions
  * - Supports multiple recordings via unique IDs
+ * - Nested recordings become child spans of the recording they run in; concurrent
+ *   recordings are kept apart when the context is async
+ * - Exports recordings as versioned JSON, so a trace captured in one process can be
+ *   imported and replayed in another
+ * - Pluggable target snapshots; the default deep snapshot keeps prototypes and accessors
+ * - Verifies that a replay reproduces the recorded results, reporting where it diverges
+ * - Records the results of effect methods (clocks, random sources, fetchers) and answers
+ *   them from the recording during replay, like a cassette, so replays run offline
  */
 
 /**
@@ -21,58 +32,302 @@ function generateId() {
   return `rec_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`
 }
 
+// Stand-ins a replay proxy hands out for effect methods -> the method they stand in for
+const cassetteMethods = new WeakMap()
+
+/**
+ * Performs a recorded invocation against the replay proxy.
+ * @private
+ * @returns {object} `{ replayResult }`, or `{ replayError }` with the message of the error it threw
+ */
+function replayInvocation(replayProxy, replayTarget, invocation) {
+  try {
+    switch (invocation.trap) {
+      case 'get': {
+        return { replayResult: replayProxy[invocation.property] }
+      }
+
+      case 'set': {
+        replayProxy[invocation.property] = invocation.args[0]
+        return { replayResult: true }
+      }
+
+      case 'has': {
+        return { replayResult: invocation.property in replayProxy }
+      }
+
+      case 'deleteProperty': {
+        return { replayResult: delete replayProxy[invocation.property] }
+      }
+
+      case 'ownKeys': {
+        return { replayResult: Reflect.ownKeys(replayProxy) }
+      }
+
+      case 'getOwnPropertyDescriptor': {
+        return { replayResult: Object.getOwnPropertyDescriptor(replayProxy, invocation.property) }
+      }
+
+      case 'apply': {
+        // Effects are answered from the recording, never called
+        if (invocation.effect) {
+          return 'error' in invocation ? { replayError: invocation.error } : { replayResult: invocation.returnValue }
+        }
+        if (typeof replayTarget !== 'function') return { replayResult: undefined }
+        return { replayResult: replayTarget.apply(invocation.thisArg, invocation.args) }
+      }
+
+      case 'construct': {
+        if (typeof replayTarget !== 'function') return { replayResult: undefined }
+        return { replayResult: new replayTarget(...invocation.args) }
+      }
+
+      default: {
+        return { replayResult: undefined }
+      }
+    }
+  } catch (error) {
+    return { replayError: error.message }
+  }
+}
+
+/**
+ * Describes how an invocation ended, for divergence reports.
+ * @private
+ */
+function describeOutcome(hasError, error, value) {
+  return hasError ? { error } : { value }
+}
+
+/**
+ * Checks whether a replayed invocation ended like the recorded one: with equal values,
+ * or with errors carrying the same message.
+ * @private
+ */
+function isSameOutcome(expected, actual) {
+  if ('error' in expected || 'error' in actual) return expected.error === actual.error
+  return isDeepEqual(expected.value, actual.value)
+}
+
+/**
+ * Creates a get interceptor for a replay proxy that stands in for effect methods.
+ * A stand-in never calls the method: it answers with the results recorded for the effect
+ * calls replayed operations made, such as a getter reading the clock, in recorded order.
+ * Effect calls the recorded function made itself are answered by their own invocation.
+ * @private
+ */
+function createCassetteInterceptor(recording, effects, copyValue) {
+  // Effect calls made by other operations, by method, in recorded order
+  const cassette = new Map()
+  const methods = new Set(effects)
+  for (const invocation of recording.invocations) {
+    if (!invocation.effect) continue
+    methods.add(invocation.property)
+    if (invocation.partOf === undefined) continue
+    if (!cassette.has(invocation.property)) cassette.set(invocation.property, [])
+    cassette.get(invocation.property).push(invocation)
+  }
+
+  const answer = (property) => {
+    const invocation = cassette.get(property)?.shift()
+    if (!invocation) {
+      throw new Error(`Effect "${String(property)}" was called more often than the recording holds results for.`)
+    }
+    if (invocation.async) {
+      return 'error' in invocation
+        ? Promise.reject(new Error(invocation.error))
+        : Promise.resolve(copyValue(invocation.returnValue))
+    }
+    if ('error' in invocation) throw new Error(invocation.error)
+    return copyValue(invocation.returnValue)
+  }
+
+  return (target, property, receiver) => {
+    if (!methods.has(property)) return undefined
+    const method = Reflect.get(target, property, receiver)
+    if (typeof method !== 'function') return undefined
+
+    const standIn = () => answer(property)
+    cassetteMethods.set(standIn, method)
+    return standIn
+  }
+}
+
 /**
  * Creates a replay context for a target object.
  *
+ * The target is snapshotted when a recording starts, and every replay runs against a
+ * fresh copy of that snapshot. The `snapshot` option picks how both copies are made:
+ * - `'deep'` (default): copies nested objects, arrays, Maps, Sets, Dates and RegExps, and
+ *   keeps prototypes, accessors, property attributes and cyclic references. Objects with
+ *   other internal state, such as private class fields, can't be copied this way.
+ * - `'shallow'`: object or array spread. Nested objects are shared with the live target.
+ * - `'structured'`: `structuredClone`. Prototypes and accessors are lost, functions throw.
+ * - A function `(value) => copy`, such as the simulation module's `deepClone` or a
+ *   serializer round trip.
+ *
+ * The `effects` option names methods of the target whose results depend on the outside
+ * world, such as a clock, a random source or a fetcher. Their calls are recorded with
+ * their arguments and results (the settled value, for methods returning a promise), and a
+ * replay answers them from the recording instead of calling the method: calls the
+ * recorded function made, and calls a replayed getter, function or constructor makes.
+ * Results are served in recorded order; arguments are not matched.
+ *
  * @param {object} target - The target object to record/replay operations on
- * @returns {object} Replay API with record, replay, getRecording, clearRecording, isRecording methods
+ * @param {object} [options] - Replay options
+ * @param {string|Function} [options.snapshot='deep'] - Snapshot strategy
+ * @param {Array<string|symbol>} [options.effects] - Effect methods of the target
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
+ * @returns {object} Replay API with record, replay, getRecording, clearRecording, isRecording,
+ *   exportRecording and importRecording methods
+ * @throws {TypeError} If the snapshot strategy is unknown
+ *
+ * @example
+ * import { deserialize, serialize } from 'node:v8'
+ *
+ * const replayCtx = createReplayContext(store, { snapshot: (value) => deserialize(serialize(value)) })
+ *
+ * @example
+ * const service = { now: () => Date.now(), fetchUser: (id) => fetch(`/users/${id}`).then((r) => r.json()) }
+ * const replayCtx = createReplayContext(service, { effects: ['now', 'fetchUser'] })
  */
-export function createReplayContext(target) {
-  const replayContext = createContext()
+export function createReplayContext(target, options = {}) {
+  const snapshot = resolveSnapshotStrategy(options.snapshot)
+  const effects = new Set(options.effects)
+  const replayContext = createContext(options)
 
-  // Internal replay state
+  // Internal replay state; each recording in progress keeps its own scope in the context
   const replayState = {
-    recordings: new Map(), // Map of recordingId -> recording
-    currentRecording: undefined,
-    isRecording: false,
-    invocationIndex: 0,
+    recordings: new Map(), // Map of recordingId -> recording, child spans included
   }
 
   /**
    * Records proxy trap invocations during function execution.
    *
-   * @param {Function} fn - Function to execute while recording
-   * @returns {string} Recording ID for the captured invocations
+   * Each call outside a recording starts a root recording with its own scope, so
+   * recordings made concurrently (e.g. by two request handlers, with an async context)
+   * don't see each other's invocations. A call inside a recording starts a child span:
+   * a recording of its own, listed in its parent's `children`, whose invocations are
+   * also recorded in every enclosing recording. Child spans that overlap in time both
+   * record what runs while they are open.
+   *
+   * Recording an async function, or keeping concurrent recordings apart, needs an async
+   * replay context (the `asyncContext` option, or `configureContext`). A sync context is
+   * lost at the first `await`, so record discards the recording and throws instead of
+   * returning one that silently misses everything after it.
+   *
+   * @param {Function} fn - Function to execute while recording; may return a promise
+   * @returns {string|Promise<string>} Recording ID for the captured invocations, once the
+   *   promise `fn` returns has settled if it returns one
+   * @throws {Error} If `fn` returns a promise but the replay context is not async
    */
   function record(fn) {
-    if (replayState.isRecording) {
-      throw new Error('Already recording. Nested recordings are not supported.')
-    }
-
-    const recordingId = generateId()
-    // Snapshot the target at recording time for accurate replay
-    const targetSnapshot = Array.isArray(target) ? [...target] : { ...target }
+    const scope = replayContext.tryUse()
 
     const recording = {
-      recordingId,
+      recordingId: generateId(),
+      ...(scope?.active && { parentId: scope.recording.recordingId }),
       startTime: Date.now(),
+      endTime: undefined,
       invocations: [],
-      target: targetSnapshot,
+      // Snapshot the target at recording time for accurate replay
+      target: snapshot(target),
+      children: [],
+    }
+    replayState.recordings.set(recording.recordingId, recording)
+
+    let execute, finish
+    if (scope?.active) {
+      scope.recording.children.push(recording)
+      scope.spans.push(recording)
+      scope.recording = recording
+
+      execute = fn
+      finish = () => {
+        scope.spans.splice(scope.spans.indexOf(recording), 1)
+        scope.recording = scope.spans.at(-1)
+      }
+    } else {
+      const rootScope = {
+        active: true,
+        recording,
+        spans: [recording],
+        invocationIndex: 0,
+        pendingSet: undefined,
+        operation: undefined,
+      }
+
+      execute = () => replayContext.call(rootScope, fn)
+      finish = () => {
+        // Stops recording callbacks the recorded function left behind
+        rootScope.active = false
+      }
+    }
+
+    const end = () => {
+      recording.endTime = Date.now()
+      finish()
+    }
+
+    let result
+    try {
+      result = execute()
+    } catch (error) {
+      end()
+      throw error
     }
 
-    replayState.currentRecording = recording
-    replayState.isRecording = true
-    replayState.invocationIndex = 0
+    if (typeof result?.then === 'function') {
+      if (!replayContext.asyncContext) {
+        end()
+        clearRecording(recording.recordingId)
+        // The caller gets the error below; the abandoned promise must not reject unhandled
+        result.then(undefined, () => {})
+        throw new Error(
+          'Recorded function returned a promise, but the replay context is not async. ' +
+            'Create it with { asyncContext: true } or call configureContext({ asyncContext: true }) first.'
+        )
+      }
+      return result.then(
+        () => {
+          end()
+          return recording.recordingId
+        },
+        (error) => {
+          end()
+          throw error
+        }
+      )
+    }
+    end()
+    return recording.recordingId
+  }
 
+  /**
+   * Copies a value with the snapshot strategy, so later mutations don't change what
+   * was recorded. Primitives and functions are kept, as are values the strategy can't copy.
+   * @private
+   */
+  function snapshotValue(value) {
+    if (typeof value !== 'object' || value === null) return value
     try {
-      replayContext.call({ active: true, recording }, fn)
-    } finally {
-      replayState.isRecording = false
-      replayState.recordings.set(recordingId, recording)
-      replayState.currentRecording = undefined
+      return snapshot(value)
+    } catch {
+      return value
     }
+  }
 
-    return recordingId
+  /**
+   * Creates the isolated target and proxy a replay runs against: a copy of the snapshot,
+   * so replays never change it. The proxy answers effect methods from the recording.
+   * @private
+   */
+  function createReplayTarget(recording) {
+    const replayTarget = snapshot(recording.target)
+    const proxyInterface = createProxy(replayTarget)
+    proxyInterface.defineGetInterceptor(createCassetteInterceptor(recording, effects, snapshotValue))
+    return { replayTarget, replayProxy: proxyInterface.proxy }
   }
 
   /**
@@ -87,13 +342,7 @@ export function createReplayContext(target) {
       throw new Error(`Recording "${recordingId}" not found`)
     }
 
-    // Create isolated replay target (clone of original)
-    const replayTarget = Array.isArray(recording.target)
-      ? [...recording.target]
-      : { ...recording.target }
-
-    // Create isolated proxy for replay
-    const { proxy: replayProxy } = createProxy(replayTarget)
+    const { replayTarget, replayProxy } = createReplayTarget(recording)
 
     const replayResults = {
       recordingId,
@@ -106,74 +355,18 @@ export function createReplayContext(target) {
     // Replay each invocation in order
     for (const invocation of recording.invocations) {
       const replayStart = Date.now()
-      let replayResult
-
-      try {
-        switch (invocation.trap) {
-          case 'get': {
-            replayResult = replayProxy[invocation.property]
-            break
-          }
-
-          case 'set': {
-            replayProxy[invocation.property] = invocation.args[0]
-            replayResult = true
-            break
-          }
-
-          case 'has': {
-            replayResult = invocation.property in replayProxy
-            break
-          }
-
-          case 'deleteProperty': {
-            replayResult = delete replayProxy[invocation.property]
-            break
-          }
-
-          case 'ownKeys': {
-            replayResult = Object.keys(replayProxy)
-            break
-          }
-
-          case 'getOwnPropertyDescriptor': {
-            replayResult = Object.getOwnPropertyDescriptor(replayProxy, invocation.property)
-            break
-          }
-
-          case 'apply': {
-            if (typeof replayTarget === 'function') {
-              replayResult = replayTarget.apply(invocation.thisArg, invocation.args)
-            }
-            break
-          }
-
-          case 'construct': {
-            if (typeof replayTarget === 'function') {
-              replayResult = new replayTarget(...invocation.args)
-            }
-            break
-          }
-
-          default: {
-            break
-          }
-        }
-
-        replayResults.replayedInvocations.push({
-          ...invocation,
-          replayTimestamp: Date.now(),
-          replayDuration: Date.now() - replayStart,
-          replayResult,
-        })
-      } catch (error) {
-        replayResults.replayedInvocations.push({
-          ...invocation,
-          replayTimestamp: Date.now(),
-          replayDuration: Date.now() - replayStart,
-          replayError: error.message,
-        })
-      }
+      // Steps of another invocation were repeated when that invocation was replayed
+      const outcome =
+        invocation.partOf === undefined
+          ? replayInvocation(replayProxy, replayTarget, invocation)
+          : { replaySkipped: true }
+
+      replayResults.replayedInvocations.push({
+        ...invocation,
+        replayTimestamp: Date.now(),
+        replayDuration: Date.now() - replayStart,
+        ...outcome,
+      })
     }
 
     replayResults.endTime = Date.now()
@@ -182,40 +375,117 @@ export function createReplayContext(target) {
     return replayResults
   }
 
+  /**
+   * Replays a recording and compares every replayed invocation with the recorded one.
+   * An invocation diverges if it returns a structurally different value, or throws where
+   * the recording didn't (or the other way round, or with another message). Invocations
+   * that are `partOf` another one are replayed with it and not compared. Recorded outcomes
+   * are what the recorded code saw, so an operation reading a clock or a counter that isn't
+   * a designated effect diverges.
+   *
+   * @param {string} recordingId - The ID of the recording to verify
+   * @param {object} [options] - Verification options
+   * @param {boolean} [options.stopAtFirst=true] - Stop replaying at the first divergence;
+   *   false replays everything and reports every divergence
+   * @returns {object} `{ recordingId, deterministic, compared, total, divergences }`: `compared`
+   *   invocations out of the `total` recorded, and each divergence as
+   *   `{ index, trap, property, expected, actual }` with expected/actual as `{ value }` or `{ error }`
+   * @throws {Error} If the recording does not exist
+   *
+   * @example
+   * expect(replayCtx.verifyReplay(id).divergences).toEqual([])
+   */
+  function verifyReplay(recordingId, options = {}) {
+    const { stopAtFirst = true } = options
+    const recording = replayState.recordings.get(recordingId)
+    if (!recording) {
+      throw new Error(`Recording "${recordingId}" not found`)
+    }
+
+    const { replayTarget, replayProxy } = createReplayTarget(recording)
+    const report = {
+      recordingId,
+      deterministic: true,
+      compared: 0,
+      total: recording.invocations.length,
+      divergences: [],
+    }
+
+    for (const invocation of recording.invocations) {
+      if (invocation.partOf !== undefined) continue
+
+      const { replayResult, replayError } = replayInvocation(replayProxy, replayTarget, invocation)
+      const expected = describeOutcome('error' in invocation, invocation.error, invocation.returnValue)
+      // A stand-in for an effect method is compared as the method it stands in for
+      const actual = describeOutcome(
+        replayError !== undefined,
+        replayError,
+        cassetteMethods.get(replayResult) ?? replayResult
+      )
+      report.compared++
+
+      if (isSameOutcome(expected, actual)) continue
+      report.deterministic = false
+      report.divergences.push({
+        index: invocation.index,
+        trap: invocation.trap,
+        property: invocation.property,
+        expected,
+        actual,
+      })
+      if (stopAtFirst) break
+    }
+
+    return report
+  }
+
   /**
    * Gets the current or specified recording.
    *
-   * @param {string} [recordingId] - Optional recording ID. If not provided, returns the current recording.
+   * @param {string} [recordingId] - Optional recording ID. If not provided, returns the innermost
+   *   recording the caller runs in.
    * @returns {object|undefined} The recording object or undefined if not found
    */
   function getRecording(recordingId) {
     if (recordingId) {
       return replayState.recordings.get(recordingId)
     }
-    return replayState.currentRecording
+    const scope = replayContext.tryUse()
+    return scope?.active ? scope.recording : undefined
   }
 
   /**
    * Clears a specific recording or all recordings.
+   * Clearing a recording also clears its child spans and removes it from its parent.
    *
    * @param {string} [recordingId] - Optional recording ID. If not provided, clears all recordings.
    */
   function clearRecording(recordingId) {
-    if (recordingId) {
-      replayState.recordings.delete(recordingId)
-    } else {
+    if (!recordingId) {
       replayState.recordings.clear()
-      replayState.currentRecording = undefined
+      return
+    }
+
+    const recording = replayState.recordings.get(recordingId)
+    if (!recording) return
+    const parent = replayState.recordings.get(recording.parentId)
+    if (parent) parent.children = parent.children.filter((child) => child !== recording)
+
+    const pending = [recording]
+    while (pending.length > 0) {
+      const span = pending.pop()
+      replayState.recordings.delete(span.recordingId)
+      pending.push(...span.children)
     }
   }
 
   /**
-   * Checks if currently recording.
+   * Checks if the caller runs in a recording.
    *
    * @returns {boolean} True if recording is active
    */
   function isRecording() {
-    return replayState.isRecording
+    return replayContext.tryUse()?.active === true
   }
 
   /**
@@ -227,49 +497,160 @@ export function createReplayContext(target) {
     return [...replayState.recordings.keys()]
   }
 
+  /**
+   * Exports a recording as JSON-serializable data.
+   * Values that JSON can't represent (undefined, NaN, bigints, symbols, functions, Dates,
+   * RegExps, Maps, Sets, Errors) are stored as tagged values, and shared or cyclic
+   * references are kept. Functions are exported by name only: imported, they throw when called.
+   * Child spans are exported with the recording, as the tree of its `children`.
+   *
+   * @param {string} recordingId - The ID of the recording to export
+   * @returns {object} `{ format, version, recording }`, ready for JSON.stringify
+   * @throws {Error} If the recording does not exist
+   *
+   * @example
+   * writeFileSync('bug-1234.recording.json', JSON.stringify(replayCtx.exportRecording(id)))
+   */
+  function exportRecording(recordingId) {
+    const recording = replayState.recordings.get(recordingId)
+    if (!recording) {
+      throw new Error(`Recording "${recordingId}" not found`)
+    }
+
+    return { format: RECORDING_FORMAT, version: RECORDING_VERSION, recording: encodeValue(recording) }
+  }
+
+  /**
+   * Imports a recording exported by exportRecording, so it can be replayed.
+   * Its child spans are imported too, under their own IDs.
+   *
+   * @param {object|string} data - The exported recording, or its JSON text
+   * @returns {string} The ID of the imported recording, as it was exported
+   * @throws {TypeError} If the data is not an exported recording
+   * @throws {Error} If the format version is newer than this one, or a recording in the tree already exists
+   *
+   * @example
+   * const id = replayCtx.importRecording(readFileSync('bug-1234.recording.json', 'utf8'))
+   * replayCtx.replay(id)
+   */
+  function importRecording(data) {
+    const exported = typeof data === 'string' ? JSON.parse(data) : data
+    if (exported?.format !== RECORDING_FORMAT) {
+      throw new TypeError('Data is not an exported Proxyable recording.')
+    }
+    if (!Number.isInteger(exported.version) || exported.version > RECORDING_VERSION) {
+      throw new Error(
+        `Unsupported recording format version ${exported.version}; this version of Proxyable reads up to version ${RECORDING_VERSION}.`
+      )
+    }
+
+    const recording = decodeValue(exported.recording)
+    const spans = []
+    const pending = [recording]
+    while (pending.length > 0) {
+      const span = pending.pop()
+      if (typeof span?.recordingId !== 'string' || !Array.isArray(span.invocations)) {
+        throw new TypeError('Data is not an exported Proxyable recording.')
+      }
+      if (replayState.recordings.has(span.recordingId)) {
+        throw new Error(`Recording "${span.recordingId}" already exists`)
+      }
+      // Recordings exported before child spans existed have no children
+      span.children ??= []
+      spans.push(span)
+      pending.push(...span.children)
+    }
+
+    for (const span of spans) replayState.recordings.set(span.recordingId, span)
+    return recording.recordingId
+  }
+
   return {
     record,
     replay,
+    verifyReplay,
     getRecording,
     clearRecording,
     isRecording,
     getRecordingIds,
+    exportRecording,
+    importRecording,
     context: replayContext,
     // Internal: expose state for interceptors
     _state: replayState,
+    _effects: effects,
+    _snapshotValue: snapshotValue,
+  }
+}
+
+/**
+ * Records an invocation in every recording open in the scope, from the root to the
+ * innermost child span. Indexes count the invocations of the root recording.
+ * @private
+ * @returns {object} The recorded invocation
+ */
+function pushInvocation(state, invocation) {
+  const recorded = { ...invocation, timestamp: Date.now(), index: state.invocationIndex++ }
+  for (const span of state.spans) span.invocations.push(recorded)
+  return recorded
+}
+
+/**
+ * Runs a trap operation and records the invocation with its outcome: the return value,
+ * copied so later mutations don't change it, or the message of the error it threw.
+ * The invocation is recorded before the operation runs, and the invocations the operation
+ * makes itself, such as the reads of a getter, are `partOf` it. An effect returning a
+ * promise is recorded with the value it settles with. Errors are rethrown.
+ * @private
+ * @returns {*} The result of the operation
+ */
+function recordOutcome(replayCtx, state, invocation, operation) {
+  state.pendingSet = undefined
+  const outer = state.operation
+  const recorded = pushInvocation(state, { ...(outer && { partOf: outer.index }), ...invocation })
+
+  let returnValue
+  state.operation = recorded
+  try {
+    returnValue = operation()
+  } catch (error) {
+    recorded.error = error.message
+    throw error
+  } finally {
+    state.operation = outer
+  }
+
+  if (recorded.effect && typeof returnValue?.then === 'function') {
+    recorded.async = true
+    return returnValue.then(
+      (value) => {
+        recorded.returnValue = replayCtx._snapshotValue(value)
+        return value
+      },
+      (error) => {
+        recorded.error = error?.message
+        throw error
+      }
+    )
   }
+
+  recorded.returnValue = replayCtx._snapshotValue(returnValue)
+  return returnValue
 }
 
 /**
- * Creates a get interceptor that records get operations.
+ * Creates a get middleware that records get operations with the value the rest of the
+ * chain returns, so the read runs once and the recording holds what the caller saw.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for get trap
+ * @returns {Function} Middleware `(ctx, next)` for the get trap
  */
 export function createReplayGetInterceptor(replayCtx) {
-  return (target, property, receiver) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
-
-    // Get the return value by executing the operation
-    const returnValue = Reflect.get(target, property, receiver)
-
-    // Record the invocation
-    const invocation = {
-      trap: 'get',
-      property,
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
-
-    state.recording.invocations.push(invocation)
+    if (!state || !state.active) return next()
 
-    // Allow operation to continue (return undefined for composition)
-    return undefined
+    return recordOutcome(replayCtx, state, { trap: 'get', property: ctx.prop }, next)
   }
 }
 
@@ -288,16 +669,15 @@ export function createReplaySetInterceptor(replayCtx) {
     }
 
     // Record the invocation (don't execute - let other interceptors and fallback handle it)
-    const invocation = {
+    const invocation = pushInvocation(state, {
       trap: 'set',
       property,
-      args: [value],
+      args: [replayCtx._snapshotValue(value)],
       returnValue: true, // Assume success - actual result determined by fallback
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
+    })
 
-    state.recording.invocations.push(invocation)
+    // The fallback reads the property's descriptor through the proxy before writing it
+    state.pendingSet = invocation
 
     // Allow operation to continue (return undefined for composition)
     return undefined
@@ -305,35 +685,17 @@ export function createReplaySetInterceptor(replayCtx) {
 }
 
 /**
- * Creates a has interceptor that records has operations.
+ * Creates a has middleware that records has operations with the result of the rest of the chain.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for has trap
+ * @returns {Function} Middleware `(ctx, next)` for the has trap
  */
 export function createReplayHasInterceptor(replayCtx) {
-  return (target, property) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
-
-    // Execute the operation
-    const returnValue = Reflect.has(target, property)
-
-    // Record the invocation
-    const invocation = {
-      trap: 'has',
-      property,
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
+    if (!state || !state.active) return next()
 
-    state.recording.invocations.push(invocation)
-
-    // Allow operation to continue
-    return undefined
+    return recordOutcome(replayCtx, state, { trap: 'has', property: ctx.prop }, next)
   }
 }
 
@@ -352,15 +714,12 @@ export function createReplayDeletePropertyInterceptor(replayCtx) {
     }
 
     // Record the invocation (don't execute - let other interceptors and fallback handle it)
-    const invocation = {
+    pushInvocation(state, {
       trap: 'deleteProperty',
       property,
       returnValue: true, // Assume success - actual result determined by fallback
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
-
-    state.recording.invocations.push(invocation)
+    })
+    state.pendingSet = undefined
 
     // Allow operation to continue
     return undefined
@@ -368,134 +727,104 @@ export function createReplayDeletePropertyInterceptor(replayCtx) {
 }
 
 /**
- * Creates an ownKeys interceptor that records ownKeys operations.
+ * Creates an ownKeys middleware that records ownKeys operations with the keys the rest of
+ * the chain composes.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for ownKeys trap
+ * @returns {Function} Middleware `(ctx, next)` for the ownKeys trap
  */
 export function createReplayOwnKeysInterceptor(replayCtx) {
-  return (target) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
-
-    // Execute the operation
-    const returnValue = Reflect.ownKeys(target)
-
-    // Record the invocation
-    const invocation = {
-      trap: 'ownKeys',
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
+    if (!state || !state.active) return next()
 
-    state.recording.invocations.push(invocation)
-
-    // Allow operation to continue
-    return undefined
+    return recordOutcome(replayCtx, state, { trap: 'ownKeys' }, next)
   }
 }
 
 /**
- * Creates a getOwnPropertyDescriptor interceptor that records descriptor operations.
+ * Creates a getOwnPropertyDescriptor middleware that records descriptor operations with
+ * the descriptor the rest of the chain returns.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for getOwnPropertyDescriptor trap
+ * @returns {Function} Middleware `(ctx, next)` for the getOwnPropertyDescriptor trap
  */
 export function createReplayGetOwnPropertyDescriptorInterceptor(replayCtx) {
-  return (target, property) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
-
-    // Execute the operation
-    const returnValue = Reflect.getOwnPropertyDescriptor(target, property)
+    if (!state || !state.active) return next()
 
-    // Record the invocation
+    // A read made by a set's fallback is part of that set: replaying the set repeats it
+    const { pendingSet } = state
     const invocation = {
       trap: 'getOwnPropertyDescriptor',
-      property,
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
+      property: ctx.prop,
+      ...(pendingSet?.property === ctx.prop && { partOf: pendingSet.index }),
     }
 
-    state.recording.invocations.push(invocation)
-
-    // Allow operation to continue
-    return undefined
+    return recordOutcome(replayCtx, state, invocation, next)
   }
 }
 
 /**
- * Creates an apply interceptor that records function applications.
+ * Creates an apply middleware that records function applications with the result of the
+ * rest of the chain, so the function is called once.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for apply trap
+ * @returns {Function} Middleware `(ctx, next)` for the apply trap
  */
 export function createReplayApplyInterceptor(replayCtx) {
-  return (target, thisArg, argsList) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
-
-    // Execute the operation
-    const returnValue = Reflect.apply(target, thisArg, argsList)
-
-    // Record the invocation
-    const invocation = {
-      trap: 'apply',
-      thisArg,
-      args: argsList,
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
-    }
+    if (!state || !state.active) return next()
 
-    state.recording.invocations.push(invocation)
-
-    // Allow operation to continue (return undefined for composition)
-    return undefined
+    const invocation = { trap: 'apply', thisArg: ctx.thisArg, args: replayCtx._snapshotValue(ctx.argsList) }
+    return recordOutcome(replayCtx, state, invocation, next)
   }
 }
 
 /**
- * Creates a construct interceptor that records constructor calls.
+ * Creates a construct middleware that records constructor calls with the instance the rest
+ * of the chain creates, so the constructor runs once.
  *
  * @param {object} replayCtx - The replay context created by createReplayContext
- * @returns {Function} Interceptor function for construct trap
+ * @returns {Function} Middleware `(ctx, next)` for the construct trap
  */
 export function createReplayConstructInterceptor(replayCtx) {
-  return (target, argsList, newTarget) => {
+  return (ctx, next) => {
     const state = replayCtx.context.tryUse()
-    if (!state || !state.active) {
-      // No active recording - allow operation to continue
-      return undefined
-    }
+    if (!state || !state.active) return next()
 
-    // Execute the operation
-    const returnValue = Reflect.construct(target, argsList, newTarget)
+    const invocation = { trap: 'construct', args: replayCtx._snapshotValue(ctx.argsList) }
+    return recordOutcome(replayCtx, state, invocation, next)
+  }
+}
 
-    // Record the invocation
-    const invocation = {
-      trap: 'construct',
-      args: argsList,
-      returnValue,
-      timestamp: Date.now(),
-      index: replayCtx._state.invocationIndex++,
+/**
+ * Creates a get middleware that records the calls of effect methods.
+ * While a recording is running, reading one of the replay context's `effects` returns a
+ * wrapper around the method; calling it calls the method and records an `apply`
+ * invocation marked `effect`, with the arguments and the result.
+ *
+ * @param {object} replayCtx - The replay context created by createReplayContext
+ * @returns {Function} Middleware `(ctx, next)` for the get trap
+ */
+export function createReplayEffectInterceptor(replayCtx) {
+  return (ctx, next) => {
+    const method = next()
+    const state = replayCtx.context.tryUse()
+    if (!state || !state.active || typeof method !== 'function' || !replayCtx._effects.has(ctx.prop)) {
+      return method
     }
 
-    state.recording.invocations.push(invocation)
+    const property = ctx.prop
+    return function (...args) {
+      // Calls after the recording ended go straight to the method
+      if (!state.active) return Reflect.apply(method, this, args)
 
-    // Allow operation to continue (return undefined for composition)
-    return undefined
+      const invocation = { trap: 'apply', property, args: replayCtx._snapshotValue(args), effect: true }
+      return recordOutcome(replayCtx, state, invocation, () => Reflect.apply(method, this, args))
+    }
   }
 }
 
@@ -504,16 +833,28 @@ export function createReplayConstructInterceptor(replayCtx) {
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} replayCtx - The replay context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='replay'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.default] - Execution priority (higher runs first)
  */
-export function registerReplayInterceptors(proxyInterface, replayCtx) {
-  proxyInterface.defineGetInterceptor(createReplayGetInterceptor(replayCtx))
-  proxyInterface.defineSetInterceptor(createReplaySetInterceptor(replayCtx))
-  proxyInterface.defineHasInterceptor(createReplayHasInterceptor(replayCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createReplayDeletePropertyInterceptor(replayCtx))
-  proxyInterface.defineOwnKeysInterceptor(createReplayOwnKeysInterceptor(replayCtx))
+export function registerReplayInterceptors(proxyInterface, replayCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'replay',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.default,
+  }
+  const middleware = { ...registration, middleware: true }
+
+  // Registered first so it runs outside the get recorder, which records the method itself
+  proxyInterface.defineGetInterceptor(createReplayEffectInterceptor(replayCtx), middleware)
+  proxyInterface.defineGetInterceptor(createReplayGetInterceptor(replayCtx), middleware)
+  proxyInterface.defineSetInterceptor(createReplaySetInterceptor(replayCtx), registration)
+  proxyInterface.defineHasInterceptor(createReplayHasInterceptor(replayCtx), middleware)
+  proxyInterface.defineDeletePropertyInterceptor(createReplayDeletePropertyInterceptor(replayCtx), registration)
+  proxyInterface.defineOwnKeysInterceptor(createReplayOwnKeysInterceptor(replayCtx), middleware)
   proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
-    createReplayGetOwnPropertyDescriptorInterceptor(replayCtx)
+    createReplayGetOwnPropertyDescriptorInterceptor(replayCtx),
+    middleware
   )
-  proxyInterface.defineApplyInterceptor(createReplayApplyInterceptor(replayCtx))
-  proxyInterface.defineConstructInterceptor(createReplayConstructInterceptor(replayCtx))
+  proxyInterface.defineApplyInterceptor(createReplayApplyInterceptor(replayCtx), middleware)
+  proxyInterface.defineConstructInterceptor(createReplayConstructInterceptor(replayCtx), middleware)
 }
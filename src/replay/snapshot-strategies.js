@@ -0,0 +1,97 @@
+/**
+ * Snapshot strategies for replay recordings.
+ * Internal module: createReplayContext picks one with its `snapshot` option. A strategy
+ * copies the target when recording starts, and copies that snapshot again for every
+ * replay, so replays never change the recording.
+ */
+
+/**
+ * Copies own property descriptors, the prototype and extensibility onto a copy.
+ * Data values are copied with `copyValue`; accessors are shared, so they run against the copy.
+ * @private
+ */
+function copyProperties(value, copy, copyValue) {
+  for (const key of Reflect.ownKeys(value)) {
+    const descriptor = Reflect.getOwnPropertyDescriptor(value, key)
+    if ('value' in descriptor) descriptor.value = copyValue(descriptor.value)
+    Reflect.defineProperty(copy, key, descriptor)
+  }
+  Reflect.setPrototypeOf(copy, Reflect.getPrototypeOf(value))
+  if (!Reflect.isExtensible(value)) Reflect.preventExtensions(copy)
+  return copy
+}
+
+/**
+ * Creates an empty object of the same kind as a value, for deepSnapshot to fill.
+ * @private
+ */
+function createEmptyCopy(value) {
+  if (value instanceof Date) return new Date(value.getTime())
+  if (value instanceof RegExp) return new RegExp(value.source, value.flags)
+  if (value instanceof Map) return new Map()
+  if (value instanceof Set) return new Set()
+  if (Array.isArray(value)) return []
+  return {}
+}
+
+/**
+ * Copies a value and everything it references.
+ * Prototypes, accessors, property attributes and extensibility are kept, as are shared
+ * and cyclic references. Functions and Map keys are shared with the original.
+ *
+ * @param {*} value - The value to copy
+ * @returns {*} The copy
+ */
+export function deepSnapshot(value) {
+  const copies = new Map()
+
+  function copyValue(value) {
+    if (typeof value !== 'object' || value === null) return value
+    if (copies.has(value)) return copies.get(value)
+
+    const copy = createEmptyCopy(value)
+    copies.set(value, copy)
+
+    if (value instanceof Map) {
+      for (const [key, entry] of value) copy.set(key, copyValue(entry))
+    } else if (value instanceof Set) {
+      for (const entry of value) copy.add(copyValue(entry))
+    }
+    return copyProperties(value, copy, copyValue)
+  }
+
+  return copyValue(value)
+}
+
+/**
+ * Copies the top level of a value with object or array spread. Nested objects are
+ * shared with the original and the prototype is lost.
+ *
+ * @param {object} value - The value to copy
+ * @returns {object} The copy
+ */
+export function shallowSnapshot(value) {
+  return Array.isArray(value) ? [...value] : { ...value }
+}
+
+// Built-in strategies, by the name the `snapshot` option accepts
+const SNAPSHOT_STRATEGIES = {
+  deep: deepSnapshot,
+  shallow: shallowSnapshot,
+  structured: (value) => structuredClone(value),
+}
+
+/**
+ * Resolves the `snapshot` option of createReplayContext.
+ *
+ * @param {string|Function} [snapshot='deep'] - A built-in strategy name or a copy function
+ * @returns {Function} The copy function
+ * @throws {TypeError} If the strategy is unknown
+ */
+export function resolveSnapshotStrategy(snapshot = 'deep') {
+  if (typeof snapshot === 'function') return snapshot
+  if (Object.hasOwn(SNAPSHOT_STRATEGIES, snapshot)) return SNAPSHOT_STRATEGIES[snapshot]
+  throw new TypeError(
+    `Unknown snapshot strategy "${String(snapshot)}". Use "deep", "shallow", "structured" or a function.`
+  )
+}
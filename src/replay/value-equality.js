@@ -0,0 +1,78 @@
+/**
+ * Structural equality for replay verification.
+ * Internal module: verifyReplay compares recorded and replayed values with it, since a
+ * replay runs against a copy of the target and returns copies rather than the originals.
+ */
+
+/**
+ * Compares the own properties of two objects: data values structurally, accessors by
+ * their functions.
+ * @private
+ */
+function haveEqualProperties(a, b, equal) {
+  const keys = Reflect.ownKeys(a)
+  if (keys.length !== Reflect.ownKeys(b).length) return false
+
+  return keys.every((key) => {
+    const left = Reflect.getOwnPropertyDescriptor(a, key)
+    const right = Reflect.getOwnPropertyDescriptor(b, key)
+    if (!right || 'value' in left !== 'value' in right) return false
+    if ('value' in left) return equal(left.value, right.value)
+    return left.get === right.get && left.set === right.set
+  })
+}
+
+/**
+ * Checks two values for structural equality.
+ * Primitives are compared with Object.is and functions by identity. Objects are equal
+ * if they share a prototype and their own properties are equal; Dates, RegExps, Maps and
+ * Sets also compare their contents. Map keys are compared by identity, as the Map does.
+ * Cyclic values are supported.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+export function isDeepEqual(a, b) {
+  // Pairs under comparison; meeting one again means a cycle, which is equal so far.
+  // A pair leaves once its comparison ends, so a pair that turned out unequal, or was
+  // only equal under an assumption that failed, is never taken as equal later.
+  const comparing = new Map()
+
+  function equal(a, b) {
+    if (Object.is(a, b)) return true
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+    if (Reflect.getPrototypeOf(a) !== Reflect.getPrototypeOf(b)) return false
+
+    if (comparing.get(a)?.has(b)) return true
+    if (!comparing.has(a)) comparing.set(a, new Set())
+    comparing.get(a).add(b)
+    try {
+      return equalObjects(a, b)
+    } finally {
+      comparing.get(a).delete(b)
+    }
+  }
+
+  function equalObjects(a, b) {
+    if (a instanceof Date && !Object.is(a.getTime(), b.getTime())) return false
+    if (a instanceof RegExp && (a.source !== b.source || a.flags !== b.flags)) return false
+    if (a instanceof Map) {
+      if (a.size !== b.size) return false
+      for (const [key, value] of a) {
+        if (!b.has(key) || !equal(value, b.get(key))) return false
+      }
+    }
+    if (a instanceof Set) {
+      if (a.size !== b.size) return false
+      const others = [...b]
+      for (const value of a) {
+        if (!b.has(value) && !others.some((other) => equal(value, other))) return false
+      }
+    }
+
+    return haveEqualProperties(a, b, equal)
+  }
+
+  return equal(a, b)
+}
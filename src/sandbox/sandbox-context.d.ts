@@ -0,0 +1,91 @@
+// sandbox-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  DefinePropertyInterceptor,
+  DeletePropertyInterceptor,
+  GetInterceptor,
+  GetOwnPropertyDescriptorInterceptor,
+  GetPrototypeOfInterceptor,
+  HasInterceptor,
+  IsExtensibleInterceptor,
+  KeyOf,
+  OwnKeysInterceptor,
+  PreventExtensionsInterceptor,
+  ProxyTrap,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+  SetPrototypeOfInterceptor,
+} from '../proxy/create-proxy.js';
+
+export interface SandboxPolicy<T> {
+  restrictedKeys?: Set<KeyOf<T>> | ((key: string | symbol) => boolean);
+  allowConstruction?: boolean;
+  allowDescriptors?: boolean;
+  allowEnumeration?: boolean;
+  allowDelete?: boolean;
+  allowApply?: boolean | ((...args: any[]) => boolean);
+  allowStructuralChanges?: boolean;
+  restrictedOperations?: Set<ProxyTrap>;
+}
+
+export type NormalizedSandboxPolicy<T> = Required<SandboxPolicy<T>>;
+
+export interface SandboxState<T> {
+  policy: NormalizedSandboxPolicy<T>;
+  target: T;
+}
+
+export interface SandboxContext<T> {
+  isRestricted(key: string | symbol): boolean;
+  getPolicy(): NormalizedSandboxPolicy<T>;
+  updatePolicy(newPolicy: SandboxPolicy<T>): void;
+  call<R>(fn: () => R): R;
+  context: Context<SandboxState<T>>;
+  use(): SandboxState<T>;
+  tryUse(): SandboxState<T> | undefined;
+  set(replace?: boolean): void;
+  unset(): void;
+  _state: SandboxState<T>;
+}
+
+export declare function createSandboxContext<T extends object>(
+  target: T,
+  policy?: SandboxPolicy<T>,
+  options?: ContextOptions
+): SandboxContext<T>;
+
+export declare function createSandboxOwnKeysInterceptor<T>(sandboxCtx: SandboxContext<T>): OwnKeysInterceptor<T>;
+export declare function createSandboxGetOwnPropertyDescriptorInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): GetOwnPropertyDescriptorInterceptor<T>;
+export declare function createSandboxConstructInterceptor<T>(sandboxCtx: SandboxContext<T>): ConstructInterceptor;
+export declare function createSandboxDeletePropertyInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): DeletePropertyInterceptor<T>;
+export declare function createSandboxSetInterceptor<T>(sandboxCtx: SandboxContext<T>): SetInterceptor<T>;
+export declare function createSandboxHasInterceptor<T>(sandboxCtx: SandboxContext<T>): HasInterceptor<T>;
+export declare function createSandboxApplyInterceptor<T>(sandboxCtx: SandboxContext<T>): ApplyInterceptor;
+export declare function createSandboxGetInterceptor<T>(sandboxCtx: SandboxContext<T>): GetInterceptor<T>;
+export declare function createSandboxDefinePropertyInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): DefinePropertyInterceptor<T>;
+export declare function createSandboxGetPrototypeOfInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): GetPrototypeOfInterceptor<T>;
+export declare function createSandboxSetPrototypeOfInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): SetPrototypeOfInterceptor<T>;
+export declare function createSandboxIsExtensibleInterceptor<T>(sandboxCtx: SandboxContext<T>): IsExtensibleInterceptor<T>;
+export declare function createSandboxPreventExtensionsInterceptor<T>(
+  sandboxCtx: SandboxContext<T>
+): PreventExtensionsInterceptor<T>;
+
+export declare function registerSandboxInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  sandboxCtx: SandboxContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
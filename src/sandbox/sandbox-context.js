@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Sandboxing & Structural Containment for Proxyable.
@@ -24,11 +25,15 @@ import { createContext } from '../context/context.js'
  * @param {boolean} [policy.allowEnumeration=true] - Allow key enumeration (filtered)
  * @param {boolean} [policy.allowDelete=false] - Allow property deletion
  * @param {boolean|Function} [policy.allowApply=true] - Allow function application
+ * @param {boolean} [policy.allowStructuralChanges=false] - Allow setPrototypeOf and preventExtensions (freeze/seal)
  * @param {Set<string>} [policy.restrictedOperations] - Operations to restrict (trap names)
+ * @param {object} [options] - Context options
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Sandbox context with enforcement API
  */
-export function createSandboxContext(target, policy = {}) {
-  const sandboxContext = createContext()
+export function createSandboxContext(target, policy = {}, options = {}) {
+  const sandboxContext = createContext(options)
 
   // Normalize policy to consistent format
   const normalizedPolicy = {
@@ -38,6 +43,7 @@ export function createSandboxContext(target, policy = {}) {
     allowEnumeration: policy.allowEnumeration ?? true,
     allowDelete: policy.allowDelete ?? false,
     allowApply: policy.allowApply ?? true,
+    allowStructuralChanges: policy.allowStructuralChanges ?? false,
     restrictedOperations: policy.restrictedOperations || new Set(),
   }
 
@@ -91,6 +97,7 @@ export function createSandboxContext(target, policy = {}) {
       allowEnumeration: newPolicy.allowEnumeration ?? contextState.policy.allowEnumeration,
       allowDelete: newPolicy.allowDelete ?? contextState.policy.allowDelete,
       allowApply: newPolicy.allowApply ?? contextState.policy.allowApply,
+      allowStructuralChanges: newPolicy.allowStructuralChanges ?? contextState.policy.allowStructuralChanges,
       restrictedOperations: newPolicy.restrictedOperations ?? contextState.policy.restrictedOperations,
     }
   }
@@ -148,7 +155,7 @@ function hasBooleanCapability(capability, ...args) {
  * @returns {Function} Interceptor function for ownKeys trap
  */
 export function createSandboxOwnKeysInterceptor(sandboxCtx) {
-  return (target) => {
+  return (_target) => {
     const ctx = sandboxCtx.context.tryUse()
     if (!ctx) {
       // No active context - allow operation to continue
@@ -157,23 +164,13 @@ export function createSandboxOwnKeysInterceptor(sandboxCtx) {
 
     const { policy } = ctx
 
-    // Check if operation is restricted
-    if (isOperationRestricted(policy, 'ownKeys')) {
-      return []
-    }
-
-    // If enumeration is not allowed, return empty array
-    if (!policy.allowEnumeration) {
-      return []
+    // If the operation is restricted or enumeration is not allowed, hide every key
+    if (isOperationRestricted(policy, 'ownKeys') || !policy.allowEnumeration) {
+      return { filter: () => false }
     }
 
-    // Get all keys from target
-    const allKeys = Reflect.ownKeys(target)
-
-    // Filter out restricted keys
-    const allowedKeys = allKeys.filter(key => !sandboxCtx.isRestricted(key))
-
-    return allowedKeys
+    // Filter out restricted keys, including keys added by other interceptors
+    return { filter: (key) => !sandboxCtx.isRestricted(key) }
   }
 }
 
@@ -417,21 +414,178 @@ export function createSandboxGetInterceptor(sandboxCtx) {
   }
 }
 
+/**
+ * DefineProperty interceptor for sandbox containment.
+ * Denies defining restricted keys, mirroring the set interceptor.
+ *
+ * @param {object} sandboxCtx - The sandbox context
+ * @returns {Function} Interceptor function for defineProperty trap
+ */
+export function createSandboxDefinePropertyInterceptor(sandboxCtx) {
+  return (target, prop, _descriptor) => {
+    const ctx = sandboxCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - allow operation to continue
+      return undefined
+    }
+
+    const { policy } = ctx
+
+    // Check if operation is restricted
+    if (isOperationRestricted(policy, 'defineProperty')) {
+      return false
+    }
+
+    // If key is restricted, deny defining it
+    if (sandboxCtx.isRestricted(prop)) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * GetPrototypeOf interceptor for sandbox containment.
+ * Throws when prototype discovery is a restricted operation.
+ *
+ * @param {object} sandboxCtx - The sandbox context
+ * @returns {Function} Interceptor function for getPrototypeOf trap
+ */
+export function createSandboxGetPrototypeOfInterceptor(sandboxCtx) {
+  return (_target) => {
+    const ctx = sandboxCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - allow operation to continue
+      return undefined
+    }
+
+    if (isOperationRestricted(ctx.policy, 'getPrototypeOf')) {
+      throw new Error('Sandbox violation: getPrototypeOf operation is restricted')
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * SetPrototypeOf interceptor for sandbox containment.
+ * Denies re-prototyping unless structural changes are allowed.
+ *
+ * @param {object} sandboxCtx - The sandbox context
+ * @returns {Function} Interceptor function for setPrototypeOf trap
+ */
+export function createSandboxSetPrototypeOfInterceptor(sandboxCtx) {
+  return (_target, _prototype) => {
+    const ctx = sandboxCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - allow operation to continue
+      return undefined
+    }
+
+    const { policy } = ctx
+
+    // Check if operation is restricted
+    if (isOperationRestricted(policy, 'setPrototypeOf')) {
+      return false
+    }
+
+    if (!policy.allowStructuralChanges) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * IsExtensible interceptor for sandbox containment.
+ * Throws when extensibility checks are a restricted operation.
+ *
+ * @param {object} sandboxCtx - The sandbox context
+ * @returns {Function} Interceptor function for isExtensible trap
+ */
+export function createSandboxIsExtensibleInterceptor(sandboxCtx) {
+  return (_target) => {
+    const ctx = sandboxCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - allow operation to continue
+      return undefined
+    }
+
+    if (isOperationRestricted(ctx.policy, 'isExtensible')) {
+      throw new Error('Sandbox violation: isExtensible operation is restricted')
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * PreventExtensions interceptor for sandbox containment.
+ * Denies preventExtensions (and therefore Object.freeze/Object.seal)
+ * unless structural changes are allowed.
+ *
+ * @param {object} sandboxCtx - The sandbox context
+ * @returns {Function} Interceptor function for preventExtensions trap
+ */
+export function createSandboxPreventExtensionsInterceptor(sandboxCtx) {
+  return (_target) => {
+    const ctx = sandboxCtx.context.tryUse()
+    if (!ctx) {
+      // No active context - allow operation to continue
+      return undefined
+    }
+
+    const { policy } = ctx
+
+    // Check if operation is restricted
+    if (isOperationRestricted(policy, 'preventExtensions')) {
+      return false
+    }
+
+    if (!policy.allowStructuralChanges) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
 /**
  * Helper function to register all sandbox interceptors with a proxy.
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} sandboxCtx - The sandbox context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='sandbox'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.sandbox] - Execution priority (higher runs first)
  */
-export function registerSandboxInterceptors(proxyInterface, sandboxCtx) {
-  proxyInterface.defineOwnKeysInterceptor(createSandboxOwnKeysInterceptor(sandboxCtx))
+export function registerSandboxInterceptors(proxyInterface, sandboxCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'sandbox',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.sandbox,
+  }
+
+  proxyInterface.defineOwnKeysInterceptor(createSandboxOwnKeysInterceptor(sandboxCtx), registration)
   proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
-    createSandboxGetOwnPropertyDescriptorInterceptor(sandboxCtx)
+    createSandboxGetOwnPropertyDescriptorInterceptor(sandboxCtx),
+    registration
   )
-  proxyInterface.defineConstructInterceptor(createSandboxConstructInterceptor(sandboxCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createSandboxDeletePropertyInterceptor(sandboxCtx))
-  proxyInterface.defineSetInterceptor(createSandboxSetInterceptor(sandboxCtx))
-  proxyInterface.defineHasInterceptor(createSandboxHasInterceptor(sandboxCtx))
-  proxyInterface.defineApplyInterceptor(createSandboxApplyInterceptor(sandboxCtx))
-  proxyInterface.defineGetInterceptor(createSandboxGetInterceptor(sandboxCtx))
+  proxyInterface.defineConstructInterceptor(createSandboxConstructInterceptor(sandboxCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createSandboxDeletePropertyInterceptor(sandboxCtx), registration)
+  proxyInterface.defineSetInterceptor(createSandboxSetInterceptor(sandboxCtx), registration)
+  proxyInterface.defineHasInterceptor(createSandboxHasInterceptor(sandboxCtx), registration)
+  proxyInterface.defineApplyInterceptor(createSandboxApplyInterceptor(sandboxCtx), registration)
+  proxyInterface.defineGetInterceptor(createSandboxGetInterceptor(sandboxCtx), registration)
+  proxyInterface.defineDefinePropertyInterceptor(createSandboxDefinePropertyInterceptor(sandboxCtx), registration)
+  proxyInterface.defineGetPrototypeOfInterceptor(createSandboxGetPrototypeOfInterceptor(sandboxCtx), registration)
+  proxyInterface.defineSetPrototypeOfInterceptor(createSandboxSetPrototypeOfInterceptor(sandboxCtx), registration)
+  proxyInterface.defineIsExtensibleInterceptor(createSandboxIsExtensibleInterceptor(sandboxCtx), registration)
+  proxyInterface.definePreventExtensionsInterceptor(createSandboxPreventExtensionsInterceptor(sandboxCtx), registration)
 }
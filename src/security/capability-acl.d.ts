@@ -0,0 +1,116 @@
+// capability-acl.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  DefinePropertyInterceptor,
+  DeletePropertyInterceptor,
+  DottedPath,
+  GetInterceptor,
+  GetOwnPropertyDescriptorInterceptor,
+  HasInterceptor,
+  InterceptorDisposer,
+  KeyOf,
+  OwnKeysInterceptor,
+  PreventExtensionsInterceptor,
+  PropertyPath,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  RevocationEvent,
+  SetInterceptor,
+  SetPrototypeOfInterceptor,
+} from '../proxy/create-proxy.js';
+
+/**
+ * Property capability: a Set of keys (dotted paths on deep proxies) or a predicate.
+ */
+export type PropertyCapability<T> =
+  | Set<KeyOf<T> | DottedPath<T>>
+  | ((key: string | symbol, path?: PropertyPath) => boolean);
+
+export type BooleanCapability = boolean | ((...args: any[]) => boolean);
+
+export interface CapabilitySpec<T> {
+  canRead?: PropertyCapability<T>;
+  canWrite?: PropertyCapability<T>;
+  canDelete?: PropertyCapability<T>;
+  canConstruct?: BooleanCapability;
+  canApply?: BooleanCapability;
+  canConfigure?: BooleanCapability;
+}
+
+export interface NormalizedCapabilities<T> {
+  canRead: PropertyCapability<T>;
+  canWrite: PropertyCapability<T>;
+  canDelete: PropertyCapability<T>;
+  canConstruct: BooleanCapability;
+  canApply: BooleanCapability;
+  canConfigure: BooleanCapability;
+}
+
+export interface CapabilityContext<T> {
+  context: Context<NormalizedCapabilities<T>>;
+  capabilities: NormalizedCapabilities<T>;
+  use(): NormalizedCapabilities<T>;
+  tryUse(): NormalizedCapabilities<T> | undefined;
+  call<R>(callback: () => R): R;
+  set(replace?: boolean): void;
+  unset(): void;
+}
+
+export interface RevocableHandleOptions {
+  ttl?: number;
+  maxUses?: number;
+  deep?: boolean;
+}
+
+export interface RevocableCapabilityHandle<T> {
+  proxy: T;
+  revoke(reason?: string): boolean;
+  isRevoked(): boolean;
+  /** Called with `{ proxy, reason }` on any revocation, including `ttl` and `maxUses`. */
+  onRevoke(listener: (event: RevocationEvent<T>) => void): InterceptorDisposer;
+  getRemainingUses(): number;
+  expiresAt: Date | undefined;
+}
+
+export declare function createCapabilityContext<T extends object>(
+  target: T,
+  capabilities?: CapabilitySpec<T>,
+  options?: ContextOptions
+): CapabilityContext<T>;
+
+export declare function createCapabilityGetInterceptor<T>(capabilityContext: CapabilityContext<T>): GetInterceptor<T>;
+export declare function createCapabilitySetInterceptor<T>(capabilityContext: CapabilityContext<T>): SetInterceptor<T>;
+export declare function createCapabilityHasInterceptor<T>(capabilityContext: CapabilityContext<T>): HasInterceptor<T>;
+export declare function createCapabilityDeletePropertyInterceptor<T>(
+  capabilityContext: CapabilityContext<T>
+): DeletePropertyInterceptor<T>;
+export declare function createCapabilityOwnKeysInterceptor<T>(capabilityContext: CapabilityContext<T>): OwnKeysInterceptor<T>;
+export declare function createCapabilityGetOwnPropertyDescriptorInterceptor<T>(
+  capabilityContext: CapabilityContext<T>
+): GetOwnPropertyDescriptorInterceptor<T>;
+export declare function createCapabilityApplyInterceptor<T>(capabilityContext: CapabilityContext<T>): ApplyInterceptor;
+export declare function createCapabilityConstructInterceptor<T>(capabilityContext: CapabilityContext<T>): ConstructInterceptor;
+export declare function createCapabilityDefinePropertyInterceptor<T>(
+  capabilityContext: CapabilityContext<T>
+): DefinePropertyInterceptor<T>;
+export declare function createCapabilitySetPrototypeOfInterceptor<T>(
+  capabilityContext: CapabilityContext<T>
+): SetPrototypeOfInterceptor<T>;
+export declare function createCapabilityPreventExtensionsInterceptor<T>(
+  capabilityContext: CapabilityContext<T>
+): PreventExtensionsInterceptor<T>;
+
+export declare function registerCapabilityInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  capabilityContext: CapabilityContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
+
+export declare function createRevocableCapabilityHandle<T extends object>(
+  target: T,
+  capabilityContext: CapabilityContext<T>,
+  options?: RevocableHandleOptions
+): RevocableCapabilityHandle<T>;
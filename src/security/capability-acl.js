@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { createProxy, INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Capability-based access control for Proxyable.
@@ -13,15 +14,19 @@ import { createContext } from '../context/context.js'
  *
  * @param {object} target - The target object (for reference, not stored)
  * @param {object} capabilities - Capability specifications
- * @param {Set<string|symbol>|Function} [capabilities.canRead] - Readable properties (Set or predicate function)
- * @param {Set<string|symbol>|Function} [capabilities.canWrite] - Writable properties (Set or predicate function)
- * @param {Set<string|symbol>|Function} [capabilities.canDelete] - Deletable properties (Set or predicate function)
+ * @param {Set<string|symbol>|Function} [capabilities.canRead] - Readable properties (Set or `(key, path) => boolean` predicate)
+ * @param {Set<string|symbol>|Function} [capabilities.canWrite] - Writable properties (Set or `(key, path) => boolean` predicate)
+ * @param {Set<string|symbol>|Function} [capabilities.canDelete] - Deletable properties (Set or `(key, path) => boolean` predicate)
  * @param {boolean|Function} [capabilities.canConstruct] - Construction permission (boolean or predicate)
  * @param {boolean|Function} [capabilities.canApply] - Application permission (boolean or predicate)
+ * @param {boolean|Function} [capabilities.canConfigure] - Permission to change the prototype or prevent extensions (boolean or predicate)
+ * @param {object} [options] - Context options
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Context object with methods to manage capability context
  */
-export function createCapabilityContext(target, capabilities = {}) {
-  const capabilityContext = createContext()
+export function createCapabilityContext(target, capabilities = {}, options = {}) {
+  const capabilityContext = createContext(options)
 
   // Normalize capabilities to a consistent format
   const normalizedCapabilities = {
@@ -30,6 +35,7 @@ export function createCapabilityContext(target, capabilities = {}) {
     canDelete: normalizeCapability(capabilities.canDelete, new Set()),
     canConstruct: normalizeCapability(capabilities.canConstruct, false),
     canApply: normalizeCapability(capabilities.canApply, false),
+    canConfigure: normalizeCapability(capabilities.canConfigure, false),
   }
 
   // Return context with capabilities stored for use with call()
@@ -58,16 +64,22 @@ function normalizeCapability(capability, defaultValue) {
 
 /**
  * Checks if a property capability is granted.
+ * On deep proxies `path` is the full property path: predicates receive it as a
+ * second argument and Sets match nested properties by their dotted path
+ * (`'user.address.city'`).
  * @private
  */
-function hasPropertyCapability(capability, key) {
+function hasPropertyCapability(capability, key, path) {
   if (!capability) return false
 
   if (typeof capability === 'function') {
-    return capability(key)
+    return capability(key, path)
   }
 
   if (capability instanceof Set) {
+    if (path && path.length > 1) {
+      return capability.has(path.map(String).join('.'))
+    }
     return capability.has(key)
   }
 
@@ -92,15 +104,15 @@ function hasBooleanCapability(capability, ...args) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for get trap
  */
-export function createGetInterceptor(capabilityContext) {
-  return (target, prop, receiver) => {
+export function createCapabilityGetInterceptor(capabilityContext) {
+  return (target, prop, receiver, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
       // No capability context active - deny by default
       throw new Error(`Access denied: No capability context for reading property "${String(prop)}"`)
     }
 
-    if (!hasPropertyCapability(capabilities.canRead, prop)) {
+    if (!hasPropertyCapability(capabilities.canRead, prop, path)) {
       throw new Error(`Access denied: No read capability for property "${String(prop)}"`)
     }
 
@@ -116,15 +128,15 @@ export function createGetInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for set trap
  */
-export function createSetInterceptor(capabilityContext) {
-  return (target, prop, value, receiver) => {
+export function createCapabilitySetInterceptor(capabilityContext) {
+  return (target, prop, value, receiver, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
       // No capability context active - deny by default
       return false
     }
 
-    if (!hasPropertyCapability(capabilities.canWrite, prop)) {
+    if (!hasPropertyCapability(capabilities.canWrite, prop, path)) {
       return false
     }
 
@@ -140,15 +152,15 @@ export function createSetInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for has trap
  */
-export function createHasInterceptor(capabilityContext) {
-  return (target, prop) => {
+export function createCapabilityHasInterceptor(capabilityContext) {
+  return (target, prop, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
       // No capability context active - deny by default
       return false
     }
 
-    if (!hasPropertyCapability(capabilities.canRead, prop)) {
+    if (!hasPropertyCapability(capabilities.canRead, prop, path)) {
       return false
     }
 
@@ -164,15 +176,15 @@ export function createHasInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for deleteProperty trap
  */
-export function createDeletePropertyInterceptor(capabilityContext) {
-  return (target, prop) => {
+export function createCapabilityDeletePropertyInterceptor(capabilityContext) {
+  return (target, prop, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
       // No capability context active - deny by default
       return false
     }
 
-    if (!hasPropertyCapability(capabilities.canDelete, prop)) {
+    if (!hasPropertyCapability(capabilities.canDelete, prop, path)) {
       return false
     }
 
@@ -188,23 +200,16 @@ export function createDeletePropertyInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for ownKeys trap
  */
-export function createOwnKeysInterceptor(capabilityContext) {
-  return (target) => {
+export function createCapabilityOwnKeysInterceptor(capabilityContext) {
+  return (_target, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
-      // No capability context active - return empty array
-      return []
+      // No capability context active - hide every key
+      return { filter: () => false }
     }
 
-    // Get all keys from target
-    const allKeys = Reflect.ownKeys(target)
-
-    // Filter to only readable keys
-    const readableKeys = allKeys.filter(key =>
-      hasPropertyCapability(capabilities.canRead, key)
-    )
-
-    return readableKeys
+    // Filter phase: applies to keys added by other interceptors as well
+    return { filter: (key) => hasPropertyCapability(capabilities.canRead, key, path && [...path, key]) }
   }
 }
 
@@ -215,15 +220,15 @@ export function createOwnKeysInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for getOwnPropertyDescriptor trap
  */
-export function createGetOwnPropertyDescriptorInterceptor(capabilityContext) {
-  return (target, prop) => {
+export function createCapabilityGetOwnPropertyDescriptorInterceptor(capabilityContext) {
+  return (target, prop, path) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
       // No capability context active - deny by default
       return undefined
     }
 
-    if (!hasPropertyCapability(capabilities.canRead, prop)) {
+    if (!hasPropertyCapability(capabilities.canRead, prop, path)) {
       // Return a fake descriptor that prevents access
       return undefined
     }
@@ -240,7 +245,7 @@ export function createGetOwnPropertyDescriptorInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for apply trap
  */
-export function createApplyInterceptor(capabilityContext) {
+export function createCapabilityApplyInterceptor(capabilityContext) {
   return (target, thisArg, argsList) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
@@ -264,7 +269,7 @@ export function createApplyInterceptor(capabilityContext) {
  * @param {object} capabilityContext - The capability context
  * @returns {Function} Interceptor function for construct trap
  */
-export function createConstructInterceptor(capabilityContext) {
+export function createCapabilityConstructInterceptor(capabilityContext) {
   return (target, argsList, newTarget) => {
     const capabilities = capabilityContext.context.tryUse()
     if (!capabilities) {
@@ -281,21 +286,180 @@ export function createConstructInterceptor(capabilityContext) {
   }
 }
 
+/**
+ * DefineProperty interceptor for capability-based access control.
+ * Defining a property is a write, so it requires the canWrite capability.
+ *
+ * @param {object} capabilityContext - The capability context
+ * @returns {Function} Interceptor function for defineProperty trap
+ */
+export function createCapabilityDefinePropertyInterceptor(capabilityContext) {
+  return (target, prop, descriptor, path) => {
+    const capabilities = capabilityContext.context.tryUse()
+    if (!capabilities) {
+      // No capability context active - deny by default
+      return false
+    }
+
+    if (!hasPropertyCapability(capabilities.canWrite, prop, path)) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * SetPrototypeOf interceptor for capability-based access control.
+ * Allows re-prototyping only if canConfigure is granted.
+ *
+ * @param {object} capabilityContext - The capability context
+ * @returns {Function} Interceptor function for setPrototypeOf trap
+ */
+export function createCapabilitySetPrototypeOfInterceptor(capabilityContext) {
+  return (target, prototype) => {
+    const capabilities = capabilityContext.context.tryUse()
+    if (!capabilities) {
+      // No capability context active - deny by default
+      return false
+    }
+
+    if (!hasBooleanCapability(capabilities.canConfigure, target, 'setPrototypeOf', prototype)) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
+/**
+ * PreventExtensions interceptor for capability-based access control.
+ * Allows preventing extensions (and therefore freezing or sealing) only if canConfigure is granted.
+ *
+ * @param {object} capabilityContext - The capability context
+ * @returns {Function} Interceptor function for preventExtensions trap
+ */
+export function createCapabilityPreventExtensionsInterceptor(capabilityContext) {
+  return (target) => {
+    const capabilities = capabilityContext.context.tryUse()
+    if (!capabilities) {
+      // No capability context active - deny by default
+      return false
+    }
+
+    if (!hasBooleanCapability(capabilities.canConfigure, target, 'preventExtensions')) {
+      return false
+    }
+
+    // Allow operation to continue
+    return undefined
+  }
+}
+
 /**
  * Helper function to create all interceptors at once and register them with a proxy.
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} capabilityContext - The capability context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='capability'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.capability] - Execution priority (higher runs first)
  */
-export function registerCapabilityInterceptors(proxyInterface, capabilityContext) {
-  proxyInterface.defineGetInterceptor(createGetInterceptor(capabilityContext))
-  proxyInterface.defineSetInterceptor(createSetInterceptor(capabilityContext))
-  proxyInterface.defineHasInterceptor(createHasInterceptor(capabilityContext))
-  proxyInterface.defineDeletePropertyInterceptor(createDeletePropertyInterceptor(capabilityContext))
-  proxyInterface.defineOwnKeysInterceptor(createOwnKeysInterceptor(capabilityContext))
+export function registerCapabilityInterceptors(proxyInterface, capabilityContext, options = {}) {
+  const registration = {
+    name: options.name ?? 'capability',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.capability,
+  }
+
+  proxyInterface.defineGetInterceptor(createCapabilityGetInterceptor(capabilityContext), registration)
+  proxyInterface.defineSetInterceptor(createCapabilitySetInterceptor(capabilityContext), registration)
+  proxyInterface.defineHasInterceptor(createCapabilityHasInterceptor(capabilityContext), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createCapabilityDeletePropertyInterceptor(capabilityContext), registration)
+  proxyInterface.defineOwnKeysInterceptor(createCapabilityOwnKeysInterceptor(capabilityContext), registration)
   proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
-    createGetOwnPropertyDescriptorInterceptor(capabilityContext)
+    createCapabilityGetOwnPropertyDescriptorInterceptor(capabilityContext),
+    registration
   )
-  proxyInterface.defineApplyInterceptor(createApplyInterceptor(capabilityContext))
-  proxyInterface.defineConstructInterceptor(createConstructInterceptor(capabilityContext))
+  proxyInterface.defineApplyInterceptor(createCapabilityApplyInterceptor(capabilityContext), registration)
+  proxyInterface.defineConstructInterceptor(createCapabilityConstructInterceptor(capabilityContext), registration)
+  proxyInterface.defineDefinePropertyInterceptor(createCapabilityDefinePropertyInterceptor(capabilityContext), registration)
+  proxyInterface.defineSetPrototypeOfInterceptor(createCapabilitySetPrototypeOfInterceptor(capabilityContext), registration)
+  proxyInterface.definePreventExtensionsInterceptor(createCapabilityPreventExtensionsInterceptor(capabilityContext), registration)
+}
+
+// Operations that consume one use of a use-count-limited handle
+const HANDLE_USE_TRAPS = ['get', 'set', 'deleteProperty', 'apply', 'construct']
+
+/**
+ * Issues a revocable, capability-guarded handle to a target.
+ * The handle's proxy can be given to untrusted code; the issuer keeps `revoke()`.
+ * It is revoked automatically once `ttl` milliseconds have passed or `maxUses`
+ * operations (reads, writes, deletes, calls and constructions) have been performed,
+ * whichever comes first. On deep handles, reading an intermediate object counts as a use.
+ *
+ * @param {object} target - The target object
+ * @param {object} capabilityContext - The capability context guarding the handle
+ * @param {object} [options] - Handle options
+ * @param {number} [options.ttl] - Lifetime in milliseconds
+ * @param {number} [options.maxUses] - Number of operations allowed before revocation
+ * @param {boolean} [options.deep=false] - Guard nested objects too (see createProxy)
+ * @returns {object} Handle with `proxy`, `revoke(reason)`, `isRevoked()`, `onRevoke(listener)`,
+ *   `getRemainingUses()` and `expiresAt`. `onRevoke` listeners get `{ proxy, reason }` whether the
+ *   handle is revoked by hand, by `ttl` or by `maxUses`, e.g. `createAuditRevokeListener(auditCtx)`.
+ *
+ * @example
+ * const handle = createRevocableCapabilityHandle(config, capCtx, { ttl: 60_000 })
+ * handle.onRevoke(createAuditRevokeListener(auditCtx))
+ */
+export function createRevocableCapabilityHandle(target, capabilityContext, options = {}) {
+  const { ttl, maxUses, deep = false } = options
+
+  if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0)) {
+    throw new TypeError('Handle ttl must be a positive number of milliseconds.')
+  }
+  if (maxUses !== undefined && !(Number.isInteger(maxUses) && maxUses > 0)) {
+    throw new TypeError('Handle maxUses must be a positive integer.')
+  }
+
+  const proxyInterface = createProxy(target, { deep, revocable: true })
+  registerCapabilityInterceptors(proxyInterface, capabilityContext)
+
+  let uses = 0
+  if (maxUses !== undefined) {
+    // Outermost middleware: the operation completes before the handle is revoked
+    const countUse = (ctx, next) => {
+      try {
+        return next()
+      } finally {
+        uses++
+        if (uses >= maxUses) proxyInterface.revoke('maxUses')
+      }
+    }
+    for (const trap of HANDLE_USE_TRAPS) {
+      proxyInterface.addInterceptor(trap, countUse, {
+        name: 'capability-handle',
+        priority: Number.POSITIVE_INFINITY,
+        middleware: true,
+      })
+    }
+  }
+
+  let timer
+  if (ttl !== undefined) {
+    timer = setTimeout(() => proxyInterface.revoke('ttl'), ttl)
+    // Do not keep the process alive just to expire a handle
+    timer.unref?.()
+  }
+  proxyInterface.onRevoke(() => clearTimeout(timer))
+
+  return {
+    proxy: proxyInterface.proxy,
+    revoke: proxyInterface.revoke,
+    isRevoked: proxyInterface.isRevoked,
+    onRevoke: proxyInterface.onRevoke,
+    getRemainingUses: () => (maxUses === undefined ? Number.POSITIVE_INFINITY : Math.max(maxUses - uses, 0)),
+    expiresAt: ttl === undefined ? undefined : new Date(Date.now() + ttl),
+  }
 }
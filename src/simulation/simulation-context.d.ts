@@ -0,0 +1,108 @@
+// simulation-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ApplyInterceptor,
+  ConstructInterceptor,
+  DeletePropertyInterceptor,
+  GetInterceptor,
+  HasInterceptor,
+  KeyOf,
+  OwnKeysInterceptor,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+} from '../proxy/create-proxy.js';
+
+export interface SimulationOptions extends ContextOptions {
+  shallow?: boolean;
+  nested?: boolean;
+  checkpoint?: boolean;
+  isolation?: 'full' | 'partial';
+}
+
+export type SimulationMutation<T> =
+  | {
+      operation: 'set';
+      property: KeyOf<T>;
+      value: any;
+      previousValue: any;
+      hadProperty: boolean;
+      timestamp: number;
+    }
+  | {
+      operation: 'delete';
+      property: KeyOf<T>;
+      previousValue: any;
+      hadProperty: boolean;
+      timestamp: number;
+    }
+  | { operation: 'apply' | 'construct'; [field: string]: any };
+
+export interface ChangeSet<T> {
+  added: Partial<Record<string, any>>;
+  modified: Partial<{ [K in KeyOf<T>]: { from: T[K]; to: T[K] } }>;
+  deleted: Partial<T>;
+}
+
+export interface SpeculationRecord<T> {
+  mutations: SimulationMutation<T>[];
+  result?: any;
+  error?: string;
+  status: 'completed' | 'error';
+  timestamp: number;
+}
+
+export interface ExecutionNode<T> {
+  id: string;
+  parent: string | undefined;
+  depth: number;
+  speculations: SpeculationRecord<T>[];
+  timestamp: number;
+  status: 'active' | 'error' | string;
+}
+
+export interface ExecutionTree<T> {
+  rootId: string | undefined;
+  currentId: string | undefined;
+  nodes: ExecutionNode<T>[];
+}
+
+export interface SimulationContext<T> {
+  speculate<R>(fn: () => R): R;
+  getSpeculativeState(): T | undefined;
+  commit(): boolean;
+  abort(): void;
+  getChangeSet(): ChangeSet<T>;
+  checkpoint(): string;
+  restore(checkpointId: string): void;
+  getExecutionTree(): ExecutionTree<T>;
+  isActive(): boolean;
+  getMutations(): SimulationMutation<T>[];
+  context: Context<{ active: boolean; state: any; nodeId: string }>;
+  _state: Record<string, any>;
+}
+
+/** Deep copy that keeps prototypes; accessors are read into plain values. */
+export declare function deepClone<V>(value: V): V;
+
+export declare function createSimulationContext<T extends object>(
+  target: T,
+  options?: SimulationOptions
+): SimulationContext<T>;
+
+export declare function createSimulationSetInterceptor<T>(simCtx: SimulationContext<T>): SetInterceptor<T>;
+export declare function createSimulationDeletePropertyInterceptor<T>(
+  simCtx: SimulationContext<T>
+): DeletePropertyInterceptor<T>;
+export declare function createSimulationGetInterceptor<T>(simCtx: SimulationContext<T>): GetInterceptor<T>;
+export declare function createSimulationHasInterceptor<T>(simCtx: SimulationContext<T>): HasInterceptor<T>;
+export declare function createSimulationOwnKeysInterceptor<T>(simCtx: SimulationContext<T>): OwnKeysInterceptor<T>;
+export declare function createSimulationApplyInterceptor<T>(simCtx: SimulationContext<T>): ApplyInterceptor;
+export declare function createSimulationConstructInterceptor<T>(simCtx: SimulationContext<T>): ConstructInterceptor;
+
+export declare function registerSimulationInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  simCtx: SimulationContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
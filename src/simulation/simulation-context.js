@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 import { randomUUID } from 'node:crypto'
 
 /**
@@ -14,11 +15,13 @@ import { randomUUID } from 'node:crypto'
  */
 
 /**
- * Deep clone helper - creates a deep copy of an object
+ * Deep clone helper - creates a deep copy of an object.
+ * Keeps prototypes; accessors are read into plain values. Also usable as a replay
+ * snapshot strategy.
  * @param {*} obj - Object to clone
  * @returns {*} Deep clone of the object
  */
-function deepClone(obj) {
+export function deepClone(obj) {
   if (obj === null || typeof obj !== 'object') {
     return obj
   }
@@ -90,6 +93,8 @@ function shallowClone(obj) {
  * @param {boolean} options.nested - Allow nested simulations (default: true)
  * @param {boolean} options.checkpoint - Enable checkpoint/restore (default: true)
  * @param {string} options.isolation - 'full' or 'partial' (default: 'full')
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Simulation API
  */
 export function createSimulationContext(target, options = {}) {
@@ -100,7 +105,7 @@ export function createSimulationContext(target, options = {}) {
     isolation = 'full',
   } = options
 
-  const simulationContext = createContext()
+  const simulationContext = createContext(options)
 
   // Internal state for simulation
   const simulationState = {
@@ -619,7 +624,7 @@ export function createSimulationHasInterceptor(simCtx) {
  * @returns {Function} Interceptor function for ownKeys trap
  */
 export function createSimulationOwnKeysInterceptor(simCtx) {
-  return (_target) => {
+  return (target) => {
     const simState = simCtx.context.tryUse()
     if (!simState || !simState.active) {
       // No active simulation - allow operation to continue normally
@@ -628,9 +633,13 @@ export function createSimulationOwnKeysInterceptor(simCtx) {
 
     // Get the internal state
     const internalState = simCtx._state
+    const speculativeKeys = Reflect.ownKeys(internalState.speculativeState)
 
-    // Return keys from speculative state
-    return Reflect.ownKeys(internalState.speculativeState)
+    // Expose the speculative keys: add simulated keys, remove keys deleted in the simulation
+    return {
+      add: speculativeKeys,
+      remove: Reflect.ownKeys(target).filter((key) => !speculativeKeys.includes(key)),
+    }
   }
 }
 
@@ -710,13 +719,21 @@ export function createSimulationConstructInterceptor(simCtx) {
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} simCtx - The simulation context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='simulation'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.default] - Execution priority (higher runs first)
  */
-export function registerSimulationInterceptors(proxyInterface, simCtx) {
-  proxyInterface.defineGetInterceptor(createSimulationGetInterceptor(simCtx))
-  proxyInterface.defineSetInterceptor(createSimulationSetInterceptor(simCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createSimulationDeletePropertyInterceptor(simCtx))
-  proxyInterface.defineHasInterceptor(createSimulationHasInterceptor(simCtx))
-  proxyInterface.defineOwnKeysInterceptor(createSimulationOwnKeysInterceptor(simCtx))
-  proxyInterface.defineApplyInterceptor(createSimulationApplyInterceptor(simCtx))
-  proxyInterface.defineConstructInterceptor(createSimulationConstructInterceptor(simCtx))
+export function registerSimulationInterceptors(proxyInterface, simCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'simulation',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.default,
+  }
+
+  proxyInterface.defineGetInterceptor(createSimulationGetInterceptor(simCtx), registration)
+  proxyInterface.defineSetInterceptor(createSimulationSetInterceptor(simCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createSimulationDeletePropertyInterceptor(simCtx), registration)
+  proxyInterface.defineHasInterceptor(createSimulationHasInterceptor(simCtx), registration)
+  proxyInterface.defineOwnKeysInterceptor(createSimulationOwnKeysInterceptor(simCtx), registration)
+  proxyInterface.defineApplyInterceptor(createSimulationApplyInterceptor(simCtx), registration)
+  proxyInterface.defineConstructInterceptor(createSimulationConstructInterceptor(simCtx), registration)
 }
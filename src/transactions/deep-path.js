@@ -0,0 +1,199 @@
+/**
+ * Nested-path helpers for transactions over deep proxies.
+ * Internal module: the transaction interceptors journal nested mutations with their
+ * path, and the durable journal redoes and undoes them through it.
+ */
+
+// Journal operations on Map and Set values, journaled with the path of the collection
+export const COLLECTION_MUTATIONS = new Set(['mapSet', 'mapDelete', 'mapClear', 'setAdd', 'setDelete', 'setClear'])
+
+/**
+ * Checks whether a value is a Map or a Set, whose mutations are journaled through a view.
+ *
+ * @param {*} value - The value
+ * @returns {boolean} True for Map and Set instances
+ */
+export function isCollection(value) {
+  return value instanceof Map || value instanceof Set
+}
+
+/**
+ * Returns the top-level property a journal entry changes. A nested mutation counts as
+ * a change of the top-level property it is under.
+ *
+ * @param {object} entry - The journal entry
+ * @returns {string|symbol|undefined} The property, undefined for entries on the target itself
+ */
+export function topLevelProperty(entry) {
+  return entry.path ? entry.path[0] : entry.property
+}
+
+/**
+ * Compares two property paths segment by segment.
+ *
+ * @param {Array<string|symbol>} a - First path
+ * @param {Array<string|symbol>} b - Second path
+ * @returns {boolean} True if the paths are equal
+ */
+export function isSamePath(a, b) {
+  return a.length === b.length && a.every((segment, index) => segment === b[index])
+}
+
+/**
+ * Reads the value at a path, one property at a time.
+ *
+ * @param {*} value - The value to start from
+ * @param {Array<string|symbol>} path - The properties to follow
+ * @returns {*} The value at the path, undefined if the path leaves the object graph
+ */
+export function resolvePath(value, path) {
+  for (const segment of path) {
+    if (typeof value !== 'object' || value === null) return undefined
+    value = Reflect.get(value, segment)
+  }
+  return value
+}
+
+/**
+ * Creates a shallow copy of an object, array, Map or Set that keeps its prototype,
+ * property descriptors and extensibility.
+ *
+ * @param {object} value - The value to copy
+ * @returns {object} The copy
+ */
+export function copyContainer(value) {
+  let copy
+  if (value instanceof Map) {
+    copy = new Map(value)
+  } else if (value instanceof Set) {
+    copy = new Set(value)
+  } else {
+    copy = Array.isArray(value) ? [] : {}
+    Object.defineProperties(copy, Object.getOwnPropertyDescriptors(value))
+  }
+  Object.setPrototypeOf(copy, Object.getPrototypeOf(value))
+  if (!Object.isExtensible(value)) Object.preventExtensions(copy)
+  return copy
+}
+
+/**
+ * Finds the position of a key in a Map or a value in a Set, in iteration order.
+ *
+ * @param {Map|Set} collection - The collection
+ * @param {*} key - The key or value, compared like the collection does
+ * @returns {number} The position, -1 if absent
+ */
+export function positionOf(collection, key) {
+  let position = 0
+  for (const candidate of collection.keys()) {
+    if (candidate === key || (Number.isNaN(candidate) && Number.isNaN(key))) return position
+    position++
+  }
+  return -1
+}
+
+/**
+ * Restores a deleted property at its former position among the object's string keys.
+ * Properties after that position are redefined behind it, so they keep their descriptors;
+ * non-configurable ones can't move and stay in front of it.
+ *
+ * @param {object} object - The object the property was deleted from
+ * @param {string|symbol} property - The property
+ * @param {*} value - The value to restore
+ * @param {number} [position] - The property's index in `Object.getOwnPropertyNames`, appended if omitted
+ */
+export function restoreProperty(object, property, value, position) {
+  const following = position === undefined ? [] : Object.getOwnPropertyNames(object).slice(position)
+  Reflect.set(object, property, value)
+  for (const key of following) {
+    const descriptor = Reflect.getOwnPropertyDescriptor(object, key)
+    if (!descriptor?.configurable) continue
+    Reflect.deleteProperty(object, key)
+    Reflect.defineProperty(object, key, descriptor)
+  }
+}
+
+/**
+ * Rebuilds a collection with an item inserted at a position, restoring iteration order.
+ * @private
+ */
+function insertAt(collection, position, key, value) {
+  const items = [...collection.entries()]
+  items.splice(position, 0, [key, value])
+  collection.clear()
+  for (const [itemKey, itemValue] of items) {
+    if (collection instanceof Map) collection.set(itemKey, itemValue)
+    else collection.add(itemKey)
+  }
+}
+
+/**
+ * Applies a journaled Map or Set mutation to a collection.
+ *
+ * @param {Map|Set} collection - The collection at the entry's path
+ * @param {object} entry - The journal entry
+ */
+export function redoCollectionEntry(collection, entry) {
+  switch (entry.operation) {
+    case 'mapSet': {
+      collection.set(entry.key, entry.value)
+      break
+    }
+    case 'setAdd': {
+      collection.add(entry.value)
+      break
+    }
+    case 'mapDelete': {
+      collection.delete(entry.key)
+      break
+    }
+    case 'setDelete': {
+      collection.delete(entry.value)
+      break
+    }
+    case 'mapClear':
+    case 'setClear': {
+      collection.clear()
+      break
+    }
+  }
+}
+
+/**
+ * Restores a collection as it was before a journaled Map or Set mutation, including
+ * its iteration order.
+ *
+ * @param {Map|Set} collection - The collection at the entry's path
+ * @param {object} entry - The journal entry
+ */
+export function undoCollectionEntry(collection, entry) {
+  switch (entry.operation) {
+    case 'mapSet': {
+      if (entry.hadKey) collection.set(entry.key, entry.previousValue)
+      else collection.delete(entry.key)
+      break
+    }
+    case 'setAdd': {
+      collection.delete(entry.value)
+      break
+    }
+    case 'mapDelete': {
+      insertAt(collection, entry.position, entry.key, entry.previousValue)
+      break
+    }
+    case 'setDelete': {
+      insertAt(collection, entry.position, entry.value, entry.value)
+      break
+    }
+    case 'mapClear': {
+      collection.clear()
+      for (const [key, value] of entry.previousEntries) collection.set(key, value)
+      break
+    }
+    case 'setClear': {
+      collection.clear()
+      for (const value of entry.previousValues) collection.add(value)
+      break
+    }
+  }
+}
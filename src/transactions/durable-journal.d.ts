@@ -0,0 +1,20 @@
+// durable-journal.d.ts
+
+import type { JournalRecord, JournalSink } from './transaction-context.js';
+
+export interface FileJournalSink extends JournalSink {
+  /** Drops the records a saved target no longer needs; returns how many were dropped. */
+  checkpoint(): number;
+  close(): void;
+}
+
+export interface RecoveryReport {
+  /** Ids of the committed transactions rolled forward, in commit order. */
+  committed: string[];
+  /** Ids of the unfinished transactions rolled back. */
+  rolledBack: string[];
+}
+
+export declare function createFileJournalSink(path: string): FileJournalSink;
+export declare function readJournalFile(path: string): JournalRecord[];
+export declare function recover(target: object, journalPath: string): RecoveryReport;
@@ -0,0 +1,301 @@
+import { closeSync, existsSync, fstatSync, fsyncSync, openSync, readFileSync, readSync, renameSync, writeSync } from 'node:fs'
+import { dirname } from 'node:path'
+import {
+  COLLECTION_MUTATIONS,
+  isCollection,
+  redoCollectionEntry,
+  resolvePath,
+  restoreProperty,
+  topLevelProperty,
+  undoCollectionEntry,
+} from './deep-path.js'
+
+/**
+ * Durable write-ahead journal for Proxyable transactions.
+ *
+ * A transaction context created with a `journalSink` appends one record per event:
+ * - `{ type: 'begin', transactionId, timestamp }` when a transaction starts
+ * - `{ type: 'entry', transactionId, entry }` for every property or collection mutation, before
+ *   it is applied; nested mutations carry the `path` they were made at
+ * - `{ type: 'rollbackTo', transactionId, sequence }` when a savepoint discards the entries
+ *   from `sequence` on
+ * - `{ type: 'commit' | 'rollback', transactionId }` when the transaction ends
+ *
+ * A transaction counts as committed once its commit record is written. After a crash,
+ * `recover` replays the journal onto the reloaded target. The journal grows until the
+ * sink's `checkpoint()` drops the records a saved target no longer needs.
+ */
+
+/**
+ * Creates a journal sink writing records to a JSON-lines file.
+ * Every record is flushed to disk before `append` returns, so a mutation is durable
+ * before it reaches the target. Values must be JSON-serializable. A line torn by a
+ * crash is terminated first, so new records start on a line of their own.
+ *
+ * @param {string} path - Path of the journal file; records are appended to it
+ * @returns {object} Sink with `append(record)`, `checkpoint()` and `close()`
+ *
+ * @example
+ * const sink = createFileJournalSink('./config.journal')
+ * const tx = createTransactionContext(config, { journalSink: sink })
+ * // After saving config
+ * sink.checkpoint()
+ */
+export function createFileJournalSink(path) {
+  let fd = openSync(path, 'a+')
+
+  const { size } = fstatSync(fd)
+  if (size > 0) {
+    const last = Buffer.alloc(1)
+    readSync(fd, last, 0, 1, size - 1)
+    if (last.toString() !== '\n') writeSync(fd, '\n')
+  }
+
+  /**
+   * Writes a record to the journal file and flushes it to disk.
+   *
+   * @param {object} record - The journal record
+   * @throws {Error} If the sink was closed
+   */
+  function append(record) {
+    if (fd === undefined) {
+      throw new Error(`Journal sink for "${path}" is closed`)
+    }
+    writeSync(fd, `${JSON.stringify(record)}\n`)
+    fsyncSync(fd)
+  }
+
+  /**
+   * Drops the records recovery no longer needs. Call it once the target has been saved with
+   * every mutation journaled so far. Records from the first record of a transaction still in
+   * progress on are kept; recovery redoing the committed mutations among them is harmless, as
+   * the saved target already holds them. The journal is rewritten to a temporary file that then
+   * replaces it, so a crash leaves either the old or the new journal.
+   *
+   * @returns {number} The number of records dropped
+   * @throws {Error} If the sink was closed
+   */
+  function checkpoint() {
+    if (fd === undefined) {
+      throw new Error(`Journal sink for "${path}" is closed`)
+    }
+
+    const records = readJournalFile(path)
+    const finished = new Set(
+      records.filter(({ type }) => type === 'commit' || type === 'rollback').map(({ transactionId }) => transactionId)
+    )
+    const start = records.findIndex(({ transactionId }) => !finished.has(transactionId))
+    const kept = start === -1 ? [] : records.slice(start)
+
+    const checkpointPath = `${path}.checkpoint`
+    const checkpointFd = openSync(checkpointPath, 'w')
+    try {
+      writeSync(checkpointFd, kept.map((record) => `${JSON.stringify(record)}\n`).join(''))
+      fsyncSync(checkpointFd)
+    } finally {
+      closeSync(checkpointFd)
+    }
+    renameSync(checkpointPath, path)
+    // Make the rename itself durable
+    const directoryFd = openSync(dirname(path), 'r')
+    try {
+      fsyncSync(directoryFd)
+    } finally {
+      closeSync(directoryFd)
+    }
+
+    closeSync(fd)
+    fd = openSync(path, 'a+')
+    return records.length - kept.length
+  }
+
+  /**
+   * Closes the journal file.
+   */
+  function close() {
+    if (fd === undefined) return
+    closeSync(fd)
+    fd = undefined
+  }
+
+  return { append, checkpoint, close }
+}
+
+/**
+ * Reads the records of a JSON-lines journal file.
+ * Torn lines, left by a crash in the middle of a write, are skipped: their record
+ * was never complete, so the mutation it announced was never applied.
+ *
+ * @param {string} path - Path of the journal file
+ * @returns {Array<object>} The journal records, oldest first; empty if the file does not exist
+ */
+export function readJournalFile(path) {
+  if (!existsSync(path)) return []
+
+  return readFileSync(path, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)]
+      } catch {
+        return []
+      }
+    })
+}
+
+/**
+ * Finds the object a journaled mutation applies to: the target, the object holding a
+ * nested property, or the collection at the entry's path.
+ * @private
+ * @returns {object|undefined} The object, or undefined if the path no longer resolves to one
+ */
+function resolveEntryObject(target, entry) {
+  if (!entry.path) return target
+  if (COLLECTION_MUTATIONS.has(entry.operation)) {
+    const collection = resolvePath(target, entry.path)
+    return isCollection(collection) ? collection : undefined
+  }
+  const container = resolvePath(target, entry.path.slice(0, -1))
+  return typeof container === 'object' && container !== null ? container : undefined
+}
+
+/**
+ * Applies a journaled mutation to the target.
+ * @private
+ */
+function redoEntry(target, entry) {
+  const object = resolveEntryObject(target, entry)
+  if (!object) return
+
+  switch (entry.operation) {
+    case 'set': {
+      Reflect.set(object, entry.property, entry.value)
+      break
+    }
+    case 'delete': {
+      Reflect.deleteProperty(object, entry.property)
+      break
+    }
+    case 'defineProperty': {
+      Reflect.defineProperty(object, entry.property, entry.descriptor)
+      break
+    }
+    default: {
+      redoCollectionEntry(object, entry)
+    }
+  }
+}
+
+/**
+ * Restores the target as it was before a journaled mutation.
+ * @private
+ */
+function undoEntry(target, entry) {
+  const object = resolveEntryObject(target, entry)
+  if (!object) return
+
+  switch (entry.operation) {
+    case 'set':
+    case 'delete': {
+      if (entry.hadProperty) restoreProperty(object, entry.property, entry.previousValue, entry.position)
+      else Reflect.deleteProperty(object, entry.property)
+      if (entry.previousLength !== undefined) Reflect.set(object, 'length', entry.previousLength)
+      break
+    }
+    case 'defineProperty': {
+      if (entry.previousDescriptor) Reflect.defineProperty(object, entry.property, entry.previousDescriptor)
+      else Reflect.deleteProperty(object, entry.property)
+      break
+    }
+    default: {
+      undoCollectionEntry(object, entry)
+    }
+  }
+}
+
+/**
+ * Recovers a target after a crash from its durable journal.
+ * Committed transactions are rolled forward: their mutations are applied again in the
+ * order the transactions committed. Transactions that neither committed nor rolled back
+ * are rolled back: their mutations are undone, most recent first, except under top-level
+ * properties a transaction committed later wrote. A rollback record is then appended for each of
+ * them, so recovering twice is safe.
+ *
+ * Records are ordered by their position in the file; sequence numbers only order the
+ * entries of a single process.
+ *
+ * @param {object} target - The target as reloaded after the crash
+ * @param {string} journalPath - Path of the JSON-lines journal file
+ * @returns {object} `{ committed, rolledBack }` with the ids of the transactions rolled forward and back
+ *
+ * @example
+ * const config = loadConfig()
+ * recover(config, './config.journal')
+ */
+export function recover(target, journalPath) {
+  const transactions = new Map()
+  const transactionFor = (id) => {
+    if (!transactions.has(id)) transactions.set(id, { id, entries: [], outcome: undefined, endPosition: -1 })
+    return transactions.get(id)
+  }
+
+  for (const [position, record] of readJournalFile(journalPath).entries()) {
+    const transaction = transactionFor(record.transactionId)
+    switch (record.type) {
+      case 'entry': {
+        transaction.entries.push({ ...record.entry, recordPosition: position })
+        break
+      }
+      case 'rollbackTo': {
+        transaction.entries = transaction.entries.filter((entry) => entry.sequence < record.sequence)
+        break
+      }
+      case 'commit':
+      case 'rollback': {
+        transaction.outcome = record.type
+        transaction.endPosition = position
+        break
+      }
+    }
+  }
+
+  const all = [...transactions.values()]
+  const committed = all
+    .filter((transaction) => transaction.outcome === 'commit')
+    .sort((a, b) => a.endPosition - b.endPosition)
+  const unfinished = all.filter((transaction) => transaction.outcome === undefined)
+
+  for (const transaction of committed) {
+    for (const entry of transaction.entries) redoEntry(target, entry)
+  }
+
+  const unfinishedEntries = unfinished
+    .flatMap((transaction) => transaction.entries)
+    .sort((a, b) => b.recordPosition - a.recordPosition)
+  for (const entry of unfinishedEntries) {
+    const property = topLevelProperty(entry)
+    const overwritten = committed.some(
+      (transaction) =>
+        transaction.endPosition > entry.recordPosition &&
+        transaction.entries.some((committedEntry) => topLevelProperty(committedEntry) === property)
+    )
+    if (!overwritten) undoEntry(target, entry)
+  }
+
+  if (unfinished.length > 0) {
+    const sink = createFileJournalSink(journalPath)
+    try {
+      for (const transaction of unfinished) {
+        sink.append({ type: 'rollback', transactionId: transaction.id })
+      }
+    } finally {
+      sink.close()
+    }
+  }
+
+  return {
+    committed: committed.map((transaction) => transaction.id),
+    rolledBack: unfinished.map((transaction) => transaction.id),
+  }
+}
@@ -0,0 +1,5 @@
+// index.d.ts
+
+export * from './transaction-context.js';
+export * from './transaction-manager.js';
+export * from './durable-journal.js';
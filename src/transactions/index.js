@@ -0,0 +1,3 @@
+export * from './transaction-context.js'
+export * from './transaction-manager.js'
+export * from './durable-journal.js'
@@ -0,0 +1,168 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Pointer (RFC 6901) helpers for transactions.
+ * Internal module: the transaction context exposes them as toJSONPatch/fromJSONPatch.
+ */
+
+const PATCH_OPERATIONS = new Set(['add', 'remove', 'replace', 'move', 'copy', 'test'])
+
+/**
+ * Formats reference tokens as a JSON Pointer.
+ *
+ * @param {Array<string>} tokens - Reference tokens
+ * @returns {string} The pointer, e.g. `/a~1b/0`
+ */
+export function formatPointer(tokens) {
+  return tokens.map((token) => `/${String(token).replaceAll('~', '~0').replaceAll('/', '~1')}`).join('')
+}
+
+/**
+ * Parses a JSON Pointer into reference tokens.
+ *
+ * @param {string} pointer - The pointer
+ * @returns {Array<string>} Reference tokens
+ * @throws {TypeError} If the pointer is not a string starting with `/`
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || !pointer.startsWith('/')) {
+    throw new TypeError(`Invalid JSON Pointer "${pointer}": the document root cannot be patched.`)
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => token.replaceAll('~1', '/').replaceAll('~0', '~'))
+}
+
+/**
+ * Checks two JSON values for structural equality, as the `test` operation does.
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+export function isEqualJSON(a, b) {
+  if (a === b) return true
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) return false
+  return keys.every((key) => Object.hasOwn(b, key) && isEqualJSON(a[key], b[key]))
+}
+
+/**
+ * Deep-copies a value like structuredClone, including values read through a deep proxy.
+ * The plain objects and arrays a deep proxy wraps are copied property by property;
+ * structuredClone can't clone the wrappers.
+ *
+ * @param {*} value - The value, possibly a deep proxy wrapper
+ * @returns {*} A copy that shares nothing with the value
+ */
+export function cloneValue(value) {
+  if (Array.isArray(value)) return value.map((item) => cloneValue(item))
+  if (typeof value !== 'object' || value === null) return value
+
+  const prototype = Object.getPrototypeOf(value)
+  if (prototype !== Object.prototype && prototype !== null) return structuredClone(value)
+  const copy = Object.create(prototype)
+  for (const [key, item] of Object.entries(value)) copy[key] = cloneValue(item)
+  return copy
+}
+
+/**
+ * Checks the shape of a patch before any of it is applied.
+ *
+ * @param {Array<object>} patch - The patch
+ * @throws {TypeError} If the patch is not an array of known operations with their members
+ */
+export function validatePatch(patch) {
+  if (!Array.isArray(patch)) {
+    throw new TypeError('JSON Patch must be an array of operations.')
+  }
+  for (const [index, operation] of patch.entries()) {
+    if (!PATCH_OPERATIONS.has(operation?.op)) {
+      throw new TypeError(`JSON Patch operation ${index} has an unknown op "${operation?.op}".`)
+    }
+    parsePointer(operation.path)
+    if (operation.op === 'move' || operation.op === 'copy') parsePointer(operation.from)
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+      throw new TypeError(`JSON Patch operation ${index} (${operation.op}) is missing a value.`)
+    }
+  }
+}
+
+/**
+ * Resolves the parent container and final token of a path inside a value.
+ * @private
+ */
+function resolveParent(document, tokens, pointer) {
+  let parent = document
+  for (const token of tokens.slice(0, -1)) {
+    if (typeof parent !== 'object' || parent === null || !Object.hasOwn(parent, token)) {
+      throw new Error(`JSON Patch path "${pointer}" does not exist`)
+    }
+    parent = parent[token]
+  }
+  if (typeof parent !== 'object' || parent === null) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`)
+  }
+  return { parent, token: tokens.at(-1) }
+}
+
+/**
+ * Resolves an array index token. `-` refers past the last element when adding.
+ * @private
+ */
+function resolveIndex(array, token, pointer, adding) {
+  if (adding && token === '-') return array.length
+  const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : Number.NaN
+  if (!(index < array.length + (adding ? 1 : 0))) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`)
+  }
+  return index
+}
+
+/**
+ * Reads the value at a path inside a value.
+ *
+ * @param {*} document - The value
+ * @param {Array<string>} tokens - Reference tokens relative to the value
+ * @param {string} pointer - The full pointer, for error messages
+ * @returns {*} The value at the path
+ * @throws {Error} If the path does not exist
+ */
+export function readPath(document, tokens, pointer) {
+  const { parent, token } = resolveParent(document, tokens, pointer)
+  if (Array.isArray(parent)) return parent[resolveIndex(parent, token, pointer, false)]
+  if (!Object.hasOwn(parent, token)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`)
+  }
+  return parent[token]
+}
+
+/**
+ * Adds, replaces or removes the value at a path inside a value, in place.
+ *
+ * @param {*} document - The value
+ * @param {Array<string>} tokens - Reference tokens relative to the value
+ * @param {string} pointer - The full pointer, for error messages
+ * @param {string} op - 'add', 'replace' or 'remove'
+ * @param {*} [value] - The value to add or replace with
+ * @throws {Error} If the path does not exist
+ */
+export function writePath(document, tokens, pointer, op, value) {
+  const { parent, token } = resolveParent(document, tokens, pointer)
+
+  if (Array.isArray(parent)) {
+    const index = resolveIndex(parent, token, pointer, op === 'add')
+    if (op === 'add') parent.splice(index, 0, value)
+    else if (op === 'replace') parent[index] = value
+    else parent.splice(index, 1)
+    return
+  }
+
+  if (op !== 'add' && !Object.hasOwn(parent, token)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`)
+  }
+  if (op === 'remove') delete parent[token]
+  else parent[token] = value
+}
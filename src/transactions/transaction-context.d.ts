@@ -0,0 +1,277 @@
+// transaction-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  ConstructInterceptor,
+  DefinePropertyInterceptor,
+  DeletePropertyInterceptor,
+  InterceptorDisposer,
+  KeyOf,
+  MiddlewareInterceptor,
+  PreventExtensionsInterceptor,
+  PropertyPath,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+  SetPrototypeOfInterceptor,
+} from '../proxy/create-proxy.js';
+
+interface JournalEntryBase {
+  timestamp: number;
+  index: number;
+  /** Process-wide order, used to merge the journals of several transactions. */
+  sequence: number;
+}
+
+/** Made through a deep proxy below the top level; `path` ends with the property or names the collection. */
+interface NestedEntry {
+  path?: PropertyPath;
+}
+
+export type JournalEntry<T> =
+  | (JournalEntryBase &
+      NestedEntry & {
+        operation: 'set';
+        property: KeyOf<T> | string | symbol;
+        value: any;
+        previousValue: any;
+        hadProperty: boolean;
+        /** Length of the array before an element was added past its end. */
+        previousLength?: number;
+      })
+  | (JournalEntryBase &
+      NestedEntry & {
+        operation: 'delete';
+        property: KeyOf<T> | string | symbol;
+        previousValue: any;
+        hadProperty: boolean;
+        /** Index of the deleted key in `Object.getOwnPropertyNames`, so rollback restores key order. */
+        position?: number;
+      })
+  | (JournalEntryBase & { operation: 'apply'; method: string; args: any[]; thisArg: any; result: any })
+  | (JournalEntryBase & { operation: 'construct'; method: string; args: any[]; result: any })
+  | (JournalEntryBase &
+      NestedEntry & {
+        operation: 'defineProperty';
+        property: KeyOf<T> | string | symbol;
+        descriptor: PropertyDescriptor;
+        previousDescriptor: PropertyDescriptor | undefined;
+      })
+  | (JournalEntryBase &
+      NestedEntry & { operation: 'setPrototypeOf'; prototype: object | null; previousPrototype: object | null })
+  | (JournalEntryBase & NestedEntry & { operation: 'preventExtensions' })
+  | (JournalEntryBase & { operation: 'mapSet'; path: PropertyPath; key: any; value: any; previousValue: any; hadKey: boolean })
+  /** `position` is the key's place in iteration order, restored on rollback. */
+  | (JournalEntryBase & { operation: 'mapDelete'; path: PropertyPath; key: any; previousValue: any; position: number })
+  | (JournalEntryBase & { operation: 'mapClear'; path: PropertyPath; previousEntries: [any, any][] })
+  | (JournalEntryBase & { operation: 'setAdd'; path: PropertyPath; value: any })
+  | (JournalEntryBase & { operation: 'setDelete'; path: PropertyPath; value: any; position: number })
+  | (JournalEntryBase & { operation: 'setClear'; path: PropertyPath; previousValues: any[] });
+
+export type TransactionIsolation = 'immediate' | 'deferred';
+
+export interface Compensation<Args extends any[] = any[], Result = any> {
+  /** Undoes the side effects of a journaled call; runs on rollback, most recent call first. */
+  compensate: (args: Args, result: Result) => void;
+}
+
+export interface RollbackOutcome {
+  operation: 'apply' | 'construct';
+  method: string;
+  index: number;
+}
+
+export interface RollbackReport {
+  /** False if any compensation threw. */
+  success: boolean;
+  compensated: RollbackOutcome[];
+  failures: (RollbackOutcome & { error: unknown })[];
+}
+
+/** Record appended to a durable journal sink. */
+export type JournalRecord =
+  | { type: 'begin'; transactionId: string; timestamp: number }
+  | { type: 'entry'; transactionId: string; entry: JournalEntry<any> }
+  /** A savepoint discarded the transaction's entries from `sequence` on. */
+  | { type: 'rollbackTo'; transactionId: string; sequence: number }
+  | { type: 'commit' | 'rollback'; transactionId: string };
+
+export interface JournalSink {
+  /** Called before the mutation a record announces is applied; should be durable when it returns. */
+  append(record: JournalRecord): void;
+}
+
+export interface TransactionOptions extends ContextOptions {
+  /** 'immediate' applies mutations as they happen; 'deferred' stages them until commit. */
+  isolation?: TransactionIsolation;
+  /** Compensations keyed by function or class name. */
+  compensations?: Record<string, Compensation>;
+  /** Durable journal receiving the records of every transaction. */
+  journalSink?: JournalSink;
+}
+
+export interface RunOptions {
+  /** Commit when the function succeeds; when false the transaction is left active. Defaults to true. */
+  autoCommit?: boolean;
+  /** How many times to run the function again after a `TransactionConflictError`. Defaults to 0. */
+  retries?: number;
+}
+
+export interface RunResult<R, T> {
+  result: R;
+  /** Journal of the transaction, taken before it was committed. */
+  journal: JournalEntry<T>[];
+}
+
+/** Thrown on commit when another transaction changed properties this one read or wrote. */
+export declare class TransactionConflictError extends Error {
+  constructor(properties: (string | symbol)[]);
+  name: 'TransactionConflictError';
+  properties: (string | symbol)[];
+}
+
+/** A JSON Patch (RFC 6902) operation. */
+export type JSONPatchOperation =
+  | { op: 'add' | 'replace' | 'test'; path: string; value: any }
+  | { op: 'remove'; path: string }
+  | { op: 'move' | 'copy'; from: string; path: string };
+
+/** Net change of a property over a transaction. */
+export interface PropertyChange {
+  property: string | symbol;
+  /** Descriptor before the transaction; undefined if the property did not exist. */
+  previous: PropertyDescriptor | undefined;
+  /** Descriptor the transaction would commit; undefined if it deletes the property. */
+  next: PropertyDescriptor | undefined;
+}
+
+/** Passed to beforeCommit and afterCommit listeners. */
+export interface TransactionEvent<T> {
+  transactionId: string;
+  /** Journal of the transaction being committed. */
+  journal: JournalEntry<T>[];
+}
+
+/** Passed to afterRollback listeners. */
+export interface TransactionRollbackEvent<T> extends TransactionEvent<T> {
+  report: RollbackReport;
+}
+
+export interface TransactionState<T> {
+  journal: JournalEntry<T>[];
+  journalIndex: number;
+  isActive: boolean;
+  isolation: TransactionIsolation;
+  /** Staged descriptors by property; `undefined` marks a staged deletion. */
+  writeSet: Map<string | symbol, PropertyDescriptor | undefined>;
+  prototypeWrite: { prototype: object | null } | undefined;
+  savepoints: TransactionSavepoint[];
+  compensations: Map<string, Compensation>;
+  /** Version each property read or written is expected to have at commit. */
+  readSet: Map<string | symbol, number>;
+  /** Version produced by the transaction's latest write to each property. */
+  writeVersions: Map<string | symbol, number>;
+  journalSink: JournalSink | undefined;
+  /** Id the current transaction's durable records are filed under. */
+  transactionId: string | undefined;
+  /** Proxy the context was registered on; JSON patches are applied through it. */
+  proxy: T | undefined;
+  /** Nested objects a deferred transaction copied since its last savepoint; writes go to them directly. */
+  copies: WeakSet<object>;
+}
+
+export interface TransactionSavepoint {
+  id: string;
+  journalLength: number;
+  writeSet: Map<string | symbol, PropertyDescriptor | undefined>;
+  prototypeWrite: { prototype: object | null } | undefined;
+}
+
+export interface TransactionContext<T> {
+  call<R>(fn: () => R): R;
+  /** Runs `fn` as a whole transaction, committing on success and rolling back on failure. */
+  run<R>(fn: () => Promise<R>, options?: RunOptions): Promise<RunResult<R, T>>;
+  run<R>(fn: () => R, options?: RunOptions): RunResult<R, T>;
+  commit(): boolean;
+  rollback(): RollbackReport;
+  /** Marks the current point of the transaction; returns the savepoint id. */
+  savepoint(): string;
+  /** Undoes the mutations made since the savepoint, keeping it open. */
+  rollbackTo(id: string): RollbackReport;
+  /** Forgets the savepoint and every later one, keeping their mutations. */
+  release(id: string): void;
+  setCompensation(methodName: string, compensation: Compensation): void;
+  getCompensation(methodName: string): Compensation | undefined;
+  removeCompensation(methodName: string): boolean;
+  getDryRun(): JournalEntry<T>[];
+  /** Pending changes as a JSON Patch, one operation per changed property. */
+  toJSONPatch(): JSONPatchOperation[];
+  /** Applies a patch atomically through the registered proxy; returns the entries it journaled. */
+  fromJSONPatch(patch: JSONPatchOperation[]): JournalEntry<T>[];
+  isActive(): boolean;
+  getJournal(): JournalEntry<T>[];
+  /** Version of a target property; grows with every write a transaction applies to it. */
+  getVersion(property: KeyOf<T> | (string & {}) | symbol): number;
+  /** Called before a commit is applied; throwing vetoes the commit. */
+  onBeforeCommit(listener: (event: TransactionEvent<T>) => void): InterceptorDisposer;
+  onAfterCommit(listener: (event: TransactionEvent<T>) => void): InterceptorDisposer;
+  onAfterRollback(listener: (event: TransactionRollbackEvent<T>) => void): InterceptorDisposer;
+  context: Context<{ active: boolean; state: TransactionState<T> }>;
+  _state: TransactionState<T>;
+  _target: T;
+  /** Throws a TransactionConflictError if the read-set is stale. */
+  _checkConflicts(): void;
+  _getChanges(): PropertyChange[];
+  /** Applies the deferred write-set; returns a function reverting the applied writes. */
+  _applyWriteSet(): () => void;
+  /** Runs the beforeCommit listeners; throws if one vetoes. */
+  _beforeCommit(): void;
+  /** Ends the transaction; returns the event for its after-hook listeners, which are not yet called. */
+  _endTransaction(outcome: 'commit' | 'rollback', report?: RollbackReport): TransactionEvent<T>;
+  /** Rolls back without calling the afterRollback listeners. */
+  _rollback(): { report: RollbackReport; event: TransactionRollbackEvent<T> };
+  /** Calls the after-hook listeners of an ended transaction; returns the errors they threw. */
+  _notifyHooks(outcome: 'commit' | 'rollback', event: TransactionEvent<T>): unknown[];
+}
+
+export declare function createTransactionContext<T extends object>(
+  target: T,
+  options?: TransactionOptions
+): TransactionContext<T>;
+
+export declare function createTransactionSetInterceptor<T>(transactionCtx: TransactionContext<T>): SetInterceptor<T>;
+export declare function createTransactionDeletePropertyInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): DeletePropertyInterceptor<T>;
+export declare function createTransactionConstructInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): ConstructInterceptor;
+export declare function createTransactionDefinePropertyInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): DefinePropertyInterceptor<T>;
+export declare function createTransactionSetPrototypeOfInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): SetPrototypeOfInterceptor<T>;
+export declare function createTransactionPreventExtensionsInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): PreventExtensionsInterceptor<T>;
+
+/** Apply middleware, registered with `{ middleware: true }`, so each call runs once. */
+export declare function createTransactionApplyInterceptor<T>(transactionCtx: TransactionContext<T>): MiddlewareInterceptor;
+
+/** Read middleware, registered with `{ middleware: true }`; the get middleware also tracks the read-set. */
+export declare function createTransactionGetInterceptor<T>(transactionCtx: TransactionContext<T>): MiddlewareInterceptor;
+export declare function createTransactionHasInterceptor<T>(transactionCtx: TransactionContext<T>): MiddlewareInterceptor;
+export declare function createTransactionOwnKeysInterceptor<T>(transactionCtx: TransactionContext<T>): MiddlewareInterceptor;
+export declare function createTransactionGetOwnPropertyDescriptorInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): MiddlewareInterceptor;
+export declare function createTransactionGetPrototypeOfInterceptor<T>(
+  transactionCtx: TransactionContext<T>
+): MiddlewareInterceptor;
+
+export declare function registerTransactionInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  transactionCtx: TransactionContext<T>,
+  options?: RegisterInterceptorsOptions
+): void;
@@ -1,43 +1,944 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
+import { randomUUID } from 'node:crypto'
+import {
+  cloneValue,
+  formatPointer,
+  isEqualJSON,
+  parsePointer,
+  readPath,
+  validatePatch,
+  writePath,
+} from './json-patch.js'
+import {
+  COLLECTION_MUTATIONS,
+  copyContainer,
+  isCollection,
+  isSamePath,
+  positionOf,
+  resolvePath,
+  restoreProperty,
+  topLevelProperty,
+  undoCollectionEntry,
+} from './deep-path.js'
 
 /**
  * Transaction journal system for Proxyable.
  * Implements transactional mutations with commit/rollback support.
  *
- * Mutations are intercepted and journaled instead of being applied immediately.
- * The journal can be inspected (dry-run), committed (applied via Reflect), or rolled back (discarded).
+ * Every mutation is journaled. Two isolation modes decide when it reaches the target:
+ * - 'immediate' (default): mutations are applied as they happen; rollback undoes them from the journal.
+ * - 'deferred': mutations are staged in a write-set that only the transaction reads through;
+ *   commit applies the write-set to the target atomically and rollback discards it.
+ *
+ * Concurrency is optimistic: every property of a target carries a version that grows with
+ * each write a transaction applies to it, and with each write made outside a transaction
+ * through a proxy the transaction interceptors are registered on. A transaction records the
+ * version of every property it reads or writes, and its commit fails with a
+ * TransactionConflictError if anything else has changed one of them since. Writes that bypass
+ * those proxies, such as direct writes to the target, are not versioned and can't conflict.
+ *
+ * On a deep proxy, mutations of nested objects and arrays (including those made by array
+ * methods such as push or sort) and of Map and Set values are journaled with their `path`.
+ * They count as writes to the top-level property they are under. Deferred transactions
+ * write them to private copies of the objects along the path, staged under that property.
+ */
+
+const ISOLATION_MODES = new Set(['immediate', 'deferred'])
+
+// Process-wide order of journal entries, so the journals of several transactions can be merged
+let journalSequence = 0
+
+// Target -> (property -> version), shared by every transaction context over the target
+const propertyVersions = new WeakMap()
+
+// Target -> transaction contexts registered on a proxy of it; their writes are versioned by
+// the transaction that makes them
+const registeredContexts = new WeakMap()
+
+/**
+ * Error thrown when a transaction commits after another transaction changed
+ * properties it read or wrote.
+ */
+export class TransactionConflictError extends Error {
+  /**
+   * @param {Array<string|symbol>} properties - The conflicting properties
+   */
+  constructor(properties) {
+    super(
+      `Transaction conflict: ${properties.map((prop) => `"${String(prop)}"`).join(', ')} changed since the transaction read them`
+    )
+    this.name = 'TransactionConflictError'
+    this.properties = properties
+  }
+}
+
+// Journal operations that change an own property; a durable journal can redo and undo them
+const PROPERTY_MUTATIONS = new Set(['set', 'delete', 'defineProperty'])
+
+/**
+ * Checks whether a durable journal can record an entry: a property or collection
+ * mutation whose path is made of string keys.
+ * @private
+ */
+function isDurableEntry(entry) {
+  if (entry.path && !entry.path.every((segment) => typeof segment === 'string')) return false
+  if (COLLECTION_MUTATIONS.has(entry.operation)) return true
+  return PROPERTY_MUTATIONS.has(entry.operation) && typeof entry.property === 'string'
+}
+
+/**
+ * Appends an entry to a transaction journal, stamping its process-wide sequence number.
+ * Property and collection mutations are written to the durable journal sink first, so
+ * they are on record before they reach the target.
+ * @private
+ */
+function appendJournalEntry(state, entry) {
+  entry.sequence = journalSequence++
+  if (state.journalSink && isDurableEntry(entry)) {
+    state.journalSink.append({ type: 'entry', transactionId: state.transactionId, entry })
+  }
+  state.journal.push(entry)
+}
+
+/**
+ * Checks whether an error reports a conflict with another transaction, which
+ * `run()` may resolve by running the transaction again.
+ * @private
+ */
+function isConflictError(error) {
+  return error?.name === 'TransactionConflictError'
+}
+
+/**
+ * Reads the current version of a target property.
+ * @private
+ */
+function getVersion(target, prop) {
+  return propertyVersions.get(target)?.get(prop) ?? 0
+}
+
+/**
+ * Bumps the version of a target property after a write.
+ * @private
+ * @returns {number} The new version
+ */
+function bumpVersion(target, prop) {
+  let versions = propertyVersions.get(target)
+  if (!versions) {
+    versions = new Map()
+    propertyVersions.set(target, versions)
+  }
+  const version = (versions.get(prop) ?? 0) + 1
+  versions.set(prop, version)
+  return version
+}
+
+/**
+ * Adds a property to the read-set with the version the transaction first sees.
+ * @private
+ */
+function observeProperty(target, state, prop) {
+  if (!state.readSet.has(prop)) state.readSet.set(prop, getVersion(target, prop))
+}
+
+/**
+ * Versions a write a transaction applies to the target. The read-set follows the
+ * write unless another transaction changed the property first, in which case the
+ * stale version stays and the commit conflicts.
+ * @private
+ */
+function recordWrite(target, state, prop) {
+  observeProperty(target, state, prop)
+  const owned = state.readSet.get(prop) === getVersion(target, prop)
+  const version = bumpVersion(target, prop)
+  state.writeVersions.set(prop, version)
+  if (owned) state.readSet.set(prop, version)
+}
+
+/**
+ * Reads an own property as the transaction sees it: the staged descriptor if the
+ * write-set holds one (undefined for a staged deletion), otherwise the target's.
+ * @private
+ */
+function readOwnDescriptor(target, state, prop) {
+  if (state.writeSet.has(prop)) return state.writeSet.get(prop)
+  return Reflect.getOwnPropertyDescriptor(target, prop)
+}
+
+/**
+ * Reads the prototype as the transaction sees it.
+ * @private
+ */
+function readPrototype(target, state) {
+  return state.prototypeWrite ? state.prototypeWrite.prototype : Reflect.getPrototypeOf(target)
+}
+
+/**
+ * Finds the descriptor a property lookup resolves to, own or inherited.
+ * @private
+ */
+function lookupDescriptor(target, state, prop) {
+  const own = readOwnDescriptor(target, state, prop)
+  if (own) return own
+  for (let proto = readPrototype(target, state); proto; proto = Reflect.getPrototypeOf(proto)) {
+    const inherited = Reflect.getOwnPropertyDescriptor(proto, prop)
+    if (inherited) return inherited
+  }
+  return undefined
+}
+
+/**
+ * Reads a property value as the transaction sees it.
+ * @private
+ */
+function readValue(target, state, prop, receiver) {
+  const descriptor = lookupDescriptor(target, state, prop)
+  if (!descriptor) return undefined
+  if (!('get' in descriptor) && !('set' in descriptor)) return descriptor.value
+  return descriptor.get ? Reflect.apply(descriptor.get, receiver, []) : undefined
+}
+
+/**
+ * Checks whether a value is a non-null object.
+ * @private
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null
+}
+
+/**
+ * Reads the object at a nested path as a deferred transaction sees it: through the
+ * write-set for the top-level property, then through the transaction's copies.
+ * @private
+ */
+function readNested(target, state, path) {
+  return resolvePath(readValue(target, state, path[0], target), path.slice(1))
+}
+
+/**
+ * Returns the object a deferred transaction sees in place of a nested proxy target:
+ * its copy once it wrote below it, or the target itself.
+ * @private
+ */
+function resolveNestedTarget(transactionCtx, state, target, path) {
+  const object = readNested(transactionCtx._target, state, path)
+  return isObject(object) ? object : target
+}
+
+/**
+ * Returns the deferred transaction's private copy of the object at a nested path,
+ * copying it and every object above it on first write. The top-level copy is staged
+ * in the write-set, so commit applies it like any other write.
+ * @private
+ * @returns {object|undefined} The copy, or undefined if the top-level property refuses it
+ */
+function stageNestedCopy(target, state, path) {
+  const [property, ...rest] = path
+  let container = readValue(target, state, property, target)
+  if (!isObject(container)) return undefined
+  if (!state.copies.has(container)) {
+    container = copyContainer(container)
+    if (!stageDefinition(target, state, property, { value: container })) return undefined
+    state.copies.add(container)
+  }
+  for (const segment of rest) {
+    let child = Reflect.get(container, segment)
+    if (!isObject(child)) return undefined
+    if (!state.copies.has(child)) {
+      child = copyContainer(child)
+      Reflect.set(container, segment, child)
+      state.copies.add(child)
+    }
+    container = child
+  }
+  return container
+}
+
+/**
+ * Stages a property definition in the write-set, validated like Object.defineProperty
+ * against the property as the transaction sees it. Definitions the Proxy could not
+ * report consistently before commit (new or newly non-configurable properties on
+ * a frozen shape) are refused.
+ * @private
+ * @returns {boolean} Whether the definition was staged
+ */
+function stageDefinition(target, state, prop, descriptor) {
+  const current = readOwnDescriptor(target, state, prop)
+  if (!current && !Reflect.isExtensible(target)) return false
+
+  // Let the engine validate and merge the definition on a scratch object
+  const scratch = {}
+  if (current) Reflect.defineProperty(scratch, prop, current)
+  if (!Reflect.defineProperty(scratch, prop, descriptor)) return false
+  const staged = Reflect.getOwnPropertyDescriptor(scratch, prop)
+
+  if (staged.configurable === false && (current?.configurable !== false || staged.writable !== current.writable)) {
+    return false
+  }
+
+  state.writeSet.set(prop, staged)
+  return true
+}
+
+/**
+ * Stages a property deletion in the write-set.
+ * @private
+ * @returns {boolean} Whether the deletion was staged
+ */
+function stageDeletion(target, state, prop) {
+  const current = readOwnDescriptor(target, state, prop)
+  if (!current) return true
+  if (current.configurable === false) return false
+
+  if (Reflect.getOwnPropertyDescriptor(target, prop)) {
+    // Hiding a target property is only consistent while the target is extensible
+    if (!Reflect.isExtensible(target)) return false
+    state.writeSet.set(prop, undefined)
+  } else {
+    state.writeSet.delete(prop)
+  }
+  return true
+}
+
+/**
+ * Stages an assignment in the write-set with ordinary assignment semantics:
+ * setters run immediately (their own writes through `this` are staged in turn),
+ * read-only properties refuse the write, and new properties are plain data properties.
+ * @private
+ * @returns {boolean} Whether the assignment succeeded
+ */
+function stageAssignment(target, state, prop, value, receiver) {
+  const descriptor = lookupDescriptor(target, state, prop)
+  if (descriptor && ('get' in descriptor || 'set' in descriptor)) {
+    if (!descriptor.set) return false
+    Reflect.apply(descriptor.set, receiver, [value])
+    return true
+  }
+  if (descriptor && !descriptor.writable) return false
+
+  const isOwn = readOwnDescriptor(target, state, prop) !== undefined
+  return stageDefinition(
+    target,
+    state,
+    prop,
+    isOwn ? { value } : { value, writable: true, enumerable: true, configurable: true }
+  )
+}
+
+/**
+ * Runs the compensation registered for a journaled call, recording the outcome in the report.
+ * @private
+ */
+function compensateEntry(state, entry, report) {
+  const compensation = state.compensations.get(entry.method)
+  if (!compensation) return
+
+  const outcome = { operation: entry.operation, method: entry.method, index: entry.index }
+  try {
+    compensation.compensate(entry.args, entry.result)
+    report.compensated.push(outcome)
+  } catch (error) {
+    report.failures.push({ ...outcome, error })
+    report.success = false
+  }
+}
+
+/**
+ * Undoes journaled entries, most recent first: restores previous values on the target
+ * (immediate isolation only; deferred mutations never reached it) and runs the
+ * compensations of journaled calls. A property another transaction has written since
+ * is left alone, so rolling back never clobbers someone else's change.
+ * @private
+ * @returns {object} Rollback report `{ success, compensated, failures }`
+ */
+function undoJournalEntries(target, state, entries) {
+  const report = { success: true, compensated: [], failures: [] }
+  const undoMutations = state.isolation === 'immediate'
+
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i]
+
+    if (entry.operation === 'apply' || entry.operation === 'construct') {
+      compensateEntry(state, entry, report)
+      continue
+    }
+    if (!undoMutations) continue
+
+    const property = topLevelProperty(entry)
+    if (property !== undefined) {
+      if (state.writeVersions.get(property) !== getVersion(target, property)) continue
+      recordWrite(target, state, property)
+    }
+
+    if (COLLECTION_MUTATIONS.has(entry.operation)) {
+      const collection = resolvePath(target, entry.path)
+      if (isCollection(collection)) undoCollectionEntry(collection, entry)
+      continue
+    }
+
+    // Nested entries are undone on the object at their path, which reverse order restores
+    let container = target
+    if (entry.path) {
+      container = resolvePath(target, 'property' in entry ? entry.path.slice(0, -1) : entry.path)
+      if (typeof container !== 'object' || container === null) continue
+    }
+
+    switch (entry.operation) {
+      case 'set': {
+        if (entry.hadProperty) {
+          // Restore previous value
+          Reflect.set(container, entry.property, entry.previousValue)
+        } else {
+          // Property didn't exist before, delete it
+          Reflect.deleteProperty(container, entry.property)
+          if (entry.previousLength !== undefined) Reflect.set(container, 'length', entry.previousLength)
+        }
+        break
+      }
+
+      case 'delete': {
+        // Restore deleted property
+        if (entry.previousValue !== undefined || entry.hadProperty) {
+          restoreProperty(container, entry.property, entry.previousValue, entry.position)
+        }
+        break
+      }
+
+      case 'defineProperty': {
+        if (entry.previousDescriptor) {
+          // Restore the original descriptor (fails silently if made non-configurable)
+          Reflect.defineProperty(container, entry.property, entry.previousDescriptor)
+        } else {
+          // Property didn't exist before, delete it
+          Reflect.deleteProperty(container, entry.property)
+        }
+        break
+      }
+
+      case 'setPrototypeOf': {
+        Reflect.setPrototypeOf(container, entry.previousPrototype)
+        break
+      }
+
+      case 'preventExtensions': {
+        // Extensibility can't be restored; it's journaled for audit purposes only
+        break
+      }
+
+      default: {
+        // Unknown operation type, skip
+        break
+      }
+    }
+  }
+
+  return report
+}
+
+/**
+ * Collects the net property changes of a transaction: for every property it touched,
+ * the descriptor it had before the transaction and the one it would commit.
+ * Properties that end up as they started are left out. A property changed through a
+ * nested path always counts as changed; in immediate isolation its value keeps its
+ * identity, so `previous` holds the same, already mutated object.
+ * @private
+ * @returns {Array<object>} `{ property, previous, next }` in the order properties were first touched
+ */
+function collectChanges(target, state) {
+  const touched = new Set()
+  const nested = new Set()
+  const before = new Map()
+
+  for (const entry of state.journal) {
+    const property = topLevelProperty(entry)
+    if (property !== undefined) touched.add(property)
+    if (entry.path) nested.add(property)
+    if (entry.path || !PROPERTY_MUTATIONS.has(entry.operation) || before.has(entry.property)) continue
+
+    if (entry.operation === 'defineProperty') {
+      before.set(entry.property, entry.previousDescriptor)
+    } else {
+      before.set(
+        entry.property,
+        entry.hadProperty
+          ? { value: entry.previousValue, writable: true, enumerable: true, configurable: true }
+          : undefined
+      )
+    }
+  }
+
+  const changes = []
+  for (const property of touched) {
+    // Deferred transactions never touch the target, so it still holds the previous value
+    const previous =
+      before.has(property) && !(nested.has(property) && state.isolation === 'deferred')
+        ? before.get(property)
+        : Reflect.getOwnPropertyDescriptor(target, property)
+    const next = readOwnDescriptor(target, state, property)
+    if (!previous && !next) continue
+    if (previous && next && 'value' in next && Object.is(previous.value, next.value) && !nested.has(property)) continue
+    changes.push({ property, previous, next })
+  }
+
+  return changes
+}
+
+/**
+ * Turns the per-index changes of an array target into a patch that applies in order:
+ * replacements first, then removals from the end, highest index first, then
+ * additions in ascending order. The `length` change is implied by them; indexes a
+ * shorter `length` cut off are removed too.
+ * @private
+ */
+function toArrayPatch(changes) {
+  const lengthChange = changes.find(({ property }) => property === 'length')
+  const operations = changes
+    .filter(({ property }) => property !== 'length')
+    .map(({ property, previous, next }) => ({ index: Number(property), previous, next }))
+
+  if (lengthChange) {
+    const removed = new Set(operations.filter(({ next }) => !next).map(({ index }) => index))
+    for (let index = lengthChange.next.value; index < lengthChange.previous.value; index++) {
+      if (!removed.has(index)) operations.push({ index, previous: true, next: undefined })
+    }
+  }
+
+  const replaced = operations.filter(({ previous, next }) => previous && next)
+  const removed = operations.filter(({ next }) => !next).sort((a, b) => b.index - a.index)
+  const added = operations.filter(({ previous }) => !previous).sort((a, b) => a.index - b.index)
+  return [...replaced, ...removed, ...added].map(({ index, previous, next }) => ({
+    property: String(index),
+    previous,
+    next,
+  }))
+}
+
+/**
+ * Reads the value a JSON Pointer refers to through the proxy.
+ * @private
+ */
+function readPatchPath(proxy, pointer) {
+  return readPath(proxy, parsePointer(pointer), pointer)
+}
+
+/**
+ * Adds, replaces or removes the value a JSON Pointer refers to through the proxy.
+ * A nested path replaces the top-level property with an updated copy, so the
+ * change is journaled like any other assignment. On an array target, adding and
+ * removing shift the elements that follow, as RFC 6902 requires.
+ * @private
+ */
+function writePatchPath(proxy, pointer, op, value) {
+  const [property, ...rest] = parsePointer(pointer)
+
+  if (rest.length === 0) {
+    writePath(proxy, [property], pointer, op, value)
+    return
+  }
+
+  if (!Object.hasOwn(proxy, property)) {
+    throw new Error(`JSON Patch path "${pointer}" does not exist`)
+  }
+  // On a deep proxy the property reads as a wrapper; the copy written back must be plain
+  const copy = cloneValue(proxy[property])
+  writePath(copy, rest, pointer, op, value)
+  proxy[property] = copy
+}
+
+/**
+ * Applies the operations of a JSON Patch through the proxy, in order.
+ * @private
+ * @throws {Error} If an operation's path does not exist or a test fails
+ */
+function applyPatch(proxy, patch) {
+  for (const operation of patch) {
+    const { op, path, from } = operation
+
+    switch (op) {
+      case 'add':
+      case 'replace': {
+        writePatchPath(proxy, path, op, structuredClone(operation.value))
+        break
+      }
+      case 'remove': {
+        writePatchPath(proxy, path, op)
+        break
+      }
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new Error(`JSON Patch cannot move "${from}" into itself`)
+        }
+        const value = cloneValue(readPatchPath(proxy, from))
+        if (path === from) break
+        writePatchPath(proxy, from, 'remove')
+        writePatchPath(proxy, path, 'add', value)
+        break
+      }
+      case 'copy': {
+        writePatchPath(proxy, path, 'add', cloneValue(readPatchPath(proxy, from)))
+        break
+      }
+      case 'test': {
+        if (!isEqualJSON(readPatchPath(proxy, path), operation.value)) {
+          throw new Error(`JSON Patch test failed at "${path}"`)
+        }
+        break
+      }
+    }
+  }
+}
+
+/**
+ * Returns the active transaction state if the caller runs inside a deferred transaction.
+ * @private
+ */
+function useDeferredState(transactionCtx) {
+  const txState = transactionCtx.context.tryUse()
+  if (!txState || !txState.active || txState.state.isolation !== 'deferred') return undefined
+  return txState.state
+}
+
+// Methods that mutate a Map or a Set
+const MAP_MUTATORS = new Set(['set', 'delete', 'clear'])
+const SET_MUTATORS = new Set(['add', 'delete', 'clear'])
+
+/**
+ * Describes a Map or Set mutation as a journal entry, before it is applied.
+ * @private
+ * @returns {object|undefined} The entry, or undefined if the call changes nothing
+ */
+function describeCollectionMutation(collection, path, method, args) {
+  const [key, value] = args
+
+  if (collection instanceof Map) {
+    switch (method) {
+      case 'set': {
+        return { operation: 'mapSet', path, key, value, previousValue: collection.get(key), hadKey: collection.has(key) }
+      }
+      case 'delete': {
+        if (!collection.has(key)) return undefined
+        return { operation: 'mapDelete', path, key, previousValue: collection.get(key), position: positionOf(collection, key) }
+      }
+      default: {
+        return collection.size > 0 ? { operation: 'mapClear', path, previousEntries: [...collection] } : undefined
+      }
+    }
+  }
+
+  switch (method) {
+    case 'add': {
+      return collection.has(key) ? undefined : { operation: 'setAdd', path, value: key }
+    }
+    case 'delete': {
+      return collection.has(key) ? { operation: 'setDelete', path, value: key, position: positionOf(collection, key) } : undefined
+    }
+    default: {
+      return collection.size > 0 ? { operation: 'setClear', path, previousValues: [...collection] } : undefined
+    }
+  }
+}
+
+/**
+ * Journals and applies a Map or Set mutation made through a view.
+ * A deferred transaction applies it to its private copy of the collection.
+ * @private
+ * @throws {TypeError} If the top-level property the collection is under refuses the staged copy
  */
+function mutateCollection(transactionCtx, collection, view, path, method, args) {
+  const txState = transactionCtx.context.tryUse()
+  let backing = collection
+
+  if (txState?.active) {
+    const state = txState.state
+    const deferred = state.isolation === 'deferred'
+    if (deferred) backing = resolveNestedTarget(transactionCtx, state, collection, path)
+
+    const entry = describeCollectionMutation(backing, path, method, args)
+    if (entry) {
+      appendJournalEntry(state, { ...entry, timestamp: Date.now(), index: state.journalIndex++ })
+      recordNestedWrite(transactionCtx, state, path)
+      if (deferred) backing = stageNestedCopy(transactionCtx._target, state, path)
+      if (backing === undefined) {
+        throw new TypeError(`Cannot stage a change below the read-only property "${String(path[0])}".`)
+      }
+    }
+  }
+
+  const result = Reflect.apply(Reflect.get(backing, method, backing), backing, args)
+  return result === backing ? view : result
+}
+
+/**
+ * Creates a view of a Map or Set read through a deep proxy during a transaction.
+ * Mutator methods are journaled with the collection's path; everything else is
+ * forwarded to the collection as the transaction sees it.
+ * @private
+ */
+function createCollectionView(transactionCtx, collection, path) {
+  const mutators = collection instanceof Map ? MAP_MUTATORS : SET_MUTATORS
+
+  const view = new Proxy(collection, {
+    get(_target, key) {
+      if (mutators.has(key)) {
+        return (...args) => mutateCollection(transactionCtx, collection, view, path, key, args)
+      }
+      const state = useDeferredState(transactionCtx)
+      const backing = state ? resolveNestedTarget(transactionCtx, state, collection, path) : collection
+      const value = Reflect.get(backing, key, backing)
+      // Collection methods need the collection itself as `this`
+      return typeof value === 'function' && key !== 'constructor' ? value.bind(backing) : value
+    },
+  })
+  return view
+}
 
 /**
  * Creates a transaction context with journaling and commit/rollback support.
  *
+ * Conflict detection covers writes made through a proxy the transaction interceptors are
+ * registered on, inside or outside a transaction. Writes straight to the target bypass it.
+ *
  * @param {object} target - The target object to track mutations for
+ * @param {object} [options] - Transaction options
+ * @param {string} [options.isolation='immediate'] - 'immediate' applies mutations as they happen;
+ *   'deferred' stages them in a write-set until commit
+ * @param {object} [options.compensations] - Compensations mapping method names to `{ compensate }` rules
+ *   Example:
+ *   {
+ *     charge: { compensate: (args, result) => refund(result.chargeId) },
+ *   }
+ * @param {object} [options.journalSink] - Durable journal sink; its `append(record)` receives the
+ *   begin, entry and outcome records of every transaction (see createFileJournalSink)
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Transaction API with call, commit, rollback, getDryRun, isActive, getJournal methods
+ * @throws {TypeError} If the isolation mode is unknown, a compensation has no compensate
+ *   function, or the journal sink has no append function
  */
-export function createTransactionContext(target) {
-  const transactionContext = createContext()
+export function createTransactionContext(target, options = {}) {
+  const { isolation = 'immediate', compensations = {}, journalSink } = options
+
+  if (!ISOLATION_MODES.has(isolation)) {
+    throw new TypeError(`Unknown transaction isolation mode: "${isolation}".`)
+  }
+  if (journalSink !== undefined && typeof journalSink?.append !== 'function') {
+    throw new TypeError('Transaction journal sink must have an append function.')
+  }
+
+  const transactionContext = createContext(options)
 
   // Internal transaction state - shared with interceptors
   const transactionState = {
     journal: [],
     journalIndex: 0,
     isActive: false,
+    isolation,
+    // Deferred isolation: property -> staged descriptor (undefined marks a deletion)
+    writeSet: new Map(),
+    // Deferred isolation: { prototype } once setPrototypeOf was staged
+    prototypeWrite: undefined,
+    // Deferred isolation: objects copied for nested writes since the last savepoint
+    copies: new WeakSet(),
+    // Open savepoints, oldest first
+    savepoints: [],
+    // Method name -> { compensate } run for journaled calls on rollback
+    compensations: new Map(),
+    // Property -> version the transaction expects it to have at commit
+    readSet: new Map(),
+    // Property -> version produced by the transaction's latest write to it
+    writeVersions: new Map(),
+    // Durable journal: sink receiving the records, and the id they are filed under
+    journalSink,
+    transactionId: undefined,
+    // Proxy the context was registered on; JSON patches are applied through it
+    proxy: undefined,
+  }
+
+  // Lifecycle hook listeners, in registration order
+  const hooks = { beforeCommit: [], afterCommit: [], afterRollback: [] }
+
+  /**
+   * Starts a transaction, recording its beginning in the durable journal.
+   * @private
+   */
+  function beginTransaction() {
+    transactionState.isActive = true
+    transactionState.transactionId = randomUUID()
+    transactionState.journalSink?.append({
+      type: 'begin',
+      transactionId: transactionState.transactionId,
+      timestamp: Date.now(),
+    })
+  }
+
+  /**
+   * Clears the journal and write-set and ends the transaction, recording its
+   * outcome in the durable journal.
+   * @private
+   * @param {string} outcome - 'commit' or 'rollback'
+   * @param {object} [report] - The rollback report, passed on to afterRollback listeners
+   * @returns {object} The event for the afterCommit or afterRollback listeners
+   */
+  function endTransaction(outcome, report) {
+    const event = { transactionId: transactionState.transactionId, journal: getJournal() }
+    if (report) event.report = report
+
+    transactionState.journalSink?.append({ type: outcome, transactionId: transactionState.transactionId })
+    transactionState.journal = []
+    transactionState.journalIndex = 0
+    transactionState.writeSet = new Map()
+    transactionState.prototypeWrite = undefined
+    transactionState.copies = new WeakSet()
+    transactionState.savepoints = []
+    transactionState.readSet = new Map()
+    transactionState.writeVersions = new Map()
+    transactionState.transactionId = undefined
+    transactionState.isActive = false
+    transactionContext.unset()
+
+    return event
+  }
+
+  /**
+   * Calls the afterCommit or afterRollback listeners of an ended transaction.
+   * A failing listener does not stop the others.
+   * @private
+   * @param {string} outcome - 'commit' or 'rollback'
+   * @param {object} event - The event returned by endTransaction
+   * @returns {Array<Error>} The errors thrown by listeners
+   */
+  function notifyHooks(outcome, event) {
+    // Copied, so listeners can dispose themselves while being notified
+    const listeners = [...(outcome === 'commit' ? hooks.afterCommit : hooks.afterRollback)]
+    const errors = []
+    for (const listener of listeners) {
+      try {
+        listener(event)
+      } catch (error) {
+        errors.push(error)
+      }
+    }
+    return errors
+  }
+
+  /**
+   * Calls the beforeCommit listeners; the first one to throw vetoes the commit.
+   * @private
+   */
+  function runBeforeCommit() {
+    const event = { transactionId: transactionState.transactionId, journal: getJournal() }
+    const listeners = [...hooks.beforeCommit]
+    for (const listener of listeners) {
+      listener(event)
+    }
+  }
+
+  /**
+   * Adds a listener to a hook.
+   * @private
+   */
+  function subscribe(listeners, listener) {
+    if (typeof listener !== 'function') {
+      throw new TypeError('Transaction hook listener must be a function.')
+    }
+    listeners.push(listener)
+    return () => {
+      const index = listeners.indexOf(listener)
+      if (index === -1) return false
+      listeners.splice(index, 1)
+      return true
+    }
+  }
+
+  /**
+   * Rolls back the transaction without notifying the afterRollback listeners.
+   * @private
+   * @returns {object} `{ report, event }` with the rollback report and the event for the listeners
+   */
+  function rollbackTransaction() {
+    // Restore previous values in reverse order
+    const report = undoJournalEntries(target, transactionState, transactionState.journal)
+    return { report, event: endTransaction('rollback', report) }
+  }
+
+  /**
+   * Finds the position of an open savepoint.
+   * @private
+   * @throws {Error} If the savepoint does not exist or was already released
+   */
+  function findSavepoint(id) {
+    const position = transactionState.savepoints.findIndex((savepoint) => savepoint.id === id)
+    if (position === -1) {
+      throw new Error(`Savepoint "${id}" not found`)
+    }
+    return position
+  }
+
+  /**
+   * Applies the write-set to the target. If any write is refused, the writes
+   * applied so far are reverted and the write-set is kept.
+   * @private
+   * @returns {Function} Reverts the applied writes, for coordinators committing several transactions
+   * @throws {Error} If the target refuses a staged write
+   */
+  function applyWriteSet() {
+    const applied = []
+    const revert = () => {
+      for (const [prop, previous] of applied.reverse()) {
+        if (prop === undefined) {
+          Reflect.setPrototypeOf(target, previous)
+          continue
+        }
+        if (previous) Reflect.defineProperty(target, prop, previous)
+        else Reflect.deleteProperty(target, prop)
+        recordWrite(target, transactionState, prop)
+      }
+    }
+
+    for (const [prop, descriptor] of transactionState.writeSet) {
+      const previous = Reflect.getOwnPropertyDescriptor(target, prop)
+      const ok = descriptor ? Reflect.defineProperty(target, prop, descriptor) : Reflect.deleteProperty(target, prop)
+      if (!ok) {
+        revert()
+        throw new Error(`Transaction commit failed: the target refused the write to "${String(prop)}"`)
+      }
+      applied.push([prop, previous])
+      recordWrite(target, transactionState, prop)
+    }
+
+    if (transactionState.prototypeWrite) {
+      const previous = Reflect.getPrototypeOf(target)
+      if (!Reflect.setPrototypeOf(target, transactionState.prototypeWrite.prototype)) {
+        revert()
+        throw new Error('Transaction commit failed: the target refused the prototype change')
+      }
+      applied.push([undefined, previous])
+    }
+
+    return revert
   }
 
   /**
    * Executes a function within a transaction context.
-   * All mutations during execution are journaled instead of applied.
+   * All mutations during execution are journaled.
+   *
+   * A nested call runs inside a savepoint: if it throws (or its promise rejects),
+   * only the mutations it made are rolled back and its calls compensated before the
+   * error propagates. If a compensation fails too, an AggregateError carrying the
+   * original error first is thrown instead.
    *
    * @param {Function} fn - The function to execute within transaction context
    * @returns {*} The result of the function
    */
   function call(fn) {
-    if (transactionState.isActive) {
-      // Already in a transaction, just execute the function
-      return fn()
+    if (transactionContext.tryUse()) {
+      return callNested(fn)
     }
 
-    transactionState.isActive = true
+    if (!transactionState.isActive) {
+      beginTransaction()
+    }
     try {
       return transactionContext.call({ active: true, state: transactionState }, fn)
     } finally {
@@ -45,77 +946,339 @@ export function createTransactionContext(target) {
     }
   }
 
+  /**
+   * Runs a nested call inside its own savepoint.
+   * @private
+   */
+  function callNested(fn) {
+    const id = savepoint()
+    const fail = (error) => {
+      const report = rollbackTo(id)
+      release(id)
+      if (!report.success) {
+        throw new AggregateError(
+          [error, ...report.failures.map((failure) => failure.error)],
+          `Nested transaction call failed and ${report.failures.length} compensation(s) failed`
+        )
+      }
+      throw error
+    }
+
+    let result
+    try {
+      result = fn()
+    } catch (error) {
+      fail(error)
+    }
+
+    if (typeof result?.then === 'function') {
+      return result.then((value) => {
+        release(id)
+        return value
+      }, fail)
+    }
+
+    release(id)
+    return result
+  }
+
+  /**
+   * Runs a function as a whole transaction: commits when it returns (or its promise
+   * resolves) and rolls back when it throws (or its promise rejects). A transaction
+   * that fails with a conflict error is rolled back and run again, up to `retries` times.
+   *
+   * An async function needs an async transaction context (`asyncContext`, or
+   * `configureContext`): a sync context is lost at the first `await`, so later writes
+   * would escape the journal and the rollback. Without one, run rolls back what the
+   * function wrote before returning its promise and throws.
+   *
+   * @param {Function} fn - The function to execute within the transaction
+   * @param {object} [options] - Run options
+   * @param {boolean} [options.autoCommit=true] - Commit on success; when false the
+   *   transaction is left active for the caller to commit or roll back
+   * @param {number} [options.retries=0] - How many times to retry after a conflict error
+   * @returns {object|Promise<object>} `{ result, journal }` with the journal of the applied transaction
+   * @throws {Error} If a transaction is already active, `fn` returns a promise but the
+   *   context is not async, or the error that ended the last attempt; an AggregateError
+   *   if compensations failed while rolling back
+   */
+  function run(fn, options = {}) {
+    const { autoCommit = true, retries = 0 } = options
+
+    if (transactionState.isActive) {
+      throw new Error('Cannot run a transaction while another is active')
+    }
+
+    const attempt = (retriesLeft) => {
+      const fail = (error) => {
+        if (transactionState.isActive) {
+          const report = rollback()
+          if (!report.success) {
+            throw new AggregateError(
+              [error, ...report.failures.map((failure) => failure.error)],
+              `Transaction failed and ${report.failures.length} compensation(s) failed`
+            )
+          }
+        }
+        if (retriesLeft > 0 && isConflictError(error)) {
+          return attempt(retriesLeft - 1)
+        }
+        throw error
+      }
+
+      const finish = (result) => {
+        const journal = getJournal()
+        if (autoCommit) {
+          try {
+            commit()
+          } catch (error) {
+            return fail(error)
+          }
+        }
+        return { result, journal }
+      }
+
+      let result
+      try {
+        result = call(fn)
+      } catch (error) {
+        return fail(error)
+      }
+
+      if (typeof result?.then === 'function') {
+        if (!transactionContext.asyncContext) {
+          // The caller gets the error below; the abandoned promise must not reject unhandled
+          result.then(undefined, () => {})
+          return fail(
+            new Error(
+              'Transaction function returned a promise, but the transaction context is not async. ' +
+                'Create it with { asyncContext: true } or call configureContext({ asyncContext: true }) first.'
+            )
+          )
+        }
+        return result.then(finish, fail)
+      }
+      return finish(result)
+    }
+
+    return attempt(retries)
+  }
+
+  /**
+   * Marks the current point of the transaction so later mutations can be
+   * rolled back with `rollbackTo` without ending the transaction.
+   *
+   * @returns {string} The savepoint id
+   * @throws {Error} If no transaction is active
+   */
+  function savepoint() {
+    if (!transactionState.isActive) {
+      throw new Error('No active transaction for savepoint')
+    }
+
+    const id = randomUUID()
+    transactionState.savepoints.push({
+      id,
+      journalLength: transactionState.journal.length,
+      writeSet: new Map(transactionState.writeSet),
+      prototypeWrite: transactionState.prototypeWrite,
+    })
+    // The savepoint keeps the copies staged so far; later nested writes copy them again
+    transactionState.copies = new WeakSet()
+    return id
+  }
+
+  /**
+   * Rolls back the mutations made since a savepoint and compensates the calls made since.
+   * The savepoint stays open; savepoints created after it are released.
+   *
+   * @param {string} id - The savepoint id returned by `savepoint()`
+   * @returns {object} Rollback report `{ success, compensated, failures }`
+   * @throws {Error} If the savepoint does not exist
+   */
+  function rollbackTo(id) {
+    const position = findSavepoint(id)
+    const marker = transactionState.savepoints[position]
+
+    const undone = transactionState.journal.splice(marker.journalLength)
+    if (undone.length > 0) {
+      transactionState.journalSink?.append({
+        type: 'rollbackTo',
+        transactionId: transactionState.transactionId,
+        sequence: undone[0].sequence,
+      })
+    }
+    const report = undoJournalEntries(target, transactionState, undone)
+    if (transactionState.isolation === 'deferred') {
+      transactionState.writeSet = new Map(marker.writeSet)
+      transactionState.prototypeWrite = marker.prototypeWrite
+      transactionState.copies = new WeakSet()
+    }
+
+    transactionState.savepoints.length = position + 1
+    return report
+  }
+
+  /**
+   * Releases a savepoint and every savepoint created after it.
+   * Their mutations stay part of the transaction.
+   *
+   * @param {string} id - The savepoint id returned by `savepoint()`
+   * @throws {Error} If the savepoint does not exist
+   */
+  function release(id) {
+    transactionState.savepoints.length = findSavepoint(id)
+  }
+
+  /**
+   * Validates the read-set: every property the transaction read or wrote must still
+   * have the version the transaction expects.
+   * @private
+   * @throws {TransactionConflictError} If another transaction changed any of them
+   */
+  function checkConflicts() {
+    const conflicts = []
+    for (const [prop, version] of transactionState.readSet) {
+      if (getVersion(target, prop) !== version) conflicts.push(prop)
+    }
+    if (conflicts.length > 0) {
+      throw new TransactionConflictError(conflicts)
+    }
+  }
+
   /**
    * Commits all pending mutations.
-   * Mutations were already applied during the transaction, so this just clears the journal.
+   * In immediate isolation the mutations were already applied, so this just clears the journal.
+   * In deferred isolation the write-set is applied to the target atomically.
+   * beforeCommit listeners run first and may veto; afterCommit listeners run once the
+   * transaction has ended.
    * @returns {boolean} True if commit succeeded
+   * @throws {TransactionConflictError} If another transaction changed a property this one
+   *   read or wrote; the transaction stays active so it can be rolled back
+   * @throws {Error} If a beforeCommit listener vetoes or the target refuses a staged write;
+   *   the target is left unchanged and the transaction stays active
+   * @throws {AggregateError} If afterCommit listeners failed; the transaction is committed
    */
   function commit() {
     if (!transactionState.isActive) {
       throw new Error('No active transaction to commit')
     }
 
-    // Mutations were already applied during transaction
-    // Commit just means "keep them" and clear the journal
-    transactionState.journal = []
-    transactionState.journalIndex = 0
-    transactionState.isActive = false
-    transactionContext.unset()
+    runBeforeCommit()
+    checkConflicts()
+
+    if (transactionState.isolation === 'deferred') {
+      applyWriteSet()
+    }
+
+    const errors = notifyHooks('commit', endTransaction('commit'))
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `Transaction committed, but ${errors.length} afterCommit hook(s) failed`)
+    }
 
     return true
   }
 
   /**
-   * Rolls back all pending mutations by restoring previous values.
+   * Rolls back all pending mutations.
+   * In immediate isolation previous values are restored from the journal;
+   * in deferred isolation the write-set is discarded and the target was never touched.
+   * Journaled calls with a registered compensation are compensated, most recent first.
+   * A failing compensation does not stop the rollback; it is listed in the report.
+   *
+   * afterRollback listeners run once the transaction has ended.
+   *
+   * @returns {object} Rollback report `{ success, compensated, failures }`
+   * @throws {AggregateError} If afterRollback listeners failed; the transaction is rolled
+   *   back and the error carries the rollback `report`
    */
   function rollback() {
     if (!transactionState.isActive) {
       throw new Error('No active transaction to rollback')
     }
 
-    // Restore previous values in reverse order
-    for (let i = transactionState.journal.length - 1; i >= 0; i--) {
-      const entry = transactionState.journal[i]
-
-      switch (entry.operation) {
-        case 'set': {
-          if (entry.previousValue === undefined && !Reflect.has(target, entry.property)) {
-            // Property didn't exist before, delete it
-            Reflect.deleteProperty(target, entry.property)
-          } else {
-            // Restore previous value
-            Reflect.set(target, entry.property, entry.previousValue)
-          }
-          break
-        }
+    const { report, event } = rollbackTransaction()
+    const errors = notifyHooks('rollback', event)
+    if (errors.length > 0) {
+      throw Object.assign(
+        new AggregateError(errors, `Transaction rolled back, but ${errors.length} afterRollback hook(s) failed`),
+        { report }
+      )
+    }
+    return report
+  }
 
-        case 'delete': {
-          // Restore deleted property
-          if (entry.previousValue !== undefined || entry.hadProperty) {
-            Reflect.set(target, entry.property, entry.previousValue)
-          }
-          break
-        }
+  /**
+   * Registers a listener called with `{ transactionId, journal }` before a commit is
+   * applied. Throwing from the listener vetoes the commit: the error reaches the caller
+   * of `commit` and the transaction stays active.
+   *
+   * @param {Function} listener - The listener
+   * @returns {Function} A disposer that removes the listener, returning whether it was still registered
+   * @throws {TypeError} If the listener is not a function
+   */
+  function onBeforeCommit(listener) {
+    return subscribe(hooks.beforeCommit, listener)
+  }
 
-        case 'apply':
-        case 'construct': {
-          // Function calls and constructions can't be rolled back
-          // They're journaled for audit purposes only
-          break
-        }
+  /**
+   * Registers a listener called with `{ transactionId, journal }` once a transaction
+   * has committed, with the journal of the committed mutations.
+   *
+   * @param {Function} listener - The listener
+   * @returns {Function} A disposer that removes the listener, returning whether it was still registered
+   * @throws {TypeError} If the listener is not a function
+   */
+  function onAfterCommit(listener) {
+    return subscribe(hooks.afterCommit, listener)
+  }
 
-        default: {
-          // Unknown operation type, skip
-          break
-        }
-      }
+  /**
+   * Registers a listener called with `{ transactionId, journal, report }` once a
+   * transaction has rolled back, with the journal of the discarded mutations and the
+   * rollback report.
+   *
+   * @param {Function} listener - The listener
+   * @returns {Function} A disposer that removes the listener, returning whether it was still registered
+   * @throws {TypeError} If the listener is not a function
+   */
+  function onAfterRollback(listener) {
+    return subscribe(hooks.afterRollback, listener)
+  }
+
+  /**
+   * Registers the compensation run for a method's journaled calls on rollback.
+   *
+   * @param {string} methodName - Name of the function or class, as journaled in `method`
+   * @param {object} compensation - Compensation rules
+   * @param {Function} compensation.compensate - Called as `compensate(args, result)`
+   * @throws {TypeError} If `compensate` is not a function
+   */
+  function setCompensation(methodName, compensation) {
+    if (typeof compensation?.compensate !== 'function') {
+      throw new TypeError(`Compensation for "${methodName}" must have a compensate function.`)
     }
+    transactionState.compensations.set(methodName, compensation)
+  }
 
-    // Clear transaction state
-    transactionState.journal = []
-    transactionState.journalIndex = 0
-    transactionState.isActive = false
-    transactionContext.unset()
+  /**
+   * Gets the compensation registered for a method.
+   *
+   * @param {string} methodName - Name of the method
+   * @returns {object|undefined} The compensation, or undefined
+   */
+  function getCompensation(methodName) {
+    return transactionState.compensations.get(methodName)
+  }
+
+  /**
+   * Removes the compensation registered for a method.
+   *
+   * @param {string} methodName - Name of the method
+   * @returns {boolean} True if a compensation was removed
+   */
+  function removeCompensation(methodName) {
+    return transactionState.compensations.delete(methodName)
   }
 
   /**
@@ -129,6 +1292,67 @@ export function createTransactionContext(target) {
     return transactionState.journal.map(entry => ({ ...entry }))
   }
 
+  /**
+   * Describes the pending changes as a JSON Patch (RFC 6902): one operation per
+   * property whose value would change on commit, in the order they were first
+   * changed. Symbol-keyed properties are left out. For an array target the operations
+   * are ordered so that removals and additions apply at the right indexes, and
+   * `length` is left out. Values are copies, so later mutations don't change the patch.
+   *
+   * @returns {Array<object>} The patch operations; empty when no transaction is active
+   * @throws {TypeError} If a changed property is an accessor, which JSON cannot represent
+   */
+  function toJSONPatch() {
+    const changes = collectChanges(target, transactionState).filter(({ property }) => typeof property === 'string')
+    return (Array.isArray(target) ? toArrayPatch(changes) : changes)
+      .map(({ property, previous, next }) => {
+        const path = formatPointer([property])
+        if (!next) return { op: 'remove', path }
+        if (!('value' in next)) {
+          throw new TypeError(`Property "${property}" is an accessor and cannot be represented in a JSON Patch.`)
+        }
+        // A copy, so later mutations of the live value don't change the emitted patch
+        return { op: previous ? 'replace' : 'add', path, value: structuredClone(next.value) }
+      })
+  }
+
+  /**
+   * Applies a JSON Patch (RFC 6902) as a transaction. The operations go through the
+   * proxy the context is registered on, so they are journaled and other interceptors
+   * such as access control still apply.
+   * The patch is atomic: without an active transaction it runs as one (committed on
+   * success); inside a transaction it runs in a savepoint. If any operation fails,
+   * none of the patch is kept.
+   *
+   * @param {Array<object>} patch - The patch operations
+   * @returns {Array} The journal entries the patch made
+   * @throws {TypeError} If the patch is malformed or the context is not registered on a proxy
+   * @throws {Error} If an operation's path does not exist or a test fails
+   */
+  function fromJSONPatch(patch) {
+    validatePatch(patch)
+    const proxy = transactionState.proxy
+    if (!proxy) {
+      throw new TypeError('Transaction context must be registered on a proxy to apply a JSON Patch.')
+    }
+
+    if (!transactionState.isActive) {
+      return run(() => applyPatch(proxy, patch)).journal
+    }
+
+    const start = transactionState.journal.length
+    const id = savepoint()
+    try {
+      call(() => applyPatch(proxy, patch))
+    } catch (error) {
+      rollbackTo(id)
+      release(id)
+      throw error
+    }
+    release(id)
+    return getJournal().slice(start)
+  }
+
   /**
    * Checks if a transaction is currently active.
    *
@@ -138,6 +1362,17 @@ export function createTransactionContext(target) {
     return transactionState.isActive
   }
 
+  /**
+   * Gets the version of a target property. It grows with every write a transaction
+   * applies to the property.
+   *
+   * @param {string|symbol} prop - The property
+   * @returns {number} The current version, 0 if no transaction has written it
+   */
+  function getPropertyVersion(prop) {
+    return getVersion(target, prop)
+  }
+
   /**
    * Gets the complete mutation journal.
    *
@@ -147,50 +1382,134 @@ export function createTransactionContext(target) {
     return transactionState.journal.map(entry => ({ ...entry }))
   }
 
+  for (const [methodName, compensation] of Object.entries(compensations)) {
+    setCompensation(methodName, compensation)
+  }
+
   return {
     call,
+    run,
     commit,
     rollback,
+    savepoint,
+    rollbackTo,
+    release,
+    setCompensation,
+    getCompensation,
+    removeCompensation,
     getDryRun,
+    toJSONPatch,
+    fromJSONPatch,
     isActive,
     getJournal,
+    getVersion: getPropertyVersion,
+    onBeforeCommit,
+    onAfterCommit,
+    onAfterRollback,
     context: transactionContext,
     // Internal: expose state for interceptors
     _state: transactionState,
+    // Internal: used by the transaction manager to commit several transactions together
+    _target: target,
+    _checkConflicts: checkConflicts,
+    _getChanges: () => collectChanges(target, transactionState),
+    _applyWriteSet: applyWriteSet,
+    _beforeCommit: runBeforeCommit,
+    _endTransaction: endTransaction,
+    _rollback: rollbackTransaction,
+    _notifyHooks: notifyHooks,
+  }
+}
+
+/**
+ * Versions a nested mutation as a write to the top-level property it is under:
+ * observed in deferred isolation, applied in immediate isolation.
+ * @private
+ */
+function recordNestedWrite(transactionCtx, state, path) {
+  if (state.isolation === 'deferred') observeProperty(transactionCtx._target, state, path[0])
+  else recordWrite(transactionCtx._target, state, path[0])
+}
+
+/**
+ * Versions a write made through the proxy outside a transaction, so transactions that
+ * read or wrote the property conflict on commit. A nested write versions its top-level property.
+ * A write made inside the transaction of another context registered on the target belongs to
+ * that transaction, which versions it itself.
+ * @private
+ */
+function recordUntrackedWrite(transactionCtx, prop, path) {
+  const target = transactionCtx._target
+  for (const other of registeredContexts.get(target) ?? []) {
+    if (other.context.tryUse()?.active) return
   }
+  bumpVersion(target, path?.length > 1 ? path[0] : prop)
 }
 
 /**
  * Creates a set interceptor that journals mutations.
- * Mutations are applied to the target but journaled with previous values for rollback.
+ * In immediate isolation mutations are applied to the target but journaled with previous values for rollback;
+ * in deferred isolation they are staged in the write-set.
+ * On a deep proxy, nested assignments (including those made by array methods) are journaled with their `path`.
  *
  * @param {object} transactionCtx - The transaction context created by createTransactionContext
  * @returns {Function} Interceptor function for set trap
  */
 export function createTransactionSetInterceptor(transactionCtx) {
-  return (target, prop, value, receiver) => {
+  return (target, prop, value, receiver, path) => {
     const txState = transactionCtx.context.tryUse()
     if (!txState || !txState.active) {
-      // No active transaction - allow operation to continue
+      // No active transaction - version the write and allow it to continue
+      recordUntrackedWrite(transactionCtx, prop, path)
       return undefined
     }
 
+    const state = transactionCtx._state
+    const deferred = state.isolation === 'deferred'
+    const nested = path?.length > 1
+
+    // Nested writes of a deferred transaction read the object as the transaction sees it
+    const container = nested && deferred ? resolveNestedTarget(transactionCtx, state, target, path.slice(0, -1)) : target
+
     // Get previous value for journal BEFORE applying the mutation
-    const hadProperty = Reflect.has(target, prop)
-    const previousValue = hadProperty ? Reflect.get(target, prop, receiver) : undefined
+    let hadProperty, previousValue
+    if (deferred && !nested) {
+      hadProperty = lookupDescriptor(target, state, prop) !== undefined
+      previousValue = hadProperty ? readValue(target, state, prop, receiver) : undefined
+    } else {
+      hadProperty = Reflect.has(container, prop)
+      previousValue = hadProperty ? Reflect.get(container, prop, receiver) : undefined
+    }
 
     // Record in journal using internal state
     const entry = {
       operation: 'set',
       property: prop,
+      ...(nested && { path }),
       value,
       previousValue,
       hadProperty,
+      // Adding an element past the end grows the array, which deleting it won't undo
+      ...(!hadProperty && Array.isArray(container) && { previousLength: container.length }),
       timestamp: Date.now(),
-      index: transactionCtx._state.journalIndex++,
+      index: state.journalIndex++,
+    }
+
+    appendJournalEntry(state, entry)
+
+    if (nested) {
+      recordNestedWrite(transactionCtx, state, path)
+      if (!deferred) return undefined
+      const copy = stageNestedCopy(transactionCtx._target, state, path.slice(0, -1))
+      return copy !== undefined && Reflect.set(copy, prop, value)
     }
 
-    transactionCtx._state.journal.push(entry)
+    if (deferred) {
+      observeProperty(target, state, prop)
+      return stageAssignment(target, state, prop, value, receiver)
+    }
+
+    recordWrite(target, state, prop)
 
     // Allow the operation to continue (mutation will be applied)
     // This allows subsequent reads to see the new value during the transaction
@@ -200,34 +1519,66 @@ export function createTransactionSetInterceptor(transactionCtx) {
 
 /**
  * Creates a deleteProperty interceptor that journals deletions.
- * Deletions are applied to the target but journaled with previous values for rollback.
+ * In immediate isolation deletions are applied to the target but journaled with previous values for rollback;
+ * in deferred isolation they are staged in the write-set.
  *
  * @param {object} transactionCtx - The transaction context created by createTransactionContext
  * @returns {Function} Interceptor function for deleteProperty trap
  */
 export function createTransactionDeletePropertyInterceptor(transactionCtx) {
-  return (target, prop) => {
+  return (target, prop, path) => {
     const txState = transactionCtx.context.tryUse()
     if (!txState || !txState.active) {
-      // No active transaction - allow operation to continue
+      // No active transaction - version the write and allow it to continue
+      recordUntrackedWrite(transactionCtx, prop, path)
       return undefined
     }
 
+    const state = transactionCtx._state
+    const deferred = state.isolation === 'deferred'
+    const nested = path?.length > 1
+    const container = nested && deferred ? resolveNestedTarget(transactionCtx, state, target, path.slice(0, -1)) : target
+
     // Get previous value for journal BEFORE applying the deletion
-    const hadProperty = Reflect.has(target, prop)
-    const previousValue = hadProperty ? Reflect.get(target, prop) : undefined
+    let hadProperty, previousValue
+    if (deferred && !nested) {
+      hadProperty = lookupDescriptor(target, state, prop) !== undefined
+      previousValue = hadProperty ? readValue(target, state, prop, target) : undefined
+    } else {
+      hadProperty = Reflect.has(container, prop)
+      previousValue = hadProperty ? Reflect.get(container, prop) : undefined
+    }
 
     // Record in journal using internal state
     const entry = {
       operation: 'delete',
       property: prop,
+      ...(nested && { path }),
       previousValue,
       hadProperty,
+      // Where the key sat among the string keys, so rolling back re-inserts it there
+      ...(typeof prop === 'string' &&
+        !Array.isArray(container) &&
+        Object.hasOwn(container, prop) && { position: Object.getOwnPropertyNames(container).indexOf(prop) }),
       timestamp: Date.now(),
-      index: transactionCtx._state.journalIndex++,
+      index: state.journalIndex++,
+    }
+
+    appendJournalEntry(state, entry)
+
+    if (nested) {
+      recordNestedWrite(transactionCtx, state, path)
+      if (!deferred) return undefined
+      const copy = stageNestedCopy(transactionCtx._target, state, path.slice(0, -1))
+      return copy !== undefined && Reflect.deleteProperty(copy, prop)
+    }
+
+    if (deferred) {
+      observeProperty(target, state, prop)
+      return stageDeletion(target, state, prop)
     }
 
-    transactionCtx._state.journal.push(entry)
+    recordWrite(target, state, prop)
 
     // Allow the operation to continue (deletion will be applied)
     return undefined
@@ -235,81 +1586,433 @@ export function createTransactionDeletePropertyInterceptor(transactionCtx) {
 }
 
 /**
- * Creates an apply interceptor that journals function calls.
+ * Journals a call made during a transaction under the method name its compensation is
+ * registered with.
+ * @private
+ */
+function journalCall(state, method, args, thisArg, result) {
+  appendJournalEntry(state, {
+    operation: 'apply',
+    method,
+    args,
+    thisArg,
+    result,
+    timestamp: Date.now(),
+    index: state.journalIndex++,
+  })
+}
+
+/**
+ * Creates an apply middleware that journals function calls.
+ * Calls are journaled under the function's name so rollback can run its compensation.
+ * The call itself is made once, by the rest of the chain.
  *
  * @param {object} transactionCtx - The transaction context created by createTransactionContext
- * @returns {Function} Interceptor function for apply trap
+ * @returns {Function} Middleware `(ctx, next)` for the apply trap
  */
 export function createTransactionApplyInterceptor(transactionCtx) {
-  return (target, thisArg, argsList) => {
+  return (ctx, next) => {
+    const txState = transactionCtx.context.tryUse()
+    if (!txState || !txState.active) return next()
+
+    const result = next()
+    journalCall(transactionCtx._state, ctx.target.name || 'anonymous', ctx.argsList, ctx.thisArg, result)
+    return result
+  }
+}
+
+/**
+ * Creates a construct interceptor that journals constructor calls.
+ * Constructions are journaled under the class name so rollback can run its compensation.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Interceptor function for construct trap
+ */
+export function createTransactionConstructInterceptor(transactionCtx) {
+  return (target, argsList, newTarget) => {
     const txState = transactionCtx.context.tryUse()
     if (!txState || !txState.active) {
       // No active transaction - allow operation to continue
       return undefined
     }
 
-    // Execute the function and capture the result
-    const result = Reflect.apply(target, thisArg, argsList)
+    // Execute the constructor and capture the result
+    const result = Reflect.construct(target, argsList, newTarget)
 
     // Record in journal using internal state
     const entry = {
-      operation: 'apply',
+      operation: 'construct',
+      method: target.name || 'anonymous',
       args: argsList,
-      thisArg,
       result,
       timestamp: Date.now(),
       index: transactionCtx._state.journalIndex++,
     }
 
-    transactionCtx._state.journal.push(entry)
+    appendJournalEntry(transactionCtx._state, entry)
 
-    // Return the result of the function call
+    // Return the constructed instance
     return result
   }
 }
 
 /**
- * Creates a construct interceptor that journals constructor calls.
+ * Creates a defineProperty interceptor that journals property definitions.
+ * The previous own descriptor is journaled so rollback can restore it exactly.
+ * In deferred isolation the definition is staged in the write-set.
  *
  * @param {object} transactionCtx - The transaction context created by createTransactionContext
- * @returns {Function} Interceptor function for construct trap
+ * @returns {Function} Interceptor function for defineProperty trap
  */
-export function createTransactionConstructInterceptor(transactionCtx) {
-  return (target, argsList, newTarget) => {
+export function createTransactionDefinePropertyInterceptor(transactionCtx) {
+  return (target, prop, descriptor, path) => {
+    const txState = transactionCtx.context.tryUse()
+    if (!txState || !txState.active) {
+      // No active transaction - version the write and allow it to continue
+      recordUntrackedWrite(transactionCtx, prop, path)
+      return undefined
+    }
+
+    const state = transactionCtx._state
+    const deferred = state.isolation === 'deferred'
+    const nested = path?.length > 1
+
+    let previousDescriptor
+    if (nested) {
+      const container = deferred ? resolveNestedTarget(transactionCtx, state, target, path.slice(0, -1)) : target
+      previousDescriptor = Reflect.getOwnPropertyDescriptor(container, prop)
+    } else {
+      previousDescriptor = deferred
+        ? readOwnDescriptor(target, state, prop)
+        : Reflect.getOwnPropertyDescriptor(target, prop)
+    }
+
+    // Record in journal using internal state
+    const entry = {
+      operation: 'defineProperty',
+      property: prop,
+      ...(nested && { path }),
+      descriptor,
+      previousDescriptor,
+      timestamp: Date.now(),
+      index: state.journalIndex++,
+    }
+
+    appendJournalEntry(state, entry)
+
+    if (nested) {
+      recordNestedWrite(transactionCtx, state, path)
+      if (!deferred) return undefined
+      // The proxy can't report a non-configurable property its own target lacks
+      const copy = stageNestedCopy(transactionCtx._target, state, path.slice(0, -1))
+      if (copy === undefined || (copy !== target && descriptor.configurable === false)) return false
+      return Reflect.defineProperty(copy, prop, descriptor)
+    }
+
+    if (deferred) {
+      observeProperty(target, state, prop)
+      return stageDefinition(target, state, prop, descriptor)
+    }
+
+    recordWrite(target, state, prop)
+
+    // Allow the operation to continue (definition will be applied)
+    return undefined
+  }
+}
+
+/**
+ * Creates a setPrototypeOf interceptor that journals prototype changes.
+ * In deferred isolation the new prototype is staged until commit.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Interceptor function for setPrototypeOf trap
+ */
+export function createTransactionSetPrototypeOfInterceptor(transactionCtx) {
+  return (target, prototype, path) => {
     const txState = transactionCtx.context.tryUse()
     if (!txState || !txState.active) {
       // No active transaction - allow operation to continue
       return undefined
     }
 
-    // Execute the constructor and capture the result
-    const result = Reflect.construct(target, argsList, newTarget)
+    const state = transactionCtx._state
+    const deferred = state.isolation === 'deferred'
+    const nested = path?.length > 0
+
+    let previousPrototype
+    if (nested) {
+      const object = deferred ? resolveNestedTarget(transactionCtx, state, target, path) : target
+      previousPrototype = Reflect.getPrototypeOf(object)
+    } else {
+      previousPrototype = deferred ? readPrototype(target, state) : Reflect.getPrototypeOf(target)
+    }
 
     // Record in journal using internal state
     const entry = {
-      operation: 'construct',
-      args: argsList,
-      result,
+      operation: 'setPrototypeOf',
+      ...(nested && { path }),
+      prototype,
+      previousPrototype,
+      timestamp: Date.now(),
+      index: state.journalIndex++,
+    }
+
+    appendJournalEntry(state, entry)
+
+    if (nested) {
+      recordNestedWrite(transactionCtx, state, path)
+      if (!deferred) return undefined
+      if (!Reflect.isExtensible(target) && prototype !== previousPrototype) return false
+      const copy = stageNestedCopy(transactionCtx._target, state, path)
+      return copy !== undefined && Reflect.setPrototypeOf(copy, prototype)
+    }
+
+    if (deferred) {
+      // The prototype of a non-extensible target can't be reported differently before commit
+      if (!Reflect.isExtensible(target) && prototype !== previousPrototype) return false
+      state.prototypeWrite = { prototype }
+      return true
+    }
+
+    // Allow the operation to continue (prototype will be changed)
+    return undefined
+  }
+}
+
+/**
+ * Creates a preventExtensions interceptor that journals freeze/seal attempts.
+ * Extensibility cannot be restored, so these entries are for audit purposes only.
+ * A Proxy must report its target's extensibility, so this applies immediately in both isolation modes.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Interceptor function for preventExtensions trap
+ */
+export function createTransactionPreventExtensionsInterceptor(transactionCtx) {
+  return (_target, path) => {
+    const txState = transactionCtx.context.tryUse()
+    if (!txState || !txState.active) {
+      // No active transaction - allow operation to continue
+      return undefined
+    }
+
+    // Record in journal using internal state
+    const entry = {
+      operation: 'preventExtensions',
+      ...(path?.length > 0 && { path }),
       timestamp: Date.now(),
       index: transactionCtx._state.journalIndex++,
     }
 
-    transactionCtx._state.journal.push(entry)
+    appendJournalEntry(transactionCtx._state, entry)
 
-    // Return the constructed instance
+    // Allow the operation to continue
+    return undefined
+  }
+}
+
+/**
+ * Creates a get middleware that adds the properties a transaction reads to its read-set
+ * and lets a deferred transaction read its own staged writes.
+ * Other readers, and transactions in immediate isolation, read the target.
+ * On a deep proxy, Map and Set values are returned as views whose mutations are journaled.
+ * A method with a registered compensation is returned wrapped, so calls such as
+ * `proxy.charge()` are journaled under the property name like calls of a function proxy.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Middleware `(ctx, next)` for the get trap
+ */
+export function createTransactionGetInterceptor(transactionCtx) {
+  // Collection -> [{ path, view }], so reading a collection twice returns the same view
+  const views = new WeakMap()
+
+  const viewCollection = (collection, path) => {
+    let cached = views.get(collection)
+    if (!cached) {
+      cached = []
+      views.set(collection, cached)
+    }
+    let found = cached.find((candidate) => isSamePath(candidate.path, path))
+    if (!found) {
+      found = { path, view: createCollectionView(transactionCtx, collection, path) }
+      cached.push(found)
+    }
+    return found.view
+  }
+
+  // Function -> (method name -> wrapper), so reading a method twice returns the same wrapper
+  const methods = new WeakMap()
+
+  const journalMethod = (method, name) => {
+    let wrappers = methods.get(method)
+    if (!wrappers) {
+      wrappers = new Map()
+      methods.set(method, wrappers)
+    }
+    if (!wrappers.has(name)) {
+      // A Proxy keeps the method's name, length and properties, and lets `new` through
+      const wrapper = new Proxy(method, {
+        apply(_target, thisArg, args) {
+          const txState = transactionCtx.context.tryUse()
+          if (!txState || !txState.active) return Reflect.apply(method, thisArg, args)
+          const result = Reflect.apply(method, thisArg, args)
+          journalCall(transactionCtx._state, name, args, thisArg, result)
+          return result
+        },
+      })
+      wrappers.set(name, wrapper)
+    }
+    return wrappers.get(name)
+  }
+
+  return (ctx, next) => {
+    const txState = transactionCtx.context.tryUse()
+    if (!txState || !txState.active) return next()
+
+    const state = txState.state
+    const { path } = ctx
+    let value
+    if (path?.length > 1) {
+      observeProperty(transactionCtx._target, state, path[0])
+      const container =
+        state.isolation === 'deferred' ? resolveNestedTarget(transactionCtx, state, ctx.target, path.slice(0, -1)) : ctx.target
+      value = container === ctx.target ? next() : Reflect.get(container, ctx.prop, ctx.receiver)
+    } else {
+      observeProperty(ctx.target, state, ctx.prop)
+      value = state.isolation === 'deferred' ? readValue(ctx.target, state, ctx.prop, ctx.receiver) : next()
+    }
+
+    const isMethod = typeof value === 'function' && state.compensations.has(ctx.prop)
+    if (!isMethod && (!path || !isCollection(value))) return value
+    // The get invariant requires non-writable, non-configurable data properties to report the raw value
+    const descriptor = Reflect.getOwnPropertyDescriptor(ctx.target, ctx.prop)
+    if (descriptor?.configurable === false && descriptor.writable === false) return value
+    return isMethod ? journalMethod(value, ctx.prop) : viewCollection(value, path)
+  }
+}
+
+/**
+ * Creates a has middleware that reports staged additions and deletions to a deferred transaction.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Middleware `(ctx, next)` for the has trap
+ */
+export function createTransactionHasInterceptor(transactionCtx) {
+  return (ctx, next) => {
+    const state = useDeferredState(transactionCtx)
+    if (!state) return next()
+    if (ctx.path?.length > 1) {
+      const container = resolveNestedTarget(transactionCtx, state, ctx.target, ctx.path.slice(0, -1))
+      return container === ctx.target ? next() : Reflect.has(container, ctx.prop)
+    }
+    return lookupDescriptor(ctx.target, state, ctx.prop) !== undefined
+  }
+}
+
+/**
+ * Creates an ownKeys middleware that reports staged additions and deletions to a deferred transaction.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Middleware `(ctx, next)` for the ownKeys trap
+ */
+export function createTransactionOwnKeysInterceptor(transactionCtx) {
+  return (ctx, next) => {
+    const state = useDeferredState(transactionCtx)
+    if (state && ctx.path?.length > 0) {
+      const object = resolveNestedTarget(transactionCtx, state, ctx.target, ctx.path)
+      return object === ctx.target ? next() : Reflect.ownKeys(object)
+    }
+
+    const keys = next()
+    if (!state) return keys
+
+    const result = keys.filter((key) => !state.writeSet.has(key) || state.writeSet.get(key) !== undefined)
+    for (const [key, descriptor] of state.writeSet) {
+      if (descriptor && !result.includes(key)) result.push(key)
+    }
     return result
   }
 }
 
+/**
+ * Creates a getOwnPropertyDescriptor middleware that reports staged descriptors to a deferred transaction.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Middleware `(ctx, next)` for the getOwnPropertyDescriptor trap
+ */
+export function createTransactionGetOwnPropertyDescriptorInterceptor(transactionCtx) {
+  return (ctx, next) => {
+    const state = useDeferredState(transactionCtx)
+    if (state && ctx.path?.length > 1) {
+      const container = resolveNestedTarget(transactionCtx, state, ctx.target, ctx.path.slice(0, -1))
+      return container === ctx.target ? next() : Reflect.getOwnPropertyDescriptor(container, ctx.prop)
+    }
+    if (!state || !state.writeSet.has(ctx.prop)) return next()
+    const descriptor = state.writeSet.get(ctx.prop)
+    return descriptor && { ...descriptor }
+  }
+}
+
+/**
+ * Creates a getPrototypeOf middleware that reports a staged prototype to a deferred transaction.
+ *
+ * @param {object} transactionCtx - The transaction context created by createTransactionContext
+ * @returns {Function} Middleware `(ctx, next)` for the getPrototypeOf trap
+ */
+export function createTransactionGetPrototypeOfInterceptor(transactionCtx) {
+  return (ctx, next) => {
+    const state = useDeferredState(transactionCtx)
+    if (state && ctx.path?.length > 0) {
+      const object = resolveNestedTarget(transactionCtx, state, ctx.target, ctx.path)
+      return object === ctx.target ? next() : Reflect.getPrototypeOf(object)
+    }
+    if (!state || !state.prototypeWrite) return next()
+    return state.prototypeWrite.prototype
+  }
+}
+
 /**
  * Helper function to register all transaction interceptors with a proxy.
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} transactionCtx - The transaction context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='transaction'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.transaction] - Execution priority (higher runs first)
  */
-export function registerTransactionInterceptors(proxyInterface, transactionCtx) {
-  proxyInterface.defineSetInterceptor(createTransactionSetInterceptor(transactionCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createTransactionDeletePropertyInterceptor(transactionCtx))
-  proxyInterface.defineApplyInterceptor(createTransactionApplyInterceptor(transactionCtx))
-  proxyInterface.defineConstructInterceptor(createTransactionConstructInterceptor(transactionCtx))
+export function registerTransactionInterceptors(proxyInterface, transactionCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'transaction',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.transaction,
+  }
+
+  transactionCtx._state.proxy ??= proxyInterface.proxy
+  if (!registeredContexts.has(transactionCtx._target)) registeredContexts.set(transactionCtx._target, new Set())
+  registeredContexts.get(transactionCtx._target).add(transactionCtx)
+
+  proxyInterface.defineSetInterceptor(createTransactionSetInterceptor(transactionCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createTransactionDeletePropertyInterceptor(transactionCtx), registration)
+  proxyInterface.defineApplyInterceptor(createTransactionApplyInterceptor(transactionCtx), {
+    ...registration,
+    middleware: true,
+  })
+  proxyInterface.defineConstructInterceptor(createTransactionConstructInterceptor(transactionCtx), registration)
+  proxyInterface.defineDefinePropertyInterceptor(createTransactionDefinePropertyInterceptor(transactionCtx), registration)
+  proxyInterface.defineSetPrototypeOfInterceptor(createTransactionSetPrototypeOfInterceptor(transactionCtx), registration)
+  proxyInterface.definePreventExtensionsInterceptor(createTransactionPreventExtensionsInterceptor(transactionCtx), registration)
+
+  // Reads run last so access control still sees them first, then join the read-set
+  // and, in deferred isolation, resolve through the write-set
+  const readRegistration = { ...registration, middleware: true }
+  proxyInterface.defineGetInterceptor(createTransactionGetInterceptor(transactionCtx), readRegistration)
+
+  if (transactionCtx._state.isolation === 'deferred') {
+    proxyInterface.defineHasInterceptor(createTransactionHasInterceptor(transactionCtx), readRegistration)
+    proxyInterface.defineOwnKeysInterceptor(createTransactionOwnKeysInterceptor(transactionCtx), readRegistration)
+    proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
+      createTransactionGetOwnPropertyDescriptorInterceptor(transactionCtx),
+      readRegistration
+    )
+    proxyInterface.defineGetPrototypeOfInterceptor(createTransactionGetPrototypeOfInterceptor(transactionCtx), readRegistration)
+  }
 }
@@ -0,0 +1,46 @@
+// transaction-manager.d.ts
+
+import type { InvariantContext } from '../invariants/invariant-context.js';
+import type { JournalEntry, RollbackOutcome, TransactionContext } from './transaction-context.js';
+
+export interface EnlistOptions<T> {
+  /** Name used in votes, rollback reports and the merged journal. */
+  name?: string;
+  /** Invariant context that checks the changes this participant would commit. */
+  invariants?: InvariantContext<T>;
+}
+
+export interface PrepareVote {
+  name: string;
+  ok: boolean;
+  errors: string[];
+}
+
+export interface PrepareResult {
+  /** False if any participant vetoed. */
+  ok: boolean;
+  votes: PrepareVote[];
+}
+
+export interface ManagerRollbackReport {
+  success: boolean;
+  compensated: (RollbackOutcome & { participant: string })[];
+  failures: (RollbackOutcome & { participant: string; error: unknown })[];
+}
+
+export type ManagerJournalEntry = JournalEntry<any> & { participant: string };
+
+export interface TransactionManager {
+  enlist<T>(transactionCtx: TransactionContext<T>, options?: EnlistOptions<T>): string;
+  delist(name: string): boolean;
+  call<R>(fn: () => R): R;
+  /** Phase one of the commit: collects a vote from every active participant. */
+  prepare(): PrepareResult;
+  commit(): boolean;
+  rollback(): ManagerRollbackReport;
+  getJournal(): ManagerJournalEntry[];
+  isActive(): boolean;
+  getParticipants(): string[];
+}
+
+export declare function createTransactionManager(): TransactionManager;
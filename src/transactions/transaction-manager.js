@@ -0,0 +1,302 @@
+/**
+ * Transaction manager for Proxyable.
+ * Coordinates the transaction contexts of several proxies so they commit or roll back together.
+ *
+ * Commit runs in two phases:
+ * 1. Prepare: every participant enlisted with an invariant context checks the changes its
+ *    transaction would commit; a failing invariant or beforeCommit hook vetoes the commit.
+ *    Every participant's read-set is then validated against concurrent transactions.
+ * 2. Apply: deferred write-sets are applied in enlist order. If a target refuses a write,
+ *    the write-sets applied so far are reverted and every participant stays active.
+ */
+
+/**
+ * Builds a plain copy of the state a transaction would commit.
+ * @private
+ */
+function buildCommittedState(transactionCtx, changes) {
+  const state = { ...transactionCtx._target }
+  for (const { property, next } of changes) {
+    if (next) {
+      Reflect.defineProperty(state, property, { ...next, configurable: true })
+    } else {
+      Reflect.deleteProperty(state, property)
+    }
+  }
+  return state
+}
+
+/**
+ * Checks a participant's net changes against its invariants.
+ * Each change is validated as a single operation applied to the committed state with
+ * that one property reverted, so invariants see the change the way they would have
+ * seen the write itself. An invariant on the whole state fails once per change, so
+ * repeated errors are reported once.
+ * @private
+ */
+function validateParticipant(participant) {
+  const changes = participant.transactionCtx._getChanges()
+  const committed = buildCommittedState(participant.transactionCtx, changes)
+  const errors = new Set()
+
+  for (const { property, previous, next } of changes) {
+    const state = { ...committed }
+    if (previous) {
+      Reflect.defineProperty(state, property, { ...previous, configurable: true })
+    } else {
+      Reflect.deleteProperty(state, property)
+    }
+
+    const operation = next
+      ? { trap: 'set', property, value: next.value, receiver: state, target: state }
+      : { trap: 'deleteProperty', property, target: state }
+
+    for (const error of participant.invariantCtx.validateState(operation, state).errors) {
+      errors.add(error)
+    }
+  }
+
+  return [...errors]
+}
+
+/**
+ * Creates a transaction manager.
+ *
+ * @returns {object} Transaction manager API
+ *
+ * @example
+ * const manager = createTransactionManager()
+ * manager.enlist(accountsTx, { name: 'accounts', invariants: accountsInvariants })
+ * manager.enlist(ledgerTx, { name: 'ledger' })
+ *
+ * manager.call(() => {
+ *   accounts.balance -= 100
+ *   ledger.entries = [...ledger.entries, -100]
+ * })
+ * manager.commit()
+ */
+export function createTransactionManager() {
+  // Participants in enlist order
+  const participants = new Map()
+
+  /**
+   * Returns the participants with an active transaction, in enlist order.
+   * @private
+   */
+  function activeParticipants() {
+    return [...participants.values()].filter((participant) => participant.transactionCtx.isActive())
+  }
+
+  /**
+   * Enlists a transaction context so it takes part in the manager's transactions.
+   *
+   * @param {object} transactionCtx - A transaction context registered on its proxy
+   * @param {object} [options] - Enlist options
+   * @param {string} [options.name] - Participant name used in votes, reports and the journal
+   * @param {object} [options.invariants] - Invariant context that can veto the commit
+   * @returns {string} The participant name
+   * @throws {Error} If the name or the transaction context is already enlisted
+   */
+  function enlist(transactionCtx, options = {}) {
+    const { name = `participant-${participants.size}`, invariants } = options
+
+    if (participants.has(name)) {
+      throw new Error(`Participant "${name}" is already enlisted`)
+    }
+    for (const participant of participants.values()) {
+      if (participant.transactionCtx === transactionCtx) {
+        throw new Error(`Transaction context is already enlisted as "${participant.name}"`)
+      }
+    }
+
+    participants.set(name, { name, transactionCtx, invariantCtx: invariants })
+    return name
+  }
+
+  /**
+   * Removes a participant.
+   *
+   * @param {string} name - The participant name
+   * @returns {boolean} True if the participant was enlisted
+   * @throws {Error} If the participant has an active transaction
+   */
+  function delist(name) {
+    const participant = participants.get(name)
+    if (participant?.transactionCtx.isActive()) {
+      throw new Error(`Cannot delist "${name}" while its transaction is active`)
+    }
+    return participants.delete(name)
+  }
+
+  /**
+   * Executes a function within the transactions of every participant.
+   * A nested call runs inside a savepoint on every participant, so a failing
+   * nested call is rolled back on all of them.
+   *
+   * @param {Function} fn - The function to execute
+   * @returns {*} The result of the function
+   */
+  function call(fn) {
+    let run = fn
+    for (const participant of [...participants.values()].reverse()) {
+      const next = run
+      run = () => participant.transactionCtx.call(next)
+    }
+    return run()
+  }
+
+  /**
+   * Phase one of the commit: asks every active participant to vote.
+   * Participants enlisted with invariants vote against the commit if a change
+   * they would commit breaks an invariant; the others always vote for it.
+   *
+   * @returns {object} `{ ok, votes: [{ name, ok, errors }] }`
+   */
+  function prepare() {
+    const votes = activeParticipants().map((participant) => {
+      const errors = participant.invariantCtx ? validateParticipant(participant) : []
+      return { name: participant.name, ok: errors.length === 0, errors }
+    })
+
+    return { ok: votes.every((vote) => vote.ok), votes }
+  }
+
+  /**
+   * Commits every active participant.
+   * If a participant vetoes, a beforeCommit hook throws, a participant conflicts with
+   * another transaction, or a target refuses a staged write, no write-set is applied
+   * and every participant stays active so it can be rolled back. afterCommit hooks run
+   * once every participant has committed.
+   *
+   * @returns {boolean} True if commit succeeded
+   * @throws {TransactionConflictError} If another transaction changed a property a participant read or wrote
+   * @throws {Error} If no participant is active, a participant vetoes, or a target refuses a write
+   * @throws {AggregateError} If afterCommit hooks failed; every participant is committed
+   */
+  function commit() {
+    const active = activeParticipants()
+    if (active.length === 0) {
+      throw new Error('No active transaction to commit')
+    }
+
+    const { ok, votes } = prepare()
+    if (!ok) {
+      const reasons = votes
+        .filter((vote) => !vote.ok)
+        .map((vote) => `"${vote.name}": ${vote.errors.join('; ')}`)
+      throw new Error(`Transaction commit vetoed by ${reasons.join(', ')}`)
+    }
+
+    for (const participant of active) {
+      participant.transactionCtx._beforeCommit()
+    }
+
+    for (const participant of active) {
+      participant.transactionCtx._checkConflicts()
+    }
+
+    const reverts = []
+    for (const participant of active) {
+      if (participant.transactionCtx._state.isolation !== 'deferred') continue
+      try {
+        reverts.push(participant.transactionCtx._applyWriteSet())
+      } catch (error) {
+        for (const revert of reverts.reverse()) revert()
+        throw new Error(`Participant "${participant.name}" failed to commit: ${error.message}`, { cause: error })
+      }
+    }
+
+    const events = active.map((participant) => participant.transactionCtx._endTransaction('commit'))
+    const errors = active.flatMap((participant, index) =>
+      participant.transactionCtx._notifyHooks('commit', events[index])
+    )
+    if (errors.length > 0) {
+      throw new AggregateError(errors, `Transaction committed, but ${errors.length} afterCommit hook(s) failed`)
+    }
+
+    return true
+  }
+
+  /**
+   * Rolls back every active participant, most recently enlisted first.
+   * afterRollback hooks run once every participant has rolled back.
+   *
+   * @returns {object} Merged rollback report `{ success, compensated, failures }`;
+   *   every outcome carries the name of its `participant`
+   * @throws {Error} If no participant is active
+   * @throws {AggregateError} If afterRollback hooks failed; every participant is rolled
+   *   back and the error carries the merged `report`
+   */
+  function rollback() {
+    const active = activeParticipants()
+    if (active.length === 0) {
+      throw new Error('No active transaction to rollback')
+    }
+
+    const report = { success: true, compensated: [], failures: [] }
+    const events = []
+    for (const participant of active.reverse()) {
+      const { report: participantReport, event } = participant.transactionCtx._rollback()
+      const { success, compensated, failures } = participantReport
+      report.success &&= success
+      report.compensated.push(...compensated.map((outcome) => ({ participant: participant.name, ...outcome })))
+      report.failures.push(...failures.map((failure) => ({ participant: participant.name, ...failure })))
+      events.push(event)
+    }
+
+    const errors = active.flatMap((participant, index) =>
+      participant.transactionCtx._notifyHooks('rollback', events[index])
+    )
+
+    if (errors.length > 0) {
+      throw Object.assign(
+        new AggregateError(errors, `Transaction rolled back, but ${errors.length} afterRollback hook(s) failed`),
+        { report }
+      )
+    }
+    return report
+  }
+
+  /**
+   * Returns the journals of every participant merged in the order the entries were made.
+   *
+   * @returns {Array} Journal entries, each with the name of its `participant`
+   */
+  function getJournal() {
+    return [...participants.values()]
+      .flatMap((participant) =>
+        participant.transactionCtx.getJournal().map((entry) => ({ participant: participant.name, ...entry }))
+      )
+      .sort((a, b) => a.sequence - b.sequence)
+  }
+
+  /**
+   * Checks whether any participant has an active transaction.
+   *
+   * @returns {boolean} True if a transaction is active
+   */
+  function isActive() {
+    return activeParticipants().length > 0
+  }
+
+  /**
+   * Returns the participant names in enlist order.
+   *
+   * @returns {Array<string>} Participant names
+   */
+  function getParticipants() {
+    return [...participants.keys()]
+  }
+
+  return {
+    enlist,
+    delist,
+    call,
+    prepare,
+    commit,
+    rollback,
+    getJournal,
+    isActive,
+    getParticipants,
+  }
+}
@@ -0,0 +1,79 @@
+// virtual-context.d.ts
+
+import type { Context, ContextOptions } from '../context/context.js';
+import type {
+  DeletePropertyInterceptor,
+  GetInterceptor,
+  GetOwnPropertyDescriptorInterceptor,
+  HasInterceptor,
+  KeyOf,
+  OwnKeysInterceptor,
+  Proxyable,
+  RegisterInterceptorsOptions,
+  SetInterceptor,
+} from '../proxy/create-proxy.js';
+
+export type AlternateStorage = Map<string, any> | Record<string, any>;
+
+export interface VirtualState<T> {
+  active: boolean;
+  cache: Map<string, any>;
+  ttlTimestamps: Map<string, number>;
+  virtualFields: Record<string, VirtualField<T>>;
+  alternateStorage: AlternateStorage | null;
+  redirects: Record<string, string>;
+  target: T;
+}
+
+export interface VirtualField<T> {
+  compute?: (target: T, state: VirtualState<T>) => any;
+  memoize?: boolean;
+  ttl?: number;
+  storage?: 'context' | 'target' | 'external';
+}
+
+export interface VirtualSpec<T, Fields extends string = string> {
+  virtualFields?: Record<Fields, VirtualField<T>>;
+  alternateStorage?: AlternateStorage | null;
+  /** Real (or additional) field name -> virtual field it reads from. */
+  redirects?: Partial<Record<KeyOf<T> | (string & {}), Fields>>;
+}
+
+export interface VirtualContext<T, Fields extends string = string> {
+  call<R>(fn: () => R): R;
+  invalidateCache(field: Fields): void;
+  getVirtualValue(field: Fields): any;
+  getMemoized(field: Fields): any;
+  setStorage(field: string, value: any): void;
+  getFromStorage(field: string): any;
+  isVirtualField(field: string): field is Fields;
+  getVirtualFields(): Fields[];
+  context: Context<VirtualState<T>>;
+  _virtualFields: Record<Fields, VirtualField<T>>;
+  _alternateStorage: AlternateStorage | null;
+  _redirects: Record<string, Fields>;
+  _target: T;
+}
+
+export declare function createVirtualContext<T extends object, Fields extends string = string>(
+  target: T,
+  virtualSpec?: VirtualSpec<T, Fields>,
+  options?: ContextOptions
+): VirtualContext<T, Fields>;
+
+export declare function createVirtualGetInterceptor<T>(virtualCtx: VirtualContext<T, any>): GetInterceptor<T>;
+export declare function createVirtualHasInterceptor<T>(virtualCtx: VirtualContext<T, any>): HasInterceptor<T>;
+export declare function createVirtualOwnKeysInterceptor<T>(virtualCtx: VirtualContext<T, any>): OwnKeysInterceptor<T>;
+export declare function createVirtualGetOwnPropertyDescriptorInterceptor<T>(
+  virtualCtx: VirtualContext<T, any>
+): GetOwnPropertyDescriptorInterceptor<T>;
+export declare function createVirtualSetInterceptor<T>(virtualCtx: VirtualContext<T, any>): SetInterceptor<T>;
+export declare function createVirtualDeletePropertyInterceptor<T>(
+  virtualCtx: VirtualContext<T, any>
+): DeletePropertyInterceptor<T>;
+
+export declare function registerVirtualInterceptors<T extends object>(
+  proxyInterface: Proxyable<T>,
+  virtualCtx: VirtualContext<T, any>,
+  options?: RegisterInterceptorsOptions
+): void;
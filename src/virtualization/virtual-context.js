@@ -1,4 +1,5 @@
 import { createContext } from '../context/context.js'
+import { INTERCEPTOR_PRIORITIES } from '../proxy/create-proxy.js'
 
 /**
  * Virtual Context for Lazy Computation & Virtual Objects
@@ -15,10 +16,13 @@ import { createContext } from '../context/context.js'
  * @param {object} virtualSpec.virtualFields - Map of virtual field definitions
  * @param {Map|object} [virtualSpec.alternateStorage] - External storage backend
  * @param {object} [virtualSpec.redirects] - Map of real fields to virtual fields
+ * @param {object} [options] - Context options
+ * @param {boolean} [options.asyncContext] - Keep the context across `await` (defaults to the configureContext setting)
+ * @param {Function} [options.AsyncLocalStorage] - The AsyncLocalStorage class for async mode
  * @returns {object} Virtual API with call, invalidateCache, getVirtualValue, etc.
  */
-export function createVirtualContext(target, virtualSpec = {}) {
-  const virtualContext = createContext()
+export function createVirtualContext(target, virtualSpec = {}, options = {}) {
+  const virtualContext = createContext(options)
 
   const {
     virtualFields = {},
@@ -420,25 +424,14 @@ export function createVirtualHasInterceptor(virtualCtx) {
  * @returns {Function} Interceptor function for ownKeys trap
  */
 export function createVirtualOwnKeysInterceptor(virtualCtx) {
-  return (target) => {
+  return (_target) => {
     const state = virtualCtx.context.tryUse()
     if (!state || !state.active) {
       return undefined
     }
 
-    // Get real keys from target
-    const realKeys = Reflect.ownKeys(target)
-
-    // Get virtual field names
-    const virtualKeys = Object.keys(state.virtualFields)
-
-    // Get redirect source keys
-    const redirectKeys = Object.keys(state.redirects)
-
-    // Merge all keys (use Set to avoid duplicates)
-    const allKeys = new Set([...realKeys, ...virtualKeys, ...redirectKeys])
-
-    return Array.from(allKeys)
+    // Add virtual field names and redirect source keys to the real keys
+    return { add: [...Object.keys(state.virtualFields), ...Object.keys(state.redirects)] }
   }
 }
 
@@ -593,14 +586,23 @@ export function createVirtualDeletePropertyInterceptor(virtualCtx) {
  *
  * @param {object} proxyInterface - The proxy interface returned by createProxy
  * @param {object} virtualCtx - The virtual context
+ * @param {object} [options] - Registration options
+ * @param {string} [options.name='virtual'] - Name for removing these interceptors via removeInterceptor
+ * @param {number} [options.priority=INTERCEPTOR_PRIORITIES.default] - Execution priority (higher runs first)
  */
-export function registerVirtualInterceptors(proxyInterface, virtualCtx) {
-  proxyInterface.defineGetInterceptor(createVirtualGetInterceptor(virtualCtx))
-  proxyInterface.defineHasInterceptor(createVirtualHasInterceptor(virtualCtx))
-  proxyInterface.defineOwnKeysInterceptor(createVirtualOwnKeysInterceptor(virtualCtx))
+export function registerVirtualInterceptors(proxyInterface, virtualCtx, options = {}) {
+  const registration = {
+    name: options.name ?? 'virtual',
+    priority: options.priority ?? INTERCEPTOR_PRIORITIES.default,
+  }
+
+  proxyInterface.defineGetInterceptor(createVirtualGetInterceptor(virtualCtx), registration)
+  proxyInterface.defineHasInterceptor(createVirtualHasInterceptor(virtualCtx), registration)
+  proxyInterface.defineOwnKeysInterceptor(createVirtualOwnKeysInterceptor(virtualCtx), registration)
   proxyInterface.defineGetOwnPropertyDescriptorInterceptor(
-    createVirtualGetOwnPropertyDescriptorInterceptor(virtualCtx)
+    createVirtualGetOwnPropertyDescriptorInterceptor(virtualCtx),
+    registration
   )
-  proxyInterface.defineSetInterceptor(createVirtualSetInterceptor(virtualCtx))
-  proxyInterface.defineDeletePropertyInterceptor(createVirtualDeletePropertyInterceptor(virtualCtx))
+  proxyInterface.defineSetInterceptor(createVirtualSetInterceptor(virtualCtx), registration)
+  proxyInterface.defineDeletePropertyInterceptor(createVirtualDeletePropertyInterceptor(virtualCtx), registration)
 }
@@ -1,5 +1,6 @@
-import { describe, it, expect } from "vitest"
-import { createContext } from "../../src/context/context.js"
+import { describe, it, expect, afterEach } from "vitest"
+import { AsyncLocalStorage } from "node:async_hooks"
+import { createContext, configureContext } from "../../src/context/context.js"
 
 describe("Context - Happy Path", () => {
   it("should set and retrieve context with `call`", () => {
@@ -47,3 +48,71 @@ describe("Context - Happy Path", () => {
   })
 
 })
+
+describe("Context - Async mode", () => {
+  afterEach(() => {
+    configureContext({ asyncContext: false, AsyncLocalStorage: undefined })
+  })
+
+  it("should keep the context after `await` when created with `asyncContext`", async () => {
+    const ctx = createContext({ asyncContext: true, AsyncLocalStorage })
+
+    const result = await ctx.call("async value", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      return ctx.use()
+    })
+
+    expect(result).toBe("async value")
+    expect(ctx.tryUse()).toBeUndefined()
+  })
+
+  it("should lose the context after `await` in the default sync mode", async () => {
+    const ctx = createContext()
+
+    const result = await ctx.call("sync value", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      return ctx.tryUse()
+    })
+
+    expect(ctx.asyncContext).toBe(false)
+    expect(result).toBeUndefined()
+  })
+
+  it("should isolate concurrent async scopes", async () => {
+    const ctx = createContext({ asyncContext: true, AsyncLocalStorage })
+    const read = (value, delay) =>
+      ctx.call(value, async () => {
+        await new Promise((resolve) => setTimeout(resolve, delay))
+        return ctx.use()
+      })
+
+    const results = await Promise.all([read("first", 5), read("second", 1)])
+
+    expect(results).toEqual(["first", "second"])
+  })
+
+  it("should apply `configureContext` defaults to new contexts", () => {
+    configureContext({ asyncContext: true, AsyncLocalStorage })
+
+    expect(createContext().asyncContext).toBe(true)
+    expect(createContext({ asyncContext: false }).asyncContext).toBe(false)
+  })
+
+  it("should default to the AsyncLocalStorage of `node:async_hooks`", async () => {
+    const ctx = createContext({ asyncContext: true })
+
+    const result = await ctx.call("default value", async () => {
+      await new Promise((resolve) => setTimeout(resolve, 1))
+      return ctx.use()
+    })
+
+    expect(ctx.asyncContext).toBe(true)
+    expect(result).toBe("default value")
+  })
+
+  it("should throw when the AsyncLocalStorage given is not a class", () => {
+    expect(() => createContext({ asyncContext: true, AsyncLocalStorage: "storage" })).toThrow(
+      "Async context requires AsyncLocalStorage"
+    )
+  })
+})
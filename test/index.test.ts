@@ -1,8 +1,52 @@
 import { describe, expect, it } from "vitest";
-import {} from "../src";
+import * as proxyable from "../src";
+
+const capabilityModules = {
+  context: () => import("../src/context/context.js"),
+  security: () => import("../src/security/capability-acl.js"),
+  sandbox: () => import("../src/sandbox/sandbox-context.js"),
+  transactions: () => import("../src/transactions/index.js"),
+  invariants: () => import("../src/invariants/invariant-context.js"),
+  observability: () => import("../src/observability/audit-logger.js"),
+  contracts: () => import("../src/contracts/contract-context.js"),
+  simulation: () => import("../src/simulation/simulation-context.js"),
+  replay: () => import("../src/replay/replay-context.js"),
+  virtualization: () => import("../src/virtualization/virtual-context.js"),
+  multitenancy: () => import("../src/multitenancy/tenant-context.js"),
+};
 
 describe("packageName", () => {
   it.todo("pass", () => {
     expect(true).toBe(true);
   });
 });
+
+describe("entry point", () => {
+  it("exports the proxy core", () => {
+    expect(proxyable.createProxy).toBeTypeOf("function");
+    expect(proxyable.getProxyInterface).toBeTypeOf("function");
+    expect(proxyable.INTERCEPTOR_PRIORITIES.capability).toBe(200);
+  });
+
+  for (const [name, load] of Object.entries(capabilityModules)) {
+    it(`re-exports every export of the ${name} capability`, async () => {
+      const module = await load();
+      for (const [exportName, value] of Object.entries(module)) {
+        expect(proxyable, exportName).toHaveProperty(exportName, value);
+      }
+    });
+  }
+
+  it("names trap interceptors after their capability", () => {
+    const interceptorFactories = Object.keys(proxyable).filter((name) =>
+      name.endsWith("Interceptor"),
+    );
+    const capabilities =
+      /^create(Capability|Sandbox|Transaction|Invariant|Audit|Contract|Simulation|Replay|Virtual)[A-Z]\w*Interceptor$/;
+
+    expect(interceptorFactories.length).toBeGreaterThan(0);
+    for (const name of interceptorFactories) {
+      expect(name).toMatch(capabilities);
+    }
+  });
+});
@@ -10,16 +10,26 @@ import {
   createAuditGetOwnPropertyDescriptorInterceptor,
   createAuditApplyInterceptor,
   createAuditConstructInterceptor,
+  createAuditGetPrototypeOfInterceptor,
+  createAuditIsExtensibleInterceptor,
   registerAuditInterceptors,
+  createAuditRevokeListener,
+  createAuditCommitListener,
+  registerAuditTransactionListeners,
 } from '../../src/observability/audit-logger.js'
 import {
   createCapabilityContext,
+  createRevocableCapabilityHandle,
   registerCapabilityInterceptors,
 } from '../../src/security/capability-acl.js'
 import {
   createInvariantContext,
   registerInvariantInterceptors,
 } from '../../src/invariants/invariant-context.js'
+import {
+  createTransactionContext,
+  registerTransactionInterceptors,
+} from '../../src/transactions/transaction-context.js'
 
 describe('Audit Logger - Observability & Audit', () => {
   describe('createAuditContext', () => {
@@ -874,4 +884,245 @@ describe('Audit Logger - Observability & Audit', () => {
       expect(setOps.length).toBe(2)
     })
   })
+
+  describe('Structural Interceptors - Define, Prototype and Extensibility', () => {
+    it('should log defineProperty, setPrototypeOf and preventExtensions as writes', () => {
+      const target = {}
+      const proxyInterface = createProxy(target)
+      const auditCtx = createAuditContext(target, { output: () => {} })
+
+      registerAuditInterceptors(proxyInterface, auditCtx)
+
+      auditCtx.call(() => {
+        Object.defineProperty(proxyInterface.proxy, 'foo', { value: 1, configurable: true })
+        Object.setPrototypeOf(proxyInterface.proxy, Array.prototype)
+        Object.preventExtensions(proxyInterface.proxy)
+      })
+
+      const log = auditCtx.getAuditLog()
+      expect(log.map((entry) => entry.trap)).toEqual(['defineProperty', 'setPrototypeOf', 'preventExtensions'])
+      expect(log.every((entry) => entry.intent === 'write')).toBe(true)
+      expect(log[0]).toMatchObject({ property: 'foo', descriptor: { value: 1, configurable: true } })
+    })
+
+    it('should log getPrototypeOf and isExtensible as reads', () => {
+      const target = {}
+      const { proxy, defineGetPrototypeOfInterceptor, defineIsExtensibleInterceptor } = createProxy(target)
+      const auditCtx = createAuditContext(target, { output: () => {} })
+
+      defineGetPrototypeOfInterceptor(createAuditGetPrototypeOfInterceptor(auditCtx))
+      defineIsExtensibleInterceptor(createAuditIsExtensibleInterceptor(auditCtx))
+
+      auditCtx.call(() => {
+        void (proxy instanceof Object)
+        Object.isExtensible(proxy)
+      })
+
+      const log = auditCtx.getAuditLog()
+      expect(log).toHaveLength(2)
+      expect(log[0]).toMatchObject({ trap: 'getPrototypeOf', intent: 'read', result: Object.prototype })
+      expect(log[1]).toMatchObject({ trap: 'isExtensible', intent: 'read', result: true })
+    })
+
+    it('should not log a defineProperty entry for plain assignments', () => {
+      const target = {}
+      const proxyInterface = createProxy(target)
+      const auditCtx = createAuditContext(target, { output: () => {} })
+
+      registerAuditInterceptors(proxyInterface, auditCtx)
+
+      auditCtx.call(() => {
+        proxyInterface.proxy.foo = 1
+      })
+
+      const traps = auditCtx.getAuditLog().map((entry) => entry.trap)
+      expect(traps).toContain('set')
+      expect(traps).not.toContain('defineProperty')
+    })
+  })
+
+  describe('Deep Proxies - Path Logging', () => {
+    it('should record the property path of nested operations', () => {
+      const target = { user: { address: { city: 'London' } } }
+      const proxyInterface = createProxy(target, { deep: true })
+      const auditCtx = createAuditContext(target, { output: () => {}, includeTimestamp: false })
+
+      registerAuditInterceptors(proxyInterface, auditCtx)
+
+      auditCtx.call(() => {
+        proxyInterface.proxy.user.address.city = 'Paris'
+      })
+
+      // Assignment also reads the receiver's own descriptor, logged as getOwnPropertyDescriptor
+      const log = auditCtx.getAuditLog()
+      expect(log.map((entry) => [entry.trap, entry.path])).toEqual([
+        ['get', ['user']],
+        ['get', ['user', 'address']],
+        ['set', ['user', 'address', 'city']],
+        ['getOwnPropertyDescriptor', ['user', 'address', 'city']],
+      ])
+      expect(log[2]).toMatchObject({ property: 'city', value: 'Paris' })
+      expect(auditCtx.exportLog('text').split('\n')[2]).toBe('[2] set "user.address.city" → allowed')
+    })
+
+    it('should omit the path on shallow proxies', () => {
+      const target = { user: { name: 'Ada' } }
+      const proxyInterface = createProxy(target)
+      const auditCtx = createAuditContext(target, { output: () => {} })
+
+      registerAuditInterceptors(proxyInterface, auditCtx)
+
+      auditCtx.call(() => proxyInterface.proxy.user)
+
+      expect(auditCtx.getAuditLog()[0]).not.toHaveProperty('path')
+    })
+  })
+
+  describe('Revocation Logging', () => {
+    it('should log revocation of a revocable proxy without an active context', () => {
+      const target = {}
+      const proxyInterface = createProxy(target, { revocable: true })
+      const auditCtx = createAuditContext(target, { output: () => {}, includeTimestamp: false })
+
+      registerAuditInterceptors(proxyInterface, auditCtx)
+      proxyInterface.revoke('ttl')
+
+      expect(auditCtx.getAuditLog()).toEqual([
+        { index: 0, trap: 'revoke', intent: 'revoke', status: 'revoked', reason: 'ttl' },
+      ])
+    })
+
+    it('should log revocation through a standalone listener', () => {
+      const target = {}
+      const proxyInterface = createProxy(target, { revocable: true })
+      const auditCtx = createAuditContext(target, { output: () => {} })
+
+      proxyInterface.onRevoke(createAuditRevokeListener(auditCtx))
+      proxyInterface.revoke()
+
+      expect(auditCtx.getAuditLog()).toHaveLength(1)
+      expect(auditCtx.getAuditLog()[0]).not.toHaveProperty('reason')
+    })
+  })
+
+  describe('Capability Handle Revocation Logging', () => {
+    function issueHandle(options) {
+      const target = { foo: 1 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const auditCtx = createAuditContext(target, { output: () => {}, includeTimestamp: false })
+      const handle = createRevocableCapabilityHandle(target, capCtx, options)
+      handle.onRevoke(createAuditRevokeListener(auditCtx))
+      return { handle, auditCtx, capCtx }
+    }
+
+    it('should log a manual revocation of a handle', () => {
+      const { handle, auditCtx } = issueHandle()
+
+      handle.revoke('compromised')
+
+      expect(auditCtx.getAuditLog()).toEqual([
+        { index: 0, trap: 'revoke', intent: 'revoke', status: 'revoked', reason: 'compromised' },
+      ])
+    })
+
+    it('should log the expiry of a handle', () => {
+      vi.useFakeTimers()
+      try {
+        const { handle, auditCtx } = issueHandle({ ttl: 1000 })
+
+        vi.advanceTimersByTime(1000)
+
+        expect(handle.isRevoked()).toBe(true)
+        expect(auditCtx.getAuditLog()).toEqual([
+          { index: 0, trap: 'revoke', intent: 'revoke', status: 'revoked', reason: 'ttl' },
+        ])
+      } finally {
+        vi.useRealTimers()
+      }
+    })
+
+    it('should log a handle running out of uses', () => {
+      const { handle, auditCtx, capCtx } = issueHandle({ maxUses: 1 })
+
+      capCtx.call(() => handle.proxy.foo)
+
+      expect(auditCtx.getAuditLog()).toEqual([
+        { index: 0, trap: 'revoke', intent: 'revoke', status: 'revoked', reason: 'maxUses' },
+      ])
+    })
+  })
+
+  describe('Transaction Logging', () => {
+    let target, proxy, tx, auditCtx
+
+    beforeEach(() => {
+      target = { theme: 'light' }
+      const proxyInterface = createProxy(target)
+      proxy = proxyInterface.proxy
+      tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+      auditCtx = createAuditContext(target, { output: () => {}, includeTimestamp: false })
+    })
+
+    it('should log commits and rollbacks without an active context', () => {
+      registerAuditTransactionListeners(tx, auditCtx)
+
+      const { journal } = tx.run(() => {
+        proxy.theme = 'dark'
+        proxy.size = 12
+        proxy.theme = 'blue'
+      })
+      tx.call(() => {
+        delete proxy.size
+      })
+      tx.rollback()
+
+      const log = auditCtx.getAuditLog()
+      expect(log).toEqual([
+        {
+          index: 0,
+          trap: 'commit',
+          intent: 'commit',
+          status: 'committed',
+          transactionId: expect.any(String),
+          operations: journal.length,
+          properties: ['theme', 'size'],
+        },
+        {
+          index: 1,
+          trap: 'rollback',
+          intent: 'rollback',
+          status: 'rolled-back',
+          transactionId: expect.any(String),
+          operations: 1,
+          properties: ['size'],
+          compensated: 0,
+          compensationFailures: 0,
+        },
+      ])
+      expect(log[0].transactionId).not.toBe(log[1].transactionId)
+    })
+
+    it('should stop logging once disposed', () => {
+      const dispose = registerAuditTransactionListeners(tx, auditCtx)
+
+      expect(dispose()).toBe(true)
+      expect(dispose()).toBe(false)
+
+      tx.run(() => {
+        proxy.theme = 'dark'
+      })
+      expect(auditCtx.getAuditLog()).toEqual([])
+    })
+
+    it('should log commits through a standalone listener', () => {
+      tx.onAfterCommit(createAuditCommitListener(auditCtx))
+
+      tx.run(() => {})
+
+      expect(auditCtx.getAuditLog()).toEqual([
+        expect.objectContaining({ trap: 'commit', operations: 0, properties: [] }),
+      ])
+    })
+  })
 })
@@ -1,5 +1,6 @@
 import { describe, it, expect } from 'vitest'
-import { createProxy } from '../../src/proxy/create-proxy.js'
+import { createProxy, getProxyInterface } from '../../src/proxy/create-proxy.js'
+import { createContext } from '../../src/context/context.js'
 
 describe('createProxy', () => {
   it('should handle get trap with interceptors', () => {
@@ -144,4 +145,484 @@ it('should handle ownKeys trap with dynamic keys', () => {
       addInterceptor('get', () => {})
     }).not.toThrow()
   })
+
+  it('should handle defineProperty trap and block Object.defineProperty', () => {
+    const { proxy, defineDefinePropertyInterceptor } = createProxy({})
+
+    defineDefinePropertyInterceptor((target, prop) => {
+      if (prop === 'locked') return false
+      return undefined
+    })
+
+    Object.defineProperty(proxy, 'open', { value: 1, configurable: true })
+    expect(proxy.open).toBe(1)
+
+    expect(() => {
+      Object.defineProperty(proxy, 'locked', { value: 1 })
+    }).toThrow(TypeError)
+  })
+
+  it('should not run defineProperty interceptors for plain assignments', () => {
+    const { proxy, defineDefinePropertyInterceptor } = createProxy({})
+    const defined = []
+
+    defineDefinePropertyInterceptor((target, prop) => {
+      defined.push(prop)
+      return undefined
+    })
+
+    proxy.assigned = 1
+    Object.defineProperty(proxy, 'explicit', { value: 2, configurable: true })
+
+    expect(proxy.assigned).toBe(1)
+    expect(defined).toEqual(['explicit'])
+  })
+
+  it('should handle getPrototypeOf trap for instanceof checks', () => {
+    class Fake {}
+    const { proxy, defineGetPrototypeOfInterceptor } = createProxy({})
+
+    defineGetPrototypeOfInterceptor(() => Fake.prototype)
+
+    expect(proxy instanceof Fake).toBe(true)
+  })
+
+  it('should handle setPrototypeOf trap', () => {
+    const { proxy, defineSetPrototypeOfInterceptor } = createProxy({})
+
+    defineSetPrototypeOfInterceptor(() => false)
+
+    expect(() => Object.setPrototypeOf(proxy, Array.prototype)).toThrow(TypeError)
+    expect(Object.getPrototypeOf(proxy)).toBe(Object.prototype)
+  })
+
+  it('should handle isExtensible and preventExtensions traps', () => {
+    const target = { a: 1 }
+    const { proxy, defineIsExtensibleInterceptor, definePreventExtensionsInterceptor } = createProxy(target)
+    const calls = []
+
+    defineIsExtensibleInterceptor(() => {
+      calls.push('isExtensible')
+      return undefined
+    })
+    definePreventExtensionsInterceptor(() => {
+      calls.push('preventExtensions')
+      return undefined
+    })
+
+    expect(Object.isExtensible(proxy)).toBe(true)
+    Object.preventExtensions(proxy)
+    expect(Object.isExtensible(target)).toBe(false)
+    expect(calls).toEqual(['isExtensible', 'preventExtensions'])
+  })
+
+  it('should block Object.freeze when preventExtensions is denied', () => {
+    const target = { a: 1 }
+    const { proxy, definePreventExtensionsInterceptor } = createProxy(target)
+
+    definePreventExtensionsInterceptor(() => false)
+
+    expect(() => Object.freeze(proxy)).toThrow(TypeError)
+    expect(Object.isFrozen(target)).toBe(false)
+  })
+})
+
+describe('createProxy interceptor registry', () => {
+  it('should return a disposer from addInterceptor', () => {
+    const { proxy, addInterceptor } = createProxy({ key: 'value' })
+
+    const dispose = addInterceptor('get', (target, prop) => (prop === 'key' ? 'intercepted' : undefined))
+    expect(proxy.key).toBe('intercepted')
+
+    expect(dispose()).toBe(true)
+    expect(proxy.key).toBe('value')
+    expect(dispose()).toBe(false)
+  })
+
+  it('should run higher priorities first and keep registration order for ties', () => {
+    const { proxy, addInterceptor } = createProxy({})
+    const calls = []
+
+    addInterceptor('get', () => void calls.push('low'), { priority: -1 })
+    addInterceptor('get', () => void calls.push('first'))
+    addInterceptor('get', () => void calls.push('high'), { priority: 10 })
+    addInterceptor('get', () => void calls.push('second'))
+
+    void proxy.anything
+    expect(calls).toEqual(['high', 'first', 'second', 'low'])
+  })
+
+  it('should remove every interceptor registered under a name', () => {
+    const { proxy, addInterceptor, removeInterceptor, listInterceptors } = createProxy({ key: 'value' })
+
+    addInterceptor('get', () => 'plugin', { name: 'plugin' })
+    addInterceptor('has', () => false, { name: 'plugin' })
+    addInterceptor('get', () => undefined, { name: 'other' })
+
+    expect(proxy.key).toBe('plugin')
+    expect(removeInterceptor('plugin')).toBe(true)
+    expect(removeInterceptor('plugin')).toBe(false)
+
+    expect(proxy.key).toBe('value')
+    expect('key' in proxy).toBe(true)
+    expect(listInterceptors().map((entry) => entry.name)).toEqual(['other'])
+  })
+
+  it('should list interceptors for a trap in execution order', () => {
+    const { addInterceptor, listInterceptors } = createProxy({})
+    const a = () => undefined
+    const b = () => undefined
+
+    addInterceptor('get', a, { name: 'a' })
+    addInterceptor('get', b, { name: 'b', priority: 5, once: true })
+    addInterceptor('set', () => undefined)
+
+    expect(listInterceptors('get')).toEqual([
+      { trap: 'get', name: 'b', priority: 5, once: true, middleware: false, interceptor: b },
+      { trap: 'get', name: 'a', priority: 0, once: false, middleware: false, interceptor: a },
+    ])
+    expect(() => listInterceptors('invalidTrap')).toThrow(TypeError)
+  })
+
+  it('should remove once interceptors after their first invocation', () => {
+    const { proxy, addInterceptor, listInterceptors } = createProxy({ key: 'value' })
+
+    addInterceptor('get', () => 'once', { once: true })
+
+    expect(proxy.key).toBe('once')
+    expect(proxy.key).toBe('value')
+    expect(listInterceptors('get')).toEqual([])
+  })
+
+  it('should pass options through the define helpers', () => {
+    const { proxy, defineGetInterceptor, removeInterceptor } = createProxy({ key: 'value' })
+
+    defineGetInterceptor(() => 'named', { name: 'named' })
+    expect(proxy.key).toBe('named')
+
+    removeInterceptor('named')
+    expect(proxy.key).toBe('value')
+  })
+
+  it('should reject non-function interceptors and invalid priorities', () => {
+    const { addInterceptor } = createProxy({})
+
+    expect(() => addInterceptor('get', 'nope')).toThrow(TypeError)
+    expect(() => addInterceptor('get', () => undefined, { priority: 'high' })).toThrow(TypeError)
+  })
+})
+
+describe('createProxy middleware interceptors', () => {
+  it('should let middleware transform the Reflect result', () => {
+    const { proxy, addInterceptor } = createProxy({ secret: 'olleh' })
+
+    addInterceptor('get', (ctx, next) => {
+      const value = next()
+      return typeof value === 'string' ? [...value].reverse().join('') : value
+    }, { middleware: true })
+
+    expect(proxy.secret).toBe('hello')
+  })
+
+  it('should let middleware rewrite arguments for the rest of the chain', () => {
+    const target = {}
+    const { proxy, addInterceptor } = createProxy(target)
+
+    addInterceptor('set', (ctx, next) => {
+      ctx.value = String(ctx.value).toUpperCase()
+      return next()
+    }, { middleware: true })
+
+    proxy.name = 'alice'
+    expect(target.name).toBe('ALICE')
+  })
+
+  it('should compose middleware with short-circuit interceptors in priority order', () => {
+    const { proxy, addInterceptor } = createProxy({ key: 'value' })
+    const calls = []
+
+    addInterceptor('get', (ctx, next) => {
+      calls.push(`outer:${String(ctx.prop)}`)
+      return `[${next()}]`
+    }, { middleware: true, priority: 10 })
+    addInterceptor('get', (target, prop) => (prop === 'virtual' ? 'computed' : undefined))
+
+    expect(proxy.key).toBe('[value]')
+    expect(proxy.virtual).toBe('[computed]')
+    expect(calls).toEqual(['outer:key', 'outer:virtual'])
+  })
+
+  it('should allow middleware to short-circuit by not calling next', () => {
+    const target = { key: 'value' }
+    const { proxy, addInterceptor } = createProxy(target)
+
+    addInterceptor('deleteProperty', () => false, { middleware: true })
+
+    expect(() => {
+      delete proxy.key
+    }).toThrow(TypeError)
+    expect(target.key).toBe('value')
+  })
+
+  it('should wrap function calls with apply middleware', () => {
+    const { proxy, addInterceptor } = createProxy((a, b) => a + b)
+
+    addInterceptor('apply', (ctx, next) => {
+      ctx.argsList = ctx.argsList.map((n) => n * 10)
+      return next() + 1
+    }, { middleware: true })
+
+    expect(proxy(1, 2)).toBe(31)
+  })
+})
+
+describe('createProxy per-proxy registry', () => {
+  it('should look up a read-only view of the proxy interface from the proxy reference', () => {
+    const proxyInterface = createProxy({ key: 'value' })
+    const inspection = getProxyInterface(proxyInterface.proxy)
+
+    expect(Object.keys(inspection)).toEqual(['proxy', 'listInterceptors'])
+    expect(inspection.proxy).toBe(proxyInterface.proxy)
+    expect(Object.isFrozen(inspection)).toBe(true)
+    expect(getProxyInterface({})).toBeUndefined()
+    expect(getProxyInterface('primitive')).toBeUndefined()
+  })
+
+  it('should let interceptors be introspected, but not changed, through the looked-up view', () => {
+    const proxyInterface = createProxy({ key: 'value' })
+    proxyInterface.addInterceptor('get', () => 'intercepted', { name: 'guard' })
+    const inspection = getProxyInterface(proxyInterface.proxy)
+
+    expect(inspection.listInterceptors('get').map((entry) => entry.name)).toEqual(['guard'])
+    expect(inspection.removeInterceptor).toBeUndefined()
+    expect(inspection.addInterceptor).toBeUndefined()
+    expect(proxyInterface.proxy.key).toBe('intercepted')
+  })
+
+  it('should create proxies inside another context scope', () => {
+    const ctx = createContext()
+
+    const proxyInterface = ctx.call({ scope: true }, () => createProxy({ key: 'value' }))
+    proxyInterface.addInterceptor('get', () => 'intercepted')
+
+    expect(proxyInterface.proxy.key).toBe('intercepted')
+  })
+
+  it('should not depend on any global context slot', () => {
+    const first = createProxy({ key: 'first' })
+    const second = createProxy({ key: 'second' })
+
+    first.addInterceptor('get', (target, prop) => `${target[prop]}!`)
+
+    expect(first.proxy.key).toBe('first!')
+    expect(second.proxy.key).toBe('second')
+  })
+})
+
+describe('createProxy deep mode', () => {
+  const createState = () => ({
+    user: { name: 'Ada', address: { city: 'London' } },
+    tags: ['a', 'b'],
+    createdAt: new Date(0),
+  })
+
+  it('should leave nested objects unwrapped by default', () => {
+    const target = createState()
+    const { proxy } = createProxy(target)
+
+    expect(proxy.user).toBe(target.user)
+  })
+
+  it('should wrap nested objects lazily and keep wrapper identity stable', () => {
+    const target = createState()
+    const { proxy } = createProxy(target, { deep: true })
+
+    expect(proxy.user).not.toBe(target.user)
+    expect(proxy.user).toBe(proxy.user)
+    expect(proxy.user.address).toBe(proxy.user.address)
+    expect(proxy.user.address.city).toBe('London')
+    expect(proxy.createdAt).toBe(target.createdAt)
+  })
+
+  it('should pass the full property path to property interceptors', () => {
+    const { proxy, defineGetInterceptor, defineSetInterceptor } = createProxy(createState(), { deep: true })
+    const reads = []
+    const writes = []
+    defineGetInterceptor((target, prop, receiver, path) => {
+      reads.push(path)
+    })
+    defineSetInterceptor((target, prop, value, receiver, path) => {
+      writes.push({ path, value })
+    })
+
+    proxy.user.address.city = 'Paris'
+
+    expect(reads).toEqual([['user'], ['user', 'address']])
+    expect(writes).toEqual([{ path: ['user', 'address', 'city'], value: 'Paris' }])
+  })
+
+  it('should pass the object path to object traps', () => {
+    const { proxy, defineOwnKeysInterceptor } = createProxy(createState(), { deep: true })
+    const paths = []
+    defineOwnKeysInterceptor((target, path) => {
+      paths.push(path)
+    })
+
+    Object.keys(proxy)
+    Object.keys(proxy.user.address)
+
+    expect(paths).toEqual([[], ['user', 'address']])
+  })
+
+  it('should let interceptors block nested writes', () => {
+    const target = createState()
+    const { proxy, defineSetInterceptor } = createProxy(target, { deep: true })
+    defineSetInterceptor((target, prop, value, receiver, path) => (path[0] === 'user' ? false : undefined))
+
+    expect(Reflect.set(proxy.user.address, 'city', 'Paris')).toBe(false)
+    expect(target.user.address.city).toBe('London')
+  })
+
+  it('should wrap nested objects handed out through property descriptors', () => {
+    const target = createState()
+    const { proxy, defineSetInterceptor } = createProxy(target, { deep: true })
+    defineSetInterceptor((target, prop, value, receiver, path) => (path[0] === 'user' ? false : undefined))
+
+    const { value: user } = Object.getOwnPropertyDescriptor(proxy, 'user')
+    expect(user).toBe(proxy.user)
+    expect(Reflect.set(user.address, 'city', 'Paris')).toBe(false)
+    expect(Object.getOwnPropertyDescriptors(proxy).tags.value).toBe(proxy.tags)
+    expect(target.user.address.city).toBe('London')
+  })
+
+  it('should route array mutator writes through the interceptors', () => {
+    const { proxy, defineSetInterceptor } = createProxy(createState(), { deep: true })
+    const paths = []
+    defineSetInterceptor((target, prop, value, receiver, path) => {
+      paths.push(path)
+    })
+
+    proxy.tags.push('c')
+
+    expect(paths).toEqual([
+      ['tags', '2'],
+      ['tags', 'length'],
+    ])
+  })
+
+  it('should store the raw object when a wrapper is assigned', () => {
+    const target = createState()
+    const { proxy } = createProxy(target, { deep: true })
+
+    proxy.owner = proxy.user
+
+    expect(target.owner).toBe(target.user)
+  })
+
+  it('should expose the path to middleware', () => {
+    const { proxy, defineGetInterceptor } = createProxy(createState(), { deep: true })
+    const paths = []
+    defineGetInterceptor(
+      (ctx, next) => {
+        paths.push(ctx.path)
+        return next()
+      },
+      { middleware: true }
+    )
+
+    expect(proxy.user.name).toBe('Ada')
+    expect(paths).toEqual([['user'], ['user', 'name']])
+  })
+
+  it('should resolve nested wrappers to the root proxy interface', () => {
+    const proxyInterface = createProxy(createState(), { deep: true })
+
+    expect(getProxyInterface(proxyInterface.proxy.user.address)).toBe(getProxyInterface(proxyInterface.proxy))
+  })
+
+  it('should not wrap non-writable, non-configurable properties', () => {
+    const target = {}
+    const frozen = { value: 1 }
+    Object.defineProperty(target, 'frozen', { value: frozen, writable: false, configurable: false })
+    const { proxy } = createProxy(target, { deep: true })
+
+    expect(proxy.frozen).toBe(frozen)
+  })
+})
+
+describe('createProxy revocable mode', () => {
+  it('should not expose revoke unless requested', () => {
+    const proxyInterface = createProxy({})
+
+    expect(proxyInterface.revoke).toBeUndefined()
+  })
+
+  it('should cut off the proxy on revoke', () => {
+    const proxyInterface = createProxy({ key: 'value' }, { revocable: true })
+    const { proxy } = proxyInterface
+
+    expect(proxy.key).toBe('value')
+    expect(proxyInterface.isRevoked()).toBe(false)
+
+    expect(proxyInterface.revoke()).toBe(true)
+    expect(proxyInterface.revoke()).toBe(false)
+    expect(proxyInterface.isRevoked()).toBe(true)
+    expect(() => proxy.key).toThrow(TypeError)
+    expect(() => {
+      proxy.key = 'other'
+    }).toThrow(TypeError)
+  })
+
+  it('should cascade to deep wrappers handed out before revocation', () => {
+    const proxyInterface = createProxy({ user: { address: { city: 'London' } } }, { deep: true, revocable: true })
+    const { address } = proxyInterface.proxy.user
+
+    proxyInterface.revoke()
+
+    expect(() => address.city).toThrow(TypeError)
+  })
+
+  it('should revoke wrappers created by the operation that triggered revocation', () => {
+    const proxyInterface = createProxy({ user: { name: 'Ada' } }, { deep: true, revocable: true })
+    proxyInterface.defineGetInterceptor(
+      (ctx, next) => {
+        const result = next()
+        proxyInterface.revoke()
+        return result
+      },
+      { middleware: true }
+    )
+
+    const user = proxyInterface.proxy.user
+
+    expect(() => user.name).toThrow(TypeError)
+  })
+
+  it('should notify revocation listeners with the reason', () => {
+    const proxyInterface = createProxy({}, { revocable: true })
+    const events = []
+    const dispose = proxyInterface.onRevoke((event) => events.push(event))
+    const disposed = []
+    proxyInterface.onRevoke(() => disposed.push('called'))()
+
+    proxyInterface.revoke('tenant removed')
+    proxyInterface.revoke('again')
+
+    expect(events).toHaveLength(1)
+    expect(events[0].proxy).toBe(proxyInterface.proxy)
+    expect(events[0].reason).toBe('tenant removed')
+    expect(disposed).toEqual([])
+    expect(dispose()).toBe(false)
+    expect(() => proxyInterface.onRevoke('not a function')).toThrow(TypeError)
+  })
+
+  it('should keep the proxy interface view reachable after revocation', () => {
+    const proxyInterface = createProxy({}, { revocable: true })
+    const inspection = getProxyInterface(proxyInterface.proxy)
+    proxyInterface.revoke()
+
+    expect(getProxyInterface(proxyInterface.proxy)).toBe(inspection)
+    expect(inspection.isRevoked()).toBe(true)
+    expect(inspection.revoke).toBeUndefined()
+  })
 })
@@ -1,5 +1,12 @@
 import { describe, it, expect, vi } from 'vitest'
-import { runInterceptors, runBooleanInterceptors, runOwnKeysInterceptors } from '../../src/proxy/traps.js'
+import {
+  runInterceptors,
+  runBooleanInterceptors,
+  runOwnKeysInterceptors,
+  createMiddleware,
+  isMiddleware,
+  enforceOwnKeysInvariants,
+} from '../../src/proxy/traps.js'
 
 describe('traps.js utilities', () => {
   describe('runInterceptors', () => {
@@ -90,5 +97,125 @@ describe('traps.js utilities', () => {
       expect(interceptors[0]).toHaveBeenCalledWith({})
       expect(interceptors[1]).toHaveBeenCalledWith({})
     })
+
+    it('should apply add, remove and filter phases independent of order', () => {
+      const interceptors = [
+        vi.fn(() => ({ filter: (key) => !key.startsWith('_') })),
+        vi.fn(() => ({ remove: ['key2'] })),
+        vi.fn(() => ({ add: ['_hidden', 'virtual'] })),
+      ]
+      const fallback = vi.fn(() => ['key1', 'key2'])
+
+      const result = runOwnKeysInterceptors(interceptors, fallback, {})
+
+      expect(result).toEqual(['key1', 'virtual'])
+    })
+
+    it('should refuse to filter out non-configurable keys', () => {
+      const target = {}
+      Object.defineProperty(target, 'fixed', { value: 1, configurable: false })
+      const interceptors = [vi.fn(() => ({ filter: () => false }))]
+
+      expect(() => runOwnKeysInterceptors(interceptors, Reflect.ownKeys, target)).toThrow(
+        "can't hide non-configurable keys: fixed"
+      )
+    })
+
+    it('should let middleware build on the composed keys of the remaining chain', () => {
+      const interceptors = [
+        vi.fn(() => ({ add: ['outer'] })),
+        createMiddleware('ownKeys', (ctx, next) => next().map((key) => key.toUpperCase())),
+        vi.fn(() => ['inner']),
+      ]
+
+      const result = runOwnKeysInterceptors(interceptors, () => ['key1'], {})
+
+      expect(result).toEqual(['KEY1', 'INNER', 'outer'])
+    })
+
+    it('should reject unsupported interceptor results', () => {
+      expect(() => runOwnKeysInterceptors([() => 'key'], () => [], {})).toThrow(TypeError)
+    })
+  })
+
+  describe('enforceOwnKeysInvariants', () => {
+    it('should return exactly the target keys for non-extensible targets', () => {
+      const target = Object.preventExtensions({ a: 1, b: 2 })
+
+      expect(enforceOwnKeysInvariants(target, ['b', 'a', 'virtual'])).toEqual(['a', 'b'])
+    })
+
+    it('should refuse to report keys hidden on a non-extensible target', () => {
+      const target = Object.preventExtensions({ a: 1, b: 2 })
+
+      expect(() => enforceOwnKeysInvariants(target, ['a', 'virtual'])).toThrow(
+        "ownKeys interceptors can't hide keys of a non-extensible target: b."
+      )
+    })
+
+    it('should refuse to report non-configurable keys hidden on an extensible target', () => {
+      const target = { open: 1 }
+      Object.defineProperty(target, 'locked', { value: 1, configurable: false })
+
+      expect(() => enforceOwnKeysInvariants(target, ['open', 'virtual'])).toThrow(
+        "ownKeys interceptors can't hide non-configurable keys: locked."
+      )
+    })
+
+    it('should let extensible targets hide configurable keys and add virtual ones', () => {
+      const target = { open: 1 }
+      Object.defineProperty(target, 'locked', { value: 1, configurable: false })
+
+      expect(enforceOwnKeysInvariants(target, ['locked', 'virtual'])).toEqual(['locked', 'virtual'])
+      expect(enforceOwnKeysInvariants(['x'], ['length'])).toEqual(['length'])
+    })
+
+    it('should drop duplicates and non-key values', () => {
+      const symbol = Symbol('key')
+
+      expect(enforceOwnKeysInvariants({}, ['a', 'a', symbol, 1])).toEqual(['a', symbol])
+    })
+  })
+
+  describe('createMiddleware', () => {
+    it('should mark middleware and reject unknown traps', () => {
+      const middleware = createMiddleware('get', (ctx, next) => next())
+
+      expect(isMiddleware(middleware)).toBe(true)
+      expect(isMiddleware(() => undefined)).toBe(false)
+      expect(() => createMiddleware('invalidTrap', () => undefined)).toThrow(TypeError)
+    })
+
+    it('should expose named trap parameters and shared state on the context', () => {
+      const seen = []
+      const interceptors = [
+        createMiddleware('set', (ctx, next) => {
+          ctx.state.outer = true
+          seen.push([ctx.trap, ctx.prop, ctx.value])
+          return next()
+        }),
+        createMiddleware('set', (ctx, next) => {
+          seen.push(ctx.state.outer)
+          return next()
+        }),
+      ]
+      const fallback = vi.fn(() => true)
+
+      runBooleanInterceptors(interceptors, fallback, {}, 'key', 1, undefined)
+
+      expect(seen).toEqual([['set', 'key', 1], true])
+      expect(fallback).toHaveBeenCalledWith({}, 'key', 1, undefined)
+    })
+
+    it('should let next() return the result of later interceptors', () => {
+      const interceptors = [
+        createMiddleware('get', (ctx, next) => `wrapped(${next()})`),
+        vi.fn(() => 'handled'),
+      ]
+      const fallback = vi.fn(() => 'fallback')
+
+      expect(runInterceptors(interceptors, fallback, {}, 'key', undefined)).toBe('wrapped(handled)')
+      expect(fallback).not.toHaveBeenCalled()
+    })
   })
 })
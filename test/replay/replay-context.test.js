@@ -1,4 +1,6 @@
-import { describe, it, expect } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { configureContext } from '../../src/context/context.js'
 import { createProxy } from '../../src/proxy/create-proxy.js'
 import {
   createReplayContext,
@@ -12,6 +14,7 @@ import {
   createCapabilityContext,
   registerCapabilityInterceptors,
 } from '../../src/security/capability-acl.js'
+import { deepClone } from '../../src/simulation/simulation-context.js'
 
 describe('Replay Context', () => {
   describe('Basic Recording', () => {
@@ -238,20 +241,21 @@ describe('Replay Context', () => {
       expect(replayCtx.isRecording()).toBe(false)
     })
 
-    it('should throw error on nested recordings', () => {
+    it('should allow nested recordings', () => {
       const target = { x: 10 }
       const proxyInterface = createProxy(target)
       const replayCtx = createReplayContext(target)
 
       registerReplayInterceptors(proxyInterface, replayCtx)
 
-      expect(() => {
-        replayCtx.record(() => {
-          replayCtx.record(() => {
-            const _x = proxyInterface.proxy.x
-          })
+      let childId
+      const parentId = replayCtx.record(() => {
+        childId = replayCtx.record(() => {
+          const _x = proxyInterface.proxy.x
         })
-      }).toThrow('Already recording')
+      })
+
+      expect(replayCtx.getRecording(childId).parentId).toBe(parentId)
     })
 
     it('should support multiple sequential recordings', () => {
@@ -464,6 +468,833 @@ describe('Replay Context', () => {
     })
   })
 
+  describe('Snapshot Strategies', () => {
+    class Cart {
+      constructor() {
+        this.items = [{ price: 2 }]
+      }
+
+      get total() {
+        let total = 0
+        for (const item of this.items) total += item.price
+        return total
+      }
+    }
+
+    function recordCart(options) {
+      const target = new Cart()
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target, options)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        const _total = proxyInterface.proxy.total
+        proxyInterface.proxy.items.push({ price: 3 })
+      })
+      return { target, replayCtx, recordingId }
+    }
+
+    it('should replay against the state the recording started from by default', () => {
+      const { replayCtx, recordingId } = recordCart()
+
+      const recording = replayCtx.getRecording(recordingId)
+      const replayedTotal = replayCtx
+        .replay(recordingId)
+        .replayedInvocations.find((invocation) => invocation.property === 'total')
+
+      expect(recording.target).toBeInstanceOf(Cart)
+      expect(recording.target.items).toEqual([{ price: 2 }])
+      expect(replayedTotal.replayResult).toBe(2)
+      expect(replayedTotal.replayResult).toBe(replayedTotal.returnValue)
+    })
+
+    it('should keep accessors, property attributes and cyclic references', () => {
+      let reads = 0
+      const target = { base: 1 }
+      Object.defineProperty(target, 'double', {
+        get() {
+          reads++
+          return this.base * 2
+        },
+        enumerable: true,
+      })
+      Object.defineProperty(target, 'id', { value: 7, writable: false })
+      target.self = target
+      const replayCtx = createReplayContext(target)
+
+      const recording = replayCtx.getRecording(replayCtx.record(() => {}))
+
+      expect(reads).toBe(0)
+      expect(Object.getOwnPropertyDescriptor(recording.target, 'double').get).toBeTypeOf('function')
+      expect(Object.getOwnPropertyDescriptor(recording.target, 'id')).toEqual({
+        value: 7,
+        writable: false,
+        enumerable: false,
+        configurable: false,
+      })
+      expect(recording.target.self).toBe(recording.target)
+      expect(recording.target.self).not.toBe(target)
+    })
+
+    it('should copy Maps, Sets and Dates', () => {
+      const key = { id: 1 }
+      const target = { index: new Map([[key, { seen: 1 }]]), tags: new Set(['a']), when: new Date(0) }
+      const replayCtx = createReplayContext(target)
+
+      const recording = replayCtx.getRecording(replayCtx.record(() => {}))
+      target.index.get(key).seen = 2
+      target.tags.add('b')
+      target.when.setTime(1000)
+
+      expect(recording.target.index.get(key)).toEqual({ seen: 1 })
+      expect([...recording.target.tags]).toEqual(['a'])
+      expect(recording.target.when.getTime()).toBe(0)
+    })
+
+    it('should never let a replay change the recording', () => {
+      const target = { nested: { x: 1 } }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        proxyInterface.proxy.nested = { x: 2 }
+      })
+      replayCtx.replay(recordingId)
+
+      expect(replayCtx.getRecording(recordingId).target).toEqual({ nested: { x: 1 } })
+    })
+
+    it('should share nested objects with the shallow strategy', () => {
+      const { target, replayCtx, recordingId } = recordCart({ snapshot: 'shallow' })
+
+      const recording = replayCtx.getRecording(recordingId)
+
+      expect(recording.target).not.toBeInstanceOf(Cart)
+      expect(recording.target.items).toBe(target.items)
+    })
+
+    it('should copy plain data with the structured strategy', () => {
+      const { replayCtx, recordingId } = recordCart({ snapshot: 'structured' })
+
+      const recording = replayCtx.getRecording(recordingId)
+
+      expect(recording.target).not.toBeInstanceOf(Cart)
+      expect(recording.target.items).toEqual([{ price: 2 }])
+    })
+
+    it('should use a custom snapshot function for the recording and every replay', () => {
+      const snapshots = []
+      const snapshot = (value) => {
+        snapshots.push(value)
+        return deepClone(value)
+      }
+      const { target, replayCtx, recordingId } = recordCart({ snapshot })
+
+      const recording = replayCtx.getRecording(recordingId)
+      replayCtx.replay(recordingId)
+
+      expect(snapshots[0]).toBe(target)
+      expect(snapshots.at(-1)).toBe(recording.target)
+      expect(recording.target).toBeInstanceOf(Cart)
+      expect(recording.target.items).toEqual([{ price: 2 }])
+    })
+
+    it('should reject an unknown strategy', () => {
+      expect(() => createReplayContext({}, { snapshot: 'json' })).toThrow(
+        'Unknown snapshot strategy "json". Use "deep", "shallow", "structured" or a function.'
+      )
+    })
+  })
+
+  describe('Replay Verification', () => {
+    function recordWithMode(fn) {
+      const environment = { mode: 'a' }
+      const target = {
+        get mode() {
+          return environment.mode
+        },
+        get strict() {
+          if (environment.mode === 'a') throw new Error('Strict mode is unavailable')
+          return true
+        },
+      }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+      const recordingId = replayCtx.record(() => fn(proxyInterface.proxy))
+      return { environment, replayCtx, recordingId }
+    }
+
+    it('should detect divergence from a nondeterministic source', () => {
+      let ticks = 0
+      const target = {
+        get counter() {
+          return ++ticks
+        },
+      }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      let seen
+      const recordingId = replayCtx.record(() => {
+        seen = proxyInterface.proxy.counter
+      })
+      const report = replayCtx.verifyReplay(recordingId)
+
+      expect(report.deterministic).toBe(false)
+      expect(report.divergences).toEqual([
+        { index: 0, trap: 'get', property: 'counter', expected: { value: seen }, actual: { value: seen + 1 } },
+      ])
+    })
+
+    it('should detect divergence in the results of a function reading a clock', () => {
+      let time = 1000
+      const clock = () => time++
+      const proxyInterface = createProxy(clock)
+      const replayCtx = createReplayContext(clock)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      let seen
+      const recordingId = replayCtx.record(() => {
+        seen = proxyInterface.proxy()
+      })
+      const report = replayCtx.verifyReplay(recordingId)
+
+      expect(seen).toBe(1000)
+      expect(report.deterministic).toBe(false)
+      expect(report.divergences[0]).toMatchObject({ trap: 'apply', expected: { value: 1000 }, actual: { value: 1001 } })
+    })
+
+    it('should report a deterministic replay', () => {
+      const target = { count: 1, nested: { list: [1] } }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        proxyInterface.proxy.count = proxyInterface.proxy.count + 1
+        proxyInterface.proxy.nested = { list: [...proxyInterface.proxy.nested.list, 2] }
+        delete proxyInterface.proxy.count
+        const _keys = Object.keys(proxyInterface.proxy)
+        const _has = 'missing' in proxyInterface.proxy
+      })
+
+      const { invocations } = replayCtx.getRecording(recordingId)
+      expect(replayCtx.verifyReplay(recordingId)).toEqual({
+        recordingId,
+        deterministic: true,
+        compared: invocations.filter((invocation) => invocation.partOf === undefined).length,
+        total: invocations.length,
+        divergences: [],
+      })
+    })
+
+    it('should not reuse a failed comparison when matching Set members', () => {
+      const environment = { mode: 'a' }
+      const target = {
+        get report() {
+          const [first, second] = environment.mode === 'a' ? [{ v: 1 }, { v: 2 }] : [{ v: 2 }, { v: 1 }]
+          return { members: new Set([first, second]), primary: first }
+        },
+      }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        const _report = proxyInterface.proxy.report
+      })
+      environment.mode = 'b'
+
+      const [divergence] = replayCtx.verifyReplay(recordingId).divergences
+      expect(divergence).toMatchObject({ trap: 'get', property: 'report' })
+      expect(divergence.actual.value.primary).toEqual({ v: 2 })
+    })
+
+    it('should not replay or compare the reads a set makes', () => {
+      const target = { count: 1 }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        proxyInterface.proxy.count = 2
+      })
+
+      const [set, read] = replayCtx.getRecording(recordingId).invocations
+      expect(read).toMatchObject({ trap: 'getOwnPropertyDescriptor', property: 'count', partOf: set.index })
+      expect(replayCtx.replay(recordingId).replayedInvocations[1].replaySkipped).toBe(true)
+      expect(replayCtx.verifyReplay(recordingId)).toMatchObject({ deterministic: true, compared: 1, total: 2 })
+    })
+
+    it('should compare class instances and accessors structurally', () => {
+      class Point {
+        constructor(x) {
+          this.x = x
+        }
+      }
+      const target = { origin: new Point(0) }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        const _origin = proxyInterface.proxy.origin
+        proxyInterface.proxy.origin.x = 5
+      })
+
+      expect(replayCtx.verifyReplay(recordingId).deterministic).toBe(true)
+    })
+
+    it('should report the first divergent result', () => {
+      const { environment, replayCtx, recordingId } = recordWithMode((proxy) => {
+        const _mode = proxy.mode
+        const _again = proxy.mode
+      })
+      environment.mode = 'b'
+
+      const report = replayCtx.verifyReplay(recordingId)
+
+      expect(report.deterministic).toBe(false)
+      expect(report.compared).toBe(1)
+      expect(report.divergences).toEqual([
+        { index: 0, trap: 'get', property: 'mode', expected: { value: 'a' }, actual: { value: 'b' } },
+      ])
+    })
+
+    it('should report every divergence when asked to continue', () => {
+      const { environment, replayCtx, recordingId } = recordWithMode((proxy) => {
+        const _mode = proxy.mode
+        const _again = proxy.mode
+      })
+      environment.mode = 'b'
+
+      const report = replayCtx.verifyReplay(recordingId, { stopAtFirst: false })
+
+      expect(report.compared).toBe(report.total)
+      expect(report.divergences.map((divergence) => divergence.index)).toEqual([0, 1])
+    })
+
+    it('should compare recorded errors with replayed errors', () => {
+      const { environment, replayCtx, recordingId } = recordWithMode((proxy) => {
+        try {
+          return proxy.strict
+        } catch {
+          return false
+        }
+      })
+
+      expect(replayCtx.getRecording(recordingId).invocations[0]).toMatchObject({
+        trap: 'get',
+        property: 'strict',
+        error: 'Strict mode is unavailable',
+      })
+      expect(replayCtx.verifyReplay(recordingId).deterministic).toBe(true)
+
+      environment.mode = 'b'
+      expect(replayCtx.verifyReplay(recordingId).divergences).toEqual([
+        {
+          index: 0,
+          trap: 'get',
+          property: 'strict',
+          expected: { error: 'Strict mode is unavailable' },
+          actual: { value: true },
+        },
+      ])
+    })
+
+    it('should not be affected by mutations made after a value was recorded', () => {
+      const target = { list: [1] }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+
+      const recordingId = replayCtx.record(() => {
+        const list = proxyInterface.proxy.list
+        list.push(2)
+      })
+
+      expect(replayCtx.getRecording(recordingId).invocations[0].returnValue).toEqual([1])
+      expect(replayCtx.verifyReplay(recordingId).deterministic).toBe(true)
+    })
+
+    it('should throw for an unknown recording', () => {
+      expect(() => createReplayContext({}).verifyReplay('missing')).toThrow('Recording "missing" not found')
+    })
+  })
+
+  describe('Nested and Concurrent Recordings', () => {
+    function createRecorder(target) {
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+      return { proxy: proxyInterface.proxy, replayCtx }
+    }
+
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 1))
+
+    it('should record a nested recording as a child span of its parent', () => {
+      const { proxy, replayCtx } = createRecorder({ x: 1, y: 2 })
+
+      let childId, inner, outer
+      const parentId = replayCtx.record(() => {
+        proxy.x = 5
+        childId = replayCtx.record(() => {
+          const _y = proxy.y
+          inner = replayCtx.getRecording()
+        })
+        outer = replayCtx.getRecording()
+        const _x = proxy.x
+      })
+
+      const parent = replayCtx.getRecording(parentId)
+      const child = replayCtx.getRecording(childId)
+      expect(inner).toBe(child)
+      expect(outer).toBe(parent)
+      expect(parent.children).toEqual([child])
+      expect(child.parentId).toBe(parentId)
+      expect(parent.parentId).toBeUndefined()
+      expect(child.target).toEqual({ x: 5, y: 2 })
+      expect(child.invocations.map((invocation) => [invocation.trap, invocation.property])).toEqual([['get', 'y']])
+      expect(parent.invocations.map((invocation) => invocation.trap)).toEqual([
+        'set',
+        'getOwnPropertyDescriptor',
+        'get',
+        'get',
+      ])
+      expect(parent.invocations[2]).toBe(child.invocations[0])
+      expect(child.endTime).toBeLessThanOrEqual(parent.endTime)
+    })
+
+    it('should replay and verify a child span on its own', () => {
+      const { proxy, replayCtx } = createRecorder({ x: 1 })
+
+      let childId
+      const parentId = replayCtx.record(() => {
+        proxy.x = 2
+        childId = replayCtx.record(() => {
+          proxy.x = proxy.x * 10
+        })
+      })
+
+      const { replayedInvocations } = replayCtx.replay(childId)
+      expect(replayedInvocations[0]).toMatchObject({ trap: 'get', property: 'x', replayResult: 2 })
+      expect(replayCtx.verifyReplay(childId).deterministic).toBe(true)
+      expect(replayCtx.verifyReplay(parentId).deterministic).toBe(true)
+    })
+
+    it('should export and import a recording with its child spans as a tree', () => {
+      const { proxy, replayCtx } = createRecorder({ x: 1 })
+
+      const parentId = replayCtx.record(() => {
+        replayCtx.record(() => {
+          replayCtx.record(() => {
+            proxy.x = 3
+          })
+        })
+      })
+
+      const json = JSON.stringify(replayCtx.exportRecording(parentId))
+      const importedCtx = createReplayContext({})
+      importedCtx.importRecording(json)
+
+      const parent = importedCtx.getRecording(parentId)
+      const [child] = parent.children
+      const [grandchild] = child.children
+      expect(importedCtx.getRecordingIds()).toEqual(
+        expect.arrayContaining([parentId, child.recordingId, grandchild.recordingId])
+      )
+      expect(importedCtx.getRecording(grandchild.recordingId)).toBe(grandchild)
+      expect(grandchild.invocations[0]).toBe(parent.invocations[0])
+      expect(importedCtx.verifyReplay(grandchild.recordingId).deterministic).toBe(true)
+    })
+
+    it('should clear child spans with their parent', () => {
+      const { replayCtx } = createRecorder({ x: 1 })
+
+      let childId, grandchildId, siblingId
+      const parentId = replayCtx.record(() => {
+        childId = replayCtx.record(() => {
+          grandchildId = replayCtx.record(() => {})
+        })
+        siblingId = replayCtx.record(() => {})
+      })
+
+      replayCtx.clearRecording(childId)
+      expect(replayCtx.getRecording(grandchildId)).toBeUndefined()
+      expect(replayCtx.getRecording(parentId).children.map((child) => child.recordingId)).toEqual([siblingId])
+
+      replayCtx.clearRecording(parentId)
+      expect(replayCtx.getRecordingIds()).toEqual([])
+    })
+
+    it('should end a recording whose function throws', () => {
+      const { replayCtx } = createRecorder({ x: 1 })
+
+      let childId
+      expect(() =>
+        replayCtx.record(() => {
+          try {
+            replayCtx.record(() => {
+              childId = replayCtx.getRecording().recordingId
+              throw new Error('child failed')
+            })
+          } catch {
+            // The parent carries on
+          }
+          expect(replayCtx.getRecording().children).toHaveLength(1)
+          throw new Error('parent failed')
+        })
+      ).toThrow('parent failed')
+
+      expect(replayCtx.getRecording(childId).endTime).toBeTypeOf('number')
+      expect(replayCtx.isRecording()).toBe(false)
+    })
+
+    it('should refuse an async function when the context is not async', async () => {
+      const { proxy, replayCtx } = createRecorder({ a: 1, b: 2 })
+
+      let settled
+      expect(() =>
+        replayCtx.record(async () => {
+          const _a = proxy.a
+          await Promise.resolve()
+          const _b = proxy.b
+          settled = true
+        })
+      ).toThrow('the replay context is not async')
+
+      expect(replayCtx.getRecordingIds()).toEqual([])
+      expect(replayCtx.isRecording()).toBe(false)
+      await vi.waitFor(() => expect(settled).toBe(true))
+    })
+
+    it('should record after an await when created with asyncContext', async () => {
+      const target = { a: 1, b: 2 }
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target, { asyncContext: true, AsyncLocalStorage })
+      registerReplayInterceptors(proxyInterface, replayCtx)
+      const { proxy } = proxyInterface
+
+      const recordingId = await replayCtx.record(async () => {
+        const _a = proxy.a
+        await Promise.resolve()
+        const _b = proxy.b
+        proxy.a = 5
+      })
+
+      const traps = replayCtx.getRecording(recordingId).invocations.map((invocation) => [invocation.trap, invocation.property])
+      expect(traps).toEqual([
+        ['get', 'a'],
+        ['get', 'b'],
+        ['set', 'a'],
+        ['getOwnPropertyDescriptor', 'a'],
+      ])
+    })
+
+    describe('with an async context', () => {
+      beforeEach(() => {
+        configureContext({ asyncContext: true, AsyncLocalStorage })
+      })
+
+      afterEach(() => {
+        configureContext({ asyncContext: false, AsyncLocalStorage: undefined })
+      })
+
+      it('should resolve with the recording ID once an async function settles', async () => {
+        const { proxy, replayCtx } = createRecorder({ x: 1 })
+
+        const recordingId = await replayCtx.record(async () => {
+          await tick()
+          proxy.x = 2
+        })
+
+        const recording = replayCtx.getRecording(recordingId)
+        expect(recording.invocations[0]).toMatchObject({ trap: 'set', property: 'x' })
+        expect(recording.endTime).toBeTypeOf('number')
+      })
+
+      it('should keep concurrent recordings apart', async () => {
+        const { proxy, replayCtx } = createRecorder({ a: 0, b: 0 })
+        const handle = (property) =>
+          replayCtx.record(async () => {
+            for (let step = 0; step < 3; step++) {
+              await tick()
+              proxy[property] = proxy[property] + 1
+            }
+          })
+
+        const [first, second] = await Promise.all([handle('a'), handle('b')])
+
+        const properties = (recordingId) =>
+          new Set(replayCtx.getRecording(recordingId).invocations.map((invocation) => invocation.property))
+        expect(properties(first)).toEqual(new Set(['a']))
+        expect(properties(second)).toEqual(new Set(['b']))
+        expect(replayCtx.getRecording(first).parentId).toBeUndefined()
+        expect(replayCtx.getRecording(second).parentId).toBeUndefined()
+      })
+
+      it('should record an awaited child span', async () => {
+        const { proxy, replayCtx } = createRecorder({ x: 1 })
+
+        let childId
+        const parentId = await replayCtx.record(async () => {
+          childId = await replayCtx.record(async () => {
+            await tick()
+            const _x = proxy.x
+          })
+          proxy.x = 2
+        })
+
+        expect(replayCtx.getRecording(childId).invocations).toHaveLength(1)
+        expect(replayCtx.getRecording(parentId).invocations.map((invocation) => invocation.trap)).toEqual([
+          'get',
+          'set',
+          'getOwnPropertyDescriptor',
+        ])
+      })
+
+      it('should stop recording callbacks left behind by a finished recording', async () => {
+        const { proxy, replayCtx } = createRecorder({ x: 1 })
+
+        let leftBehind
+        const recordingId = await replayCtx.record(async () => {
+          leftBehind = tick().then(() => {
+            proxy.x = 2
+          })
+        })
+        await leftBehind
+
+        expect(replayCtx.getRecording(recordingId).invocations).toEqual([])
+      })
+    })
+  })
+
+  describe('Effect Methods', () => {
+    function createService() {
+      const calls = { now: 0, fetchUser: 0 }
+      const service = {
+        prefix: 't',
+        now() {
+          calls.now++
+          return 1000 + calls.now
+        },
+        async fetchUser(id) {
+          calls.fetchUser++
+          return { id, fetchedAt: calls.fetchUser }
+        },
+        fail() {
+          throw new Error('network down')
+        },
+        get stamp() {
+          return `${this.prefix}${this.now()}`
+        },
+      }
+      return { service, calls }
+    }
+
+    function createRecorder(target, options) {
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target, options)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+      return { proxy: proxyInterface.proxy, replayCtx }
+    }
+
+    it('should record effect calls with their arguments and results', () => {
+      const { service } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now', 'fail'] })
+
+      let now
+      const recordingId = replayCtx.record(() => {
+        now = proxy.now()
+        expect(() => proxy.fail('x')).toThrow('network down')
+      })
+
+      expect(now).toBe(1001)
+      const effects = replayCtx.getRecording(recordingId).invocations.filter((invocation) => invocation.effect)
+      expect(effects).toEqual([
+        expect.objectContaining({ trap: 'apply', property: 'now', args: [], returnValue: 1001 }),
+        expect.objectContaining({ trap: 'apply', property: 'fail', args: ['x'], error: 'network down' }),
+      ])
+    })
+
+    it('should answer effects from the recording instead of calling them', () => {
+      const { service, calls } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now', 'fail'] })
+
+      const recordingId = replayCtx.record(() => {
+        proxy.now()
+        try {
+          proxy.fail()
+        } catch {
+          // Recorded
+        }
+      })
+
+      const { replayedInvocations } = replayCtx.replay(recordingId)
+      const effects = replayedInvocations.filter((invocation) => invocation.effect)
+      expect(effects[0].replayResult).toBe(1001)
+      expect(effects[1].replayError).toBe('network down')
+      expect(replayCtx.verifyReplay(recordingId).deterministic).toBe(true)
+      expect(calls.now).toBe(1)
+    })
+
+    it('should record the reads and effects of a getter as part of it', () => {
+      const { service } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now'] })
+
+      const recordingId = replayCtx.record(() => {
+        const _stamp = proxy.stamp
+      })
+
+      const [stamp, ...steps] = replayCtx.getRecording(recordingId).invocations
+      expect(stamp).toMatchObject({ trap: 'get', property: 'stamp', returnValue: 't1001' })
+      const partOfStamp = steps.filter((step) => step.partOf === stamp.index)
+      expect(partOfStamp.map((step) => [step.trap, step.property])).toEqual([
+        ['get', 'prefix'],
+        ['get', 'now'],
+        ['apply', 'now'],
+      ])
+    })
+
+    it('should run a getter that calls an effect once and record what the caller saw', () => {
+      const { service, calls } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now'] })
+
+      let stamp
+      const recordingId = replayCtx.record(() => {
+        stamp = proxy.stamp
+      })
+
+      const { invocations } = replayCtx.getRecording(recordingId)
+      expect(stamp).toBe('t1001')
+      expect(calls.now).toBe(1)
+      expect(invocations[0]).toMatchObject({ trap: 'get', property: 'stamp', returnValue: stamp })
+      expect(invocations.filter((invocation) => invocation.effect)).toHaveLength(1)
+    })
+
+    it('should call a function proxy once while recording', () => {
+      let calls = 0
+      const next = () => ++calls
+      const { proxy, replayCtx } = createRecorder(next)
+
+      let result
+      const recordingId = replayCtx.record(() => {
+        result = proxy()
+      })
+
+      expect(result).toBe(1)
+      expect(calls).toBe(1)
+      expect(replayCtx.getRecording(recordingId).invocations).toEqual([
+        expect.objectContaining({ trap: 'apply', returnValue: 1 }),
+      ])
+    })
+
+    it('should serve effects a replayed getter calls in recorded order', () => {
+      const { service, calls } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now'] })
+
+      const recordingId = replayCtx.record(() => {
+        const _first = proxy.now()
+        const _stamp = proxy.stamp
+        const _again = proxy.stamp
+      })
+      const recordedCalls = calls.now
+
+      const replayed = replayCtx
+        .replay(recordingId)
+        .replayedInvocations.filter((invocation) => invocation.property === 'stamp' && !invocation.replaySkipped)
+      expect(replayed.map((invocation) => invocation.replayResult)).toEqual(
+        replayed.map((invocation) => invocation.returnValue)
+      )
+      expect(replayCtx.verifyReplay(recordingId, { stopAtFirst: false }).divergences).toEqual([])
+      expect(calls.now).toBe(recordedCalls)
+    })
+
+    it('should call effects that were not designated during replay', () => {
+      const { service } = createService()
+      const { proxy, replayCtx } = createRecorder(service)
+
+      const recordingId = replayCtx.record(() => {
+        const _stamp = proxy.stamp
+      })
+
+      expect(replayCtx.verifyReplay(recordingId).deterministic).toBe(false)
+    })
+
+    it('should report an effect called more often than recorded', () => {
+      let online = false
+      const clock = {
+        now: () => 1,
+        get status() {
+          return online ? `online since ${this.now()}` : 'offline'
+        },
+      }
+      const { proxy, replayCtx } = createRecorder(clock, { effects: ['now'] })
+
+      const recordingId = replayCtx.record(() => {
+        const _status = proxy.status
+      })
+      online = true
+
+      expect(replayCtx.verifyReplay(recordingId).divergences[0].actual).toEqual({
+        error: 'Effect "now" was called more often than the recording holds results for.',
+      })
+    })
+
+    it('should record async effects with the value they settle with', async () => {
+      const { service } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['fetchUser'], asyncContext: true, AsyncLocalStorage })
+
+      let user
+      const recordingId = await replayCtx.record(async () => {
+        user = await proxy.fetchUser(7)
+      })
+
+      const effect = replayCtx.getRecording(recordingId).invocations.find((invocation) => invocation.effect)
+      expect(effect).toMatchObject({ property: 'fetchUser', args: [7], async: true, returnValue: user })
+      expect(effect.returnValue).not.toBe(user)
+    })
+
+    it('should replay an imported recording without calling effects', async () => {
+      const { service } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now', 'fetchUser'], asyncContext: true, AsyncLocalStorage })
+
+      const recordingId = await replayCtx.record(async () => {
+        const user = await proxy.fetchUser(7)
+        proxy.lastSeen = `${user.id}@${proxy.now()}`
+      })
+      const json = JSON.stringify(replayCtx.exportRecording(recordingId))
+
+      // Imported methods throw when called, so any call through would diverge
+      const offlineCtx = createReplayContext({})
+      offlineCtx.importRecording(json)
+
+      const { replayedInvocations } = offlineCtx.replay(recordingId)
+      expect(replayedInvocations.find((invocation) => invocation.effect).replayResult).toEqual({
+        id: 7,
+        fetchedAt: 1,
+      })
+      expect(offlineCtx.verifyReplay(recordingId).deterministic).toBe(true)
+    })
+
+    it('should not record calls made after the recording ended', () => {
+      const { service, calls } = createService()
+      const { proxy, replayCtx } = createRecorder(service, { effects: ['now'] })
+
+      let now
+      const recordingId = replayCtx.record(() => {
+        now = proxy.now
+      })
+
+      expect(now()).toBe(1001)
+      expect(calls.now).toBe(1)
+      expect(replayCtx.getRecording(recordingId).invocations.some((invocation) => invocation.effect)).toBe(false)
+    })
+  })
+
   describe('Composition with Transactions', () => {
     it('should compose with transaction interceptors', () => {
       const target = { x: 10, y: 20 }
@@ -582,6 +1413,160 @@ describe('Replay Context', () => {
     })
   })
 
+  describe('Export and Import', () => {
+    function recordSession(target, fn) {
+      const proxyInterface = createProxy(target)
+      const replayCtx = createReplayContext(target)
+      registerReplayInterceptors(proxyInterface, replayCtx)
+      const recordingId = replayCtx.record(() => fn(proxyInterface.proxy))
+      return { replayCtx, recordingId }
+    }
+
+    it('should replay an imported recording like the original', () => {
+      const { replayCtx, recordingId } = recordSession({ x: 10, y: 20 }, (proxy) => {
+        proxy.x = proxy.y + 1
+        delete proxy.y
+        return 'z' in proxy
+      })
+
+      const json = JSON.stringify(replayCtx.exportRecording(recordingId))
+      const importedCtx = createReplayContext({})
+      const importedId = importedCtx.importRecording(json)
+
+      expect(importedId).toBe(recordingId)
+      expect(importedCtx.getRecording(importedId)).toEqual(replayCtx.getRecording(recordingId))
+      const results = (ctx, id) => ctx.replay(id).replayedInvocations.map((invocation) => invocation.replayResult)
+      expect(results(importedCtx, importedId)).toEqual(results(replayCtx, recordingId))
+    })
+
+    it('should export a versioned format', () => {
+      const { replayCtx, recordingId } = recordSession({ x: 1 }, (proxy) => proxy.x)
+
+      const exported = replayCtx.exportRecording(recordingId)
+
+      expect(exported).toMatchObject({ format: 'proxyable-recording', version: 1 })
+      const json = JSON.stringify(exported)
+      expect(JSON.parse(json)).toEqual(exported)
+    })
+
+    it('should round-trip values JSON cannot represent', () => {
+      const registered = Symbol.for('app.key')
+      const unique = Symbol('secret')
+      const target = {
+        missing: undefined,
+        notANumber: Number.NaN,
+        negativeZero: -0,
+        infinite: -Infinity,
+        big: 12_345_678_901_234_567_890n,
+        when: new Date('2024-05-01T12:00:00.000Z'),
+        invalid: new Date(Number.NaN),
+        pattern: /ab+c/gi,
+        index: new Map([[{ id: 1 }, new Set(['a', 'b'])]]),
+        failure: new TypeError('boom'),
+        iterator: Symbol.iterator,
+        registered,
+        unique,
+        [unique]: 'hidden',
+        ['__proto__']: 'plain',
+      }
+      const { replayCtx, recordingId } = recordSession(target, (proxy) => proxy.unique)
+
+      const importedCtx = createReplayContext({})
+      const imported = importedCtx.getRecording(importedCtx.importRecording(replayCtx.exportRecording(recordingId)))
+      const snapshot = imported.target
+
+      expect(snapshot).toHaveProperty('missing', undefined)
+      expect(snapshot.notANumber).toBeNaN()
+      expect(Object.is(snapshot.negativeZero, -0)).toBe(true)
+      expect(snapshot.infinite).toBe(-Infinity)
+      expect(snapshot.big).toBe(12_345_678_901_234_567_890n)
+      expect(snapshot.when).toEqual(new Date('2024-05-01T12:00:00.000Z'))
+      expect(snapshot.invalid.getTime()).toBeNaN()
+      expect(snapshot.pattern).toEqual(/ab+c/gi)
+      expect([...snapshot.index]).toEqual([[{ id: 1 }, new Set(['a', 'b'])]])
+      expect(snapshot.failure).toMatchObject({ name: 'TypeError', message: 'boom' })
+      expect(snapshot.iterator).toBe(Symbol.iterator)
+      expect(snapshot.registered).toBe(registered)
+      expect(Object.getPrototypeOf(snapshot)).toBe(Object.prototype)
+      expect(Object.getOwnPropertyDescriptor(snapshot, '__proto__').value).toBe('plain')
+
+      // A unique symbol is recreated once and keeps its identity across the recording
+      expect(snapshot.unique).not.toBe(unique)
+      expect(snapshot.unique.description).toBe('secret')
+      expect(snapshot[snapshot.unique]).toBe('hidden')
+      expect(imported.invocations[0].returnValue).toBe(snapshot.unique)
+    })
+
+    it('should keep shared and cyclic references', () => {
+      const shared = { name: 'shared' }
+      const target = { a: shared, b: shared }
+      target.self = target
+      const { replayCtx, recordingId } = recordSession(target, (proxy) => {
+        proxy.pair = [shared, shared]
+      })
+
+      const importedCtx = createReplayContext({})
+      const imported = importedCtx.getRecording(importedCtx.importRecording(replayCtx.exportRecording(recordingId)))
+
+      expect(imported.target.a).toBe(imported.target.b)
+      expect(imported.target.self.a).toBe(imported.target.a)
+      const [first, second] = imported.invocations.find((invocation) => invocation.trap === 'set').args[0]
+      expect(first).toBe(second)
+    })
+
+    it('should import functions as stubs that throw when called', () => {
+      const target = {
+        greet() {
+          return 'hello'
+        },
+      }
+      const { replayCtx, recordingId } = recordSession(target, (proxy) => proxy.greet)
+
+      const importedCtx = createReplayContext({})
+      const imported = importedCtx.getRecording(importedCtx.importRecording(replayCtx.exportRecording(recordingId)))
+
+      expect(imported.target.greet.name).toBe('greet')
+      expect(() => imported.target.greet()).toThrow('Function "greet" was exported by name only and cannot be called.')
+    })
+
+    it('should reject data that is not an exported recording', () => {
+      const replayCtx = createReplayContext({})
+
+      expect(() => replayCtx.importRecording({ invocations: [] })).toThrow(
+        'Data is not an exported Proxyable recording.'
+      )
+      const exported = (recording) => JSON.stringify({ format: 'proxyable-recording', version: 1, recording })
+      expect(() => replayCtx.importRecording(exported({ $type: 'Object', id: 0, value: {} }))).toThrow(
+        'Data is not an exported Proxyable recording.'
+      )
+      expect(() => replayCtx.importRecording(exported({ $type: 'Weird' }))).toThrow(
+        'Recording contains a value of unknown type "Weird".'
+      )
+      expect(() => replayCtx.importRecording(exported({ $ref: 3 }))).toThrow('Recording refers to unknown value 3.')
+    })
+
+    it('should reject recordings from a newer format version', () => {
+      const { replayCtx, recordingId } = recordSession({ x: 1 }, (proxy) => proxy.x)
+      const exported = { ...replayCtx.exportRecording(recordingId), version: 2 }
+
+      expect(() => createReplayContext({}).importRecording(exported)).toThrow(
+        'Unsupported recording format version 2; this version of Proxyable reads up to version 1.'
+      )
+    })
+
+    it('should not replace an existing recording', () => {
+      const { replayCtx, recordingId } = recordSession({ x: 1 }, (proxy) => proxy.x)
+
+      expect(() => replayCtx.importRecording(replayCtx.exportRecording(recordingId))).toThrow(
+        `Recording "${recordingId}" already exists`
+      )
+    })
+
+    it('should throw when exporting an unknown recording', () => {
+      expect(() => createReplayContext({}).exportRecording('missing')).toThrow('Recording "missing" not found')
+    })
+  })
+
   describe('Complex Scenarios', () => {
     it('should handle mixed trap types in order', () => {
       const target = { x: 10, y: 20 }
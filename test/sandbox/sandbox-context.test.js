@@ -1,5 +1,7 @@
 import { describe, it, expect } from 'vitest'
+import { AsyncLocalStorage } from 'node:async_hooks'
 import { createProxy } from '../../src/proxy/create-proxy.js'
+import { configureContext } from '../../src/context/context.js'
 import {
   createSandboxContext,
   createSandboxOwnKeysInterceptor,
@@ -10,12 +12,21 @@ import {
   createSandboxHasInterceptor,
   createSandboxApplyInterceptor,
   createSandboxGetInterceptor,
+  createSandboxDefinePropertyInterceptor,
+  createSandboxGetPrototypeOfInterceptor,
+  createSandboxSetPrototypeOfInterceptor,
+  createSandboxIsExtensibleInterceptor,
+  createSandboxPreventExtensionsInterceptor,
   registerSandboxInterceptors,
 } from '../../src/sandbox/sandbox-context.js'
 import {
   createCapabilityContext,
   registerCapabilityInterceptors,
 } from '../../src/security/capability-acl.js'
+import {
+  createAuditContext,
+  registerAuditInterceptors,
+} from '../../src/observability/audit-logger.js'
 import {
   createTransactionContext,
   registerTransactionInterceptors,
@@ -990,4 +1001,173 @@ describe('Sandbox Context', () => {
       })
     })
   })
+
+  describe('Structural Interceptors - Define, Prototype and Extensibility', () => {
+    it('should deny Object.defineProperty on restricted keys', () => {
+      const target = { secret: 1, public: 2 }
+      const { proxy, defineDefinePropertyInterceptor } = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, {
+        restrictedKeys: new Set(['secret']),
+      })
+
+      defineDefinePropertyInterceptor(createSandboxDefinePropertyInterceptor(sandboxCtx))
+
+      sandboxCtx.call(() => {
+        expect(() => Object.defineProperty(proxy, 'secret', { value: 'leaked' })).toThrow(TypeError)
+        Object.defineProperty(proxy, 'public', { value: 3 })
+      })
+
+      expect(target.secret).toBe(1)
+      expect(target.public).toBe(3)
+    })
+
+    it('should deny freezing and re-prototyping by default', () => {
+      const target = { foo: 1 }
+      const proxyInterface = createProxy(target)
+      const sandboxCtx = createSandboxContext(target)
+
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+
+      sandboxCtx.call(() => {
+        expect(() => Object.freeze(proxyInterface.proxy)).toThrow(TypeError)
+        expect(() => Object.setPrototypeOf(proxyInterface.proxy, Array.prototype)).toThrow(TypeError)
+      })
+
+      expect(Object.isFrozen(target)).toBe(false)
+      expect(Object.getPrototypeOf(target)).toBe(Object.prototype)
+    })
+
+    it('should allow structural changes when allowStructuralChanges is set', () => {
+      const target = { foo: 1 }
+      const { proxy, definePreventExtensionsInterceptor, defineSetPrototypeOfInterceptor } = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, { allowStructuralChanges: true })
+
+      definePreventExtensionsInterceptor(createSandboxPreventExtensionsInterceptor(sandboxCtx))
+      defineSetPrototypeOfInterceptor(createSandboxSetPrototypeOfInterceptor(sandboxCtx))
+
+      sandboxCtx.call(() => {
+        Object.setPrototypeOf(proxy, Array.prototype)
+        Object.preventExtensions(proxy)
+      })
+
+      expect(Object.getPrototypeOf(target)).toBe(Array.prototype)
+      expect(Object.isExtensible(target)).toBe(false)
+    })
+
+    it('should throw on prototype and extensibility checks when the operations are restricted', () => {
+      const target = {}
+      const { proxy, defineGetPrototypeOfInterceptor, defineIsExtensibleInterceptor } = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, {
+        restrictedOperations: new Set(['getPrototypeOf', 'isExtensible']),
+      })
+
+      defineGetPrototypeOfInterceptor(createSandboxGetPrototypeOfInterceptor(sandboxCtx))
+      defineIsExtensibleInterceptor(createSandboxIsExtensibleInterceptor(sandboxCtx))
+
+      sandboxCtx.call(() => {
+        expect(() => Object.getPrototypeOf(proxy)).toThrow('Sandbox violation: getPrototypeOf operation is restricted')
+        expect(() => Object.isExtensible(proxy)).toThrow('Sandbox violation: isExtensible operation is restricted')
+      })
+
+      expect(Object.getPrototypeOf(proxy)).toBe(Object.prototype)
+    })
+  })
+
+  describe('Interceptor Priority', () => {
+    it('should run sandbox checks before audit and transactions regardless of registration order', () => {
+      const target = { secret: 1, public: 2 }
+      const proxyInterface = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, { restrictedKeys: new Set(['secret']) })
+      const auditCtx = createAuditContext(target, { output: () => {} })
+      const txCtx = createTransactionContext(target)
+
+      registerTransactionInterceptors(proxyInterface, txCtx)
+      registerAuditInterceptors(proxyInterface, auditCtx)
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+
+      expect(proxyInterface.listInterceptors('set').map((entry) => entry.name)).toEqual([
+        'sandbox',
+        'audit',
+        'transaction',
+      ])
+
+      auditCtx.call(() => {
+        sandboxCtx.call(() => {
+          txCtx.call(() => {
+            expect(() => {
+              proxyInterface.proxy.secret = 99
+            }).toThrow(TypeError)
+          })
+        })
+      })
+
+      expect(target.secret).toBe(1)
+      expect(auditCtx.getAuditLog()).toEqual([])
+      expect(txCtx.getJournal()).toEqual([])
+    })
+
+    it('should uninstall sandbox interceptors by name', () => {
+      const target = { secret: 1 }
+      const proxyInterface = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, { restrictedKeys: new Set(['secret']) })
+
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+      proxyInterface.removeInterceptor('sandbox')
+
+      sandboxCtx.call(() => {
+        expect(proxyInterface.proxy.secret).toBe(1)
+      })
+    })
+  })
+
+  describe('OwnKeys Composition', () => {
+    it('should filter keys added by other ownKeys interceptors', () => {
+      const target = { public: 1 }
+      const proxyInterface = createProxy(target)
+      const sandboxCtx = createSandboxContext(target, { restrictedKeys: new Set(['_internal']) })
+
+      proxyInterface.defineOwnKeysInterceptor(() => ({ add: ['_internal', 'virtualA'] }))
+      proxyInterface.defineOwnKeysInterceptor(() => ['virtualB'])
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+
+      sandboxCtx.call(() => {
+        expect(Reflect.ownKeys(proxyInterface.proxy)).toEqual(['public', 'virtualA', 'virtualB'])
+      })
+    })
+  })
+
+  describe('Async Context', () => {
+    it('should keep enforcing the policy after an await', async () => {
+      const target = { secret: 1, public: 2 }
+      const proxyInterface = createProxy(target)
+
+      configureContext({ asyncContext: true, AsyncLocalStorage })
+      const sandboxCtx = createSandboxContext(target, { restrictedKeys: new Set(['secret']) })
+      configureContext({ asyncContext: false, AsyncLocalStorage: undefined })
+
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+
+      await sandboxCtx.call(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        expect(() => proxyInterface.proxy.secret).toThrow('Sandbox violation')
+      })
+    })
+
+    it('should accept async mode for a single sandbox', async () => {
+      const target = { secret: 1, public: 2 }
+      const proxyInterface = createProxy(target)
+      const sandboxCtx = createSandboxContext(
+        target,
+        { restrictedKeys: new Set(['secret']) },
+        { asyncContext: true, AsyncLocalStorage }
+      )
+      registerSandboxInterceptors(proxyInterface, sandboxCtx)
+
+      expect(sandboxCtx.context.asyncContext).toBe(true)
+      await sandboxCtx.call(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        expect(() => proxyInterface.proxy.secret).toThrow('Sandbox violation')
+      })
+    })
+  })
 })
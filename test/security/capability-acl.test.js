@@ -1,16 +1,20 @@
-import { describe, it, expect } from 'vitest'
-import { createProxy } from '../../src/proxy/create-proxy.js'
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createProxy, getProxyInterface } from '../../src/proxy/create-proxy.js'
 import {
   createCapabilityContext,
-  createGetInterceptor,
-  createSetInterceptor,
-  createHasInterceptor,
-  createDeletePropertyInterceptor,
-  createOwnKeysInterceptor,
-  createGetOwnPropertyDescriptorInterceptor,
-  createApplyInterceptor,
-  createConstructInterceptor,
+  createCapabilityGetInterceptor,
+  createCapabilitySetInterceptor,
+  createCapabilityHasInterceptor,
+  createCapabilityDeletePropertyInterceptor,
+  createCapabilityOwnKeysInterceptor,
+  createCapabilityGetOwnPropertyDescriptorInterceptor,
+  createCapabilityApplyInterceptor,
+  createCapabilityConstructInterceptor,
+  createCapabilityDefinePropertyInterceptor,
+  createCapabilitySetPrototypeOfInterceptor,
+  createCapabilityPreventExtensionsInterceptor,
   registerCapabilityInterceptors,
+  createRevocableCapabilityHandle,
 } from '../../src/security/capability-acl.js'
 
 describe('Capability-Based Access Control', () => {
@@ -50,7 +54,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['public']),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(proxy.public).toBe('visible')
@@ -65,7 +69,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['public']),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(() => proxy.secret).toThrow('Access denied: No read capability for property "secret"')
@@ -80,7 +84,7 @@ describe('Capability-Based Access Control', () => {
         canRead: (key) => String(key).startsWith('public_'),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(proxy.public_foo).toBe(1)
@@ -97,7 +101,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['foo']),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       // Access outside context should fail
       expect(() => proxy.foo).toThrow('No capability context')
@@ -113,7 +117,7 @@ describe('Capability-Based Access Control', () => {
         canWrite: new Set(['editable']),
       })
 
-      defineSetInterceptor(createSetInterceptor(capCtx))
+      defineSetInterceptor(createCapabilitySetInterceptor(capCtx))
 
       capCtx.call(() => {
         proxy.editable = 42
@@ -129,7 +133,7 @@ describe('Capability-Based Access Control', () => {
         canWrite: new Set(['editable']),
       })
 
-      defineSetInterceptor(createSetInterceptor(capCtx))
+      defineSetInterceptor(createCapabilitySetInterceptor(capCtx))
 
       capCtx.call(() => {
         // Should silently fail (returns false)
@@ -147,7 +151,7 @@ describe('Capability-Based Access Control', () => {
         canWrite: (key) => String(key).endsWith('_writable'),
       })
 
-      defineSetInterceptor(createSetInterceptor(capCtx))
+      defineSetInterceptor(createCapabilitySetInterceptor(capCtx))
 
       capCtx.call(() => {
         proxy.foo_writable = 1
@@ -169,7 +173,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['visible']),
       })
 
-      defineHasInterceptor(createHasInterceptor(capCtx))
+      defineHasInterceptor(createCapabilityHasInterceptor(capCtx))
 
       capCtx.call(() => {
         expect('visible' in proxy).toBe(true)
@@ -184,7 +188,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['visible']),
       })
 
-      defineHasInterceptor(createHasInterceptor(capCtx))
+      defineHasInterceptor(createCapabilityHasInterceptor(capCtx))
 
       capCtx.call(() => {
         expect('hidden' in proxy).toBe(false)
@@ -201,7 +205,7 @@ describe('Capability-Based Access Control', () => {
         canDelete: new Set(['deletable']),
       })
 
-      defineDeletePropertyInterceptor(createDeletePropertyInterceptor(capCtx))
+      defineDeletePropertyInterceptor(createCapabilityDeletePropertyInterceptor(capCtx))
 
       capCtx.call(() => {
         delete proxy.deletable
@@ -217,7 +221,7 @@ describe('Capability-Based Access Control', () => {
         canDelete: new Set(['deletable']),
       })
 
-      defineDeletePropertyInterceptor(createDeletePropertyInterceptor(capCtx))
+      defineDeletePropertyInterceptor(createCapabilityDeletePropertyInterceptor(capCtx))
 
       capCtx.call(() => {
         const result = Reflect.deleteProperty(proxy, 'permanent')
@@ -234,7 +238,7 @@ describe('Capability-Based Access Control', () => {
         canDelete: (key) => String(key).startsWith('temp_'),
       })
 
-      defineDeletePropertyInterceptor(createDeletePropertyInterceptor(capCtx))
+      defineDeletePropertyInterceptor(createCapabilityDeletePropertyInterceptor(capCtx))
 
       capCtx.call(() => {
         delete proxy.temp_foo
@@ -256,7 +260,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['public1', 'public2']),
       })
 
-      defineOwnKeysInterceptor(createOwnKeysInterceptor(capCtx))
+      defineOwnKeysInterceptor(createCapabilityOwnKeysInterceptor(capCtx))
 
       capCtx.call(() => {
         const keys = Reflect.ownKeys(proxy)
@@ -274,7 +278,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['foo']),
       })
 
-      defineOwnKeysInterceptor(createOwnKeysInterceptor(capCtx))
+      defineOwnKeysInterceptor(createCapabilityOwnKeysInterceptor(capCtx))
 
       // Outside context
       const keys = Reflect.ownKeys(proxy)
@@ -289,9 +293,9 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['visible1', 'visible2']),
       })
 
-      defineOwnKeysInterceptor(createOwnKeysInterceptor(capCtx))
+      defineOwnKeysInterceptor(createCapabilityOwnKeysInterceptor(capCtx))
       defineGetOwnPropertyDescriptorInterceptor(
-        createGetOwnPropertyDescriptorInterceptor(capCtx)
+        createCapabilityGetOwnPropertyDescriptorInterceptor(capCtx)
       )
 
       capCtx.call(() => {
@@ -299,6 +303,17 @@ describe('Capability-Based Access Control', () => {
         expect(keys).toEqual(['visible1', 'visible2'])
       })
     })
+
+    it('should not leak hidden keys of a frozen target', () => {
+      const target = Object.freeze({ visible: 1, secret: 2 })
+      const { proxy, defineOwnKeysInterceptor } = createProxy(target)
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['visible']) })
+      defineOwnKeysInterceptor(createCapabilityOwnKeysInterceptor(capCtx))
+
+      capCtx.call(() => {
+        expect(() => Object.keys(proxy)).toThrow("can't hide keys of a non-extensible target: secret")
+      })
+    })
   })
 
   describe('GetOwnPropertyDescriptor Interceptor', () => {
@@ -311,7 +326,7 @@ describe('Capability-Based Access Control', () => {
       })
 
       defineGetOwnPropertyDescriptorInterceptor(
-        createGetOwnPropertyDescriptorInterceptor(capCtx)
+        createCapabilityGetOwnPropertyDescriptorInterceptor(capCtx)
       )
 
       capCtx.call(() => {
@@ -330,9 +345,9 @@ describe('Capability-Based Access Control', () => {
       })
 
       defineGetOwnPropertyDescriptorInterceptor(
-        createGetOwnPropertyDescriptorInterceptor(capCtx)
+        createCapabilityGetOwnPropertyDescriptorInterceptor(capCtx)
       )
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         // getOwnPropertyDescriptor falls through for non-readable properties
@@ -358,7 +373,7 @@ describe('Capability-Based Access Control', () => {
         canApply: true,
       })
 
-      defineApplyInterceptor(createApplyInterceptor(capCtx))
+      defineApplyInterceptor(createCapabilityApplyInterceptor(capCtx))
 
       capCtx.call(() => {
         const result = proxy(21)
@@ -374,7 +389,7 @@ describe('Capability-Based Access Control', () => {
         canApply: false,
       })
 
-      defineApplyInterceptor(createApplyInterceptor(capCtx))
+      defineApplyInterceptor(createCapabilityApplyInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(() => proxy(21)).toThrow('Access denied: No apply capability')
@@ -389,7 +404,7 @@ describe('Capability-Based Access Control', () => {
         canApply: (target, thisArg, argsList) => argsList.length <= 2,
       })
 
-      defineApplyInterceptor(createApplyInterceptor(capCtx))
+      defineApplyInterceptor(createCapabilityApplyInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(proxy(1, 2)).toEqual([1, 2])
@@ -409,7 +424,7 @@ describe('Capability-Based Access Control', () => {
         canConstruct: true,
       })
 
-      defineConstructInterceptor(createConstructInterceptor(capCtx))
+      defineConstructInterceptor(createCapabilityConstructInterceptor(capCtx))
 
       capCtx.call(() => {
         const obj = new proxy('Test')
@@ -427,7 +442,7 @@ describe('Capability-Based Access Control', () => {
         canConstruct: false,
       })
 
-      defineConstructInterceptor(createConstructInterceptor(capCtx))
+      defineConstructInterceptor(createCapabilityConstructInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(() => new proxy('Test')).toThrow('Access denied: No construct capability')
@@ -444,7 +459,7 @@ describe('Capability-Based Access Control', () => {
         canConstruct: (target, argsList) => argsList[0] !== 'forbidden',
       })
 
-      defineConstructInterceptor(createConstructInterceptor(capCtx))
+      defineConstructInterceptor(createCapabilityConstructInterceptor(capCtx))
 
       capCtx.call(() => {
         const obj1 = new proxy('allowed')
@@ -470,7 +485,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['bar', 'baz']),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtxA))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtxA))
 
       // In context A
       capCtxA.call(() => {
@@ -491,14 +506,14 @@ describe('Capability-Based Access Control', () => {
       const capCtxA = createCapabilityContext(target, {
         canRead: new Set(['public']),
       })
-      addGetA(createGetInterceptor(capCtxA))
+      addGetA(createCapabilityGetInterceptor(capCtxA))
 
       // Proxy B: read access to secret and internal
       const { proxy: proxyB, defineGetInterceptor: addGetB } = createProxy(target)
       const capCtxB = createCapabilityContext(target, {
         canRead: new Set(['secret', 'internal']),
       })
-      addGetB(createGetInterceptor(capCtxB))
+      addGetB(createCapabilityGetInterceptor(capCtxB))
 
       // Context A can only read public
       capCtxA.call(() => {
@@ -532,7 +547,7 @@ describe('Capability-Based Access Control', () => {
       })
 
       // Add capability interceptor
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         const result = proxy.value
@@ -558,7 +573,7 @@ describe('Capability-Based Access Control', () => {
       })
 
       // Add capability interceptor
-      defineSetInterceptor(createSetInterceptor(capCtx))
+      defineSetInterceptor(createCapabilitySetInterceptor(capCtx))
 
       capCtx.call(() => {
         proxy.age = 25
@@ -581,7 +596,7 @@ describe('Capability-Based Access Control', () => {
       const called = []
 
       // Add capability interceptor first (denies restricted)
-      defineSetInterceptor(createSetInterceptor(capCtx))
+      defineSetInterceptor(createCapabilitySetInterceptor(capCtx))
 
       // Add another interceptor that should not be called for restricted
       defineSetInterceptor((target, prop, value) => {
@@ -645,7 +660,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(), // No read permissions
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtxA))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtxA))
 
       // In context A, access is allowed
       capCtxA.call(() => {
@@ -692,7 +707,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set([sym]),
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(proxy[sym]).toBe('symbolic')
@@ -707,7 +722,7 @@ describe('Capability-Based Access Control', () => {
         canRead: (key) => false, // Always deny
       })
 
-      defineGetInterceptor(createGetInterceptor(capCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(capCtx))
 
       capCtx.call(() => {
         expect(() => proxy.foo).toThrow('No read capability')
@@ -726,7 +741,7 @@ describe('Capability-Based Access Control', () => {
         canRead: new Set(['inner']),
       })
 
-      defineGetInterceptor(createGetInterceptor(outerCtx))
+      defineGetInterceptor(createCapabilityGetInterceptor(outerCtx))
 
       outerCtx.call(() => {
         expect(proxy.outer).toBe(1)
@@ -736,4 +751,227 @@ describe('Capability-Based Access Control', () => {
       })
     })
   })
+
+  describe('Structural Interceptors - Define, Prototype and Extensibility', () => {
+    it('should require canWrite for Object.defineProperty', () => {
+      const target = { foo: 1 }
+      const proxyInterface = createProxy(target)
+      const capCtx = createCapabilityContext(target, {
+        canRead: new Set(['foo', 'bar']),
+        canWrite: new Set(['foo']),
+      })
+
+      registerCapabilityInterceptors(proxyInterface, capCtx)
+
+      capCtx.call(() => {
+        Object.defineProperty(proxyInterface.proxy, 'foo', { value: 2 })
+        expect(() => Object.defineProperty(proxyInterface.proxy, 'bar', { value: 3 })).toThrow(TypeError)
+      })
+
+      expect(target.foo).toBe(2)
+      expect(target).not.toHaveProperty('bar')
+    })
+
+    it('should deny freezing and re-prototyping without canConfigure', () => {
+      const target = { foo: 1 }
+      const proxyInterface = createProxy(target)
+      const capCtx = createCapabilityContext(target, {
+        canRead: new Set(['foo']),
+        canWrite: new Set(['foo']),
+      })
+
+      registerCapabilityInterceptors(proxyInterface, capCtx)
+
+      capCtx.call(() => {
+        expect(() => Object.freeze(proxyInterface.proxy)).toThrow(TypeError)
+        expect(() => Object.setPrototypeOf(proxyInterface.proxy, Array.prototype)).toThrow(TypeError)
+      })
+
+      expect(Object.isFrozen(target)).toBe(false)
+      expect(Object.getPrototypeOf(target)).toBe(Object.prototype)
+    })
+
+    it('should allow structural changes with canConfigure', () => {
+      const target = { foo: 1 }
+      const { proxy, definePreventExtensionsInterceptor, defineSetPrototypeOfInterceptor } = createProxy(target)
+      const capCtx = createCapabilityContext(target, { canConfigure: true })
+
+      definePreventExtensionsInterceptor(createCapabilityPreventExtensionsInterceptor(capCtx))
+      defineSetPrototypeOfInterceptor(createCapabilitySetPrototypeOfInterceptor(capCtx))
+
+      capCtx.call(() => {
+        Object.setPrototypeOf(proxy, Array.prototype)
+        Object.preventExtensions(proxy)
+      })
+
+      expect(Object.getPrototypeOf(target)).toBe(Array.prototype)
+      expect(Object.isExtensible(target)).toBe(false)
+    })
+
+    it('should deny defineProperty without a capability context', () => {
+      const target = {}
+      const { proxy, defineDefinePropertyInterceptor } = createProxy(target)
+      const capCtx = createCapabilityContext(target, { canWrite: new Set(['foo']) })
+
+      defineDefinePropertyInterceptor(createCapabilityDefinePropertyInterceptor(capCtx))
+
+      expect(() => Object.defineProperty(proxy, 'foo', { value: 1 })).toThrow(TypeError)
+    })
+  })
+
+  describe('Deep Proxies - Path Capabilities', () => {
+    const createState = () => ({ user: { name: 'Ada', address: { city: 'London', zip: 'N1' } } })
+
+    it('should match nested properties by dotted path', () => {
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const capCtx = createCapabilityContext(target, {
+        canRead: new Set(['user', 'user.address', 'user.address.city']),
+        canWrite: new Set(['user.address.city']),
+      })
+
+      registerCapabilityInterceptors(proxyInterface, capCtx)
+
+      capCtx.call(() => {
+        const { address } = proxyInterface.proxy.user
+        expect(address.city).toBe('London')
+        expect(() => address.zip).toThrow('No read capability for property "zip"')
+        expect(() => proxyInterface.proxy.user.name).toThrow('No read capability')
+
+        address.city = 'Paris'
+        expect(Reflect.set(address, 'zip', 'E1')).toBe(false)
+        expect(Object.keys(address)).toEqual(['city'])
+      })
+
+      expect(target.user.address).toEqual({ city: 'Paris', zip: 'N1' })
+    })
+
+    it('should not grant a nested property from a bare key in the Set', () => {
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['user', 'city']) })
+
+      registerCapabilityInterceptors(proxyInterface, capCtx)
+
+      capCtx.call(() => {
+        expect(() => proxyInterface.proxy.user.address).toThrow('No read capability')
+      })
+    })
+
+    it('should pass the path to predicate capabilities', () => {
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const capCtx = createCapabilityContext(target, {
+        canRead: (key, path) => path[0] === 'user',
+        canWrite: (key, path) => path.join('.').startsWith('user.address.'),
+      })
+
+      registerCapabilityInterceptors(proxyInterface, capCtx)
+
+      capCtx.call(() => {
+        proxyInterface.proxy.user.address.zip = 'E1'
+        expect(Reflect.set(proxyInterface.proxy.user, 'name', 'Grace')).toBe(false)
+      })
+
+      expect(target.user).toEqual({ name: 'Ada', address: { city: 'London', zip: 'E1' } })
+    })
+  })
+
+  describe('Revocable Capability Handles', () => {
+    afterEach(() => {
+      vi.useRealTimers()
+    })
+
+    it('should guard the handle with the capability context', () => {
+      const target = { foo: 1, secret: 2 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx)
+
+      capCtx.call(() => {
+        expect(handle.proxy.foo).toBe(1)
+        expect(() => handle.proxy.secret).toThrow('No read capability')
+      })
+      expect(handle.getRemainingUses()).toBe(Number.POSITIVE_INFINITY)
+      expect(handle.expiresAt).toBeUndefined()
+    })
+
+    it('should not let holders of the proxy remove its capability checks', () => {
+      const target = { foo: 1, secret: 'pw' }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx)
+
+      const inspection = getProxyInterface(handle.proxy)
+      expect(inspection.removeInterceptor).toBeUndefined()
+      expect(inspection.addInterceptor).toBeUndefined()
+      expect(() => handle.proxy.secret).toThrow()
+    })
+
+    it('should revoke manually', () => {
+      const target = { foo: 1 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx)
+
+      expect(handle.revoke('compromised')).toBe(true)
+      expect(handle.isRevoked()).toBe(true)
+      expect(() => capCtx.call(() => handle.proxy.foo)).toThrow(TypeError)
+    })
+
+    it('should revoke after the time limit', () => {
+      vi.useFakeTimers()
+      const target = { foo: 1 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx, { ttl: 1000 })
+
+      vi.advanceTimersByTime(999)
+      expect(capCtx.call(() => handle.proxy.foo)).toBe(1)
+
+      vi.advanceTimersByTime(1)
+      expect(handle.isRevoked()).toBe(true)
+      expect(() => capCtx.call(() => handle.proxy.foo)).toThrow(TypeError)
+    })
+
+    it('should revoke after the last allowed use completes', () => {
+      const target = { foo: 1 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']), canWrite: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx, { maxUses: 2 })
+
+      capCtx.call(() => {
+        expect(handle.proxy.foo).toBe(1)
+        expect(handle.getRemainingUses()).toBe(1)
+        handle.proxy.foo = 2
+      })
+
+      expect(target.foo).toBe(2)
+      expect(handle.getRemainingUses()).toBe(0)
+      expect(handle.isRevoked()).toBe(true)
+      expect(() => capCtx.call(() => handle.proxy.foo)).toThrow(TypeError)
+    })
+
+    it('should count denied operations as uses', () => {
+      const target = { foo: 1 }
+      const capCtx = createCapabilityContext(target, { canRead: new Set(['foo']) })
+      const handle = createRevocableCapabilityHandle(target, capCtx, { maxUses: 1 })
+
+      expect(() => handle.proxy.foo).toThrow('No capability context')
+      expect(handle.isRevoked()).toBe(true)
+    })
+
+    it('should revoke deep children of a deep handle', () => {
+      const target = { user: { name: 'Ada' } }
+      const capCtx = createCapabilityContext(target, { canRead: () => true })
+      const handle = createRevocableCapabilityHandle(target, capCtx, { deep: true })
+
+      const user = capCtx.call(() => handle.proxy.user)
+      handle.revoke()
+
+      expect(() => capCtx.call(() => user.name)).toThrow(TypeError)
+    })
+
+    it('should reject invalid limits', () => {
+      const capCtx = createCapabilityContext({})
+
+      expect(() => createRevocableCapabilityHandle({}, capCtx, { ttl: -1 })).toThrow(TypeError)
+      expect(() => createRevocableCapabilityHandle({}, capCtx, { maxUses: 1.5 })).toThrow(TypeError)
+    })
+  })
 })
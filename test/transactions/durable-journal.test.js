@@ -0,0 +1,412 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { appendFileSync, mkdtempSync, readFileSync, rmSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createProxy } from '../../src/proxy/create-proxy.js'
+import {
+  createTransactionContext,
+  registerTransactionInterceptors,
+} from '../../src/transactions/transaction-context.js'
+import { createTransactionManager } from '../../src/transactions/transaction-manager.js'
+import {
+  createFileJournalSink,
+  readJournalFile,
+  recover,
+} from '../../src/transactions/durable-journal.js'
+
+describe('Durable Journal', () => {
+  let directory, journalPath, sink
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'proxyable-journal-'))
+    journalPath = join(directory, 'store.journal')
+    sink = createFileJournalSink(journalPath)
+  })
+
+  afterEach(() => {
+    sink.close()
+    rmSync(directory, { recursive: true, force: true })
+  })
+
+  function openStore(target, options = {}) {
+    const proxyInterface = createProxy(target)
+    const tx = createTransactionContext(target, { journalSink: sink, ...options })
+    registerTransactionInterceptors(proxyInterface, tx)
+    return { proxy: proxyInterface.proxy, tx }
+  }
+
+  describe('journal sink', () => {
+    it('should reject a sink without an append function', () => {
+      expect(() => createTransactionContext({}, { journalSink: {} })).toThrow(
+        'Transaction journal sink must have an append function.'
+      )
+    })
+
+    it('should write an entry before the mutation reaches the target', () => {
+      const target = { theme: 'light' }
+      const seen = []
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, {
+        journalSink: { append: (record) => seen.push([record.type, target.theme]) },
+      })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => {
+        proxyInterface.proxy.theme = 'dark'
+      })
+      tx.commit()
+
+      expect(seen).toEqual([
+        ['begin', 'light'],
+        ['entry', 'light'],
+        ['commit', 'dark'],
+      ])
+    })
+
+    it('should not apply a mutation the sink failed to record', () => {
+      const target = { theme: 'light' }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, {
+        journalSink: {
+          append: (record) => {
+            if (record.type === 'entry') throw new Error('disk full')
+          },
+        },
+      })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      expect(() =>
+        tx.call(() => {
+          proxyInterface.proxy.theme = 'dark'
+        })
+      ).toThrow('disk full')
+      expect(target.theme).toBe('light')
+    })
+
+    it('should file the records of each transaction under its id', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+
+      tx.run(() => {
+        proxy.theme = 'dark'
+        delete proxy.theme
+      })
+      tx.call(() => {
+        proxy.size = 12
+      })
+      tx.rollback()
+
+      const records = readJournalFile(journalPath)
+      expect(records.map((record) => [record.type, record.entry?.operation])).toEqual([
+        ['begin', undefined],
+        ['entry', 'set'],
+        ['entry', 'delete'],
+        ['commit', undefined],
+        ['begin', undefined],
+        ['entry', 'set'],
+        ['rollback', undefined],
+      ])
+      expect(new Set(records.slice(0, 4).map((record) => record.transactionId)).size).toBe(1)
+      expect(records[4].transactionId).not.toBe(records[0].transactionId)
+    })
+
+    it('should only journal mutations of string properties', () => {
+      const key = Symbol('key')
+      const target = function save() {}
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, { journalSink: sink })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.run(() => {
+        proxyInterface.proxy[key] = 1
+        proxyInterface.proxy()
+      })
+
+      expect(readJournalFile(journalPath).map((record) => record.type)).toEqual(['begin', 'commit'])
+    })
+
+    it('should record savepoint rollbacks', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+
+      tx.call(() => {
+        proxy.size = 12
+        const id = tx.savepoint()
+        proxy.theme = 'dark'
+        tx.rollbackTo(id)
+      })
+
+      const records = readJournalFile(journalPath)
+      expect(records.at(-1)).toEqual({
+        type: 'rollbackTo',
+        transactionId: records[0].transactionId,
+        sequence: records.at(-2).entry.sequence,
+      })
+    })
+
+    it('should record commits made by a transaction manager', () => {
+      const { proxy, tx } = openStore({ theme: 'light' }, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(tx)
+
+      manager.call(() => {
+        proxy.theme = 'dark'
+      })
+      manager.commit()
+
+      expect(readJournalFile(journalPath).at(-1).type).toBe('commit')
+    })
+  })
+
+  describe('readJournalFile', () => {
+    it('should return no records for a missing file', () => {
+      expect(readJournalFile(join(directory, 'missing.journal'))).toEqual([])
+    })
+
+    it('should skip a line torn by a crash', () => {
+      sink.append({ type: 'begin', transactionId: 't1' })
+      appendFileSync(journalPath, '{"type":"ent')
+
+      expect(readJournalFile(journalPath)).toEqual([{ type: 'begin', transactionId: 't1' }])
+    })
+
+    it('should start new records on a line of their own after a torn line', () => {
+      sink.close()
+      appendFileSync(journalPath, '{"type":"ent')
+      sink = createFileJournalSink(journalPath)
+
+      sink.append({ type: 'begin', transactionId: 't1' })
+
+      expect(readFileSync(journalPath, 'utf8')).toBe('{"type":"ent\n{"type":"begin","transactionId":"t1"}\n')
+      expect(readJournalFile(journalPath)).toEqual([{ type: 'begin', transactionId: 't1' }])
+    })
+
+    it('should refuse records once closed', () => {
+      sink.close()
+
+      expect(() => sink.append({ type: 'begin' })).toThrow(`Journal sink for "${journalPath}" is closed`)
+    })
+  })
+
+  describe('checkpoint', () => {
+    it('should drop the records of finished transactions', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+      tx.run(() => {
+        proxy.theme = 'dark'
+      })
+      tx.call(() => {
+        proxy.theme = 'blue'
+      })
+      tx.rollback()
+
+      expect(sink.checkpoint()).toBe(6)
+      expect(readJournalFile(journalPath)).toEqual([])
+    })
+
+    it('should keep the records recovery needs for transactions in progress', () => {
+      const target = { theme: 'light', size: 12 }
+      const store = openStore(target)
+      const other = openStore(target)
+      store.tx.call(() => {
+        store.proxy.theme = 'dark'
+      })
+      other.tx.run(() => {
+        other.proxy.size = 14
+      })
+
+      expect(sink.checkpoint()).toBe(0)
+      store.tx.call(() => {
+        store.proxy.locale = 'fr'
+      })
+
+      // The saved store held both writes, then the process crashed
+      const reloaded = { theme: 'dark', size: 14, locale: 'fr' }
+      recover(reloaded, journalPath)
+      expect(reloaded).toEqual({ theme: 'light', size: 14 })
+    })
+
+    it('should let the sink append after a checkpoint', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+      tx.run(() => {
+        proxy.theme = 'dark'
+      })
+      sink.checkpoint()
+      tx.run(() => {
+        proxy.theme = 'blue'
+      })
+
+      const reloaded = { theme: 'dark' }
+      expect(recover(reloaded, journalPath).committed).toHaveLength(1)
+      expect(reloaded).toEqual({ theme: 'blue' })
+    })
+
+    it('should refuse to checkpoint once closed', () => {
+      sink.close()
+
+      expect(() => sink.checkpoint()).toThrow('is closed')
+    })
+  })
+
+  describe('recover', () => {
+    it('should roll forward committed transactions onto a reloaded target', () => {
+      const { proxy, tx } = openStore({ theme: 'light', size: 10 })
+      tx.run(() => {
+        proxy.theme = 'dark'
+        proxy.size = 12
+      })
+      tx.run(() => {
+        delete proxy.size
+        Object.defineProperty(proxy, 'locale', { value: 'fr', writable: true, enumerable: true, configurable: true })
+      })
+
+      // The process crashed before the store was saved
+      const reloaded = { theme: 'light', size: 10 }
+      const report = recover(reloaded, journalPath)
+
+      expect(reloaded).toEqual({ theme: 'dark', locale: 'fr' })
+      expect(report.committed).toHaveLength(2)
+      expect(report.rolledBack).toEqual([])
+    })
+
+    it('should roll back a transaction that never finished', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+      tx.call(() => {
+        proxy.theme = 'dark'
+        proxy.size = 12
+      })
+
+      // The store was saved mid-transaction, then the process crashed
+      const reloaded = { theme: 'dark', size: 12 }
+      const report = recover(reloaded, journalPath)
+
+      expect(reloaded).toEqual({ theme: 'light' })
+      expect(report).toEqual({ committed: [], rolledBack: [tx._state.transactionId] })
+    })
+
+    it('should restore deleted properties at their original position', () => {
+      const { proxy, tx } = openStore({ theme: 'light', size: 12, locale: 'en' })
+      tx.call(() => {
+        delete proxy.theme
+      })
+
+      const reloaded = { size: 12, locale: 'en' }
+      recover(reloaded, journalPath)
+
+      expect(Object.keys(reloaded)).toEqual(['theme', 'size', 'locale'])
+      expect(reloaded.theme).toBe('light')
+    })
+
+    it('should ignore rolled back transactions and entries discarded by a savepoint', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+      tx.call(() => {
+        proxy.theme = 'dark'
+      })
+      tx.rollback()
+      tx.call(() => {
+        proxy.size = 12
+        const id = tx.savepoint()
+        proxy.theme = 'blue'
+        tx.rollbackTo(id)
+      })
+      tx.commit()
+
+      const reloaded = { theme: 'light' }
+      recover(reloaded, journalPath)
+
+      expect(reloaded).toEqual({ theme: 'light', size: 12 })
+    })
+
+    it('should roll forward deferred transactions', () => {
+      const target = { theme: 'light' }
+      const settings = openStore(target, { isolation: 'deferred' })
+      const layout = openStore(target, { isolation: 'deferred' })
+
+      settings.tx.call(() => {
+        settings.proxy.theme = 'dark'
+      })
+      layout.tx.run(() => {
+        layout.proxy.size = 12
+      })
+      settings.tx.commit()
+
+      const reloaded = { theme: 'light' }
+      const report = recover(reloaded, journalPath)
+
+      expect(reloaded).toEqual({ theme: 'dark', size: 12 })
+      const commits = readJournalFile(journalPath).filter((record) => record.type === 'commit')
+      expect(report.committed).toEqual(commits.map((record) => record.transactionId))
+    })
+
+    it('should not undo properties a later committed transaction wrote', () => {
+      const target = { theme: 'light' }
+      const crashed = openStore(target)
+      const other = openStore(target)
+
+      crashed.tx.call(() => {
+        crashed.proxy.theme = 'dark'
+      })
+      other.tx.run(() => {
+        other.proxy.theme = 'blue'
+      })
+
+      const reloaded = { theme: 'blue' }
+      recover(reloaded, journalPath)
+
+      expect(reloaded).toEqual({ theme: 'blue' })
+    })
+
+    it('should be safe to run twice', () => {
+      const { proxy, tx } = openStore({ theme: 'light' })
+      tx.call(() => {
+        proxy.theme = 'dark'
+      })
+      sink.close()
+
+      const first = { theme: 'dark' }
+      expect(recover(first, journalPath).rolledBack).toHaveLength(1)
+
+      const second = { theme: 'light' }
+      expect(recover(second, journalPath)).toEqual({ committed: [], rolledBack: [] })
+      expect(second).toEqual({ theme: 'light' })
+    })
+
+    it('should recover nested and Map mutations made through a deep proxy', () => {
+      const createState = () => ({ profile: { name: 'Ada' }, items: [1, 2], roles: new Map([['ada', 'admin']]) })
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const tx = createTransactionContext(target, { journalSink: sink })
+      registerTransactionInterceptors(proxyInterface, tx)
+      const { proxy } = proxyInterface
+
+      tx.run(() => {
+        proxy.profile.name = 'Grace'
+        proxy.items.push(3)
+        proxy.roles.set('grace', 'editor')
+      })
+      tx.call(() => {
+        proxy.items.push(4)
+        proxy.roles.delete('ada')
+      })
+
+      // The store was saved mid-transaction, then the process crashed
+      const reloaded = {
+        profile: { name: 'Grace' },
+        items: [1, 2, 3, 4],
+        roles: new Map([['grace', 'editor']]),
+      }
+      recover(reloaded, journalPath)
+
+      expect(reloaded.profile).toEqual({ name: 'Grace' })
+      expect(reloaded.items).toEqual([1, 2, 3])
+      expect([...reloaded.roles]).toEqual([
+        ['ada', 'admin'],
+        ['grace', 'editor'],
+      ])
+    })
+
+    it('should recover nothing from a missing journal', () => {
+      const target = { theme: 'light' }
+
+      expect(recover(target, join(directory, 'missing.journal'))).toEqual({ committed: [], rolledBack: [] })
+      expect(target).toEqual({ theme: 'light' })
+    })
+  })
+})
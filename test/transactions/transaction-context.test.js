@@ -1,5 +1,8 @@
-import { describe, it, expect, beforeEach } from 'vitest'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { AsyncLocalStorage } from 'node:async_hooks'
+import { types } from 'node:util'
 import { createProxy } from '../../src/proxy/create-proxy.js'
+import { configureContext } from '../../src/context/context.js'
 import {
   createTransactionContext,
   registerTransactionInterceptors,
@@ -7,6 +10,8 @@ import {
   createTransactionDeletePropertyInterceptor,
   createTransactionApplyInterceptor,
   createTransactionConstructInterceptor,
+  createTransactionGetInterceptor,
+  TransactionConflictError,
 } from '../../src/transactions/transaction-context.js'
 import {
   createCapabilityContext,
@@ -609,4 +614,1849 @@ describe('Transaction Context', () => {
       expect(typeof interceptor).toBe('function')
     })
   })
+
+  describe('Structural Operation Journaling', () => {
+    let target, proxyInterface, proxy, tx
+
+    beforeEach(() => {
+      target = { x: 1 }
+      proxyInterface = createProxy(target)
+      proxy = proxyInterface.proxy
+      tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+    })
+
+    it('should journal and roll back Object.defineProperty', () => {
+      tx.call(() => {
+        Object.defineProperty(proxy, 'x', { value: 2, writable: false, configurable: true })
+        Object.defineProperty(proxy, 'y', { value: 3, configurable: true })
+      })
+
+      const journal = tx.getJournal()
+      expect(journal.map((entry) => entry.operation)).toEqual(['defineProperty', 'defineProperty'])
+      expect(journal[1].previousDescriptor).toBeUndefined()
+
+      tx.rollback()
+
+      expect(Object.getOwnPropertyDescriptor(target, 'x')).toEqual({
+        value: 1,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      })
+      expect(target).not.toHaveProperty('y')
+    })
+
+    it('should journal and roll back Object.setPrototypeOf', () => {
+      const proto = { greet: () => 'hi' }
+
+      tx.call(() => {
+        Object.setPrototypeOf(proxy, proto)
+      })
+
+      expect(proxy.greet()).toBe('hi')
+
+      tx.rollback()
+
+      expect(Object.getPrototypeOf(target)).toBe(Object.prototype)
+    })
+
+    it('should journal preventExtensions for audit only', () => {
+      tx.call(() => {
+        Object.preventExtensions(proxy)
+      })
+
+      expect(tx.getJournal()[0].operation).toBe('preventExtensions')
+
+      tx.rollback()
+
+      expect(Object.isExtensible(target)).toBe(false)
+    })
+
+    it('should not journal a defineProperty entry for plain assignments', () => {
+      tx.call(() => {
+        proxy.x = 5
+      })
+
+      expect(tx.getJournal().map((entry) => entry.operation)).toEqual(['set'])
+    })
+  })
+
+  describe('Deferred Isolation', () => {
+    let target, proxyInterface, proxy, tx
+
+    beforeEach(() => {
+      target = { x: 1, y: 2 }
+      proxyInterface = createProxy(target)
+      proxy = proxyInterface.proxy
+      tx = createTransactionContext(target, { isolation: 'deferred' })
+      registerTransactionInterceptors(proxyInterface, tx)
+    })
+
+    it('should reject unknown isolation modes', () => {
+      expect(() => createTransactionContext(target, { isolation: 'serializable' })).toThrow(TypeError)
+    })
+
+    it('should stage writes without touching the target', () => {
+      tx.call(() => {
+        proxy.x = 10
+        proxy.z = 3
+        delete proxy.y
+      })
+
+      expect(target).toEqual({ x: 1, y: 2 })
+      expect(proxy.x).toBe(1)
+      expect('z' in proxy).toBe(false)
+      expect(tx.getJournal().map((entry) => entry.operation)).toEqual(['set', 'set', 'delete'])
+    })
+
+    it('should read its own staged writes inside the transaction', () => {
+      const seen = tx.call(() => {
+        proxy.x = 10
+        proxy.z = 3
+        delete proxy.y
+        return {
+          x: proxy.x,
+          y: proxy.y,
+          hasY: 'y' in proxy,
+          hasZ: 'z' in proxy,
+          keys: Object.keys(proxy),
+          descriptor: Object.getOwnPropertyDescriptor(proxy, 'z'),
+        }
+      })
+
+      expect(seen).toEqual({
+        x: 10,
+        y: undefined,
+        hasY: false,
+        hasZ: true,
+        keys: ['x', 'z'],
+        descriptor: { value: 3, writable: true, enumerable: true, configurable: true },
+      })
+    })
+
+    it('should journal previous values as seen by the transaction', () => {
+      tx.call(() => {
+        proxy.x = 10
+        proxy.x = 20
+      })
+
+      const [first, second] = tx.getJournal()
+      expect(first.previousValue).toBe(1)
+      expect(second.previousValue).toBe(10)
+    })
+
+    it('should apply the write-set on commit', () => {
+      tx.call(() => {
+        proxy.x = 10
+        proxy.z = 3
+        delete proxy.y
+      })
+
+      expect(tx.commit()).toBe(true)
+
+      expect(target).toEqual({ x: 10, z: 3 })
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should discard the write-set on rollback', () => {
+      tx.call(() => {
+        proxy.x = 10
+        proxy.z = undefined
+      })
+
+      tx.rollback()
+
+      expect(target).toEqual({ x: 1, y: 2 })
+      expect(Object.hasOwn(target, 'z')).toBe(false)
+    })
+
+    it('should leave the target unchanged and stay active if commit fails', () => {
+      tx.call(() => {
+        proxy.x = 10
+        proxy.y = 20
+      })
+
+      // Another writer locks y before the commit
+      Object.defineProperty(target, 'y', { writable: false, configurable: false })
+
+      expect(() => tx.commit()).toThrow('Transaction commit failed')
+      expect(target.x).toBe(1)
+      expect(target.y).toBe(2)
+      expect(tx.isActive()).toBe(true)
+
+      tx.rollback()
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should refuse writes to read-only properties', () => {
+      Object.defineProperty(target, 'id', { value: 7, writable: false, configurable: true })
+
+      tx.call(() => {
+        expect(Reflect.set(proxy, 'id', 8)).toBe(false)
+      })
+
+      tx.commit()
+      expect(target.id).toBe(7)
+    })
+
+    it('should run setters and stage their writes', () => {
+      Object.defineProperty(target, 'double', {
+        set(value) {
+          this.x = value * 2
+        },
+        configurable: true,
+      })
+
+      tx.call(() => {
+        proxy.double = 5
+        expect(proxy.x).toBe(10)
+      })
+
+      expect(target.x).toBe(1)
+      tx.commit()
+      expect(target.x).toBe(10)
+    })
+
+    it('should stage property definitions and prototype changes', () => {
+      const proto = { greet: () => 'hi' }
+
+      tx.call(() => {
+        Object.defineProperty(proxy, 'x', { value: 5, writable: false })
+        Object.setPrototypeOf(proxy, proto)
+        expect(proxy.greet()).toBe('hi')
+        expect(Object.getPrototypeOf(proxy)).toBe(proto)
+      })
+
+      expect(Object.getPrototypeOf(target)).toBe(Object.prototype)
+      expect(Object.getOwnPropertyDescriptor(target, 'x').writable).toBe(true)
+
+      tx.commit()
+
+      expect(Object.getPrototypeOf(target)).toBe(proto)
+      expect(Object.getOwnPropertyDescriptor(target, 'x')).toEqual({
+        value: 5,
+        writable: false,
+        enumerable: true,
+        configurable: true,
+      })
+    })
+
+    it('should refuse to stage new non-configurable properties', () => {
+      tx.call(() => {
+        expect(Reflect.defineProperty(proxy, 'fixed', { value: 1, configurable: false })).toBe(false)
+      })
+    })
+
+    it('should keep journaling across sequential call() invocations', () => {
+      tx.call(() => {
+        proxy.x = 10
+      })
+      tx.call(() => {
+        proxy.x += 1
+      })
+
+      expect(tx.getJournal()).toHaveLength(2)
+      tx.commit()
+      expect(target.x).toBe(11)
+    })
+
+    it('should still be guarded by capability checks', () => {
+      const guardedTarget = { x: 1, secret: 's' }
+      const guarded = createProxy(guardedTarget)
+      const capCtx = createCapabilityContext(guardedTarget, {
+        canRead: new Set(['x']),
+        canWrite: new Set(['x']),
+      })
+      const guardedTx = createTransactionContext(guardedTarget, { isolation: 'deferred' })
+      registerCapabilityInterceptors(guarded, capCtx)
+      registerTransactionInterceptors(guarded, guardedTx)
+
+      capCtx.call(() =>
+        guardedTx.call(() => {
+          guarded.proxy.x = 2
+          expect(() => {
+            guarded.proxy.secret = 'leak'
+          }).toThrow()
+          expect(() => guarded.proxy.secret).toThrow()
+        })
+      )
+
+      guardedTx.commit()
+      expect(guardedTarget).toEqual({ x: 2, secret: 's' })
+    })
+
+    it('should create a get middleware', () => {
+      expect(typeof createTransactionGetInterceptor(tx)).toBe('function')
+    })
+  })
+
+  describe('Savepoints', () => {
+    for (const isolation of ['immediate', 'deferred']) {
+      describe(`${isolation} isolation`, () => {
+        let target, proxyInterface, proxy, tx
+
+        beforeEach(() => {
+          target = { x: 1, y: 2 }
+          proxyInterface = createProxy(target)
+          proxy = proxyInterface.proxy
+          tx = createTransactionContext(target, { isolation })
+          registerTransactionInterceptors(proxyInterface, tx)
+        })
+
+        it('should roll back only the mutations made after a savepoint', () => {
+          let id
+          tx.call(() => {
+            proxy.x = 10
+            id = tx.savepoint()
+            proxy.y = 20
+            proxy.z = 30
+          })
+
+          tx.rollbackTo(id)
+
+          expect(tx.getJournal().map((entry) => entry.property)).toEqual(['x'])
+          tx.call(() => {
+            expect({ ...proxy }).toEqual({ x: 10, y: 2 })
+          })
+
+          tx.commit()
+          expect(target).toEqual({ x: 10, y: 2 })
+        })
+
+        it('should keep the savepoint open after rollbackTo', () => {
+          let id
+          tx.call(() => {
+            id = tx.savepoint()
+            proxy.x = 10
+          })
+          tx.rollbackTo(id)
+          tx.call(() => {
+            proxy.x = 20
+          })
+          tx.rollbackTo(id)
+
+          tx.commit()
+          expect(target.x).toBe(1)
+        })
+
+        it('should release later savepoints on rollbackTo', () => {
+          tx.call(() => {
+            const outer = tx.savepoint()
+            const inner = tx.savepoint()
+            tx.rollbackTo(outer)
+            expect(() => tx.rollbackTo(inner)).toThrow(`Savepoint "${inner}" not found`)
+          })
+        })
+
+        it('should keep the mutations of a released savepoint', () => {
+          tx.call(() => {
+            const id = tx.savepoint()
+            proxy.x = 10
+            tx.release(id)
+            expect(() => tx.rollbackTo(id)).toThrow('not found')
+          })
+
+          tx.commit()
+          expect(target.x).toBe(10)
+        })
+
+        it('should roll back only the inner slice when a nested call throws', () => {
+          tx.call(() => {
+            proxy.x = 10
+            expect(() =>
+              tx.call(() => {
+                proxy.y = 20
+                throw new Error('inner failure')
+              })
+            ).toThrow('inner failure')
+            proxy.z = 30
+          })
+
+          expect(tx.getJournal().map((entry) => entry.property)).toEqual(['x', 'z'])
+          expect(tx._state.savepoints).toHaveLength(0)
+
+          tx.commit()
+          expect(target).toEqual({ x: 10, y: 2, z: 30 })
+        })
+
+        it('should roll back only the inner slice when a nested async call rejects', async () => {
+          await tx.call(async () => {
+            proxy.x = 10
+            await expect(
+              tx.call(() => {
+                proxy.y = 20
+                return Promise.reject(new Error('inner failure'))
+              })
+            ).rejects.toThrow('inner failure')
+          })
+
+          tx.commit()
+          expect(target).toEqual({ x: 10, y: 2 })
+        })
+
+        it('should clear savepoints when the transaction ends', () => {
+          let id
+          tx.call(() => {
+            id = tx.savepoint()
+          })
+          tx.commit()
+
+          expect(() => tx.rollbackTo(id)).toThrow('not found')
+          expect(() => tx.savepoint()).toThrow('No active transaction for savepoint')
+        })
+      })
+    }
+  })
+
+  describe('Compensating Actions', () => {
+    let charges, refunds, charge, proxyInterface, proxy
+
+    beforeEach(() => {
+      charges = []
+      refunds = []
+      charge = function charge(amount) {
+        const id = `ch_${charges.length + 1}`
+        charges.push({ id, amount })
+        return { id }
+      }
+      proxyInterface = createProxy(charge)
+      proxy = proxyInterface.proxy
+    })
+
+    it('should journal calls under the method name', () => {
+      const tx = createTransactionContext(charge)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => proxy(10))
+
+      expect(tx.getJournal()[0]).toMatchObject({ operation: 'apply', method: 'charge', args: [10] })
+    })
+
+    it('should run compensations in reverse order on rollback', () => {
+      const tx = createTransactionContext(charge, {
+        compensations: {
+          charge: { compensate: (args, result) => refunds.push({ id: result.id, amount: args[0] }) },
+        },
+      })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => {
+        proxy(10)
+        proxy(20)
+      })
+      const report = tx.rollback()
+
+      expect(refunds).toEqual([
+        { id: 'ch_2', amount: 20 },
+        { id: 'ch_1', amount: 10 },
+      ])
+      expect(report).toEqual({
+        success: true,
+        compensated: [
+          { operation: 'apply', method: 'charge', index: 1 },
+          { operation: 'apply', method: 'charge', index: 0 },
+        ],
+        failures: [],
+      })
+    })
+
+    it('should call a function that returns nothing once', () => {
+      const sent = []
+      const sendEmail = (to) => {
+        sent.push(to)
+      }
+      const emailInterface = createProxy(sendEmail)
+      const tx = createTransactionContext(sendEmail)
+      registerTransactionInterceptors(emailInterface, tx)
+
+      tx.call(() => emailInterface.proxy('ada@example.com'))
+
+      expect(sent).toEqual(['ada@example.com'])
+      expect(tx.getJournal()).toHaveLength(1)
+    })
+
+    for (const isolation of ['immediate', 'deferred']) {
+      it(`should journal and compensate method calls on an object proxy in ${isolation} isolation`, () => {
+        const account = { balance: 100, charge }
+        const accountInterface = createProxy(account)
+        const tx = createTransactionContext(account, {
+          isolation,
+          compensations: { charge: { compensate: (args, result) => refunds.push(result.id) } },
+        })
+        registerTransactionInterceptors(accountInterface, tx)
+        const { proxy: accountProxy } = accountInterface
+
+        tx.call(() => {
+          accountProxy.balance = 90
+          accountProxy.charge(10)
+        })
+        const report = tx.rollback()
+
+        expect(charges).toEqual([{ id: 'ch_1', amount: 10 }])
+        expect(refunds).toEqual(['ch_1'])
+        expect(report.compensated).toEqual([{ operation: 'apply', method: 'charge', index: 1 }])
+        expect(account.balance).toBe(100)
+        expect(accountProxy.charge).toBe(charge)
+      })
+    }
+
+    it('should not run compensations on commit', () => {
+      const compensate = vi.fn()
+      const tx = createTransactionContext(charge, { compensations: { charge: { compensate } } })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => proxy(10))
+      tx.commit()
+
+      expect(compensate).not.toHaveBeenCalled()
+    })
+
+    it('should report failing compensations and keep rolling back', () => {
+      const target = { balance: 100 }
+      const objectInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(objectInterface, tx)
+      registerTransactionInterceptors(proxyInterface, tx)
+      tx.setCompensation('charge', {
+        compensate: () => {
+          throw new Error('refund service down')
+        },
+      })
+
+      tx.call(() => {
+        objectInterface.proxy.balance = 90
+        proxy(10)
+      })
+      const report = tx.rollback()
+
+      expect(target.balance).toBe(100)
+      expect(report.success).toBe(false)
+      expect(report.failures).toHaveLength(1)
+      expect(report.failures[0]).toMatchObject({ operation: 'apply', method: 'charge', index: 1 })
+      expect(report.failures[0].error.message).toBe('refund service down')
+    })
+
+    it('should compensate constructions', () => {
+      class Reservation {
+        constructor(seat) {
+          this.seat = seat
+        }
+      }
+      const released = []
+      const classInterface = createProxy(Reservation)
+      const tx = createTransactionContext(Reservation, {
+        compensations: { Reservation: { compensate: (args, instance) => released.push(instance.seat) } },
+      })
+      registerTransactionInterceptors(classInterface, tx)
+
+      tx.call(() => new classInterface.proxy('12A'))
+      tx.rollback()
+
+      expect(released).toEqual(['12A'])
+    })
+
+    it('should compensate the calls made since a savepoint', () => {
+      const tx = createTransactionContext(charge, {
+        isolation: 'deferred',
+        compensations: { charge: { compensate: (args, result) => refunds.push(result.id) } },
+      })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      let id
+      tx.call(() => {
+        proxy(10)
+        id = tx.savepoint()
+        proxy(20)
+      })
+
+      expect(tx.rollbackTo(id).compensated).toHaveLength(1)
+      expect(refunds).toEqual(['ch_2'])
+    })
+
+    it('should surface failing compensations of a failed nested call', () => {
+      const tx = createTransactionContext(charge, {
+        compensations: {
+          charge: {
+            compensate: () => {
+              throw new Error('refund service down')
+            },
+          },
+        },
+      })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      let thrown
+      tx.call(() => {
+        try {
+          tx.call(() => {
+            proxy(10)
+            throw new Error('inner failure')
+          })
+        } catch (error) {
+          thrown = error
+        }
+      })
+
+      expect(thrown).toBeInstanceOf(AggregateError)
+      expect(thrown.errors.map((error) => error.message)).toEqual(['inner failure', 'refund service down'])
+    })
+
+    it('should manage compensations at runtime', () => {
+      const tx = createTransactionContext(charge)
+      const compensation = { compensate: () => {} }
+
+      tx.setCompensation('charge', compensation)
+      expect(tx.getCompensation('charge')).toBe(compensation)
+      expect(tx.removeCompensation('charge')).toBe(true)
+      expect(tx.getCompensation('charge')).toBeUndefined()
+      expect(() => tx.setCompensation('charge', {})).toThrow(TypeError)
+      expect(() => createTransactionContext(charge, { compensations: { charge: () => {} } })).toThrow(TypeError)
+    })
+  })
+
+  describe('run', () => {
+    let target, proxy, tx
+
+    beforeEach(() => {
+      target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      proxy = proxyInterface.proxy
+      tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+    })
+
+    it('should commit on success and return the result with the applied journal', () => {
+      const { result, journal } = tx.run(() => {
+        proxy.x = 10
+        return 'ok'
+      })
+
+      expect(result).toBe('ok')
+      expect(journal).toEqual([expect.objectContaining({ operation: 'set', property: 'x', value: 10 })])
+      expect(target.x).toBe(10)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should roll back and rethrow when the function throws', () => {
+      const error = new Error('boom')
+
+      expect(() =>
+        tx.run(() => {
+          proxy.x = 10
+          throw error
+        })
+      ).toThrow(error)
+      expect(target.x).toBe(1)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    // Async functions need a transaction context that survives await
+    const createAsyncTransaction = () => {
+      const proxyInterface = createProxy(target)
+      proxy = proxyInterface.proxy
+      tx = createTransactionContext(target, { asyncContext: true, AsyncLocalStorage })
+      registerTransactionInterceptors(proxyInterface, tx)
+    }
+
+    it('should roll back when the promise rejects', async () => {
+      createAsyncTransaction()
+      await expect(
+        tx.run(async () => {
+          proxy.x = 10
+          throw new Error('async boom')
+        })
+      ).rejects.toThrow('async boom')
+
+      expect(target.x).toBe(1)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should commit when the promise resolves', async () => {
+      createAsyncTransaction()
+      const { result, journal } = await tx.run(async () => {
+        proxy.x = 10
+        return 'done'
+      })
+
+      expect(result).toBe('done')
+      expect(journal).toHaveLength(1)
+      expect(target.x).toBe(10)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should refuse an async function when the context is not async', async () => {
+      let settled
+      expect(() =>
+        tx.run(async () => {
+          proxy.x = 5
+          await Promise.resolve()
+          proxy.x = 2
+          settled = true
+          throw new Error('boom')
+        })
+      ).toThrow('the transaction context is not async')
+
+      expect(target.x).toBe(1)
+      expect(tx.isActive()).toBe(false)
+      await vi.waitFor(() => expect(settled).toBe(true))
+    })
+
+    it('should roll back writes made after an await when the context is async', async () => {
+      createAsyncTransaction()
+      await expect(
+        tx.run(async () => {
+          await Promise.resolve()
+          proxy.x = 2
+          throw new Error('boom')
+        })
+      ).rejects.toThrow('boom')
+
+      expect(target).toEqual({ x: 1 })
+    })
+
+    it('should leave the transaction active without autoCommit', () => {
+      const { journal } = tx.run(
+        () => {
+          proxy.x = 10
+        },
+        { autoCommit: false }
+      )
+
+      expect(journal).toHaveLength(1)
+      expect(tx.isActive()).toBe(true)
+
+      tx.rollback()
+      expect(target.x).toBe(1)
+    })
+
+    it('should retry after a conflict error', () => {
+      let attempts = 0
+      const { result } = tx.run(
+        () => {
+          attempts++
+          proxy.x = attempts
+          if (attempts < 3) {
+            const conflict = new Error('conflict')
+            conflict.name = 'TransactionConflictError'
+            throw conflict
+          }
+          return attempts
+        },
+        { retries: 2 }
+      )
+
+      expect(result).toBe(3)
+      expect(target.x).toBe(3)
+    })
+
+    it('should rethrow the conflict once retries are exhausted', () => {
+      const fn = vi.fn(() => {
+        proxy.x = 10
+        const conflict = new Error('conflict')
+        conflict.name = 'TransactionConflictError'
+        throw conflict
+      })
+
+      expect(() => tx.run(fn, { retries: 1 })).toThrow('conflict')
+      expect(fn).toHaveBeenCalledTimes(2)
+      expect(target.x).toBe(1)
+    })
+
+    it('should not retry other errors', () => {
+      const fn = vi.fn(() => {
+        throw new Error('boom')
+      })
+
+      expect(() => tx.run(fn, { retries: 3 })).toThrow('boom')
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should roll back when the commit fails', () => {
+      const deferredTarget = { x: 1 }
+      const proxyInterface = createProxy(deferredTarget)
+      const deferred = createTransactionContext(deferredTarget, { isolation: 'deferred' })
+      registerTransactionInterceptors(proxyInterface, deferred)
+
+      expect(() =>
+        deferred.run(() => {
+          proxyInterface.proxy.x = 10
+          Object.freeze(deferredTarget)
+        })
+      ).toThrow('Transaction commit failed')
+      expect(deferredTarget.x).toBe(1)
+      expect(deferred.isActive()).toBe(false)
+    })
+
+    it('should report compensations that fail during the rollback', () => {
+      const charge = function charge() {}
+      const proxyInterface = createProxy(charge)
+      const billing = createTransactionContext(charge, {
+        compensations: {
+          charge: {
+            compensate: () => {
+              throw new Error('refund failed')
+            },
+          },
+        },
+      })
+      registerTransactionInterceptors(proxyInterface, billing)
+      const error = new Error('boom')
+
+      let thrown
+      try {
+        billing.run(() => {
+          proxyInterface.proxy()
+          throw error
+        })
+      } catch (error_) {
+        thrown = error_
+      }
+
+      expect(thrown).toBeInstanceOf(AggregateError)
+      expect(thrown.errors[0]).toBe(error)
+      expect(thrown.errors[1].message).toBe('refund failed')
+    })
+
+    it('should refuse to run while a transaction is active', () => {
+      tx.call(() => {})
+
+      expect(() => tx.run(() => {})).toThrow('Cannot run a transaction while another is active')
+    })
+  })
+
+  describe('Optimistic Concurrency', () => {
+    function createHandler(target, isolation) {
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, { isolation })
+      registerTransactionInterceptors(proxyInterface, tx)
+      return { proxy: proxyInterface.proxy, tx }
+    }
+
+    for (const isolation of ['immediate', 'deferred']) {
+      describe(`in ${isolation} isolation`, () => {
+        let store, first, second
+
+        beforeEach(() => {
+          store = { stock: 10, price: 5 }
+          first = createHandler(store, isolation)
+          second = createHandler(store, isolation)
+        })
+
+        it('should bump the version of committed properties', () => {
+          expect(first.tx.getVersion('stock')).toBe(0)
+
+          first.tx.call(() => {
+            first.proxy.stock = 9
+          })
+          first.tx.commit()
+
+          expect(first.tx.getVersion('stock')).toBe(1)
+          expect(second.tx.getVersion('stock')).toBe(1)
+          expect(first.tx.getVersion('price')).toBe(0)
+        })
+
+        it('should track the properties a transaction reads', () => {
+          first.tx.call(() => first.proxy.stock)
+
+          expect([...first.tx._state.readSet]).toEqual([['stock', 0]])
+        })
+
+        it('should reject a commit whose reads were changed by another transaction', () => {
+          first.tx.call(() => {
+            first.proxy.price = first.proxy.stock * 2
+          })
+          second.tx.call(() => {
+            second.proxy.stock = 3
+          })
+          second.tx.commit()
+
+          let error
+          try {
+            first.tx.commit()
+          } catch (error_) {
+            error = error_
+          }
+
+          expect(error).toBeInstanceOf(TransactionConflictError)
+          expect(error.name).toBe('TransactionConflictError')
+          expect(error.properties).toEqual(['stock'])
+          expect(error.message).toBe('Transaction conflict: "stock" changed since the transaction read them')
+          expect(first.tx.isActive()).toBe(true)
+
+          first.tx.rollback()
+          expect(store).toEqual({ stock: 3, price: 5 })
+        })
+
+        describe('with contexts sharing one proxy', () => {
+          let proxy, firstTx, secondTx
+
+          beforeEach(() => {
+            const proxyInterface = createProxy(store)
+            proxy = proxyInterface.proxy
+            firstTx = createTransactionContext(store, { isolation })
+            secondTx = createTransactionContext(store, { isolation })
+            registerTransactionInterceptors(proxyInterface, firstTx)
+            registerTransactionInterceptors(proxyInterface, secondTx)
+          })
+
+          it('should commit a transaction without conflicting with its own writes', () => {
+            secondTx.call(() => {
+              proxy.stock = proxy.stock - 1
+            })
+
+            expect(secondTx.commit()).toBe(true)
+            expect(store.stock).toBe(9)
+            expect(firstTx.getVersion('stock')).toBe(1)
+          })
+
+          it('should commit transactions touching different properties', () => {
+            firstTx.call(() => {
+              proxy.stock = 8
+            })
+            secondTx.call(() => {
+              proxy.price = 6
+            })
+
+            expect(firstTx.commit()).toBe(true)
+            expect(secondTx.commit()).toBe(true)
+            expect(store).toEqual({ stock: 8, price: 6 })
+          })
+
+          it('should commit one of two read-modify-writes and reject the other', () => {
+            firstTx.call(() => {
+              proxy.stock = proxy.stock - 1
+            })
+            secondTx.call(() => {
+              proxy.stock = proxy.stock - 2
+            })
+
+            expect(secondTx.commit()).toBe(true)
+            expect(() => firstTx.commit()).toThrow(TransactionConflictError)
+          })
+
+          it('should still version writes made outside any transaction', () => {
+            firstTx.call(() => proxy.stock)
+            proxy.stock = 3
+
+            expect(() => firstTx.commit()).toThrow(TransactionConflictError)
+          })
+        })
+
+        it('should reject a commit whose reads were changed outside a transaction', () => {
+          first.tx.call(() => {
+            first.proxy.price = first.proxy.stock * 2
+          })
+          second.proxy.stock = 3
+          delete second.proxy.price
+
+          expect(second.tx.getVersion('stock')).toBe(1)
+          expect(() => first.tx.commit()).toThrow('Transaction conflict: "stock", "price" changed')
+        })
+
+        it('should reject the second of two concurrent writes to a property', () => {
+          first.tx.call(() => {
+            first.proxy.stock = 8
+          })
+          second.tx.call(() => {
+            second.proxy.stock = 7
+          })
+
+          second.tx.commit()
+          expect(() => first.tx.commit()).toThrow(TransactionConflictError)
+
+          first.tx.rollback()
+          expect(store.stock).toBe(7)
+        })
+
+        it('should commit transactions touching different properties', () => {
+          first.tx.call(() => {
+            first.proxy.stock = 8
+          })
+          second.tx.call(() => {
+            second.proxy.price = 6
+          })
+
+          expect(second.tx.commit()).toBe(true)
+          expect(first.tx.commit()).toBe(true)
+          expect(store).toEqual({ stock: 8, price: 6 })
+        })
+
+        it('should succeed on retry after a conflict', () => {
+          let attempts = 0
+          const { result } = first.tx.run(
+            () => {
+              attempts++
+              const stock = first.proxy.stock
+              if (attempts === 1) {
+                second.tx.run(() => {
+                  second.proxy.stock = stock - 5
+                })
+              }
+              first.proxy.stock = first.proxy.stock - 1
+              return first.proxy.stock
+            },
+            { retries: 1 }
+          )
+
+          expect(attempts).toBe(2)
+          expect(result).toBe(4)
+          expect(store.stock).toBe(4)
+        })
+      })
+    }
+
+    it('should version nested writes made outside a transaction under their top-level property', () => {
+      const store = { settings: { theme: 'light' } }
+      const proxyInterface = createProxy(store, { deep: true })
+      const tx = createTransactionContext(store)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => proxyInterface.proxy.settings.theme)
+      proxyInterface.proxy.settings.theme = 'dark'
+
+      expect(tx.getVersion('settings')).toBe(1)
+      expect(() => tx.commit()).toThrow(TransactionConflictError)
+    })
+
+    it('should not let an immediate rollback clobber a later write by another transaction', () => {
+      const store = { stock: 10 }
+      const first = createHandler(store, 'immediate')
+      const second = createHandler(store, 'immediate')
+
+      first.tx.call(() => {
+        first.proxy.stock = 9
+      })
+      second.tx.call(() => {
+        second.proxy.stock = 8
+      })
+
+      first.tx.rollback()
+      expect(store.stock).toBe(8)
+
+      expect(second.tx.commit()).toBe(true)
+      expect(store.stock).toBe(8)
+    })
+
+    it('should conflict with a transaction that read a write later rolled back', () => {
+      const store = { stock: 10 }
+      const first = createHandler(store, 'immediate')
+      const second = createHandler(store, 'immediate')
+
+      first.tx.call(() => {
+        first.proxy.stock = 0
+      })
+      second.tx.call(() => {
+        second.proxy.soldOut = second.proxy.stock === 0
+      })
+      first.tx.rollback()
+
+      expect(() => second.tx.commit()).toThrow(TransactionConflictError)
+    })
+
+    it('should roll back several writes of the same transaction to a property', () => {
+      const store = { stock: 10 }
+      const { proxy, tx } = createHandler(store, 'immediate')
+
+      tx.call(() => {
+        proxy.stock = 9
+        proxy.stock = 8
+      })
+      tx.rollback()
+
+      expect(store.stock).toBe(10)
+    })
+  })
+
+  describe('JSON Patch', () => {
+    for (const isolation of ['immediate', 'deferred']) {
+      describe(`in ${isolation} isolation`, () => {
+        let target, proxy, tx
+
+        beforeEach(() => {
+          target = { name: 'Ada', role: 'admin', tags: ['a'], settings: { theme: 'light' } }
+          const proxyInterface = createProxy(target)
+          proxy = proxyInterface.proxy
+          tx = createTransactionContext(target, { isolation })
+          registerTransactionInterceptors(proxyInterface, tx)
+        })
+
+        it('should describe the net pending changes', () => {
+          const tags = target.tags
+          tx.call(() => {
+            proxy.name = 'Grace'
+            proxy.name = 'Lin'
+            proxy['a/b~c'] = 1
+            delete proxy.role
+            proxy.draft = true
+            delete proxy.draft
+            proxy.tags = ['a']
+            proxy.tags = tags
+          })
+
+          expect(tx.toJSONPatch()).toEqual([
+            { op: 'replace', path: '/name', value: 'Lin' },
+            { op: 'add', path: '/a~1b~0c', value: 1 },
+            { op: 'remove', path: '/role' },
+          ])
+        })
+
+        it('should return an empty patch without an active transaction', () => {
+          expect(tx.toJSONPatch()).toEqual([])
+        })
+
+        it('should apply a patch as its own transaction', () => {
+          const journal = tx.fromJSONPatch([
+            { op: 'replace', path: '/name', value: 'Grace' },
+            { op: 'add', path: '/tags/-', value: 'b' },
+            { op: 'add', path: '/settings/locale', value: 'fr' },
+            { op: 'remove', path: '/role' },
+          ])
+
+          expect(tx.isActive()).toBe(false)
+          expect(target).toEqual({ name: 'Grace', tags: ['a', 'b'], settings: { theme: 'light', locale: 'fr' } })
+          expect(journal.map((entry) => [entry.operation, entry.property])).toEqual([
+            ['set', 'name'],
+            ['set', 'tags'],
+            ['set', 'settings'],
+            ['delete', 'role'],
+          ])
+        })
+
+        it('should support move, copy and test', () => {
+          tx.fromJSONPatch([
+            { op: 'test', path: '/settings', value: { theme: 'light' } },
+            { op: 'copy', from: '/settings/theme', path: '/theme' },
+            { op: 'move', from: '/name', path: '/displayName' },
+          ])
+
+          expect(target).toEqual({
+            role: 'admin',
+            tags: ['a'],
+            settings: { theme: 'light' },
+            theme: 'light',
+            displayName: 'Ada',
+          })
+        })
+
+        it('should keep none of a patch when an operation fails', () => {
+          expect(() =>
+            tx.fromJSONPatch([
+              { op: 'replace', path: '/name', value: 'Grace' },
+              { op: 'test', path: '/role', value: 'guest' },
+            ])
+          ).toThrow('JSON Patch test failed at "/role"')
+          expect(target.name).toBe('Ada')
+          expect(tx.isActive()).toBe(false)
+
+          expect(() => tx.fromJSONPatch([{ op: 'remove', path: '/missing' }])).toThrow(
+            'JSON Patch path "/missing" does not exist'
+          )
+          expect(() => tx.fromJSONPatch([{ op: 'add', path: '/tags/5', value: 'x' }])).toThrow(
+            'JSON Patch path "/tags/5" does not exist'
+          )
+        })
+
+        it('should apply a patch inside an active transaction in a savepoint', () => {
+          tx.call(() => {
+            proxy.name = 'Grace'
+          })
+
+          expect(() =>
+            tx.fromJSONPatch([
+              { op: 'replace', path: '/role', value: 'guest' },
+              { op: 'test', path: '/name', value: 'Ada' },
+            ])
+          ).toThrow('JSON Patch test failed at "/name"')
+          tx.fromJSONPatch([{ op: 'add', path: '/active', value: true }])
+
+          expect(tx.isActive()).toBe(true)
+          expect(tx.toJSONPatch()).toEqual([
+            { op: 'replace', path: '/name', value: 'Grace' },
+            { op: 'add', path: '/active', value: true },
+          ])
+
+          tx.rollback()
+          expect(target).toEqual({ name: 'Ada', role: 'admin', tags: ['a'], settings: { theme: 'light' } })
+        })
+
+        it('should round-trip pending changes to a replica', () => {
+          const replica = structuredClone(target)
+          const replicaInterface = createProxy(replica)
+          const replicaTx = createTransactionContext(replica)
+          registerTransactionInterceptors(replicaInterface, replicaTx)
+
+          tx.call(() => {
+            proxy.name = 'Grace'
+            proxy.tags = [...proxy.tags, 'b']
+            delete proxy.settings
+          })
+          const shipped = JSON.stringify(tx.toJSONPatch())
+          replicaTx.fromJSONPatch(JSON.parse(shipped))
+          tx.commit()
+
+          expect(replica).toEqual(target)
+        })
+
+        it('should not alias patch values into the target', () => {
+          const value = { theme: 'dark' }
+          tx.fromJSONPatch([{ op: 'replace', path: '/settings', value }])
+
+          value.theme = 'blue'
+          expect(target.settings).toEqual({ theme: 'dark' })
+        })
+
+        it('should not change an emitted patch when the value is mutated later', () => {
+          const settings = { theme: 'dark' }
+          tx.call(() => {
+            proxy.settings = settings
+          })
+          const patch = tx.toJSONPatch()
+
+          settings.theme = 'blue'
+          expect(patch).toEqual([{ op: 'replace', path: '/settings', value: { theme: 'dark' } }])
+        })
+
+        it('should apply nested paths through a deep proxy', () => {
+          const store = { settings: { theme: 'light', sizes: [1, 2], updated: new Date(0) } }
+          const deepInterface = createProxy(store, { deep: true })
+          const deepTx = createTransactionContext(store, { isolation })
+          registerTransactionInterceptors(deepInterface, deepTx)
+
+          deepTx.fromJSONPatch([
+            { op: 'replace', path: '/settings/theme', value: 'dark' },
+            { op: 'add', path: '/settings/sizes/1', value: 9 },
+            { op: 'copy', from: '/settings', path: '/backup' },
+            { op: 'move', from: '/backup/sizes', path: '/sizes' },
+          ])
+
+          expect(store).toEqual({
+            settings: { theme: 'dark', sizes: [1, 9, 2], updated: new Date(0) },
+            backup: { theme: 'dark', updated: new Date(0) },
+            sizes: [1, 9, 2],
+          })
+          expect(store.settings.updated).toBeInstanceOf(Date)
+          expect(types.isProxy(store.settings)).toBe(false)
+          expect(types.isProxy(store.backup)).toBe(false)
+          expect(types.isProxy(store.sizes)).toBe(false)
+        })
+
+        describe('on an array target', () => {
+          let list, listProxy, listTx
+
+          beforeEach(() => {
+            list = [1, 2, 3]
+            const listInterface = createProxy(list)
+            listProxy = listInterface.proxy
+            listTx = createTransactionContext(list, { isolation })
+            registerTransactionInterceptors(listInterface, listTx)
+          })
+
+          it('should insert and remove elements at an index', () => {
+            listTx.fromJSONPatch([
+              { op: 'add', path: '/1', value: 9 },
+              { op: 'add', path: '/-', value: 4 },
+              { op: 'remove', path: '/0' },
+            ])
+
+            expect(list).toEqual([9, 2, 3, 4])
+          })
+
+          it('should roll back a patch that fails part way', () => {
+            expect(() =>
+              listTx.fromJSONPatch([
+                { op: 'add', path: '/1', value: 9 },
+                { op: 'remove', path: '/7' },
+              ])
+            ).toThrow('JSON Patch path "/7" does not exist')
+
+            expect(list).toEqual([1, 2, 3])
+          })
+
+          for (const [name, mutate] of [
+            ['splice', (array) => array.splice(0, 2, 'a')],
+            ['length truncation', (array) => (array.length = 1)],
+            ['push', (array) => array.push(7, 8)],
+          ]) {
+            it(`should round-trip a ${name} to a replica`, () => {
+              const replica = [...list]
+              const replicaInterface = createProxy(replica)
+              const replicaTx = createTransactionContext(replica)
+              registerTransactionInterceptors(replicaInterface, replicaTx)
+
+              listTx.call(() => mutate(listProxy))
+              replicaTx.fromJSONPatch(structuredClone(listTx.toJSONPatch()))
+              listTx.commit()
+
+              expect(replica).toEqual(list)
+            })
+          }
+        })
+      })
+    }
+
+    it('should reject malformed patches before applying anything', () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      expect(() => tx.fromJSONPatch({ op: 'add' })).toThrow('JSON Patch must be an array of operations.')
+      expect(() => tx.fromJSONPatch([{ op: 'replace', path: '/x', value: 2 }, { op: 'merge', path: '/x' }])).toThrow(
+        'JSON Patch operation 1 has an unknown op "merge".'
+      )
+      expect(() => tx.fromJSONPatch([{ op: 'add', path: '/x' }])).toThrow(
+        'JSON Patch operation 0 (add) is missing a value.'
+      )
+      expect(() => tx.fromJSONPatch([{ op: 'remove', path: '' }])).toThrow(
+        'Invalid JSON Pointer "": the document root cannot be patched.'
+      )
+      expect(target.x).toBe(1)
+    })
+
+    it('should require the context to be registered on a proxy', () => {
+      const tx = createTransactionContext({ x: 1 })
+
+      expect(() => tx.fromJSONPatch([])).toThrow(
+        'Transaction context must be registered on a proxy to apply a JSON Patch.'
+      )
+    })
+
+    it('should refuse to describe accessor properties', () => {
+      const target = {}
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => {
+        Object.defineProperty(proxyInterface.proxy, 'now', { get: () => 1, configurable: true })
+      })
+
+      expect(() => tx.toJSONPatch()).toThrow(
+        'Property "now" is an accessor and cannot be represented in a JSON Patch.'
+      )
+    })
+
+    it('should apply patches subject to access control', () => {
+      const target = { name: 'Ada', role: 'admin' }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+      const capabilities = createCapabilityContext(target, { canWrite: new Set(['name']) })
+      registerCapabilityInterceptors(proxyInterface, capabilities)
+
+      capabilities.call(() => {
+        expect(() => tx.fromJSONPatch([
+          { op: 'replace', path: '/name', value: 'Grace' },
+          { op: 'replace', path: '/role', value: 'guest' },
+        ])).toThrow(TypeError)
+      })
+
+      expect(target).toEqual({ name: 'Ada', role: 'admin' })
+    })
+  })
+
+  describe('Lifecycle Hooks', () => {
+    for (const isolation of ['immediate', 'deferred']) {
+      describe(`in ${isolation} isolation`, () => {
+        let target, proxy, tx
+
+        beforeEach(() => {
+          target = { theme: 'light' }
+          const proxyInterface = createProxy(target)
+          proxy = proxyInterface.proxy
+          tx = createTransactionContext(target, { isolation })
+          registerTransactionInterceptors(proxyInterface, tx)
+        })
+
+        it('should pass the final journal to afterCommit once the changes are applied', () => {
+          const events = []
+          tx.onAfterCommit((event) => events.push({ ...event, theme: target.theme, active: tx.isActive() }))
+
+          tx.call(() => {
+            proxy.theme = 'dark'
+            proxy.size = 12
+          })
+          const transactionId = tx._state.transactionId
+          tx.commit()
+
+          expect(events).toEqual([
+            {
+              transactionId,
+              journal: [
+                expect.objectContaining({ operation: 'set', property: 'theme', value: 'dark' }),
+                expect.objectContaining({ operation: 'set', property: 'size', value: 12 }),
+              ],
+              theme: 'dark',
+              active: false,
+            },
+          ])
+        })
+
+        it('should let beforeCommit veto the commit', () => {
+          const afterCommit = vi.fn()
+          tx.onBeforeCommit(({ journal }) => {
+            if (journal.some((entry) => entry.value === 'dark')) throw new Error('dark theme is disabled')
+          })
+          tx.onAfterCommit(afterCommit)
+
+          tx.call(() => {
+            proxy.theme = 'dark'
+          })
+
+          expect(() => tx.commit()).toThrow('dark theme is disabled')
+          expect(tx.isActive()).toBe(true)
+          expect(afterCommit).not.toHaveBeenCalled()
+
+          tx.rollback()
+          expect(target.theme).toBe('light')
+        })
+
+        it('should pass the discarded journal and the report to afterRollback', () => {
+          const afterCommit = vi.fn()
+          const afterRollback = vi.fn()
+          tx.onAfterCommit(afterCommit)
+          tx.onAfterRollback(afterRollback)
+
+          tx.call(() => {
+            proxy.theme = 'dark'
+          })
+          tx.rollback()
+
+          expect(afterCommit).not.toHaveBeenCalled()
+          expect(afterRollback).toHaveBeenCalledWith({
+            transactionId: expect.any(String),
+            journal: [expect.objectContaining({ property: 'theme', value: 'dark' })],
+            report: { success: true, compensated: [], failures: [] },
+          })
+        })
+      })
+    }
+
+    it('should reject a listener that is not a function', () => {
+      const tx = createTransactionContext({})
+
+      expect(() => tx.onAfterCommit('publish')).toThrow('Transaction hook listener must be a function.')
+    })
+
+    it('should stop calling a disposed listener', () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+      const listener = vi.fn()
+      const dispose = tx.onAfterCommit(listener)
+
+      expect(dispose()).toBe(true)
+      expect(dispose()).toBe(false)
+
+      tx.run(() => {
+        proxyInterface.proxy.x = 2
+      })
+      expect(listener).not.toHaveBeenCalled()
+    })
+
+    it('should not call afterCommit when a conflict rejects the commit', () => {
+      const target = { stock: 10 }
+      const first = createProxy(target)
+      const second = createProxy(target)
+      const firstTx = createTransactionContext(target)
+      const secondTx = createTransactionContext(target)
+      registerTransactionInterceptors(first, firstTx)
+      registerTransactionInterceptors(second, secondTx)
+      const afterCommit = vi.fn()
+      firstTx.onAfterCommit(afterCommit)
+
+      firstTx.call(() => {
+        first.proxy.stock -= 1
+      })
+      secondTx.run(() => {
+        second.proxy.stock = 0
+      })
+
+      expect(() => firstTx.commit()).toThrow(TransactionConflictError)
+      expect(afterCommit).not.toHaveBeenCalled()
+      firstTx.rollback()
+    })
+
+    it('should commit even if afterCommit listeners fail, and report their errors', () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, { isolation: 'deferred' })
+      registerTransactionInterceptors(proxyInterface, tx)
+      const published = vi.fn()
+      tx.onAfterCommit(() => {
+        throw new Error('cache unavailable')
+      })
+      tx.onAfterCommit(published)
+
+      tx.call(() => {
+        proxyInterface.proxy.x = 2
+      })
+
+      let thrown
+      try {
+        tx.commit()
+      } catch (error_) {
+        thrown = error_
+      }
+
+      expect(thrown).toBeInstanceOf(AggregateError)
+      expect(thrown.message).toBe('Transaction committed, but 1 afterCommit hook(s) failed')
+      expect(thrown.errors[0].message).toBe('cache unavailable')
+      expect(published).toHaveBeenCalledTimes(1)
+      expect(target.x).toBe(2)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should attach the rollback report when afterRollback listeners fail', () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+      tx.onAfterRollback(() => {
+        throw new Error('broker down')
+      })
+
+      tx.call(() => {
+        proxyInterface.proxy.x = 2
+      })
+
+      let thrown
+      try {
+        tx.rollback()
+      } catch (error_) {
+        thrown = error_
+      }
+
+      expect(thrown.message).toBe('Transaction rolled back, but 1 afterRollback hook(s) failed')
+      expect(thrown.report).toEqual({ success: true, compensated: [], failures: [] })
+      expect(target.x).toBe(1)
+      expect(tx.isActive()).toBe(false)
+    })
+
+    it('should fire the hooks of transactions run with run()', () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+      const outcomes = []
+      tx.onAfterCommit(() => outcomes.push('commit'))
+      tx.onAfterRollback(() => outcomes.push('rollback'))
+
+      tx.run(() => {
+        proxyInterface.proxy.x = 2
+      })
+      expect(() =>
+        tx.run(() => {
+          proxyInterface.proxy.x = 3
+          throw new Error('failed')
+        })
+      ).toThrow('failed')
+
+      expect(outcomes).toEqual(['commit', 'rollback'])
+      expect(target.x).toBe(2)
+    })
+  })
+
+  describe('Deep Paths', () => {
+    function createState() {
+      return {
+        profile: { name: 'Ada', address: { city: 'London' } },
+        items: [3, 1, 2],
+        roles: new Map([
+          ['ada', 'admin'],
+          ['grace', 'editor'],
+          ['lin', 'viewer'],
+        ]),
+        tags: new Set(['a', 'b', 'c']),
+      }
+    }
+
+    for (const isolation of ['immediate', 'deferred']) {
+      describe(`in ${isolation} isolation`, () => {
+        let target, proxy, tx
+
+        beforeEach(() => {
+          target = createState()
+          const proxyInterface = createProxy(target, { deep: true })
+          proxy = proxyInterface.proxy
+          tx = createTransactionContext(target, { isolation })
+          registerTransactionInterceptors(proxyInterface, tx)
+        })
+
+        it('should roll back nested property changes exactly', () => {
+          const { profile } = target
+          tx.call(() => {
+            proxy.profile.name = 'Grace'
+            proxy.profile.address.city = 'Paris'
+            proxy.profile.address.zip = '75001'
+            delete proxy.profile.name
+          })
+
+          tx.rollback()
+
+          expect(target).toEqual(createState())
+          expect(target.profile).toBe(profile)
+        })
+
+        it('should restore the key order of deleted properties', () => {
+          target.profile.tags = ['x']
+          tx.call(() => {
+            delete proxy.profile.name
+            delete proxy.profile.address
+            proxy.profile.name = 'Grace'
+          })
+
+          tx.rollback()
+
+          expect(Object.keys(target.profile)).toEqual(['name', 'address', 'tags'])
+          expect(target.profile.name).toBe('Ada')
+        })
+
+        it('should roll back array mutator methods exactly', () => {
+          tx.call(() => {
+            proxy.items.push(4, 5)
+            proxy.items.sort((a, b) => a - b)
+            proxy.items.splice(1, 2, 'x')
+            proxy.items.unshift(0)
+            proxy.items.reverse()
+            proxy.items.shift()
+            proxy.items.fill(9, 1)
+          })
+
+          tx.rollback()
+
+          expect(target.items).toEqual([3, 1, 2])
+          expect(target).toEqual(createState())
+        })
+
+        it('should roll back Map and Set mutations in their original order', () => {
+          tx.call(() => {
+            proxy.roles.set('ada', 'viewer').set('joan', 'admin')
+            proxy.roles.delete('grace')
+            proxy.tags.delete('a')
+            proxy.tags.add('d')
+          })
+          tx.call(() => {
+            proxy.roles.clear()
+            proxy.tags.clear()
+          })
+
+          tx.rollback()
+
+          expect([...target.roles]).toEqual([...createState().roles])
+          expect([...target.tags]).toEqual([...createState().tags])
+        })
+
+        it('should let the transaction read its own nested writes', () => {
+          tx.call(() => {
+            const items = proxy.items
+            items.push(4)
+            items.push(5)
+            proxy.roles.set('joan', 'admin')
+
+            expect([...proxy.items]).toEqual([3, 1, 2, 4, 5])
+            expect(proxy.items.length).toBe(5)
+            expect(proxy.roles.get('joan')).toBe('admin')
+            expect(proxy.roles.size).toBe(4)
+            expect(Object.keys(proxy.profile)).toEqual(['name', 'address'])
+          })
+        })
+
+        it('should commit nested changes', () => {
+          tx.call(() => {
+            proxy.profile.address.city = 'Paris'
+            proxy.items.push(4)
+            proxy.roles.delete('lin')
+            proxy.tags.add('d')
+          })
+
+          tx.commit()
+
+          expect(target.profile.address.city).toBe('Paris')
+          expect(target.items).toEqual([3, 1, 2, 4])
+          expect([...target.roles.keys()]).toEqual(['ada', 'grace'])
+          expect([...target.tags]).toEqual(['a', 'b', 'c', 'd'])
+        })
+
+        it('should journal nested mutations with their path', () => {
+          tx.call(() => {
+            proxy.profile.address.city = 'Paris'
+            proxy.roles.set('joan', 'admin')
+            proxy.tags.delete('b')
+          })
+
+          expect(tx.getJournal()).toEqual([
+            expect.objectContaining({
+              operation: 'set',
+              property: 'city',
+              path: ['profile', 'address', 'city'],
+              value: 'Paris',
+              previousValue: 'London',
+              hadProperty: true,
+            }),
+            expect.objectContaining({
+              operation: 'mapSet',
+              path: ['roles'],
+              key: 'joan',
+              value: 'admin',
+              hadKey: false,
+            }),
+            expect.objectContaining({ operation: 'setDelete', path: ['tags'], value: 'b', position: 1 }),
+          ])
+        })
+
+        it('should roll back nested changes made after a savepoint', () => {
+          tx.call(() => {
+            proxy.items.push(4)
+            proxy.roles.set('joan', 'admin')
+            const id = tx.savepoint()
+            proxy.items.push(5)
+            proxy.items.sort((a, b) => b - a)
+            proxy.roles.delete('ada')
+            tx.rollbackTo(id)
+
+            expect([...proxy.items]).toEqual([3, 1, 2, 4])
+            expect([...proxy.roles.keys()]).toEqual(['ada', 'grace', 'lin', 'joan'])
+          })
+
+          tx.commit()
+
+          expect(target.items).toEqual([3, 1, 2, 4])
+          expect([...target.roles.keys()]).toEqual(['ada', 'grace', 'lin', 'joan'])
+        })
+
+        it('should count a nested write as a write to its top-level property', () => {
+          tx.call(() => {
+            proxy.profile.address.city = 'Paris'
+          })
+          tx.commit()
+
+          expect(tx.getVersion('profile')).toBeGreaterThan(0)
+          expect(tx.getVersion('items')).toBe(0)
+        })
+
+        it('should report a nested change as a change of its top-level property', () => {
+          tx.call(() => {
+            proxy.profile.address.city = 'Paris'
+          })
+
+          expect(tx._getChanges().map((change) => change.property)).toEqual(['profile'])
+          expect(tx.toJSONPatch()).toEqual([
+            { op: 'replace', path: '/profile', value: { name: 'Ada', address: { city: 'Paris' } } },
+          ])
+        })
+      })
+    }
+
+    it('should keep nested changes of a deferred transaction away from the target until commit', () => {
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const tx = createTransactionContext(target, { isolation: 'deferred' })
+      registerTransactionInterceptors(proxyInterface, tx)
+      const { proxy } = proxyInterface
+
+      tx.call(() => {
+        proxy.profile.address.city = 'Paris'
+        proxy.items.push(4)
+        proxy.tags.add('d')
+      })
+
+      expect(target).toEqual(createState())
+      expect(proxy.profile.address.city).toBe('London')
+      expect(proxy.items).toEqual([3, 1, 2])
+    })
+
+    it('should keep nested objects in place when an immediate transaction commits', () => {
+      const target = createState()
+      const { items, roles } = target
+      const proxyInterface = createProxy(target, { deep: true })
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.run(() => {
+        proxyInterface.proxy.items.push(4)
+        proxyInterface.proxy.roles.set('joan', 'admin')
+      })
+
+      expect(target.items).toBe(items)
+      expect(target.roles).toBe(roles)
+    })
+
+    it('should return the same collection view for repeated reads', () => {
+      const target = createState()
+      const proxyInterface = createProxy(target, { deep: true })
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      tx.call(() => {
+        expect(proxyInterface.proxy.roles).toBe(proxyInterface.proxy.roles)
+        expect(proxyInterface.proxy.roles).toBeInstanceOf(Map)
+      })
+      expect(proxyInterface.proxy.roles).toBe(target.roles)
+    })
+  })
+
+  describe('Async Context', () => {
+    beforeEach(() => {
+      configureContext({ asyncContext: true, AsyncLocalStorage })
+    })
+
+    afterEach(() => {
+      configureContext({ asyncContext: false, AsyncLocalStorage: undefined })
+    })
+
+    it('should journal mutations made after an await', async () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      await tx.call(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        proxyInterface.proxy.x = 10
+      })
+
+      expect(tx.getJournal()).toHaveLength(1)
+
+      tx.rollback()
+      expect(target.x).toBe(1)
+    })
+
+    it('should roll back a run whose promise rejects after an await', async () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target)
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      await expect(
+        tx.run(async () => {
+          await new Promise((resolve) => setTimeout(resolve, 1))
+          proxyInterface.proxy.x = 10
+          throw new Error('late failure')
+        })
+      ).rejects.toThrow('late failure')
+
+      expect(target.x).toBe(1)
+    })
+  })
+
+  describe('Per-context Async Context', () => {
+    it('should journal mutations made after an await when created with asyncContext', async () => {
+      const target = { x: 1 }
+      const proxyInterface = createProxy(target)
+      const tx = createTransactionContext(target, { asyncContext: true, AsyncLocalStorage })
+      registerTransactionInterceptors(proxyInterface, tx)
+
+      await tx.call(async () => {
+        await new Promise((resolve) => setTimeout(resolve, 1))
+        proxyInterface.proxy.x = 10
+      })
+
+      expect(tx.getJournal()).toHaveLength(1)
+      tx.rollback()
+      expect(target.x).toBe(1)
+    })
+  })
 })
@@ -0,0 +1,443 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createProxy } from '../../src/proxy/create-proxy.js'
+import {
+  createTransactionContext,
+  registerTransactionInterceptors,
+  TransactionConflictError,
+} from '../../src/transactions/transaction-context.js'
+import { createTransactionManager } from '../../src/transactions/transaction-manager.js'
+import {
+  createInvariantContext,
+  dependencyInvariant,
+  immutableInvariant,
+  rangeInvariant,
+} from '../../src/invariants/invariant-context.js'
+
+function createParticipant(target, options) {
+  const proxyInterface = createProxy(target)
+  const tx = createTransactionContext(target, options)
+  registerTransactionInterceptors(proxyInterface, tx)
+  return { target, proxy: proxyInterface.proxy, tx }
+}
+
+describe('Transaction Manager', () => {
+  for (const isolation of ['immediate', 'deferred']) {
+    describe(`with ${isolation} participants`, () => {
+      let accounts, ledger, manager
+
+      beforeEach(() => {
+        accounts = createParticipant({ balance: 100 }, { isolation })
+        ledger = createParticipant({ total: 0 }, { isolation })
+        manager = createTransactionManager()
+        manager.enlist(accounts.tx, { name: 'accounts' })
+        manager.enlist(ledger.tx, { name: 'ledger' })
+      })
+
+      it('should run one call within every participant transaction', () => {
+        const result = manager.call(() => {
+          expect(accounts.tx.context.tryUse()).toBeDefined()
+          expect(ledger.tx.context.tryUse()).toBeDefined()
+          accounts.proxy.balance = 50
+          ledger.proxy.total = 50
+          return 'done'
+        })
+
+        expect(result).toBe('done')
+        expect(manager.isActive()).toBe(true)
+        expect(accounts.tx.isActive()).toBe(true)
+        expect(ledger.tx.isActive()).toBe(true)
+      })
+
+      it('should commit every participant at once', () => {
+        manager.call(() => {
+          accounts.proxy.balance = 50
+          ledger.proxy.total = 50
+        })
+
+        expect(manager.commit()).toBe(true)
+        expect(accounts.target.balance).toBe(50)
+        expect(ledger.target.total).toBe(50)
+        expect(manager.isActive()).toBe(false)
+        expect(manager.getJournal()).toEqual([])
+      })
+
+      it('should roll back every participant at once', () => {
+        manager.call(() => {
+          accounts.proxy.balance = 50
+          ledger.proxy.total = 50
+        })
+
+        const report = manager.rollback()
+
+        expect(report).toEqual({ success: true, compensated: [], failures: [] })
+        expect(accounts.target.balance).toBe(100)
+        expect(ledger.target.total).toBe(0)
+        expect(manager.isActive()).toBe(false)
+      })
+
+      it('should merge the journals in the order the mutations were made', () => {
+        manager.call(() => {
+          ledger.proxy.total = 10
+          accounts.proxy.balance = 90
+          ledger.proxy.total = 20
+        })
+
+        const journal = manager.getJournal()
+
+        expect(journal.map((entry) => [entry.participant, entry.property, entry.value])).toEqual([
+          ['ledger', 'total', 10],
+          ['accounts', 'balance', 90],
+          ['ledger', 'total', 20],
+        ])
+        expect(journal[0].sequence).toBeLessThan(journal[1].sequence)
+      })
+
+      it('should roll back a failing nested call on every participant', () => {
+        manager.call(() => {
+          accounts.proxy.balance = 90
+          ledger.proxy.total = 10
+
+          expect(() =>
+            manager.call(() => {
+              accounts.proxy.balance = 0
+              ledger.proxy.total = 100
+              throw new Error('nested failure')
+            })
+          ).toThrow('nested failure')
+
+          expect(accounts.proxy.balance).toBe(90)
+          expect(ledger.proxy.total).toBe(10)
+        })
+
+        manager.commit()
+
+        expect(accounts.target.balance).toBe(90)
+        expect(ledger.target.total).toBe(10)
+      })
+
+      it('should let an invariant context veto the commit', () => {
+        const invariants = createInvariantContext(accounts.target, {
+          balanceRange: rangeInvariant('balance', 0, 1000),
+        })
+        manager.delist('accounts')
+        manager.enlist(accounts.tx, { name: 'accounts', invariants })
+
+        manager.call(() => {
+          accounts.proxy.balance = -50
+          ledger.proxy.total = -150
+        })
+
+        expect(() => manager.commit()).toThrow(
+          'Transaction commit vetoed by "accounts": Property "balance" must be between 0 and 1000'
+        )
+        expect(accounts.tx.isActive()).toBe(true)
+        expect(ledger.tx.isActive()).toBe(true)
+
+        manager.rollback()
+
+        expect(accounts.target.balance).toBe(100)
+        expect(ledger.target.total).toBe(0)
+      })
+    })
+  }
+
+  describe('enlist', () => {
+    it('should name participants in enlist order by default', () => {
+      const manager = createTransactionManager()
+
+      expect(manager.enlist(createTransactionContext({}))).toBe('participant-0')
+      expect(manager.enlist(createTransactionContext({}), { name: 'ledger' })).toBe('ledger')
+      expect(manager.getParticipants()).toEqual(['participant-0', 'ledger'])
+    })
+
+    it('should reject a duplicate name or transaction context', () => {
+      const manager = createTransactionManager()
+      const tx = createTransactionContext({})
+      manager.enlist(tx, { name: 'a' })
+
+      expect(() => manager.enlist(createTransactionContext({}), { name: 'a' })).toThrow(
+        'Participant "a" is already enlisted'
+      )
+      expect(() => manager.enlist(tx, { name: 'b' })).toThrow('Transaction context is already enlisted as "a"')
+    })
+
+    it('should refuse to delist a participant with an active transaction', () => {
+      const { tx } = createParticipant({ x: 1 })
+      const manager = createTransactionManager()
+      manager.enlist(tx, { name: 'a' })
+
+      manager.call(() => {})
+
+      expect(() => manager.delist('a')).toThrow('Cannot delist "a" while its transaction is active')
+      manager.commit()
+      expect(manager.delist('a')).toBe(true)
+      expect(manager.delist('a')).toBe(false)
+    })
+  })
+
+  describe('prepare', () => {
+    it('should collect a vote from every active participant', () => {
+      const accounts = createParticipant({ id: 1, balance: 100 })
+      const ledger = createParticipant({ total: 0 })
+      const manager = createTransactionManager()
+      manager.enlist(accounts.tx, {
+        name: 'accounts',
+        invariants: createInvariantContext(accounts.target, { id: immutableInvariant(new Set(['id'])) }),
+      })
+      manager.enlist(ledger.tx, { name: 'ledger' })
+
+      manager.call(() => {
+        accounts.proxy.id = 2
+        ledger.proxy.total = 1
+      })
+
+      expect(manager.prepare()).toEqual({
+        ok: false,
+        votes: [
+          { name: 'accounts', ok: false, errors: ['Property "id" is immutable'] },
+          { name: 'ledger', ok: true, errors: [] },
+        ],
+      })
+    })
+
+    it('should check invariants against the state the transaction would commit', () => {
+      const { target, proxy, tx } = createParticipant({ debit: 0, credit: 0 }, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(tx, {
+        name: 'book',
+        invariants: createInvariantContext(target, {
+          balanced: dependencyInvariant('balanced', (state) => state.debit === state.credit),
+        }),
+      })
+
+      manager.call(() => {
+        proxy.debit = 10
+        proxy.credit = 10
+      })
+      expect(manager.prepare().ok).toBe(true)
+
+      manager.call(() => {
+        proxy.credit = 5
+      })
+      expect(manager.prepare().votes[0].errors).toEqual(['Dependency invariant "balanced" failed'])
+    })
+
+    it('should ignore properties that end up as they started', () => {
+      const { target, proxy, tx } = createParticipant({ balance: 100 })
+      const manager = createTransactionManager()
+      manager.enlist(tx, {
+        invariants: createInvariantContext(target, { range: rangeInvariant('balance', 0, 1000) }),
+      })
+
+      manager.call(() => {
+        proxy.balance = -1
+        proxy.balance = 100
+        proxy.draft = true
+        delete proxy.draft
+      })
+
+      expect(manager.prepare().ok).toBe(true)
+    })
+
+    it('should validate deletions', () => {
+      const { target, proxy, tx } = createParticipant({ id: 1 }, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(tx, {
+        invariants: createInvariantContext(target, { id: immutableInvariant(new Set(['id'])) }),
+      })
+
+      manager.call(() => {
+        delete proxy.id
+      })
+
+      expect(manager.prepare().votes[0].errors).toEqual(['Property "id" is immutable and cannot be deleted'])
+    })
+  })
+
+  describe('commit', () => {
+    it('should throw when no participant is active', () => {
+      const manager = createTransactionManager()
+      manager.enlist(createTransactionContext({}))
+
+      expect(() => manager.commit()).toThrow('No active transaction to commit')
+      expect(() => manager.rollback()).toThrow('No active transaction to rollback')
+    })
+
+    it('should revert applied write-sets when a later target refuses a write', () => {
+      const first = createParticipant({ x: 1 }, { isolation: 'deferred' })
+      const second = createParticipant({ y: 1 }, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(first.tx, { name: 'first' })
+      manager.enlist(second.tx, { name: 'second' })
+
+      manager.call(() => {
+        first.proxy.x = 2
+        second.proxy.y = 2
+      })
+      Object.freeze(second.target)
+
+      expect(() => manager.commit()).toThrow(
+        'Participant "second" failed to commit: Transaction commit failed: the target refused the write to "y"'
+      )
+      expect(first.target.x).toBe(1)
+      expect(second.target.y).toBe(1)
+      expect(manager.isActive()).toBe(true)
+
+      manager.rollback()
+      expect(manager.isActive()).toBe(false)
+    })
+
+    it('should reject the commit when a participant conflicts with another transaction', () => {
+      const shared = { stock: 10 }
+      const accounts = createParticipant({ balance: 100 }, { isolation: 'deferred' })
+      const inventory = createParticipant(shared, { isolation: 'deferred' })
+      const other = createParticipant(shared, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(accounts.tx, { name: 'accounts' })
+      manager.enlist(inventory.tx, { name: 'inventory' })
+
+      manager.call(() => {
+        accounts.proxy.balance -= 5
+        inventory.proxy.stock -= 1
+      })
+      other.tx.run(() => {
+        other.proxy.stock = 0
+      })
+
+      expect(() => manager.commit()).toThrow(TransactionConflictError)
+      expect(accounts.target.balance).toBe(100)
+      expect(manager.isActive()).toBe(true)
+
+      manager.rollback()
+      expect(shared.stock).toBe(0)
+    })
+
+    it('should only commit participants that took part', () => {
+      const used = createParticipant({ x: 1 })
+      const idle = createTransactionContext({})
+      const manager = createTransactionManager()
+      manager.enlist(used.tx)
+
+      manager.call(() => {
+        used.proxy.x = 2
+      })
+      manager.enlist(idle)
+
+      expect(manager.commit()).toBe(true)
+      expect(used.target.x).toBe(2)
+    })
+  })
+
+  describe('lifecycle hooks', () => {
+    it('should let a participant beforeCommit hook veto the whole commit', () => {
+      const accounts = createParticipant({ balance: 100 }, { isolation: 'deferred' })
+      const ledger = createParticipant({ total: 0 }, { isolation: 'deferred' })
+      const manager = createTransactionManager()
+      manager.enlist(accounts.tx, { name: 'accounts' })
+      manager.enlist(ledger.tx, { name: 'ledger' })
+      const afterCommit = vi.fn()
+      accounts.tx.onAfterCommit(afterCommit)
+      ledger.tx.onBeforeCommit(() => {
+        throw new Error('ledger is closed')
+      })
+
+      manager.call(() => {
+        accounts.proxy.balance = 50
+        ledger.proxy.total = 50
+      })
+
+      expect(() => manager.commit()).toThrow('ledger is closed')
+      expect(accounts.target.balance).toBe(100)
+      expect(afterCommit).not.toHaveBeenCalled()
+      expect(manager.isActive()).toBe(true)
+    })
+
+    it('should run afterCommit hooks once every participant has committed', () => {
+      const accounts = createParticipant({ balance: 100 })
+      const ledger = createParticipant({ total: 0 })
+      const manager = createTransactionManager()
+      manager.enlist(accounts.tx, { name: 'accounts' })
+      manager.enlist(ledger.tx, { name: 'ledger' })
+      const seen = []
+      accounts.tx.onAfterCommit(({ journal }) => {
+        seen.push([journal.length, accounts.tx.isActive(), ledger.tx.isActive()])
+        throw new Error('publish failed')
+      })
+      ledger.tx.onAfterCommit(({ journal }) => seen.push([journal.length]))
+
+      manager.call(() => {
+        accounts.proxy.balance = 50
+        ledger.proxy.total = 50
+        ledger.proxy.total = 60
+      })
+
+      expect(() => manager.commit()).toThrow('Transaction committed, but 1 afterCommit hook(s) failed')
+      expect(seen).toEqual([[1, false, false], [2]])
+      expect(manager.isActive()).toBe(false)
+    })
+
+    it('should roll back every participant before reporting failing afterRollback hooks', () => {
+      const accounts = createParticipant({ balance: 100 })
+      const ledger = createParticipant({ total: 0 })
+      const manager = createTransactionManager()
+      manager.enlist(accounts.tx, { name: 'accounts' })
+      manager.enlist(ledger.tx, { name: 'ledger' })
+      ledger.tx.onAfterRollback(() => {
+        throw new Error('broker down')
+      })
+
+      manager.call(() => {
+        accounts.proxy.balance = 50
+        ledger.proxy.total = 50
+      })
+
+      expect(() => manager.rollback()).toThrow('Transaction rolled back, but 1 afterRollback hook(s) failed')
+      expect(accounts.target.balance).toBe(100)
+      expect(ledger.target.total).toBe(0)
+      expect(manager.isActive()).toBe(false)
+    })
+  })
+
+  describe('rollback', () => {
+    it('should merge the rollback reports of every participant', () => {
+      const compensate = vi.fn()
+      const billing = createParticipant(function charge(amount) {
+        return amount
+      }, {
+        compensations: {
+          charge: { compensate },
+        },
+      })
+      const audit = createParticipant(function record() {
+        return true
+      }, {
+        compensations: {
+          record: {
+            compensate: () => {
+              throw new Error('audit log is append-only')
+            },
+          },
+        },
+      })
+      const manager = createTransactionManager()
+      manager.enlist(billing.tx, { name: 'billing' })
+      manager.enlist(audit.tx, { name: 'audit' })
+
+      manager.call(() => {
+        billing.proxy(25)
+        audit.proxy()
+      })
+
+      const report = manager.rollback()
+
+      expect(compensate).toHaveBeenCalledWith([25], 25)
+      expect(report.success).toBe(false)
+      expect(report.compensated).toEqual([
+        expect.objectContaining({ participant: 'billing', operation: 'apply', method: 'charge' }),
+      ])
+      expect(report.failures).toEqual([
+        expect.objectContaining({ participant: 'audit', method: 'record', error: expect.any(Error) }),
+      ])
+    })
+  })
+})
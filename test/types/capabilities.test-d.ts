@@ -0,0 +1,70 @@
+// Type-level checks for the capability declarations, verified by `pnpm test:types`.
+
+import { createProxy } from '../../src/proxy/create-proxy.js';
+import { createCapabilityContext } from '../../src/security/capability-acl.js';
+import { createContractContext } from '../../src/contracts/contract-context.js';
+import {
+  createInvariantContext,
+  patternInvariant,
+  rangeInvariant,
+  requiredInvariant,
+} from '../../src/invariants/invariant-context.js';
+
+interface User {
+  name: string;
+  age: number;
+  address: { city: string };
+  greet(greeting: string): string;
+}
+
+declare const user: User;
+
+// Capability key sets are checked against the target's keys and dotted paths
+createCapabilityContext(user, {
+  canRead: new Set(['name', 'age', 'address.city']),
+  canWrite: (key) => key !== 'age',
+});
+
+createCapabilityContext(user, {
+  // @ts-expect-error - 'email' is not a key of User
+  canRead: new Set(['email']),
+});
+
+// Invariant helpers infer the target type from the context
+createInvariantContext(user, {
+  age: rangeInvariant('age', 0, 150),
+  name: patternInvariant('name', /^[A-Z]/),
+  required: requiredInvariant(new Set(['name'])),
+});
+
+createInvariantContext(user, {
+  // @ts-expect-error - 'name' is not a numeric property
+  age: rangeInvariant('name', 0, 150),
+});
+
+createInvariantContext(user, [
+  // @ts-expect-error - 'email' is not a key of User
+  requiredInvariant(new Set(['email'])),
+]);
+
+// Contracts are keyed by method name and validate the method's arguments
+createContractContext(user, {
+  greet: { validate: ([greeting]) => greeting.length > 0, sequence: ['greet'] },
+});
+
+createContractContext(user, {
+  // @ts-expect-error - 'name' is not a method of User
+  name: { maxArgs: 0 },
+});
+
+// Revocable proxies expose the revoke lifecycle on their interface
+const revocable = createProxy(user, { revocable: true });
+revocable.revoke('done');
+revocable.onRevoke(({ reason }) => reason);
+
+const plain = createProxy(user);
+// @ts-expect-error - only revocable proxies can be revoked
+plain.revoke();
+
+// Interceptors receive the target's keys
+plain.defineGetInterceptor((target, prop) => (prop === 'age' ? target.age + 1 : undefined));
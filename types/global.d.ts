@@ -1,35 +1,39 @@
 // global.d.ts
+// Ambient aliases of the module declarations in src/proxy/create-proxy.d.ts
 
-type Interceptor<TArgs extends any[], TResult> = (target: any, ...args: TArgs) => TResult;
+import type * as Core from '../src/proxy/create-proxy.js';
 
-type GetInterceptor<T> = (target: T, prop: keyof T, receiver: any) => any;
-type SetInterceptor<T> = (target: T, prop: keyof T, value: any, receiver: any) => boolean;
-type HasInterceptor<T> = (target: T, prop: keyof T) => boolean;
-type DeletePropertyInterceptor<T> = (target: T, prop: keyof T) => boolean;
-type OwnKeysInterceptor<T> = (target: T) => (keyof T | string | symbol)[];
-type GetOwnPropertyDescriptorInterceptor<T> = (
-  target: T,
-  prop: keyof T
-) => PropertyDescriptor | undefined;
+declare global {
+  type Interceptor<TArgs extends any[], TResult> = (target: any, ...args: TArgs) => TResult;
 
-// Refined Apply and Construct interceptors
-type ApplyInterceptor = (target: (...args: any[]) => any, thisArg: any, argsList: any[]) => any;
-type ConstructInterceptor = (
-  target: new (...args: any[]) => any,
-  argsList: any[],
-  newTarget: any
-) => object;
+  type PropertyPath = Core.PropertyPath;
 
-interface Proxyable<T extends object> {
-  proxy: T;
-  defineGetInterceptor(interceptor: GetInterceptor<T>): void;
-  defineSetInterceptor(interceptor: SetInterceptor<T>): void;
-  defineHasInterceptor(interceptor: HasInterceptor<T>): void;
-  defineDeletePropertyInterceptor(interceptor: DeletePropertyInterceptor<T>): void;
-  defineOwnKeysInterceptor(interceptor: OwnKeysInterceptor<T>): void;
-  defineGetOwnPropertyDescriptorInterceptor(
-    interceptor: GetOwnPropertyDescriptorInterceptor<T>
-  ): void;
-  defineApplyInterceptor(interceptor: ApplyInterceptor): void;
-  defineConstructInterceptor(interceptor: ConstructInterceptor): void;
+  type GetInterceptor<T> = Core.GetInterceptor<T>;
+  type SetInterceptor<T> = Core.SetInterceptor<T>;
+  type HasInterceptor<T> = Core.HasInterceptor<T>;
+  type DeletePropertyInterceptor<T> = Core.DeletePropertyInterceptor<T>;
+  type OwnKeysContribution<T> = Core.OwnKeysContribution<T>;
+  type OwnKeysInterceptor<T> = Core.OwnKeysInterceptor<T>;
+  type GetOwnPropertyDescriptorInterceptor<T> = Core.GetOwnPropertyDescriptorInterceptor<T>;
+  type ApplyInterceptor = Core.ApplyInterceptor;
+  type ConstructInterceptor = Core.ConstructInterceptor;
+  type DefinePropertyInterceptor<T> = Core.DefinePropertyInterceptor<T>;
+  type GetPrototypeOfInterceptor<T> = Core.GetPrototypeOfInterceptor<T>;
+  type SetPrototypeOfInterceptor<T> = Core.SetPrototypeOfInterceptor<T>;
+  type IsExtensibleInterceptor<T> = Core.IsExtensibleInterceptor<T>;
+  type PreventExtensionsInterceptor<T> = Core.PreventExtensionsInterceptor<T>;
+
+  type ProxyTrap = Core.ProxyTrap;
+  type ProxyOptions = Core.ProxyOptions;
+  type RevocationEvent<T> = Core.RevocationEvent<T>;
+  type InterceptorOptions = Core.InterceptorOptions;
+  type MiddlewareContext = Core.MiddlewareContext;
+  type MiddlewareInterceptor = Core.MiddlewareInterceptor;
+  type InterceptorRegistration = Core.InterceptorRegistration;
+  type InterceptorDisposer = Core.InterceptorDisposer;
+
+  type Proxyable<T extends object> = Core.Proxyable<T>;
+  type RevocableProxyable<T extends object> = Core.RevocableProxyable<T>;
 }
+
+export {};